@@ -6,8 +6,11 @@
  * @module AttackCommand
  */
 
-import { Command, CommandType } from './Command.js';
+import { Command, CommandType, registerCommand } from './Command.js';
+import { gameState } from '../core/gameState.js';
+import { rng } from '../core/rng.js';
 import { battleManager } from '../managers/battleManager.js';
+import { factionSystem } from '../systems/factionSystem.js';
 
 /**
  * 공격 커맨드 클래스
@@ -20,7 +23,9 @@ export class AttackCommand extends Command {
      * @param {Object} data - 공격 데이터
      * @param {Character} data.attacker - 공격자
      * @param {Character} data.target - 대상
-     * @param {number} data.damage - 데미지 (실행 시 계산됨)
+     * @param {number} [data.damage] - 데미지 (실행 시 계산됨, 지정 시 그대로 사용)
+     * @param {number|null} [data.counterDamage] - 대상의 반격 데미지 (실행 시 기록됨, 반격하지 않았으면 null)
+     * @param {{seed: number, cursor: number}} [data.rngState] - 실행 직전 난수 상태 (실행 시 기록됨)
      */
     constructor(data) {
         super(CommandType.ATTACK, data);
@@ -31,8 +36,11 @@ export class AttackCommand extends Command {
             targetId: data.target.id,
             attackerHasAttacked: data.attacker.hasAttacked,
             attackerActionsUsed: { ...data.attacker.actionsUsed },
+            attackerHealth: data.attacker.health,
+            attackerIsAlive: data.attacker.isAlive(),
             targetHealth: data.target.health,
-            targetIsAlive: data.target.isAlive()
+            targetIsAlive: data.target.isAlive(),
+            factionState: factionSystem.getState()
         };
     }
     
@@ -44,11 +52,21 @@ export class AttackCommand extends Command {
     async execute() {
         const { attacker, target } = this.data;
         
+        // 처음 실행할 때 난수 상태를 기록하고, 재실행 시에는 같은 상태에서 굴림
+        if (this.data.rngState) {
+            rng.setState(this.data.rngState);
+        } else {
+            this.data.rngState = rng.getState();
+        }
+        
         // battleManager의 executeAttack를 통해 실제 공격 처리
-        const damage = battleManager.executeAttack(attacker, target);
+        // 재실행/불러오기 시에는 기록된 데미지와 반격 데미지를 그대로 사용
+        const result = battleManager.executeAttack(attacker, target, this.data.damage, this.data.counterDamage);
         
-        if (damage > 0) {
-            this.data.damage = damage;
+        // 회피하면 데미지는 0 (실패는 null)
+        if (result) {
+            this.data.damage = result.damage;
+            this.data.counterDamage = result.counterDamage;
             this.executed = true;
             return true;
         }
@@ -70,24 +88,35 @@ export class AttackCommand extends Command {
         attacker.hasAttacked = this.previousState.attackerHasAttacked;
         attacker.actionsUsed = { ...this.previousState.attackerActionsUsed };
         
+        // 반격으로 잃은 체력 복원 (반격 도입 전에 저장된 히스토리에는 없을 수 있음)
+        if (this.previousState.attackerHealth !== undefined) {
+            attacker.health = this.previousState.attackerHealth;
+            attacker.updateHealthBar();
+            
+            if (this.previousState.attackerIsAlive && attacker.isDead) {
+                attacker.revive();
+                gameState.addCharacter(attacker);
+            }
+        }
+        
+        // 난수 상태 되돌리기 (다음 행동이 원래와 같은 값을 뽑도록)
+        if (this.data.rngState) {
+            rng.setState(this.data.rngState);
+        }
+        
+        // 중립 진영 공격으로 바뀐 관계 복원 (진영 도입 전에 저장된 히스토리에는 없을 수 있음)
+        if (this.previousState.factionState) {
+            factionSystem.setState(this.previousState.factionState);
+        }
+        
         // 대상 체력 복원
         target.health = this.previousState.targetHealth;
+        target.updateHealthBar();
         
-        // 대상이 죽었었다면 부활
-        if (!this.previousState.targetIsAlive && target.isDead) {
-            target.isDead = false;
-            if (target.currentTile) {
-                target.currentTile.setOccupant(target);
-            }
-            // 시각적 복원
-            target.group.visible = true;
-            target.group.opacity = 1;
-            target.group.traverse(child => {
-                if (child.material) {
-                    child.material.opacity = 1;
-                    child.material.transparent = false;
-                }
-            });
+        // 공격 전에 살아있던 대상이 죽었다면 부활
+        if (this.previousState.targetIsAlive && target.isDead) {
+            target.revive();
+            gameState.addCharacter(target);
         }
         
         this.executed = false;
@@ -95,17 +124,42 @@ export class AttackCommand extends Command {
     }
     
     /**
-     * 직렬화
+     * 커맨드 데이터 직렬화
      * 
      * @returns {Object} 직렬화된 데이터
      */
-    serialize() {
-        const base = super.serialize();
+    serializeData() {
         return {
-            ...base,
             attackerId: this.data.attacker.id,
             targetId: this.data.target.id,
-            damage: this.data.damage
+            damage: this.data.damage,
+            counterDamage: this.data.counterDamage,
+            rngState: this.data.rngState
         };
     }
-}
\ No newline at end of file
+    
+    /**
+     * 역직렬화
+     * 
+     * @static
+     * @param {Object} serialized - 직렬화된 커맨드
+     * @param {Object} resolver - 런타임 객체 조회 함수 ({@link Command.deserialize} 참고)
+     * @returns {AttackCommand} 복원된 커맨드
+     */
+    static deserialize(serialized, resolver) {
+        const { attackerId, targetId, damage, counterDamage, rngState } = serialized.data;
+        
+        const attacker = resolver.getCharacter(attackerId);
+        const target = resolver.getCharacter(targetId);
+        
+        if (!attacker || !target) {
+            throw new Error(`AttackCommand ${serialized.id}: character not found`);
+        }
+        
+        const command = new AttackCommand({ attacker, target, damage, counterDamage, rngState });
+        
+        return command.restoreMeta(serialized);
+    }
+}
+
+registerCommand(CommandType.ATTACK, AttackCommand);
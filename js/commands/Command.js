@@ -6,6 +6,26 @@
  * @module Command
  */
 
+/**
+ * 커맨드 타입별 클래스 레지스트리
+ * 
+ * 직렬화된 커맨드를 타입에 맞는 클래스로 복원할 때 사용합니다.
+ * @type {Map<string, typeof Command>}
+ */
+const commandRegistry = new Map();
+
+/**
+ * 커맨드 클래스 등록
+ * 
+ * 각 커맨드 모듈은 로드 시 자신의 타입을 등록합니다.
+ * 
+ * @param {string} type - 커맨드 타입 (CommandType)
+ * @param {typeof Command} CommandClass - 커맨드 클래스
+ */
+export function registerCommand(type, CommandClass) {
+    commandRegistry.set(type, CommandClass);
+}
+
 /**
  * 추상 커맨드 클래스
  * 
@@ -93,22 +113,64 @@ export class Command {
         return {
             id: this.id,
             type: this.type,
-            data: this.data,
+            data: this.serializeData(),
+            previousState: this.previousState,
             timestamp: this.timestamp,
             executed: this.executed
         };
     }
     
+    /**
+     * 커맨드 데이터 직렬화
+     * 
+     * 캐릭터, 타일 같은 런타임 객체는 id와 좌표로 바꿔야 하므로
+     * 해당 데이터를 가진 서브클래스에서 재정의합니다.
+     * 
+     * @returns {Object} 직렬화된 커맨드 데이터
+     */
+    serializeData() {
+        return this.data;
+    }
+    
+    /**
+     * 직렬화된 메타 정보 복원
+     * 
+     * 역직렬화된 커맨드가 원본과 같은 id, 시간, 상태 스냅샷을 갖도록 합니다.
+     * 
+     * @param {Object} serialized - 직렬화된 커맨드
+     * @returns {Command} 자기 자신
+     */
+    restoreMeta(serialized) {
+        this.id = serialized.id ?? this.id;
+        this.timestamp = serialized.timestamp ?? this.timestamp;
+        
+        if (serialized.previousState) {
+            this.previousState = serialized.previousState;
+        }
+        
+        return this;
+    }
+    
     /**
      * 커맨드 역직렬화
      * 
+     * 등록된 커맨드 클래스 중 타입이 일치하는 클래스의 deserialize()로 위임합니다.
+     * 
      * @static
-     * @param {Object} data - 직렬화된 데이터
+     * @param {Object} serialized - 직렬화된 데이터
+     * @param {Object} resolver - 런타임 객체 조회 함수
+     * @param {Function} resolver.getCharacter - (id) => Character|null
+     * @param {Function} resolver.getTile - (q, r) => HexTile|null
      * @returns {Command} 커맨드 인스턴스
      */
-    static deserialize(data) {
-        // 서브클래스에서 구현
-        throw new Error('Command.deserialize() must be implemented by subclass');
+    static deserialize(serialized, resolver) {
+        const CommandClass = commandRegistry.get(serialized.type);
+        
+        if (!CommandClass || CommandClass.deserialize === Command.deserialize) {
+            throw new Error(`Unknown command type: ${serialized.type}`);
+        }
+        
+        return CommandClass.deserialize(serialized, resolver);
     }
 }
 
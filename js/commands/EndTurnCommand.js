@@ -2,12 +2,14 @@
  * 턴 종료 커맨드
  * 
  * 턴 종료 액션을 캡슐화합니다.
+ * 진영 모드에서는 진영 전체의 턴을, 우선권 모드에서는 행동 중인 캐릭터 하나의 턴을 끝냅니다.
  * 
  * @module EndTurnCommand
  */
 
-import { Command, CommandType } from './Command.js';
+import { Command, CommandType, registerCommand } from './Command.js';
 import { gameState } from '../core/gameState.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
 
 /**
  * 턴 종료 커맨드 클래스
@@ -28,6 +30,8 @@ export class EndTurnCommand extends Command {
         this.previousState = {
             turn: data.previousTurn,
             turnCount: data.turnCount,
+            turnOrder: [...gameState.turnOrder],
+            activeIndex: gameState.activeIndex,
             charactersState: this.saveCharactersState()
         };
     }
@@ -47,7 +51,11 @@ export class EndTurnCommand extends Command {
                 hasMoved: char.hasMoved,
                 hasAttacked: char.hasAttacked,
                 movedDistance: char.movedDistance,
-                actionsUsed: { ...char.actionsUsed }
+                actionsUsed: { ...char.actionsUsed },
+                mana: char.mana,
+                skillCooldowns: { ...char.skillCooldowns },
+                health: char.health,
+                statusEffects: char.statusEffects.map(effect => ({ ...effect }))
             });
         });
         
@@ -80,34 +88,77 @@ export class EndTurnCommand extends Command {
         // 턴 상태 복원
         gameState.currentTurn = this.previousState.turn;
         gameState.turnCount = this.previousState.turnCount;
+        // 우선권 도입 전에 저장된 히스토리에는 없을 수 있음
+        if (this.previousState.turnOrder !== undefined) {
+            gameState.turnOrder = [...this.previousState.turnOrder];
+            gameState.activeIndex = this.previousState.activeIndex;
+        }
         
-        // 캐릭터 상태 복원
+        // 캐릭터 상태 복원 (턴 시작 상태 효과로 쓰러진 캐릭터 포함)
         this.previousState.charactersState.forEach(state => {
-            const char = gameState.allCharacters.find(c => c.id === state.id);
+            const char = gameState.getCharacterById(state.id);
             if (char) {
                 char.hasMoved = state.hasMoved;
                 char.hasAttacked = state.hasAttacked;
                 char.movedDistance = state.movedDistance;
                 char.actionsUsed = { ...state.actionsUsed };
+                // 스킬 도입 전에 저장된 히스토리에는 없을 수 있음
+                if (state.mana !== undefined) {
+                    char.mana = state.mana;
+                    char.skillCooldowns = { ...state.skillCooldowns };
+                }
+                // 상태 효과 도입 전에 저장된 히스토리에는 없을 수 있음
+                if (state.statusEffects !== undefined) {
+                    char.health = state.health;
+                    char.statusEffects = state.statusEffects.map(effect => ({ ...effect }));
+                    if (char.isDead) {
+                        char.revive();
+                        gameState.addCharacter(char);
+                    }
+                    char.updateHealthBar();
+                }
+                char.updateActionVisual();
             }
         });
         
+        eventBus.emit(GameEvents.TURN_CHANGED, {
+            turn: gameState.currentTurn,
+            turnCount: gameState.turnCount,
+            activeCharacter: gameState.getActiveCharacter()
+        });
+        
         this.executed = false;
         return true;
     }
     
     /**
-     * 직렬화
+     * 커맨드 데이터 직렬화
      * 
      * @returns {Object} 직렬화된 데이터
      */
-    serialize() {
-        const base = super.serialize();
+    serializeData() {
         return {
-            ...base,
             previousTurn: this.data.previousTurn,
             nextTurn: this.data.nextTurn,
             turnCount: this.data.turnCount
         };
     }
-}
\ No newline at end of file
+    
+    /**
+     * 역직렬화
+     * 
+     * @static
+     * @param {Object} serialized - 직렬화된 커맨드
+     * @returns {EndTurnCommand} 복원된 커맨드
+     */
+    static deserialize(serialized) {
+        const command = new EndTurnCommand({
+            previousTurn: serialized.data.previousTurn,
+            turnCount: serialized.data.turnCount
+        });
+        
+        return command.restoreMeta(serialized);
+    }
+}
+
+registerCommand(CommandType.END_TURN, EndTurnCommand);
@@ -6,7 +6,7 @@
  * @module MoveCommand
  */
 
-import { Command, CommandType } from './Command.js';
+import { Command, CommandType, registerCommand } from './Command.js';
 import { battleManager } from '../managers/battleManager.js';
 
 /**
@@ -86,18 +86,48 @@ export class MoveCommand extends Command {
     }
     
     /**
-     * 직렬화
+     * 커맨드 데이터 직렬화
      * 
      * @returns {Object} 직렬화된 데이터
      */
-    serialize() {
-        const base = super.serialize();
+    serializeData() {
         return {
-            ...base,
             characterId: this.data.character.id,
             fromTile: { q: this.data.fromTile.q, r: this.data.fromTile.r },
             toTile: { q: this.data.toTile.q, r: this.data.toTile.r },
             path: this.data.path.map(tile => ({ q: tile.q, r: tile.r }))
         };
     }
-}
\ No newline at end of file
+    
+    /**
+     * 역직렬화
+     * 
+     * @static
+     * @param {Object} serialized - 직렬화된 커맨드
+     * @param {Object} resolver - 런타임 객체 조회 함수 ({@link Command.deserialize} 참고)
+     * @returns {MoveCommand} 복원된 커맨드
+     */
+    static deserialize(serialized, resolver) {
+        const { characterId, fromTile, toTile, path } = serialized.data;
+        
+        const character = resolver.getCharacter(characterId);
+        const from = resolver.getTile(fromTile.q, fromTile.r);
+        const to = resolver.getTile(toTile.q, toTile.r);
+        const pathTiles = path.map(coords => resolver.getTile(coords.q, coords.r));
+        
+        if (!character || !from || !to || pathTiles.includes(null)) {
+            throw new Error(`MoveCommand ${serialized.id}: character or tile not found`);
+        }
+        
+        const command = new MoveCommand({
+            character,
+            fromTile: from,
+            toTile: to,
+            path: pathTiles
+        });
+        
+        return command.restoreMeta(serialized);
+    }
+}
+
+registerCommand(CommandType.MOVE, MoveCommand);
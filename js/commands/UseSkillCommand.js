@@ -0,0 +1,169 @@
+/**
+ * 스킬 사용 커맨드
+ *
+ * 캐릭터의 스킬 사용 액션을 캡슐화합니다.
+ *
+ * @module UseSkillCommand
+ */
+
+import { Command, CommandType, registerCommand } from './Command.js';
+import { gameState } from '../core/gameState.js';
+import { rng } from '../core/rng.js';
+import { battleManager } from '../managers/battleManager.js';
+import { skillSystem } from '../systems/skillSystem.js';
+import { factionSystem } from '../systems/factionSystem.js';
+
+/**
+ * 스킬 사용 커맨드 클래스
+ *
+ * @class UseSkillCommand
+ * @extends Command
+ */
+export class UseSkillCommand extends Command {
+    /**
+     * @param {Object} data - 스킬 사용 데이터
+     * @param {Character} data.caster - 시전자
+     * @param {string} data.skillId - 스킬 ID
+     * @param {HexTile} data.targetTile - 대상 타일
+     * @param {Array<{targetId: number, amount: number}>} [data.results] - 대상별 결과 (실행 시 기록됨, 지정 시 그대로 사용)
+     * @param {{seed: number, cursor: number}} [data.rngState] - 실행 직전 난수 상태 (실행 시 기록됨)
+     */
+    constructor(data) {
+        super(CommandType.USE_SKILL, data);
+
+        // 상태 저장 (대상별 상태는 대상이 정해지는 실행 시점에 저장, 직렬화되므로 캐릭터는 id로 기록)
+        this.previousState = {
+            casterId: data.caster.id,
+            casterHasAttacked: data.caster.hasAttacked,
+            casterActionsUsed: { ...data.caster.actionsUsed },
+            casterMana: data.caster.mana,
+            casterCooldowns: { ...data.caster.skillCooldowns },
+            factionState: factionSystem.getState(),
+            targets: []
+        };
+    }
+
+    /**
+     * 스킬 사용 실행
+     *
+     * @returns {Promise<boolean>} 실행 성공 여부
+     */
+    async execute() {
+        const { caster, skillId, targetTile } = this.data;
+        const skill = skillSystem.getSkill(skillId);
+
+        if (!skill) return false;
+
+        // 처음 실행할 때 난수 상태를 기록하고, 재실행 시에는 같은 상태에서 굴림
+        if (this.data.rngState) {
+            rng.setState(this.data.rngState);
+        } else {
+            this.data.rngState = rng.getState();
+        }
+
+        // 효과를 받기 전의 대상 상태 저장
+        this.previousState.targets = skillSystem.getTargets(caster, skill, targetTile).map(target => ({
+            targetId: target.id,
+            health: target.health,
+            isAlive: target.isAlive(),
+            statusEffects: target.statusEffects.map(effect => ({ ...effect }))
+        }));
+
+        // 재실행/불러오기 시에는 기록된 결과를 그대로 사용
+        const results = battleManager.executeSkill(caster, skill, targetTile, this.data.results);
+
+        if (results) {
+            this.data.results = results.map(({ target, amount }) => ({ targetId: target.id, amount }));
+            this.executed = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * 스킬 사용 취소
+     *
+     * @returns {Promise<boolean>} 취소 성공 여부
+     */
+    async undo() {
+        if (!this.executed) return false;
+
+        const { caster } = this.data;
+
+        // 시전자 상태 복원
+        caster.hasAttacked = this.previousState.casterHasAttacked;
+        caster.actionsUsed = { ...this.previousState.casterActionsUsed };
+        caster.mana = this.previousState.casterMana;
+        caster.skillCooldowns = { ...this.previousState.casterCooldowns };
+        caster.updateActionVisual();
+
+        // 난수 상태 되돌리기 (다음 행동이 원래와 같은 값을 뽑도록)
+        if (this.data.rngState) {
+            rng.setState(this.data.rngState);
+        }
+
+        // 중립 진영에게 쓴 스킬로 바뀐 관계 복원 (진영 도입 전에 저장된 히스토리에는 없을 수 있음)
+        if (this.previousState.factionState) {
+            factionSystem.setState(this.previousState.factionState);
+        }
+        
+        // 대상 체력/상태 효과 복원, 스킬로 죽은 대상은 부활
+        this.previousState.targets.forEach(({ targetId, health, isAlive, statusEffects }) => {
+            const target = gameState.getCharacterById(targetId);
+            if (!target) return;
+
+            target.health = health;
+            target.statusEffects = statusEffects.map(effect => ({ ...effect }));
+            target.updateHealthBar();
+
+            if (isAlive && target.isDead) {
+                target.revive();
+                gameState.addCharacter(target);
+            }
+        });
+
+        this.executed = false;
+        return true;
+    }
+
+    /**
+     * 커맨드 데이터 직렬화
+     *
+     * @returns {Object} 직렬화된 데이터
+     */
+    serializeData() {
+        return {
+            casterId: this.data.caster.id,
+            skillId: this.data.skillId,
+            target: { q: this.data.targetTile.q, r: this.data.targetTile.r },
+            results: this.data.results,
+            rngState: this.data.rngState
+        };
+    }
+
+    /**
+     * 역직렬화
+     *
+     * @static
+     * @param {Object} serialized - 직렬화된 커맨드
+     * @param {Object} resolver - 런타임 객체 조회 함수 ({@link Command.deserialize} 참고)
+     * @returns {UseSkillCommand} 복원된 커맨드
+     */
+    static deserialize(serialized, resolver) {
+        const { casterId, skillId, target, results, rngState } = serialized.data;
+
+        const caster = resolver.getCharacter(casterId);
+        const targetTile = resolver.getTile(target.q, target.r);
+
+        if (!caster || !targetTile) {
+            throw new Error(`UseSkillCommand ${serialized.id}: caster or target tile not found`);
+        }
+
+        const command = new UseSkillCommand({ caster, skillId, targetTile, results, rngState });
+
+        return command.restoreMeta(serialized);
+    }
+}
+
+registerCommand(CommandType.USE_SKILL, UseSkillCommand);
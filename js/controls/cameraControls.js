@@ -253,6 +253,9 @@ export class CameraControls {
      * @param {KeyboardEvent} event
      */
     onKeyDown(event) {
+        // 입력창에 타이핑 중이면 무시
+        if (event.target.tagName === 'INPUT') return;
+
         if (event.key === '+' || event.key === '=') {
             // + 키: 줌 인
             this.zoom(-1);
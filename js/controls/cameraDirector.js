@@ -0,0 +1,308 @@
+/**
+ * 카메라 연출
+ *
+ * 전투 중 애니메이션 이벤트를 듣고 카메라 컨트롤의 목표값(smoothTarget)을 움직여 장면을 자동으로 잡습니다.
+ * - 어깨 너머 샷: 공격/스킬 애니메이션이 시작되면 공격자 뒤에서 대상을 바라봄
+ * - 킬 캠: 캐릭터가 쓰러지면 슬로 모션으로 쓰러진 캐릭터 주위를 돎 (사망 애니메이션이 끝날 때까지)
+ * - 추적 캠: 플레이어가 조작하지 않는 캐릭터가 이동하는 동안 따라감
+ * 연출이 끝나면 연출 전의 시점으로 돌아가고, 플레이어가 카메라를 끌면 연출을 멈추고 그 자리에 둡니다.
+ * 애니메이션 스킵 모드에서는 연출하지 않으며, 설정은 localStorage에 저장됩니다.
+ *
+ * @module cameraDirector
+ */
+
+import * as THREE from 'three';
+import { CAMERA_DIRECTOR } from '../core/constants.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { cameraControls } from './cameraControls.js';
+import { animationController } from '../systems/animationController.js';
+import { factionSystem } from '../systems/factionSystem.js';
+
+/**
+ * 연출 사용 여부를 저장하는 localStorage 키
+ * @type {string}
+ */
+const STORAGE_KEY = 'hex-game:camera-director';
+
+/**
+ * 샷 종류
+ * @enum {string}
+ */
+const SHOT = {
+    SHOULDER: 'shoulder',
+    KILL: 'kill',
+    FOLLOW: 'follow'
+};
+
+/**
+ * reference에 가장 가까운, angle과 같은 방향의 각도 (한 바퀴 돌아가지 않도록)
+ *
+ * @param {number} angle - 각도 (라디안)
+ * @param {number} reference - 기준 각도 (라디안)
+ * @returns {number}
+ */
+function nearestAngle(angle, reference) {
+    const turn = Math.PI * 2;
+    return reference + ((((angle - reference) % turn) + turn * 1.5) % turn - Math.PI);
+}
+
+/**
+ * 카메라 연출 클래스
+ *
+ * @class CameraDirector
+ */
+class CameraDirector {
+    constructor() {
+        /**
+         * 연출 사용 여부 (저장된 설정, 기본은 사용)
+         * @type {boolean}
+         */
+        this.enabled = localStorage.getItem(STORAGE_KEY) !== 'off';
+
+        /**
+         * 진행 중인 샷 {type, character, elapsed}
+         * @type {Object|null}
+         */
+        this.shot = null;
+
+        /**
+         * 연출 전의 시점 {position, spherical} (연출이 끝나면 돌아감)
+         * @type {Object|null}
+         */
+        this.savedView = null;
+
+        /**
+         * 원래 시점으로 돌아가기 타이머
+         * @type {number|null}
+         */
+        this.restoreTimer = null;
+    }
+
+    /**
+     * 초기화 (애니메이션 이벤트 구독)
+     */
+    init() {
+        eventBus.on(GameEvents.ATTACK_ANIMATION_START, ({ attacker, target }) => {
+            this.shootOverShoulder(attacker, target);
+        });
+        eventBus.on(GameEvents.SKILL_ANIMATION_START, ({ caster, targets }) => {
+            const target = targets.find(character => character !== caster);
+            if (target) {
+                this.shootOverShoulder(caster, target);
+            }
+        });
+        eventBus.on(GameEvents.CHARACTER_DIED, ({ character }) => {
+            this.startKillCam(character);
+        });
+        eventBus.on(GameEvents.MOVE_ANIMATION_START, ({ character }) => {
+            // 전장의 안개에 가려진 캐릭터는 따라가지 않음
+            if (!factionSystem.isHumanControlled(character.type) && !character.view?.isHidden) {
+                this.startFollow(character);
+            }
+        });
+
+        eventBus.on(GameEvents.ATTACK_ANIMATION_COMPLETE, () => this.endShot(SHOT.SHOULDER));
+        eventBus.on(GameEvents.SKILL_ANIMATION_COMPLETE, () => this.endShot(SHOT.SHOULDER));
+        eventBus.on(GameEvents.DEATH_ANIMATION_COMPLETE, ({ character }) => this.endShot(SHOT.KILL, character));
+        eventBus.on(GameEvents.MOVE_ANIMATION_COMPLETE, ({ character }) => this.endShot(SHOT.FOLLOW, character));
+    }
+
+    /**
+     * 연출 사용 설정 (끄면 진행 중인 연출을 멈추고 바로 원래 시점으로)
+     *
+     * @param {boolean} enabled - 사용 여부
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+
+        if (!enabled) {
+            this.clearShot();
+            this.restoreView();
+        }
+    }
+
+    /**
+     * 지금 연출할 수 있는지 확인
+     *
+     * @returns {boolean}
+     */
+    canDirect() {
+        const { isLeftDragging, isRightDragging } = cameraControls.dragState;
+        return this.enabled && !animationController.skipMode && !isLeftDragging && !isRightDragging;
+    }
+
+    /**
+     * 어깨 너머 샷
+     *
+     * 공격자와 대상 사이(SHOULDER_FOCUS)를 주시점으로, 공격자 뒤에서 옆으로 조금 비켜선 낮은 각도에서 바라봅니다.
+     * @param {Character} attacker - 공격자
+     * @param {Character} target - 대상
+     */
+    shootOverShoulder(attacker, target) {
+        // 킬 캠은 사망 애니메이션이 끝날 때까지 유지
+        if (!this.canDirect() || this.shot?.type === SHOT.KILL) return;
+
+        const from = attacker.group.position;
+        const to = target.group.position;
+        const distance = Math.hypot(to.x - from.x, to.z - from.z) || 1;
+        const focus = new THREE.Vector3().lerpVectors(from, to, CAMERA_DIRECTOR.SHOULDER_FOCUS);
+
+        // 주시점에서 카메라로의 방향 = 대상에서 공격자로의 방향
+        const behind = Math.atan2(from.z - to.z, from.x - to.x);
+        const reach = distance * CAMERA_DIRECTOR.SHOULDER_FOCUS + CAMERA_DIRECTOR.SHOULDER_BEHIND;
+
+        this.startShot({ type: SHOT.SHOULDER, character: attacker });
+        this.frame(focus, {
+            radius: Math.max(CAMERA_DIRECTOR.SHOULDER_RADIUS, reach / Math.sin(CAMERA_DIRECTOR.SHOULDER_PHI)),
+            theta: behind + CAMERA_DIRECTOR.SHOULDER_ANGLE,
+            phi: CAMERA_DIRECTOR.SHOULDER_PHI
+        });
+    }
+
+    /**
+     * 킬 캠 (슬로 모션 궤도 회전, update에서 회전)
+     *
+     * @param {Character} character - 쓰러진 캐릭터
+     */
+    startKillCam(character) {
+        // 범위 스킬로 여럿이 쓰러지면 첫 캐릭터만
+        if (!this.canDirect() || this.shot?.type === SHOT.KILL) return;
+
+        this.startShot({ type: SHOT.KILL, character });
+        this.frame(character.group.position, {
+            radius: CAMERA_DIRECTOR.KILL_CAM_RADIUS,
+            theta: cameraControls.smoothTarget.spherical.theta,
+            phi: CAMERA_DIRECTOR.KILL_CAM_PHI
+        });
+        animationController.setSlowMotion(CAMERA_DIRECTOR.KILL_CAM_SLOW_MOTION);
+    }
+
+    /**
+     * 추적 캠 (update에서 따라감)
+     *
+     * @param {Character} character - 이동하는 캐릭터
+     */
+    startFollow(character) {
+        if (!this.canDirect() || this.shot?.type === SHOT.KILL) return;
+
+        const { spherical } = cameraControls.smoothTarget;
+        this.startShot({ type: SHOT.FOLLOW, character });
+        this.frame(character.group.position, {
+            ...spherical,
+            radius: Math.min(spherical.radius, CAMERA_DIRECTOR.FOLLOW_RADIUS)
+        });
+    }
+
+    /**
+     * 샷 시작 (첫 샷이면 지금 시점을 저장)
+     *
+     * @param {Object} shot - {type, character}
+     */
+    startShot(shot) {
+        clearTimeout(this.restoreTimer);
+        this.restoreTimer = null;
+
+        if (!this.savedView) {
+            this.savedView = {
+                position: cameraControls.smoothTarget.position.clone(),
+                spherical: { ...cameraControls.smoothTarget.spherical }
+            };
+        }
+
+        this.clearShot();
+        this.shot = { ...shot, elapsed: 0 };
+    }
+
+    /**
+     * 샷 끝내기 (다음 샷이 곧 시작되지 않으면 원래 시점으로)
+     *
+     * @param {string} type - 끝난 애니메이션에 해당하는 샷 종류
+     * @param {Character} [character] - 애니메이션의 캐릭터 (주어지면 같은 캐릭터의 샷만 끝냄)
+     */
+    endShot(type, character = null) {
+        if (this.shot?.type !== type) return;
+        if (character && this.shot.character !== character) return;
+
+        this.clearShot();
+        this.restoreTimer = setTimeout(() => this.restoreView(), CAMERA_DIRECTOR.RETURN_DELAY);
+    }
+
+    /**
+     * 진행 중인 샷 정리 (킬 캠이면 슬로 모션 해제)
+     */
+    clearShot() {
+        if (this.shot?.type === SHOT.KILL) {
+            animationController.setSlowMotion(1);
+        }
+        this.shot = null;
+    }
+
+    /**
+     * 연출 전의 시점으로 돌아가기
+     */
+    restoreView() {
+        clearTimeout(this.restoreTimer);
+        this.restoreTimer = null;
+        if (!this.savedView) return;
+
+        const { position, spherical } = this.savedView;
+        this.savedView = null;
+        this.frame(position, spherical);
+    }
+
+    /**
+     * 카메라 목표값 설정 (cameraControls가 매 프레임 부드럽게 따라감)
+     *
+     * @param {THREE.Vector3} position - 주시점
+     * @param {Object} spherical - {radius, theta, phi}
+     */
+    frame(position, { radius, theta, phi }) {
+        const { smoothTarget, limits } = cameraControls;
+
+        smoothTarget.position.copy(position);
+        smoothTarget.spherical = {
+            radius: Math.max(limits.minRadius, Math.min(limits.maxRadius, radius)),
+            theta: nearestAngle(theta, smoothTarget.spherical.theta),
+            phi: Math.max(limits.minPhi, Math.min(limits.maxPhi, phi))
+        };
+    }
+
+    /**
+     * 매 프레임 업데이트 (cameraControls.updateCameraPosition 전에 호출)
+     *
+     * @param {number} delta - 지난 프레임부터의 시간 (초)
+     */
+    update(delta) {
+        if (!this.shot) return;
+
+        // 스킵 모드가 켜졌거나 연출을 껐으면 멈추고, 플레이어가 카메라를 끌면 그 자리에 둠
+        if (!this.canDirect()) {
+            const takenOver = this.enabled && !animationController.skipMode;
+            this.clearShot();
+            if (takenOver) {
+                this.savedView = null;
+            } else {
+                this.restoreView();
+            }
+            return;
+        }
+
+        const { smoothTarget } = cameraControls;
+        this.shot.elapsed += delta * 1000;
+
+        if (this.shot.type === SHOT.FOLLOW) {
+            smoothTarget.position.copy(this.shot.character.group.position);
+        } else if (this.shot.type === SHOT.KILL) {
+            smoothTarget.spherical.theta += CAMERA_DIRECTOR.KILL_CAM_ORBIT_SPEED * delta;
+
+            // 사망 애니메이션이 재생되지 않았으면 (다른 경로로 치워짐) 최대 시간 뒤 끝냄
+            if (this.shot.elapsed >= CAMERA_DIRECTOR.KILL_CAM_MAX_DURATION) {
+                this.endShot(SHOT.KILL);
+            }
+        }
+    }
+}
+
+// 싱글톤 인스턴스
+export const cameraDirector = new CameraDirector();
@@ -13,6 +13,7 @@ import { sceneSetup } from '../core/sceneSetup.js';
 import { eventBus, GameEvents } from '../core/eventBus.js';
 import { createParticleEffect } from '../utils/animation.js';
 import { movementSystem } from '../systems/movementSystem.js'; // 호버 효과에 필요
+import { skillSystem } from '../systems/skillSystem.js'; // 스킬 범위 미리보기에 필요
 
 /**
  * 입력 핸들러 클래스
@@ -94,6 +95,8 @@ export class InputHandler {
 
     onKeyDown(event) {
         if (!this.enabled) return;
+        // 입력창에 타이핑 중이면 무시
+        if (event.target.tagName === 'INPUT') return;
         switch (event.code) {
             case 'Space':
                 event.preventDefault();
@@ -104,6 +107,15 @@ export class InputHandler {
                 this.keys.escape = true;
                 eventBus.emit(GameEvents.INPUT_EMPTY_SPACE_CLICKED); // ESC도 선택 취소로 처리
                 break;
+            default:
+                // 숫자 키 1~9: 선택한 캐릭터의 스킬 선택
+                if (/^Digit[1-9]$/.test(event.code) && gameState.selectedCharacter) {
+                    const skillId = gameState.selectedCharacter.skills[Number(event.code.slice(5)) - 1];
+                    if (skillId) {
+                        eventBus.emit(GameEvents.INPUT_SKILL_SELECTED, { skillId });
+                    }
+                }
+                break;
         }
     }
 
@@ -122,6 +134,8 @@ export class InputHandler {
         this.raycaster.setFromCamera(this.mouse, sceneSetup.camera);
         const objectsToTest = [];
         sceneSetup.scene.traverse((object) => {
+            // 전장의 안개에 가려진 캐릭터는 선택할 수 없음 (레이캐스트는 숨긴 물체도 맞히므로 제외)
+            if (object.userData.character?.view?.isHidden) return;
             if (object.userData.character || object.userData.tile) {
                 objectsToTest.push(object);
             }
@@ -137,12 +151,24 @@ export class InputHandler {
             this.hoveredTile = null;
         }
         
+        // 스킬 대상 지정 중에는 효과 범위 미리보기 (캐릭터 위에서도)
+        const selectedCharacter = gameState.selectedCharacter;
+        if (selectedCharacter && gameState.selectedSkill) {
+            const tile = intersects.length > 0 ? this.findTile(intersects[0].object) : null;
+            const skill = skillSystem.getSkill(gameState.selectedSkill);
+            if (tile) {
+                skillSystem.showAreaPreview(selectedCharacter, skill, tile);
+            } else {
+                skillSystem.clearAreaPreview();
+            }
+            return;
+        }
+        
         if (intersects.length > 0) {
             const hoveredObject = intersects[0].object;
             const tile = hoveredObject.userData.tile;
 
             if (tile) {
-                const selectedCharacter = gameState.selectedCharacter;
                 if (selectedCharacter && !gameState.isAttackMode && !tile.isOccupied()) {
                     movementSystem.showPathPreview(selectedCharacter, tile);
                 } else {
@@ -155,6 +181,21 @@ export class InputHandler {
         }
     }
     
+    // 레이캐스트로 맞은 오브젝트가 가리키는 타일 (캐릭터면 서 있는 타일)
+    findTile(object) {
+        let currentObject = object;
+        while (currentObject) {
+            if (currentObject.userData.character) {
+                return currentObject.userData.character.currentTile;
+            }
+            if (currentObject.userData.tile) {
+                return currentObject.userData.tile;
+            }
+            currentObject = currentObject.parent;
+        }
+        return null;
+    }
+
     onTouchEnd(event) {
         if (!this.enabled || event.touches.length > 0) return;
         const touch = event.changedTouches[0];
@@ -15,8 +15,22 @@
  */
 export const HEX_SIZE = 1;
 
+/**
+ * 기본 맵 이름 (public/maps/<이름>.json)
+ * URL의 ?map=이름 으로 다른 맵을 선택할 수 있음
+ * @type {string}
+ */
+export const DEFAULT_MAP = 'default';
+
+/**
+ * 기본 타일 지형
+ * @type {string}
+ */
+export const DEFAULT_TERRAIN = 'grass';
+
 /**
  * 그리드 너비 (타일 개수)
+ * 맵 데이터 없이 createGrid()를 호출할 때 사용
  * @type {number}
  */
 export const GRID_WIDTH = 10;
@@ -41,14 +55,20 @@ export const MOVEMENT_RANGE = 3;
 export const ATTACK_RANGE = 1;
 
 /**
- * 기본 공격력
- * 실제 데미지는 ±5의 랜덤 변동이 있음
+ * 캐릭터 최소 공격 범위 (타일 수)
+ * 2 이상이면 인접한 적은 공격할 수 없음 (궁수 등)
+ * @type {number}
+ */
+export const MIN_ATTACK_RANGE = 1;
+
+/**
+ * 기본 공격력 (클래스에 attackPower가 없을 때만 사용)
  * @type {number}
  */
 export const BASE_ATTACK_DAMAGE = 20;
 
 /**
- * 공격력 랜덤 변동 범위
+ * 데미지 랜덤 변동 범위 (공격력에 -DAMAGE_VARIANCE ~ +DAMAGE_VARIANCE를 더함)
  * @type {number}
  */
 export const DAMAGE_VARIANCE = 5;
@@ -65,6 +85,135 @@ export const PLAYER_MAX_HEALTH = 100;
  */
 export const ENEMY_MAX_HEALTH = 100;
 
+/**
+ * 기본 방어력 (받는 데미지에서 빼는 값)
+ * 클래스가 없는 캐릭터에 사용, 클래스별 값은 public/data/classes.json
+ * @type {number}
+ */
+export const BASE_DEFENSE = 0;
+
+/**
+ * 기본 회피 확률 (0~1, 지형 회피 보정과 더해짐)
+ * @type {number}
+ */
+export const BASE_EVASION = 0.05;
+
+/**
+ * 기본 치명타 확률 (0~1)
+ * @type {number}
+ */
+export const BASE_CRIT_CHANCE = 0.1;
+
+/**
+ * 치명타 데미지 배율
+ * @type {number}
+ */
+export const CRIT_MULTIPLIER = 2;
+
+/**
+ * 반격 확률 (0~1, 공격받고 살아남은 인접한 대상이 근접 공격할 수 있을 때)
+ * @type {number}
+ */
+export const COUNTER_CHANCE = 0.5;
+
+/**
+ * 반격 데미지 배율 (반격하는 캐릭터의 공격력에 곱함)
+ * @type {number}
+ */
+export const COUNTER_POWER = 0.7;
+
+/**
+ * 기본 속도 (높을수록 먼저 행동)
+ * @type {number}
+ */
+export const BASE_SPEED = 10;
+
+/**
+ * 기본 시야 (타일 수, 전장의 안개를 켰을 때 이 거리 안에서 시야선이 닿는 타일을 봄)
+ * @type {number}
+ */
+export const SIGHT_RANGE = 5;
+
+/**
+ * 캐릭터 최대 마나 (스킬 사용 비용)
+ * @type {number}
+ */
+export const MAX_MANA = 30;
+
+/**
+ * 턴이 끝날 때 회복하는 마나
+ * @type {number}
+ */
+export const MANA_REGEN = 10;
+
+/**
+ * 스킬 정의 파일 경로 (public 기준)
+ * @type {string}
+ */
+export const SKILLS_DATA_PATH = 'data/skills.json';
+
+/**
+ * 캐릭터 클래스 정의 파일 경로 (public 기준)
+ * @type {string}
+ */
+export const CLASSES_DATA_PATH = 'data/classes.json';
+
+/**
+ * 진영 정의 파일 경로 (public 기준)
+ * @type {string}
+ */
+export const FACTIONS_DATA_PATH = 'data/factions.json';
+
+/**
+ * AI 성향 정의 파일 경로 (public 기준)
+ * @type {string}
+ */
+export const AI_PROFILES_DATA_PATH = 'data/aiProfiles.json';
+
+/**
+ * 성향을 지정하지 않은 AI 캐릭터의 성향 ID
+ * @type {string}
+ */
+export const DEFAULT_AI_PROFILE = 'balanced';
+
+/**
+ * 선읽기 AI 설정
+ * 난이도가 MIN_DIFFICULTY 이상이면 진영의 턴 전체를 미리 계획함 (상대의 응수까지 시뮬레이션)
+ */
+export const LOOKAHEAD = {
+    MIN_DIFFICULTY: 8,            // 선읽기를 사용하는 최소 난이도
+    TIME_BUDGET: 400,             // 탐색 시간 한도 (밀리초, 넘으면 그때까지 찾은 최선의 계획 사용)
+    BEAM_WIDTH_PER_LEVEL: 2,      // 난이도 한 단계당 유지할 계획 수 (8: 2, 9: 4, 10: 6)
+    CANDIDATES_PER_UNIT: 6,       // 캐릭터 하나당 따져 볼 행동 수
+    MAX_EVALUATIONS: 400,         // 평가할 수 있는 최대 국면 수 (시간과 무관하게 같은 결과가 나오는 한도)
+};
+
+/**
+ * 전장의 안개 설정 (?fog=1)
+ */
+export const FOG = {
+    FULL_KNOWLEDGE_DIFFICULTY: 8, // 이 난이도부터 AI가 보이지 않는 캐릭터도 앎 (선읽기와 같은 기준)
+    TILE_DIM: 0.35,               // 안개 낀 타일의 밝기 배율
+    GHOST_OPACITY: 0.35,          // 마지막으로 본 위치 표시의 불투명도
+};
+
+/**
+ * AI 진영 전술 설정 (tacticsSystem)
+ * 턴마다 위협 지도, 집중 공격 대상, 대열 중심을 정해 AI 캐릭터들이 함께 움직이게 함
+ */
+export const TACTICS = {
+    FORMATION_SPREAD: 3,          // 대열 중심에서 이 거리까지는 대열 안으로 봄
+    FOCUS_APPROACH: 0.5,          // 집중 대상을 공격할 수 없을 때 다가가는 정도에 곱하는 값
+};
+
+/**
+ * AI 스킬 사용 설정 (aiSystem)
+ * 스킬 후보는 일반 공격처럼 대상별 기대 데미지(회복량)와 처치로 점수를 매기고, 상태 효과는 아래 값으로 더함
+ */
+export const AI_SKILL = {
+    STATUS_VALUE: 0.05,           // 적대 대상의 해로운 효과, 위협받는 아군의 이로운 효과의 지속 턴당 점수 (대상 최대 체력 대비 데미지와 같은 단위)
+};
+
 /**
  * 색상 정의
  * Three.js에서 사용하는 16진수 색상 코드
@@ -77,10 +226,13 @@ export const COLORS = {
     TILE_MOVABLE: 0x4a7c4a,      // 이동 가능한 타일 (녹색 계열)
     TILE_ATTACKABLE: 0x7c4a4a,   // 공격 가능한 타일 (붉은 계열)
     TILE_BORDER: 0x333333,       // 타일 테두리 색상
+    TILE_BLOCKED: 0x1e1e1e,      // 막힌 타일 (통행 불가)
+    TILE_SKILL_RANGE: 0x4a5a8c,  // 스킬 사거리 (푸른 계열)
+    TILE_SKILL_AREA: 0xb08a3c,   // 스킬 효과 범위 미리보기 (주황 계열)
+    TILE_EXIT: 0x8c7a3c,         // 목표 출구 타일 (금색 계열)
     
     // 캐릭터 색상
-    CHARACTER_PLAYER: 0x0080ff,   // 플레이어 색상 (파란색)
-    CHARACTER_ENEMY: 0xff0000,    // 적 색상 (빨간색)
+    FACTION: {},                  // 진영별 팀 색상 (factionSystem이 진영 정의를 읽을 때 진영마다 생성)
     CHARACTER_SELECTED: 0xffff00, // 선택된 캐릭터 강조 색상
     
     // UI 색상
@@ -91,6 +243,19 @@ export const COLORS = {
     AMBIENT_LIGHT: 0x404040,      // 환경광 색상
     DIRECTIONAL_LIGHT: 0xffffff,  // 방향광 색상
     FOG_COLOR: 0x2c3e50,          // 안개 색상 (배경색과 동일)
+    
+    // 효과 색상
+    PROJECTILE: 0xffe08a,         // 원거리 공격 투사체
+};
+
+/**
+ * 온라인 대전 설정
+ */
+export const NETWORK = {
+    RELAY_PORT: 8787,             // 릴레이 서버 기본 포트 (server/relay.js)
+    DEFAULT_ROOM: 'default',      // ?room이 없을 때의 방 이름
+    RECONNECT_DELAY: 1000,        // 재접속 첫 대기 시간 (밀리초, 실패할 때마다 두 배)
+    MAX_RECONNECT_DELAY: 8000,    // 재접속 최대 대기 시간 (밀리초)
 };
 
 /**
@@ -99,6 +264,7 @@ export const COLORS = {
 export const ANIMATION = {
     MOVEMENT_DURATION: 500,       // 이동 애니메이션 시간 (밀리초)
     ATTACK_DURATION: 300,         // 공격 애니메이션 시간 (밀리초)
+    PROJECTILE_DURATION: 120,     // 투사체가 한 칸 날아가는 시간 (밀리초)
     CAMERA_SMOOTHNESS: 0.1,       // 카메라 이동 부드러움 (0-1)
 };
 
@@ -115,6 +281,35 @@ export const CAMERA = {
     ZOOM_SPEED: 4,                               // 줌 속도
 };
 
+/**
+ * 미니맵 설정
+ */
+export const MINIMAP = {
+    SIZE: 200,                    // 캔버스 크기 (CSS 픽셀, 정사각형)
+    PADDING: 8,                   // 맵 둘레 여백 (CSS 픽셀)
+    MARKER_RADIUS: 0.55,          // 캐릭터 표시 반지름 (타일 크기 배율)
+    CAMERA_CHECK_INTERVAL: 200,   // 카메라가 움직였는지 확인하는 간격 (ms)
+    MOVE_DURATION: 500,           // 미니맵을 눌렀을 때 카메라 이동 시간 (ms)
+};
+
+/**
+ * 카메라 연출 설정 (전투 중 자동 카메라)
+ */
+export const CAMERA_DIRECTOR = {
+    SHOULDER_FOCUS: 0.6,          // 어깨 너머 샷의 주시점 (공격자 0 ~ 대상 1 사이)
+    SHOULDER_ANGLE: 0.35,         // 공격자 바로 뒤에서 옆으로 비켜선 각도 (라디안)
+    SHOULDER_PHI: 1.1,            // 어깨 너머 샷의 수직 각도 (라디안, 클수록 낮게)
+    SHOULDER_RADIUS: 7,           // 어깨 너머 샷의 최소 거리
+    SHOULDER_BEHIND: 2.5,         // 공격자 뒤로 물러서는 거리
+    KILL_CAM_RADIUS: 6,           // 킬 캠 거리
+    KILL_CAM_PHI: 0.95,           // 킬 캠 수직 각도 (라디안)
+    KILL_CAM_ORBIT_SPEED: 0.8,    // 킬 캠 궤도 회전 속도 (라디안/초)
+    KILL_CAM_SLOW_MOTION: 0.35,   // 킬 캠 중 애니메이션 배속
+    KILL_CAM_MAX_DURATION: 4000,  // 킬 캠 최대 시간 (밀리초, 사망 애니메이션이 없을 때)
+    FOLLOW_RADIUS: 14,            // 추적 캠의 최대 거리
+    RETURN_DELAY: 500,            // 연출이 끝나고 원래 시점으로 돌아가기까지 (밀리초)
+};
+
 /**
  * Three.js 렌더링 설정
  * @tutorial https://threejs.org/docs/#api/en/renderers/WebGLRenderer
@@ -139,6 +334,7 @@ export const GAME_STATE = {
 
 /**
  * 턴 타입 열거형
+ * 기본 진영 ID이며, public/data/factions.json에 정의된 다른 진영 ID도 턴 타입이 될 수 있음
  * @readonly
  * @enum {string}
  */
@@ -147,12 +343,88 @@ export const TURN_TYPE = {
     ENEMY: 'enemy',
 };
 
+/**
+ * 턴 진행 방식 열거형
+ * URL의 ?turnMode=initiative 로 선택할 수 있음
+ * @readonly
+ * @enum {string}
+ */
+export const TURN_MODE = {
+    PHASE: 'phase',           // 진영별로 모든 캐릭터가 한꺼번에 행동
+    INITIATIVE: 'initiative', // 속도 순서대로 캐릭터 하나씩 행동
+};
+
+/**
+ * 플레이 방식 열거형
+ * URL의 ?playMode=hotseat, ?playMode=online 으로 선택할 수 있음
+ * @readonly
+ * @enum {string}
+ */
+export const PLAY_MODE = {
+    SINGLE: 'single',   // 플레이어 진영만 사람이 조작하고 나머지는 AI
+    HOTSEAT: 'hotseat', // 맵의 모든 진영을 한 기기에서 사람이 번갈아 조작
+    ONLINE: 'online',   // 릴레이 서버를 거쳐 두 기기에서 대전 (?room=방이름&relay=ws://주소)
+};
+
 /**
  * 캐릭터 타입 열거형
+ * 캐릭터 타입은 소속 진영 ID이며, 여기에는 기본 진영만 있음 (나머지는 public/data/factions.json)
  * @readonly
  * @enum {string}
  */
 export const CHARACTER_TYPE = {
     PLAYER: 'player',
     ENEMY: 'enemy',
-};
\ No newline at end of file
+};
+
+/**
+ * 진영 관계 열거형
+ * @readonly
+ * @enum {string}
+ */
+export const FACTION_RELATION = {
+    ALLIED: 'allied',     // 서로 공격하지 않음
+    HOSTILE: 'hostile',   // 서로 공격함
+    NEUTRAL: 'neutral',   // 먼저 공격받기 전까지 싸우지 않음 (공격받으면 적대로 바뀜)
+};
+
+/**
+ * 진영 조종 방식 열거형
+ * @readonly
+ * @enum {string}
+ */
+export const FACTION_CONTROLLER = {
+    HUMAN: 'human',       // 플레이어가 조작
+    AI: 'ai',             // aiSystem이 조작
+    REMOTE: 'remote',     // 온라인 대전 상대가 조작 (networkManager가 받은 커맨드로 진행)
+};
+
+/**
+ * 고도 설정
+ * 타일의 elevation(정수 단계)에 따라 높이, 이동 비용, 시야, 데미지가 달라짐
+ */
+export const ELEVATION = {
+    STEP_HEIGHT: 0.4,             // 한 단계당 높이 (Three.js 유닛)
+    MAX_LEVEL: 4,                 // 최대 고도 단계
+    CLIMB_COST: 1,                // 한 단계 올라갈 때 추가 이동 비용
+    MAX_CLIMB: 2,                 // 한 번에 오를 수 있는 최대 단계 (초과하면 절벽)
+    HIGH_GROUND_BONUS: 0.15,      // 높은 곳에서 공격 시 단계당 데미지 보너스
+    EYE_HEIGHT: 0.8,              // 시야 판정 시 캐릭터 눈높이
+};
+
+/**
+ * 지형 정의
+ * 
+ * moveCost: 타일에 들어갈 때 드는 이동력
+ * defense: 이 타일 위의 대상이 받는 데미지 감소 비율 (0 ~ 1)
+ * evasion: 이 타일 위의 대상에게 더해지는 회피 확률
+ * passable: false면 이동/배치 불가
+ * @type {Object<string, {name: string, color: number, moveCost: number, defense: number, evasion: number, passable: boolean}>}
+ */
+export const TERRAIN = {
+    grass:    { name: '초원', color: 0x56664a, moveCost: 1, defense: 0,    evasion: 0,    passable: true },
+    road:     { name: '도로', color: 0x8c7b5a, moveCost: 1, defense: -0.1, evasion: 0,    passable: true },
+    forest:   { name: '숲',   color: 0x2e4a2e, moveCost: 2, defense: 0.2,  evasion: 0.15, passable: true },
+    mountain: { name: '산',   color: 0x7a6a5a, moveCost: 3, defense: 0.3,  evasion: 0.05, passable: true },
+    water:    { name: '물',   color: 0x2f5d8c, moveCost: 1, defense: 0,    evasion: 0,    passable: false },
+};
@@ -20,6 +20,11 @@ export const GameEvents = {
     ATTACK_ANIMATION_COMPLETE: 'animation:attack:complete',
     DAMAGE_ANIMATION_COMPLETE: 'animation:damage:complete',
     DEATH_ANIMATION_COMPLETE: 'animation:death:complete',
+    SKILL_ANIMATION_COMPLETE: 'animation:skill:complete',
+    MOVE_ANIMATION_START: 'animation:move:start',
+    ATTACK_ANIMATION_START: 'animation:attack:start',
+    SKILL_ANIMATION_START: 'animation:skill:start',
+    DEATH_ANIMATION_START: 'animation:death:start',
     
     // 턴 관련 이벤트
     TURN_START: 'turn:start',
@@ -28,24 +33,49 @@ export const GameEvents = {
     TURN_CHANGED: 'turn:changed',
     CHARACTER_TURN_ENDED: 'character:turn:ended',
     
+    // 보드 구성 이벤트 (뷰 생성용)
+    GRID_CREATED: 'board:grid:created',
+    CHARACTER_ADDED: 'board:character:added',
+    
     // 캐릭터 액션 이벤트
     CHARACTER_MOVED: 'character:moved',
     CHARACTER_ATTACKED: 'character:attacked',
     CHARACTER_DIED: 'character:died',
+    SKILL_USED: 'character:skill:used',
+    STATUS_EFFECT_APPLIED: 'status:applied',
+    STATUS_EFFECT_REMOVED: 'status:removed',
+    STATUS_EFFECT_TICK: 'status:tick',
+    
+    // 진영 이벤트
+    FACTION_PROVOKED: 'faction:provoked',
+    FACTION_DEFEATED: 'faction:defeated',
+    OBJECTIVES_CHANGED: 'objectives:changed',
+    
+    // 시야 이벤트
+    VISION_UPDATED: 'vision:updated',
+    
+    // 온라인 대전 이벤트
+    NETWORK_STATUS: 'network:status',
+    NETWORK_COMMAND_REJECTED: 'network:command:rejected',
+    NETWORK_DESYNC: 'network:desync',
     
     // 게임 상태 이벤트
     GAME_STARTED: 'game:started',
     GAME_ENDED: 'game:ended',
+    GAME_SAVED: 'game:saved',
+    GAME_LOADED: 'game:loaded',
     
     // UI 이벤트
     UI_UPDATE: 'ui:update',
     DAMAGE_TEXT: 'ui:damage:text',
     SELECTION_CHANGED: 'selection:changed',
+    SKILL_SELECTED: 'skill:selected',
 
     // 입력 이벤트
     INPUT_TILE_CLICKED: 'input:tile:clicked',
     INPUT_CHARACTER_CLICKED: 'input:character:clicked',
-    INPUT_EMPTY_SPACE_CLICKED: 'input:empty_space:clicked'
+    INPUT_EMPTY_SPACE_CLICKED: 'input:empty_space:clicked',
+    INPUT_SKILL_SELECTED: 'input:skill:selected'
 };
 
 /**
@@ -8,8 +8,11 @@
  * @tutorial https://gameprogrammingpatterns.com/state.html
  */
 
-import { GAME_STATE, TURN_TYPE } from './constants.js';
+import { GAME_STATE, TURN_TYPE, TURN_MODE, CHARACTER_TYPE } from './constants.js';
 import { eventBus, GameEvents } from './eventBus.js';
+import { statusEffectSystem } from '../systems/statusEffectSystem.js';
+import { gridSystem } from '../systems/gridSystem.js';
+import { factionSystem } from '../systems/factionSystem.js';
 
 /**
  * 게임 상태 클래스
@@ -27,7 +30,7 @@ class GameState {
         this.currentState = GAME_STATE.PLAYING;
         
         /**
-         * 현재 턴
+         * 현재 턴 (턴을 진행 중인 진영 ID)
          * @type {string}
          */
         this.currentTurn = TURN_TYPE.PLAYER;
@@ -45,11 +48,35 @@ class GameState {
         this.isAttackMode = false;
         
         /**
-         * 턴 카운터
+         * 대상 지정 중인 스킬 ID (선택된 캐릭터의 스킬)
+         * @type {string|null}
+         */
+        this.selectedSkill = null;
+        
+        /**
+         * 턴 카운터 (우선권 모드에서는 라운드 수)
          * @type {number}
          */
         this.turnCount = 1;
         
+        /**
+         * 턴 진행 방식
+         * @type {string}
+         */
+        this.turnMode = TURN_MODE.PHASE;
+        
+        /**
+         * 이번 라운드의 행동 순서 (캐릭터 ID, 우선권 모드에서만 사용)
+         * @type {number[]}
+         */
+        this.turnOrder = [];
+        
+        /**
+         * turnOrder에서 지금 행동 중인 캐릭터의 위치
+         * @type {number}
+         */
+        this.activeIndex = 0;
+        
         /**
          * 플레이어 캐릭터 목록
          * @type {Character[]}
@@ -57,7 +84,7 @@ class GameState {
         this.playerCharacters = [];
         
         /**
-         * 적 캐릭터 목록
+         * 적 캐릭터 목록 (플레이어 진영이 아닌 모든 진영)
          * @type {Character[]}
          */
         this.enemyCharacters = [];
@@ -68,6 +95,13 @@ class GameState {
          */
         this.allCharacters = [];
         
+        /**
+         * id로 찾는 캐릭터 레지스트리 (사망한 캐릭터 포함)
+         * 커맨드 역직렬화와 실행 취소 시 캐릭터 조회에 사용
+         * @type {Map<number, Character>}
+         */
+        this.characterRegistry = new Map();
+        
         /**
          * 육각형 그리드
          * @type {HexTile[][]}
@@ -100,8 +134,9 @@ class GameState {
             character.setSelected(true);
         }
         
-        // 공격 모드 초기화
+        // 공격 모드/스킬 선택 초기화
         this.isAttackMode = false;
+        this.setSelectedSkill(null);
         
         // 선택 변경 이벤트 발생
         eventBus.emit(GameEvents.SELECTION_CHANGED, { character });
@@ -116,6 +151,7 @@ class GameState {
         }
         this.selectedCharacter = null;
         this.isAttackMode = false;
+        this.setSelectedSkill(null);
         
         // 선택 해제 이벤트 발생
         eventBus.emit(GameEvents.SELECTION_CHANGED, { character: null });
@@ -128,32 +164,51 @@ class GameState {
         this.isAttackMode = !this.isAttackMode;
     }
     
+    /**
+     * 대상 지정할 스킬 설정
+     * @param {string|null} skillId - 스킬 ID (null이면 해제)
+     */
+    setSelectedSkill(skillId) {
+        if (this.selectedSkill === skillId) return;
+        
+        this.selectedSkill = skillId;
+        eventBus.emit(GameEvents.SKILL_SELECTED, { skillId });
+    }
+    
     /**
      * 턴 종료 및 다음 턴으로 전환
+     * 
+     * 진영 모드에서는 살아있는 캐릭터가 있는 다음 진영으로 넘기며 (factions.json의 순서),
+     * 우선권 모드에서는 행동 중인 캐릭터 하나의 턴만 끝내고 다음 캐릭터로 넘깁니다.
      * @returns {string} 다음 턴 타입
      */
     endTurn() {
+        if (this.isInitiativeMode()) {
+            return this.endUnitTurn();
+        }
+        
         // 현재 턴의 모든 캐릭터 행동 완료 처리
-        const currentCharacters = this.currentTurn === TURN_TYPE.PLAYER 
-            ? this.playerCharacters 
-            : this.enemyCharacters;
-            
-        currentCharacters.forEach(char => {
+        this.getFactionCharacters(this.currentTurn).forEach(char => {
             if (char.isAlive()) {
                 char.resetTurn();
+                statusEffectSystem.onTurnEnd(char);
             }
         });
         
-        // 턴 전환
-        this.currentTurn = this.currentTurn === TURN_TYPE.PLAYER 
-            ? TURN_TYPE.ENEMY 
-            : TURN_TYPE.PLAYER;
-        
-        // 플레이어 턴이 시작되면 턴 카운터 증가
-        if (this.currentTurn === TURN_TYPE.PLAYER) {
+        // 턴 전환 (순서가 한 바퀴 돌면 턴 카운터 증가)
+        const previousTurn = this.currentTurn;
+        this.currentTurn = this.getNextFaction(previousTurn);
+        if (factionSystem.getOrder(this.currentTurn) <= factionSystem.getOrder(previousTurn)) {
             this.turnCount++;
         }
         
+        // 턴을 시작하는 진영의 상태 효과 (중독 피해 등으로 목록이 바뀔 수 있으므로 복사본으로 순회)
+        [...this.getFactionCharacters(this.currentTurn)].forEach(char => {
+            if (char.isAlive()) {
+                statusEffectSystem.onTurnStart(char);
+            }
+        });
+        
         // 선택 상태 초기화
         this.clearSelection();
         
@@ -166,6 +221,168 @@ class GameState {
         return this.currentTurn;
     }
     
+    /**
+     * 진영 모드에서 다음에 턴을 진행할 진영
+     * 
+     * 살아있는 캐릭터가 있는 진영 중 순서상 다음 진영이며, 마지막 진영 다음은 처음 진영입니다.
+     * @private
+     * @param {string} factionId - 지금 턴을 진행한 진영 ID
+     * @returns {string} 다음 진영 ID
+     */
+    getNextFaction(factionId) {
+        const factions = this.getAliveFactions();
+        if (factions.length === 0) return factionId;
+        
+        const order = factionSystem.getOrder(factionId);
+        return factions.find(id => factionSystem.getOrder(id) > order) || factions[0];
+    }
+    
+    /**
+     * 우선권 모드에서 행동 중인 캐릭터의 턴 종료
+     * 
+     * 라운드의 남은 순서에서 살아있는 다음 캐릭터를 찾고, 없으면 새 라운드를 시작합니다.
+     * @private
+     * @returns {string} 다음 턴 타입
+     */
+    endUnitTurn() {
+        const active = this.getActiveCharacter();
+        if (active && active.isAlive()) {
+            active.resetTurn();
+            statusEffectSystem.onTurnEnd(active);
+        }
+        
+        // 라운드의 다음 생존 캐릭터 (중간에 죽은 캐릭터는 건너뜀)
+        let nextIndex = this.activeIndex + 1;
+        while (nextIndex < this.turnOrder.length && !this.getCharacterById(this.turnOrder[nextIndex])?.isAlive()) {
+            nextIndex++;
+        }
+        
+        if (nextIndex < this.turnOrder.length) {
+            this.activeIndex = nextIndex;
+        } else {
+            this.turnCount++;
+            this.turnOrder = this.computeTurnOrder();
+            this.activeIndex = 0;
+        }
+        
+        this.startUnitTurn();
+        
+        return this.currentTurn;
+    }
+    
+    /**
+     * 우선권 모드에서 행동할 차례가 된 캐릭터의 턴 시작
+     * 
+     * 턴 시작 상태 효과(중독 등)를 처리한 뒤 턴 변경 이벤트를 보냅니다.
+     * @private
+     */
+    startUnitTurn() {
+        const active = this.getActiveCharacter();
+        this.currentTurn = active ? active.type : TURN_TYPE.PLAYER;
+        
+        if (active && active.isAlive()) {
+            statusEffectSystem.onTurnStart(active);
+        }
+        
+        this.clearSelection();
+        
+        eventBus.emit(GameEvents.TURN_CHANGED, {
+            turn: this.currentTurn,
+            turnCount: this.turnCount,
+            activeCharacter: active
+        });
+    }
+    
+    /**
+     * 턴 진행 방식 설정
+     * 
+     * 우선권 모드로 바꾸면 첫 라운드의 행동 순서를 만들고 첫 캐릭터의 턴을 시작합니다.
+     * 캐릭터를 모두 배치한 뒤에 호출해야 합니다.
+     * @param {string} mode - TURN_MODE 값
+     */
+    setTurnMode(mode) {
+        this.turnMode = Object.values(TURN_MODE).includes(mode) ? mode : TURN_MODE.PHASE;
+        this.turnOrder = [];
+        this.activeIndex = 0;
+        
+        if (this.isInitiativeMode()) {
+            this.turnOrder = this.computeTurnOrder();
+            this.startUnitTurn();
+        }
+    }
+    
+    /**
+     * 우선권 모드인지 확인
+     * @returns {boolean}
+     */
+    isInitiativeMode() {
+        return this.turnMode === TURN_MODE.INITIATIVE;
+    }
+    
+    /**
+     * 살아있는 캐릭터의 행동 순서 계산
+     * 
+     * 속도가 높은 순서이며, 속도가 같으면 진영 순서(factions.json)대로, 진영도 같으면 ID가 작은 순서입니다.
+     * 난수를 쓰지 않으므로 같은 상태에서는 항상 같은 순서가 나옵니다.
+     * @returns {number[]} 캐릭터 ID 목록
+     */
+    computeTurnOrder() {
+        return this.allCharacters
+            .filter(char => char.isAlive())
+            .sort((a, b) => (b.speed - a.speed)
+                || (factionSystem.getOrder(a.type) - factionSystem.getOrder(b.type))
+                || (a.id - b.id))
+            .map(char => char.id);
+    }
+    
+    /**
+     * 우선권 모드에서 지금 행동 중인 캐릭터
+     * @returns {Character|null} 진영 모드에서는 null
+     */
+    getActiveCharacter() {
+        if (!this.isInitiativeMode()) return null;
+        return this.getCharacterById(this.turnOrder[this.activeIndex]);
+    }
+    
+    /**
+     * 앞으로 행동할 캐릭터 목록 (행동 중인 캐릭터 포함)
+     * 
+     * 이번 라운드의 남은 순서 뒤에 다음 라운드 예상 순서를 이어 붙입니다.
+     * @param {number} count - 최대 개수
+     * @returns {Array<{character: Character, round: number}>} 순서대로의 캐릭터와 라운드
+     */
+    getUpcomingActors(count) {
+        if (!this.isInitiativeMode()) return [];
+        
+        const upcoming = this.turnOrder
+            .slice(this.activeIndex)
+            .map(id => this.getCharacterById(id))
+            .filter(char => char && char.isAlive())
+            .map(character => ({ character, round: this.turnCount }));
+        
+        const nextRound = this.computeTurnOrder().map(id => this.getCharacterById(id));
+        for (let round = this.turnCount + 1; upcoming.length < count && nextRound.length > 0; round++) {
+            nextRound.forEach(character => upcoming.push({ character, round }));
+        }
+        
+        return upcoming.slice(0, count);
+    }
+    
+    /**
+     * 캐릭터를 지금 조작할 수 있는지 확인
+     * 
+     * 플레이어가 조작하는 진영의 캐릭터여야 하고, 진영 모드에서는 그 진영의 턴,
+     * 우선권 모드에서는 행동 중인 캐릭터여야 합니다.
+     * @param {Character} character - 확인할 캐릭터
+     * @returns {boolean}
+     */
+    canControl(character) {
+        if (!character || !factionSystem.isHumanControlled(character.type)) return false;
+        return this.isInitiativeMode()
+            ? character === this.getActiveCharacter()
+            : character.type === this.currentTurn;
+    }
+    
     /**
      * 게임 상태 변경
      * @param {string} newState - 새로운 게임 상태
@@ -187,11 +404,11 @@ class GameState {
     }
     
     /**
-     * 플레이어 턴인지 확인
+     * 플레이어 턴인지 확인 (플레이어가 조작하는 진영의 턴)
      * @returns {boolean}
      */
     isPlayerTurn() {
-        return this.currentTurn === TURN_TYPE.PLAYER;
+        return factionSystem.isHumanControlled(this.currentTurn);
     }
     
     /**
@@ -199,13 +416,29 @@ class GameState {
      * @param {Character} character - 추가할 캐릭터
      */
     addCharacter(character) {
+        if (this.allCharacters.includes(character)) return;
+        
         this.allCharacters.push(character);
+        this.characterRegistry.set(character.id, character);
         
-        if (character.type === 'player') {
+        if (character.type === CHARACTER_TYPE.PLAYER) {
             this.playerCharacters.push(character);
         } else {
             this.enemyCharacters.push(character);
         }
+        
+        eventBus.emit(GameEvents.CHARACTER_ADDED, { character });
+    }
+    
+    /**
+     * id로 캐릭터 찾기
+     * 
+     * 이미 사망해 목록에서 제거된 캐릭터도 찾을 수 있습니다.
+     * @param {number} id - 캐릭터 ID
+     * @returns {Character|null}
+     */
+    getCharacterById(id) {
+        return this.characterRegistry.get(id) || null;
     }
     
     /**
@@ -220,7 +453,7 @@ class GameState {
         }
         
         // 타입별 목록에서 제거
-        const list = character.type === 'player' 
+        const list = character.type === CHARACTER_TYPE.PLAYER 
             ? this.playerCharacters 
             : this.enemyCharacters;
         const index = list.indexOf(character);
@@ -234,6 +467,22 @@ class GameState {
         }
     }
     
+    /**
+     * 모든 캐릭터 목록 비우기
+     * 
+     * 레지스트리까지 비우므로 저장 데이터로 캐릭터를 다시 만들 때 사용합니다.
+     * 씬과 타일 정리는 호출하는 쪽에서 처리해야 합니다.
+     */
+    clearCharacters() {
+        if (this.selectedCharacter) {
+            this.clearSelection();
+        }
+        this.playerCharacters = [];
+        this.enemyCharacters = [];
+        this.allCharacters = [];
+        this.characterRegistry.clear();
+    }
+    
     /**
      * 살아있는 플레이어 수 확인
      * @returns {number}
@@ -250,34 +499,74 @@ class GameState {
         return this.enemyCharacters.filter(char => char.isAlive()).length;
     }
     
+    /**
+     * 진영의 캐릭터 목록 (살아있는 캐릭터만)
+     * @param {string} factionId - 진영 ID
+     * @returns {Character[]}
+     */
+    getFactionCharacters(factionId) {
+        return this.allCharacters.filter(char => char.type === factionId && char.isAlive());
+    }
+    
+    /**
+     * 살아있는 캐릭터가 있는 진영 목록 (진영 순서대로)
+     * @returns {string[]} 진영 ID 목록
+     */
+    getAliveFactions() {
+        const factions = new Set(this.allCharacters.filter(char => char.isAlive()).map(char => char.type));
+        return Array.from(factions).sort((a, b) => factionSystem.getOrder(a) - factionSystem.getOrder(b));
+    }
+    
+    /**
+     * 캐릭터와 적대 관계인 살아있는 캐릭터 목록
+     * @param {Character} character - 기준 캐릭터
+     * @returns {Character[]}
+     */
+    getHostileCharacters(character) {
+        return this.allCharacters.filter(other =>
+            other.isAlive() && factionSystem.isHostile(character.type, other.type)
+        );
+    }
+    
     /**
      * 모든 플레이어가 행동을 완료했는지 확인
+     * 
+     * 턴을 진행 중인 진영의 캐릭터를 확인하며,
+     * 우선권 모드에서는 지금 행동 중인 캐릭터 하나만 확인합니다.
      * @returns {boolean}
      */
     checkAllPlayersActed() {
+        if (this.isInitiativeMode()) {
+            const active = this.getActiveCharacter();
+            return !!active && this.canControl(active) && this.hasFinishedActing(active);
+        }
+        
         // 살아있는 플레이어들이 모두 행동을 완료했는지 확인
-        const alivePlayerCharacters = this.playerCharacters.filter(char => char.isAlive());
-        
-        return alivePlayerCharacters.every(char => {
-            // 캐릭터가 더 이상 행동할 수 없는 경우를 확인
-            
-            // 1. 모든 행동을 사용했는지 확인
-            const hasUsedAllMoves = char.actionsUsed.move >= char.actionsPerTurn.move || 
-                                   char.movedDistance >= char.movementRange;
-            const hasUsedAllAttacks = char.actionsUsed.attack >= char.actionsPerTurn.attack;
-            
-            // 2. 이동과 공격 모두 사용했거나 사용할 수 없으면 행동 완료
-            if (hasUsedAllMoves && hasUsedAllAttacks) {
-                return true;
-            }
-            
-            // 3. 이동을 모두 사용했고, 공격할 수 있는 적이 없으면 행동 완료
-            if (hasUsedAllMoves && !this.canAttackAnyEnemy(char)) {
-                return true;
-            }
-            
-            return false;
-        });
+        return this.getFactionCharacters(this.currentTurn).every(char => this.hasFinishedActing(char));
+    }
+    
+    /**
+     * 캐릭터가 이번 턴에 더 이상 할 수 있는 행동이 없는지 확인
+     * @param {Character} char - 확인할 캐릭터
+     * @returns {boolean}
+     */
+    hasFinishedActing(char) {
+        // 1. 모든 행동을 사용했는지 확인
+        const hasUsedAllMoves = char.actionsUsed.move >= char.actionsPerTurn.move || 
+                               char.movedDistance >= char.movementRange;
+        const hasUsedAllAttacks = char.actionsUsed.attack >= char.actionsPerTurn.attack;
+        
+        // 2. 이동과 공격 모두 사용했거나 사용할 수 없으면 행동 완료
+        if (hasUsedAllMoves && hasUsedAllAttacks) {
+            return true;
+        }
+        
+        // 3. 이동을 모두 사용했고, 공격할 수 있는 적이 없으면 행동 완료
+        if (hasUsedAllMoves && !this.canAttackAnyEnemy(char)) {
+            return true;
+        }
+        
+        return false;
     }
     
     /**
@@ -289,12 +578,11 @@ class GameState {
         // 이미 공격했으면 false
         if (character.hasAttacked) return false;
         
-        // 적 캐릭터들 중 공격 가능한 대상이 있는지 확인
-        const enemies = this.enemyCharacters.filter(enemy => enemy.isAlive());
+        // 적대 관계인 캐릭터들 중 공격 가능한 대상이 있는지 확인 (중립은 제외)
+        const enemies = this.getHostileCharacters(character);
         
         for (const enemy of enemies) {
-            const distance = character.currentTile.distanceTo(enemy.currentTile);
-            if (distance <= character.attackRange) {
+            if (gridSystem.isInAttackRange(character, enemy.currentTile)) {
                 return true;
             }
         }
@@ -310,10 +598,15 @@ class GameState {
         this.currentTurn = TURN_TYPE.PLAYER;
         this.selectedCharacter = null;
         this.isAttackMode = false;
+        this.selectedSkill = null;
         this.turnCount = 1;
+        this.turnMode = TURN_MODE.PHASE;
+        this.turnOrder = [];
+        this.activeIndex = 0;
         this.playerCharacters = [];
         this.enemyCharacters = [];
         this.allCharacters = [];
+        this.characterRegistry.clear();
         this.hexGrid = [];
     }
     
@@ -326,8 +619,11 @@ class GameState {
             state: this.currentState,
             turn: this.currentTurn,
             turnCount: this.turnCount,
+            turnMode: this.turnMode,
+            activeCharacter: this.getActiveCharacter()?.id || null,
             selectedCharacter: this.selectedCharacter?.id || null,
             isAttackMode: this.isAttackMode,
+            selectedSkill: this.selectedSkill,
             alivePlayerCount: this.getAlivePlayerCount(),
             aliveEnemyCount: this.getAliveEnemyCount(),
         };
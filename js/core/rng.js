@@ -0,0 +1,134 @@
+/**
+ * 시드 기반 난수 생성기
+ *
+ * 모든 전투 판정(데미지 변동, 치명타, 회피, 반격)은 이 모듈을 통해 난수를 얻습니다.
+ * (시드, 커서) 쌍으로 n번째 값을 바로 계산하는 카운터 방식이라
+ * 상태가 숫자 두 개뿐이고, 커맨드에 기록해 두었다가 그대로 되돌릴 수 있습니다.
+ *
+ * @module rng
+ * @tutorial https://en.wikipedia.org/wiki/Counter-based_random_number_generator_(CBRNG)
+ */
+
+/**
+ * 32비트 정수 해시 (MurmurHash3 fmix32)
+ *
+ * @param {number} seed - 시드
+ * @param {number} cursor - 몇 번째 값인지
+ * @returns {number} 0 이상 2^32 미만의 정수
+ */
+function hash(seed, cursor) {
+    let h = (seed ^ Math.imul(cursor + 1, 0x9E3779B1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * 문자열/숫자 시드를 32비트 정수로 변환
+ *
+ * @param {number|string} seed - 시드
+ * @returns {number} 32비트 부호 없는 정수
+ */
+function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    // 숫자 문자열은 숫자로 취급 (로그에 찍힌 시드를 URL에 그대로 쓸 수 있게)
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // 그 외 문자열은 FNV-1a로 해시
+    let h = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * 난수 생성기 클래스
+ *
+ * @class RNG
+ */
+export class RNG {
+    constructor() {
+        /**
+         * 현재 시드
+         * @type {number}
+         */
+        this.seed = normalizeSeed(Date.now());
+
+        /**
+         * 지금까지 뽑은 값의 개수 (다음에 뽑을 값의 위치)
+         * @type {number}
+         */
+        this.cursor = 0;
+    }
+
+    /**
+     * 시드 설정 (커서는 0으로 초기화)
+     *
+     * @param {number|string} seed - 시드
+     */
+    setSeed(seed) {
+        this.seed = normalizeSeed(seed);
+        this.cursor = 0;
+    }
+
+    /**
+     * 0 이상 1 미만의 난수
+     * Math.random() 대신 사용합니다.
+     *
+     * @returns {number}
+     */
+    random() {
+        return hash(this.seed, this.cursor++) / 4294967296;
+    }
+
+    /**
+     * min 이상 max 이하의 정수 난수
+     *
+     * @param {number} min - 최솟값
+     * @param {number} max - 최댓값
+     * @returns {number}
+     */
+    int(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    /**
+     * 확률 판정
+     *
+     * @param {number} probability - 성공 확률 (0 ~ 1)
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.random() < probability;
+    }
+
+    /**
+     * 현재 상태 반환 (커맨드/저장 데이터에 기록용)
+     *
+     * @returns {{seed: number, cursor: number}}
+     */
+    getState() {
+        return { seed: this.seed, cursor: this.cursor };
+    }
+
+    /**
+     * 상태 복원
+     *
+     * @param {{seed: number, cursor: number}} state - getState()로 얻은 상태
+     */
+    setState(state) {
+        this.seed = normalizeSeed(state.seed);
+        this.cursor = state.cursor;
+    }
+}
+
+// 싱글톤 인스턴스
+export const rng = new RNG();
@@ -3,24 +3,31 @@
  *
  * 플레이어와 적 캐릭터를 나타내는 클래스입니다.
  * 체력, 공격력, 이동 등의 기능을 포함합니다.
+ * 캐릭터는 규칙에 필요한 상태만 가지며, 3D 모델과 체력바는 뷰(CharacterView)가 따로 만듭니다.
  *
  * @module Character
  */
 
-import * as THREE from 'three';
 import {
-    COLORS,
     CHARACTER_TYPE,
     PLAYER_MAX_HEALTH,
     ENEMY_MAX_HEALTH,
     MOVEMENT_RANGE,
     ATTACK_RANGE,
+    MIN_ATTACK_RANGE,
     BASE_ATTACK_DAMAGE,
-    DAMAGE_VARIANCE,
+    BASE_DEFENSE,
+    BASE_EVASION,
+    BASE_CRIT_CHANCE,
+    BASE_SPEED,
+    SIGHT_RANGE,
+    MAX_MANA,
+    MANA_REGEN,
     ANIMATION
 } from '../core/constants.js';
-import { healthBarUI } from '../ui/healthBarUI.js';
-import { resourceManager } from '../managers/resourceManager.js';
+import { statusEffectSystem } from '../systems/statusEffectSystem.js';
+import { classSystem } from '../systems/classSystem.js';
+import { factionSystem } from '../systems/factionSystem.js';
 
 /**
  * 캐릭터 클래스
@@ -36,19 +43,22 @@ export class Character {
     static idCounter = 0;
 
     /**
-     * @param {string} type - 캐릭터 타입 ('player' 또는 'enemy')
+     * @param {string} type - 캐릭터 타입 (소속 진영 ID, factions.json의 키)
      * @param {HexTile} tile - 초기 위치 타일
      * @param {string} [name] - 캐릭터 이름 (선택적)
+     * @param {number} [id] - 캐릭터 ID (저장 데이터 복원 시 사용, 생략하면 자동 생성)
+     * @param {string} [classId] - 클래스 ID (classes.json의 키, 생략하면 constants.js의 기본 능력치)
      */
-    constructor(type, tile, name) {
+    constructor(type, tile, name, id, classId) {
         /**
          * 캐릭터 고유 ID
          * @type {number}
          */
-        this.id = ++Character.idCounter;
+        this.id = id ?? ++Character.idCounter;
+        Character.idCounter = Math.max(Character.idCounter, this.id);
 
         /**
-         * 캐릭터 타입
+         * 캐릭터 타입 (소속 진영 ID)
          * @type {string}
          */
         this.type = type;
@@ -57,7 +67,7 @@ export class Character {
          * 캐릭터 이름
          * @type {string}
          */
-        this.name = name || (type === CHARACTER_TYPE.PLAYER ? `플레이어 ${this.id}` : `적 ${this.id}`);
+        this.name = name || `${factionSystem.getUnitName(type)} ${this.id}`;
 
         /**
          * 현재 위치한 타일
@@ -65,11 +75,27 @@ export class Character {
          */
         this.currentTile = tile;
 
+        /**
+         * 클래스 ID (클래스 없이 만든 캐릭터는 null)
+         * @type {string|null}
+         */
+        this.classId = classSystem.getClass(classId) ? classId : null;
+
+        /**
+         * AI 성향 ID (aiProfiles.json의 키, null이면 진영 기본 성향)
+         * @type {string|null}
+         */
+        this.aiProfile = null;
+
+        // 클래스 능력치 (없는 값은 기본 상수 사용)
+        const stats = classSystem.getClass(classId)?.stats || {};
+
         /**
          * 최대 체력
          * @type {number}
          */
-        this.maxHealth = type === CHARACTER_TYPE.PLAYER ? PLAYER_MAX_HEALTH : ENEMY_MAX_HEALTH;
+        this.maxHealth = stats.maxHealth
+            ?? (type === CHARACTER_TYPE.PLAYER ? PLAYER_MAX_HEALTH : ENEMY_MAX_HEALTH);
 
         /**
          * 현재 체력
@@ -78,22 +104,88 @@ export class Character {
         this.health = this.maxHealth;
 
         /**
-         * 공격력
+         * 기본 공격력 (상태 효과 보정 전, 보정된 값은 attackPower)
          * @type {number}
          */
-        this.attackPower = BASE_ATTACK_DAMAGE;
+        this.baseAttackPower = stats.attackPower ?? BASE_ATTACK_DAMAGE;
 
         /**
-         * 이동 범위
+         * 기본 이동 범위 (상태 효과 보정 전, 보정된 값은 movementRange)
          * @type {number}
          */
-        this.movementRange = MOVEMENT_RANGE;
+        this.baseMovementRange = stats.movementRange ?? MOVEMENT_RANGE;
 
         /**
          * 공격 범위
          * @type {number}
          */
-        this.attackRange = ATTACK_RANGE;
+        this.attackRange = stats.attackRange ?? ATTACK_RANGE;
+
+        /**
+         * 최소 공격 범위 (이보다 가까운 적은 공격할 수 없음)
+         * @type {number}
+         */
+        this.minAttackRange = stats.minAttackRange ?? MIN_ATTACK_RANGE;
+
+        /**
+         * 방어력 (받는 데미지에서 뺌)
+         * @type {number}
+         */
+        this.defense = stats.defense ?? BASE_DEFENSE;
+
+        /**
+         * 회피 확률 (0~1)
+         * @type {number}
+         */
+        this.evasion = stats.evasion ?? BASE_EVASION;
+
+        /**
+         * 치명타 확률 (0~1)
+         * @type {number}
+         */
+        this.critChance = stats.critChance ?? BASE_CRIT_CHANCE;
+
+        /**
+         * 속도 (높을수록 먼저 행동)
+         * @type {number}
+         */
+        this.speed = stats.speed ?? BASE_SPEED;
+
+        /**
+         * 시야 (타일 수, 전장의 안개를 켰을 때 사용)
+         * @type {number}
+         */
+        this.sightRange = stats.sightRange ?? SIGHT_RANGE;
+
+        /**
+         * 최대 마나
+         * @type {number}
+         */
+        this.maxMana = stats.maxMana ?? MAX_MANA;
+
+        /**
+         * 현재 마나 (스킬 사용 비용)
+         * @type {number}
+         */
+        this.mana = this.maxMana;
+
+        /**
+         * 사용할 수 있는 스킬 ID 목록 (skills.json의 키)
+         * @type {string[]}
+         */
+        this.skills = [];
+
+        /**
+         * 스킬별 남은 재사용 대기 턴 (스킬 ID → 턴 수)
+         * @type {Object<string, number>}
+         */
+        this.skillCooldowns = {};
+
+        /**
+         * 걸려 있는 상태 효과 ({id, duration, stacks} 목록, statusEffectSystem이 관리)
+         * @type {Array<Object>}
+         */
+        this.statusEffects = [];
 
         /**
          * 이번 턴에 이동했는지 여부
@@ -102,7 +194,7 @@ export class Character {
         this.hasMoved = false;
         
         /**
-         * 이번 턴에 이동한 거리
+         * 이번 턴에 사용한 이동력 (지나온 타일의 지형 이동 비용 합)
          * @type {number}
          */
         this.movedDistance = 0;
@@ -150,22 +242,10 @@ export class Character {
         this.facingDirection = 0;
 
         /**
-         * Three.js 그룹 (캐릭터 + UI)
-         * @type {THREE.Group}
-         */
-        this.group = new THREE.Group();
-
-        /**
-         * 캐릭터 메시
-         * @type {THREE.Mesh}
+         * 화면 표시 (렌더러가 없는 헤드리스 실행에서는 null)
+         * @type {CharacterView|null}
          */
-        this.mesh = null;
-
-        // 3D 모델 생성
-        this.createMesh();
-        
-        // 2D 체력바 생성
-        healthBarUI.createHealthBar(this);
+        this.view = null;
 
         // 초기 위치 설정
         if (tile) {
@@ -174,111 +254,57 @@ export class Character {
     }
 
     /**
-     * 캐릭터 3D 메시 생성
+     * 공격력 (상태 효과 보정 포함)
      *
-     * 간단한 캡슐 형태로 캐릭터를 표현합니다.
+     * @type {number}
      */
-    createMesh() {
-        // 캐릭터 색상 결정
-        const color = this.type === CHARACTER_TYPE.PLAYER
-            ? COLORS.CHARACTER_PLAYER
-            : COLORS.CHARACTER_ENEMY;
-
-        // 임시 placeholder 메시 생성 (모델 로드 전까지 표시)
-        // 몸통
-        const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.6, 8);
-        const bodyMaterial = new THREE.MeshPhongMaterial({
-            color: 0x666666, // 중성 회색
-            flatShading: true
-        });
-        const bodyMesh = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        bodyMesh.position.y = 0.3;
-        
-        // 머리
-        const headGeometry = new THREE.SphereGeometry(0.2, 8, 6);
-        const headMaterial = new THREE.MeshPhongMaterial({
-            color: color, // 팀 색상
-            flatShading: true
-        });
-        const headMesh = new THREE.Mesh(headGeometry, headMaterial);
-        headMesh.position.y = 0.7;
-        headMesh.name = 'head'; // 머리 식별용
-        
-        const placeholderGroup = new THREE.Group();
-        placeholderGroup.add(bodyMesh);
-        placeholderGroup.add(headMesh);
-
-        // 그룹에 추가
-        this.mesh = new THREE.Group();
-        this.mesh.add(placeholderGroup);
-
-        // 리소스 매니저에서 모델 가져오기
-        const robotGltf = resourceManager.getModel('robot');
-        if (robotGltf) {
-            // 기존 placeholder 제거
-            this.mesh.clear();
-
-            // 모델 복제 (여러 캐릭터가 같은 모델 사용)
-            this.model = robotGltf.scene.clone();
-            this.model.scale.set(0.25, 0.25, 0.25); // 크기 조정
-            this.model.position.y = 0.05; // 타일 위에 위치
-            this.model.rotation.y = this.facingDirection; // 저장된 방향 적용
-
-            // 모델의 모든 메시에 색상 적용
-            this.model.traverse((child) => {
-                if (child.isMesh) {
-                        child.castShadow = true;
-                        child.receiveShadow = true;
-
-                        // 캐릭터 타입에 따른 색상 적용
-                        child.material = child.material.clone();
-                        child.material.color.setHex(color);
-                        if (this.type === CHARACTER_TYPE.ENEMY) {
-                            child.material.emissive = new THREE.Color(0xff0000);
-                            child.material.emissiveIntensity = 0.1;
-                        }
-
-                        // 캐릭터 데이터 저장 (레이캐스팅용)
-                        child.userData.character = this;
-                    }
-                });
-
-            // 애니메이션 설정
-            if (robotGltf.animations && robotGltf.animations.length > 0) {
-                this.mixer = new THREE.AnimationMixer(this.model);
-                this.animations = {};
-
-                // 모든 애니메이션 저장
-                robotGltf.animations.forEach((clip) => {
-                    this.animations[clip.name] = clip;
-                });
-
-                // 기본 애니메이션 재생 (Idle)
-                const idleClip = this.animations['Idle'] || robotGltf.animations[0];
-                if (idleClip) {
-                    const action = this.mixer.clipAction(idleClip);
-                    action.play();
-                    this.currentAction = action;
-                }
-            }
+    get attackPower() {
+        return statusEffectSystem.modifyStat(this, 'attackPower', this.baseAttackPower);
+    }
 
-            this.mesh.add(this.model);
+    /**
+     * 이동 범위 (상태 효과 보정 포함)
+     *
+     * @type {number}
+     */
+    get movementRange() {
+        return Math.max(0, Math.floor(statusEffectSystem.modifyStat(this, 'movementRange', this.baseMovementRange)));
+    }
 
-            // 데이터 저장
-            this.mesh.userData.character = this;
-            this.model.userData.character = this;
-        } else {
-            console.warn('Robot model not loaded yet, using placeholder');
-        }
+    /**
+     * 받는 데미지 배율 (상태 효과 보정 포함)
+     *
+     * @returns {number}
+     */
+    getDamageTakenMultiplier() {
+        return statusEffectSystem.modifyStat(this, 'damageTaken', 1);
+    }
 
-        // 캐릭터 데이터 저장 (레이캐스팅용)
-        this.mesh.userData.character = this;
+    /**
+     * Three.js 그룹 (뷰가 없으면 null)
+     *
+     * @type {THREE.Group|null}
+     */
+    get group() {
+        return this.view?.group ?? null;
+    }
 
-        // 메인 그룹에 추가
-        this.group.add(this.mesh);
-        
-        // 그룹 자체에도 캐릭터 데이터 저장
-        this.group.userData.character = this;
+    /**
+     * 캐릭터 메시 (뷰가 없으면 null)
+     *
+     * @type {THREE.Group|null}
+     */
+    get mesh() {
+        return this.view?.mesh ?? null;
+    }
+
+    /**
+     * 로봇 모델 (뷰가 없거나 모델이 없으면 null)
+     *
+     * @type {THREE.Object3D|null}
+     */
+    get model() {
+        return this.view?.model ?? null;
     }
 
     /**
@@ -286,64 +312,17 @@ export class Character {
      *
      * @param {number} x - X 좌표
      * @param {number} z - Z 좌표
+     * @param {number} [y] - 높이 (생략하면 유지, 고도가 있는 타일 위에 세울 때 사용)
      */
-    setPosition(x, z) {
-        this.group.position.x = x;
-        this.group.position.z = z;
+    setPosition(x, z, y) {
+        this.view?.setPosition(x, z, y);
     }
     
     /**
      * 행동 상태에 따른 시각적 표현 업데이트
      */
     updateActionVisual() {
-        if (!this.mesh) return;
-        
-        // 모든 행동을 완료했는지 확인
-        const hasUsedAllMoves = this.actionsUsed.move >= this.actionsPerTurn.move || 
-                               this.movedDistance >= this.movementRange;
-        const hasUsedAllAttacks = this.actionsUsed.attack >= this.actionsPerTurn.attack;
-        const allActionsComplete = hasUsedAllMoves && hasUsedAllAttacks;
-        
-        // mesh 전체를 순회하며 material 업데이트
-        this.mesh.traverse(child => {
-            if (child.isMesh && child.material) {
-                // 머리 부분인지 확인
-                const isHead = child.name.toLowerCase().includes('head') || 
-                              child.name.toLowerCase().includes('face') ||
-                              child.position.y > 1.5;
-                
-                if (allActionsComplete) {
-                    // 모든 행동 완료 - 어두운 회색조로 표현
-                    child.material.color = new THREE.Color(0x333333);
-                    child.material.emissive = new THREE.Color(0x000000);
-                    child.material.emissiveIntensity = 0;
-                } else {
-                    // 행동 가능 - 원래 색상
-                    if (isHead) {
-                        // 머리만 팀 색상
-                        const baseColor = this.type === CHARACTER_TYPE.PLAYER ? COLORS.CHARACTER_PLAYER : COLORS.CHARACTER_ENEMY;
-                        child.material.color = new THREE.Color(baseColor);
-                    } else {
-                        // 몸통은 중성 회색
-                        child.material.color = new THREE.Color(0x666666);
-                    }
-                    
-                    // 부분적 행동 가능 상태 표시 - 발광으로만
-                    if (!hasUsedAllMoves && hasUsedAllAttacks) {
-                        // 이동만 가능 - 파란색 발광
-                        child.material.emissive = new THREE.Color(0x0066ff);
-                        child.material.emissiveIntensity = 0.2;
-                    } else if (hasUsedAllMoves && !hasUsedAllAttacks) {
-                        // 공격만 가능 - 빨간색 발광
-                        child.material.emissive = new THREE.Color(0xff0000);
-                        child.material.emissiveIntensity = 0.2;
-                    } else if (!this.isSelected) {
-                        child.material.emissive = new THREE.Color(0x000000);
-                        child.material.emissiveIntensity = 0;
-                    }
-                }
-            }
-        });
+        this.view?.updateActionVisual();
     }
 
     /**
@@ -391,7 +370,7 @@ export class Character {
      * 체력바 업데이트
      */
     updateHealthBar() {
-        healthBarUI.updateHealthBar(this);
+        this.view?.updateHealthBar();
     }
 
     /**
@@ -405,30 +384,22 @@ export class Character {
         }
 
         // 사망 애니메이션 (페이드 아웃)
-        const startTime = Date.now();
-        const duration = 1000;
-
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-
-            // 투명도 감소
-            this.group.traverse((child) => {
-                if (child.material) {
-                    child.material.opacity = 1 - progress;
-                    child.material.transparent = true;
-                }
-            });
-
-            // 아래로 가라앉기
-            this.group.position.y = -progress * 0.5;
-
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            }
-        };
+        this.view?.playDeath();
+    }
+
+    /**
+     * 사망 취소 (실행 취소 시 사용)
+     *
+     * 타일 점유와 사망 애니메이션으로 바뀐 모습을 되돌립니다.
+     * 게임 상태 목록에 다시 넣는 것은 호출하는 쪽에서 처리합니다.
+     */
+    revive() {
+        this.isDead = false;
+        if (this.currentTile) {
+            this.currentTile.setOccupant(this);
+        }
 
-        animate();
+        this.view?.revive();
     }
 
     /**
@@ -439,20 +410,7 @@ export class Character {
     setSelected(selected) {
         this.isSelected = selected;
 
-        // mesh 전체를 순회하며 material이 있는 객체만 처리
-        this.mesh.traverse(child => {
-            if (child.isMesh && child.material) {
-                if (selected) {
-                    // 선택 강조 효과
-                    child.material.emissive = new THREE.Color(COLORS.CHARACTER_SELECTED);
-                    child.material.emissiveIntensity = 0.3;
-                } else {
-                    // 강조 제거 - 행동 상태에 따라 업데이트
-                    this.updateActionVisual();
-                    return;
-                }
-            }
-        });
+        this.view?.updateSelection();
     }
 
     /**
@@ -466,6 +424,15 @@ export class Character {
         // 행동 횟수 초기화
         this.actionsUsed.move = 0;
         this.actionsUsed.attack = 0;
+        
+        // 마나 회복 및 스킬 재사용 대기 감소
+        this.mana = Math.min(this.maxMana, this.mana + MANA_REGEN);
+        Object.keys(this.skillCooldowns).forEach(skillId => {
+            this.skillCooldowns[skillId]--;
+            if (this.skillCooldowns[skillId] <= 0) {
+                delete this.skillCooldowns[skillId];
+            }
+        });
     }
 
     /**
@@ -500,9 +467,7 @@ export class Character {
      * @param {number} delta - 프레임 간 시간 차이
      */
     update(delta) {
-        if (this.mixer) {
-            this.mixer.update(delta);
-        }
+        this.view?.update(delta);
     }
 
     /**
@@ -511,44 +476,15 @@ export class Character {
      * @param {boolean} loop - 반복 여부
      */
     playAnimation(animationName, loop = true) {
-        if (!this.animations || !this.animations[animationName]) {
-            return;
-        }
-
-        const clip = this.animations[animationName];
-        const action = this.mixer.clipAction(clip);
-
-        // 현재 애니메이션 페이드 아웃
-        if (this.currentAction && this.currentAction !== action) {
-            this.currentAction.fadeOut(0.5);
-        }
-
-        // 새 애니메이션 페이드 인
-        action.reset();
-        action.fadeIn(0.5);
-        action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce);
-        action.play();
-
-        this.currentAction = action;
+        this.view?.playAnimation(animationName, loop);
     }
 
 
     /**
-     * 리소스 정리
+     * 리소스 정리 (뷰가 있으면 장면과 체력바에서도 제거)
      */
     dispose() {
-        // 애니메이션 정리
-        if (this.mixer) {
-            this.mixer.stopAllAction();
-            this.mixer = null;
-        }
-
-        this.group.traverse((child) => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
-        });
-        
-        // 2D 체력바 제거
-        healthBarUI.removeHealthBar(this);
+        this.view?.dispose();
+        this.view = null;
     }
-}
+}
\ No newline at end of file
@@ -3,13 +3,13 @@
  * 
  * 게임 보드를 구성하는 육각형 타일을 나타내는 클래스입니다.
  * 큐브 좌표계(Cube Coordinates)를 사용하여 육각형 그리드를 구현합니다.
+ * 타일은 규칙과 표시 상태만 가지며, 3D 메시는 뷰(TileView)가 따로 만듭니다.
  * 
  * @module HexTile
  * @tutorial https://www.redblobgames.com/grids/hexagons/
  */
 
-import * as THREE from 'three';
-import { HEX_SIZE, COLORS } from '../core/constants.js';
+import { HEX_SIZE, COLORS, DEFAULT_TERRAIN, TERRAIN, ELEVATION } from '../core/constants.js';
 
 /**
  * 육각형 타일 클래스
@@ -23,8 +23,12 @@ export class HexTile {
     /**
      * @param {number} q - 큐브 좌표계의 q값
      * @param {number} r - 큐브 좌표계의 r값
+     * @param {Object} [options] - 맵 데이터의 타일 속성
+     * @param {string} [options.terrain] - 지형 타입
+     * @param {boolean} [options.blocked=false] - 통행 불가 여부
+     * @param {number} [options.elevation=0] - 고도 단계
      */
-    constructor(q, r) {
+    constructor(q, r, options = {}) {
         /**
          * 큐브 좌표 q
          * @type {number}
@@ -51,22 +55,46 @@ export class HexTile {
         this.occupant = null;
         
         /**
-         * Three.js 메시 객체 (타일 본체)
-         * @type {THREE.Mesh}
+         * 지형 타입 (TERRAIN의 키)
+         * @type {string}
          */
-        this.mesh = null;
+        this.terrain = options.terrain || DEFAULT_TERRAIN;
         
         /**
-         * Three.js 메시 객체 (타일 테두리)
-         * @type {THREE.LineSegments}
+         * 통행 불가 여부 (막힌 타일은 이동/배치 불가)
+         * @type {boolean}
          */
-        this.borderMesh = null;
+        this.blocked = options.blocked || false;
+        
+        /**
+         * 고도 단계 (0 = 지면)
+         * @type {number}
+         */
+        this.elevation = options.elevation || 0;
+        
+        /**
+         * 화면 표시 (렌더러가 없는 헤드리스 실행에서는 null)
+         * @type {TileView|null}
+         */
+        this.view = null;
+        
+        /**
+         * 기본 색상 (이동/공격 표시 해제 시 복원용)
+         * @type {number}
+         */
+        this.baseColor = this.blocked ? COLORS.TILE_BLOCKED : this.getTerrain().color;
         
         /**
          * 원래 색상 (하이라이트 후 복원용)
          * @type {number}
          */
-        this.originalColor = COLORS.TILE_DEFAULT;
+        this.originalColor = this.baseColor;
+        
+        /**
+         * 하이라이트 색상 (하이라이트 중이 아니면 null)
+         * @type {number|null}
+         */
+        this.highlightColor = null;
         
         /**
          * 타일 상태 플래그
@@ -76,80 +104,28 @@ export class HexTile {
             isHighlighted: false,
             isMovable: false,
             isAttackable: false,
+            isSkillRange: false,
+            isExit: false,
+            isFogged: false,
         };
-        
-        // 3D 메시 생성
-        this.createMesh();
     }
     
     /**
-     * 육각형 3D 메시 생성
+     * 타일 본체 메시 (뷰가 없으면 null)
      * 
-     * Flat-top 육각형을 생성합니다.
-     * @tutorial https://threejs.org/docs/#api/en/geometries/CylinderGeometry
+     * @type {THREE.Mesh|null}
      */
-    createMesh() {
-        // 육각형 지오메트리 생성
-        // CylinderGeometry를 사용하여 6각형 기둥 생성
-        const geometry = new THREE.CylinderGeometry(
-            HEX_SIZE,      // 상단 반지름
-            HEX_SIZE,      // 하단 반지름
-            0.1,           // 높이
-            6,             // 면의 수 (6각형)
-            1              // 높이 세그먼트
-        );
-        
-        // 재질 생성
-        const material = new THREE.MeshPhongMaterial({
-            color: this.originalColor,
-            flatShading: true,        // 플랫 셰이딩 (각진 느낌)
-            shininess: 30,            // 광택
-            specular: 0x111111,       // 반사광 색상
-        });
-        
-        // 메시 생성
-        this.mesh = new THREE.Mesh(geometry, material);
-        
-        // 그림자 설정
-        this.mesh.castShadow = true;
-        this.mesh.receiveShadow = true;
-        
-        // 위치 설정 (큐브 좌표를 픽셀 좌표로 변환)
-        const position = this.getPixelPosition();
-        this.mesh.position.set(position.x, 0, position.z);
-        
-        // 육각형이 평평하게 놓이도록 회전
-        this.mesh.rotation.y = Math.PI / 6;
-        
-        // 타일에 대한 참조 저장 (레이캐스팅용)
-        this.mesh.userData.tile = this;
-        
-        // 테두리 생성
-        this.createBorder();
+    get mesh() {
+        return this.view?.mesh ?? null;
     }
     
     /**
-     * 타일 테두리 생성
+     * 타일 테두리 메시 (뷰가 없으면 null)
      * 
-     * EdgeGeometry를 사용하여 육각형 테두리를 생성합니다.
+     * @type {THREE.LineSegments|null}
      */
-    createBorder() {
-        // 테두리 지오메트리 생성
-        const edges = new THREE.EdgesGeometry(this.mesh.geometry);
-        
-        // 테두리 재질 (선)
-        const lineMaterial = new THREE.LineBasicMaterial({
-            color: COLORS.TILE_BORDER,
-            linewidth: 2,  // 참고: WebGL에서는 대부분 1픽셀로 제한됨
-        });
-        
-        // 테두리 메시 생성
-        this.borderMesh = new THREE.LineSegments(edges, lineMaterial);
-        
-        // 테두리 위치 설정 (타일보다 약간 위)
-        this.borderMesh.position.copy(this.mesh.position);
-        this.borderMesh.position.y = 0.06;
-        this.borderMesh.rotation.y = Math.PI / 6;
+    get borderMesh() {
+        return this.view?.borderMesh ?? null;
     }
     
     /**
@@ -165,6 +141,15 @@ export class HexTile {
         return { x, z };
     }
     
+    /**
+     * 타일 윗면 높이 (캐릭터가 서는 높이)
+     * 
+     * @returns {number} 높이 (Three.js 유닛)
+     */
+    getSurfaceHeight() {
+        return this.elevation * ELEVATION.STEP_HEIGHT;
+    }
+    
     /**
      * 타일 하이라이트
      * 
@@ -173,18 +158,8 @@ export class HexTile {
      */
     setHighlight(highlight, color = COLORS.TILE_HOVER) {
         this.state.isHighlighted = highlight;
-        
-        if (highlight) {
-            this.mesh.material.color.setHex(color);
-            // 약간 위로 이동하여 강조
-            this.mesh.position.y = 0.1;
-            this.borderMesh.position.y = 0.16;
-        } else {
-            // 원래 색상으로 복원
-            this.mesh.material.color.setHex(this.originalColor);
-            this.mesh.position.y = 0;
-            this.borderMesh.position.y = 0.06;
-        }
+        this.highlightColor = highlight ? color : null;
+        this.view?.update();
     }
     
     /**
@@ -195,13 +170,8 @@ export class HexTile {
     setMovable(movable) {
         this.state.isMovable = movable;
         
-        if (movable) {
-            this.originalColor = COLORS.TILE_MOVABLE;
-            this.mesh.material.color.setHex(COLORS.TILE_MOVABLE);
-        } else {
-            this.originalColor = COLORS.TILE_DEFAULT;
-            this.mesh.material.color.setHex(COLORS.TILE_DEFAULT);
-        }
+        this.originalColor = movable ? COLORS.TILE_MOVABLE : this.baseColor;
+        this.view?.update();
     }
     
     /**
@@ -212,15 +182,78 @@ export class HexTile {
     setAttackable(attackable) {
         this.state.isAttackable = attackable;
         
-        if (attackable) {
-            this.originalColor = COLORS.TILE_ATTACKABLE;
-            this.mesh.material.color.setHex(COLORS.TILE_ATTACKABLE);
-        } else {
-            this.originalColor = COLORS.TILE_DEFAULT;
-            this.mesh.material.color.setHex(COLORS.TILE_DEFAULT);
+        this.originalColor = attackable ? COLORS.TILE_ATTACKABLE : this.baseColor;
+        this.view?.update();
+    }
+    
+    /**
+     * 스킬 사거리 타일 표시
+     * 
+     * @param {boolean} inRange - 스킬 대상으로 지정 가능 여부
+     */
+    setSkillRange(inRange) {
+        this.state.isSkillRange = inRange;
+        
+        this.originalColor = inRange ? COLORS.TILE_SKILL_RANGE : this.baseColor;
+        this.view?.update();
+    }
+    
+    /**
+     * 출구 타일 표시 (목표 시스템의 도착 지점)
+     * 
+     * 기본 색상을 바꾸므로 이동/공격 표시를 해제해도 출구 색상이 유지됩니다.
+     * @param {boolean} exit - 출구 여부
+     */
+    setExit(exit) {
+        this.state.isExit = exit;
+        this.baseColor = exit
+            ? COLORS.TILE_EXIT
+            : (this.blocked ? COLORS.TILE_BLOCKED : this.getTerrain().color);
+        
+        if (!this.state.isMovable && !this.state.isAttackable && !this.state.isSkillRange) {
+            this.originalColor = this.baseColor;
+            this.view?.update();
         }
     }
     
+    /**
+     * 안개 표시 (지금 보는 진영의 시야 밖)
+     * 
+     * @param {boolean} fogged - 시야 밖 여부
+     */
+    setFogged(fogged) {
+        if (this.state.isFogged === fogged) return;
+        this.state.isFogged = fogged;
+        this.view?.update();
+    }
+    
+    /**
+     * 지형 정보
+     * 
+     * @returns {Object} TERRAIN 항목
+     */
+    getTerrain() {
+        return TERRAIN[this.terrain] || TERRAIN[DEFAULT_TERRAIN];
+    }
+    
+    /**
+     * 이 타일에 들어갈 때 드는 이동력
+     * 
+     * @returns {number} 이동 비용
+     */
+    getMoveCost() {
+        return this.getTerrain().moveCost;
+    }
+    
+    /**
+     * 지나갈 수 있는 타일인지 확인 (점유 여부는 보지 않음)
+     * 
+     * @returns {boolean} 통행 가능 여부
+     */
+    isPassable() {
+        return !this.blocked && this.getTerrain().passable;
+    }
+    
     /**
      * 타일 점유 상태 확인
      * 
@@ -242,7 +275,7 @@ export class HexTile {
         if (character && updatePosition) {
             // 캐릭터 위치를 타일 위로 설정
             const pos = this.getPixelPosition();
-            character.setPosition(pos.x, pos.z);
+            character.setPosition(pos.x, pos.z, this.getSurfaceHeight());
         }
     }
     
@@ -290,14 +323,7 @@ export class HexTile {
      * 타일 리소스 정리
      */
     dispose() {
-        if (this.mesh) {
-            this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
-        }
-        
-        if (this.borderMesh) {
-            this.borderMesh.geometry.dispose();
-            this.borderMesh.material.dispose();
-        }
+        this.view?.dispose();
+        this.view = null;
     }
 }
\ No newline at end of file
@@ -12,10 +12,9 @@ import * as THREE from 'three';
 // Core 모듈
 import { gameState } from './core/gameState.js';
 import { sceneSetup } from './core/sceneSetup.js';
-import { CHARACTER_TYPE, TURN_TYPE } from './core/constants.js';
-
-// Entity 모듈
-import { Character } from './entities/Character.js';
+import { TURN_MODE, PLAY_MODE, NETWORK, DEFAULT_MAP } from './core/constants.js';
+import { eventBus, GameEvents } from './core/eventBus.js';
+import { rng } from './core/rng.js';
 
 // System 모듈
 import { gridSystem } from './systems/gridSystem.js';
@@ -23,13 +22,26 @@ import { combatSystem } from './systems/combatSystem.js';
 import { movementSystem } from './systems/movementSystem.js';
 import { aiSystem } from './systems/aiSystem.js';
 import { soundSystem } from './systems/soundSystem.js';
+import { skillSystem } from './systems/skillSystem.js';
+import { classSystem } from './systems/classSystem.js';
+import { aiProfileSystem } from './systems/aiProfileSystem.js';
+import { factionSystem } from './systems/factionSystem.js';
+import { objectiveSystem } from './systems/objectiveSystem.js';
+import { visionSystem } from './systems/visionSystem.js';
+import { STATUS_EFFECTS } from './systems/statusEffectSystem.js';
+import { animationController } from './systems/animationController.js';
 import { battleManager } from './managers/battleManager.js';
+import { simulationManager } from './managers/simulationManager.js';
 import { resourceManager } from './managers/resourceManager.js';
 import { loadingScreen } from './ui/loadingScreen.js';
 import { commandHistory } from './managers/commandHistory.js';
+import { replayManager } from './managers/replayManager.js';
+import { hotseatManager } from './managers/hotseatManager.js';
+import { networkManager, NetworkStatus } from './managers/networkManager.js';
 
 // Control 모듈
 import { cameraControls } from './controls/cameraControls.js';
+import { cameraDirector } from './controls/cameraDirector.js';
 import { inputHandler } from './controls/inputHandler.js';
 
 // UI 모듈
@@ -39,6 +51,14 @@ import { replayIndicator } from './ui/replayIndicator.js';
 import { gameManager } from './managers/gameManager.js';
 import { unifiedControlPanel } from './ui/unifiedControlPanel.js';
 import { victoryMessage } from './ui/victoryMessage.js';
+import { skillBar } from './ui/skillBar.js';
+import { turnOrderBar } from './ui/turnOrderBar.js';
+import { passDeviceCurtain } from './ui/passDeviceCurtain.js';
+import { minimap } from './ui/minimap.js';
+
+// View 모듈
+import { boardView } from './views/boardView.js';
+import { fogView } from './views/fogView.js';
 
 /**
  * 게임 메인 클래스
@@ -87,6 +107,10 @@ class Game {
             const gameCanvas = document.getElementById('gameCanvas');
             const { scene, camera, renderer } = sceneSetup.init(gameCanvas);
 
+            // 그리드/캐릭터가 만들어지면 장면에 뷰 추가
+            boardView.init(scene);
+            fogView.init(scene);
+
 
             // 사운드 시스템 초기화
             await soundSystem.init();
@@ -96,15 +120,36 @@ class Game {
             replayIndicator.init();
             unifiedControlPanel.init();
             victoryMessage.init();
-
-            // 배틀 매니저 초기화
-            battleManager.init();
-
-            // 그리드 생성
-            gridSystem.createGrid();
+            skillBar.init();
+            turnOrderBar.init();
+            passDeviceCurtain.init();
+            minimap.init();
+
+            // 배틀 매니저 초기화 (액션은 애니메이션 컨트롤러로 재생)
+            battleManager.init(animationController);
+
+            // 난수 시드 설정 (?seed=값 으로 같은 전투를 재현할 수 있음)
+            // 온라인 모드에서는 두 기기가 같은 전투를 시작하도록 방 이름을 시드로 사용
+            const params = new URLSearchParams(window.location.search);
+            const isOnline = params.get('playMode') === PLAY_MODE.ONLINE;
+            const room = params.get('room') || NETWORK.DEFAULT_ROOM;
+            rng.setSeed(params.get('seed') ?? (isOnline ? room : Date.now()));
+
+            // 진영/스킬/클래스/AI 성향 정의 로드 (캐릭터 생성 전에 해야 함, 클래스가 스킬을 참조하므로 스킬 먼저)
+            await factionSystem.load();
+            await skillSystem.load();
+            await classSystem.load();
+            await aiProfileSystem.load();
+
+            // 맵 로드 후 그리드 생성 (?map=이름 으로 맵 선택)
+            const mapData = await this.loadMap(params.get('map') || DEFAULT_MAP);
+            gridSystem.createGrid(mapData);
 
             // 캐릭터 생성
-            this.createCharacters();
+            simulationManager.spawnCharacters();
+
+            // 전투 목표 설정 (출구 타일과 캐릭터 이름을 검사하므로 캐릭터 생성 후)
+            objectiveSystem.setObjectives(mapData.objectives);
 
             // Calculate center of game board FIRST
             let centerX = 0, centerZ = 0, tileCount = 0;
@@ -140,21 +185,82 @@ class Game {
 
             // NOW initialize controls
             cameraControls.init();
+            cameraDirector.init();
             inputHandler.init();
             gameManager.init();
+            replayManager.init();
 
             // 전투 시스템 콜백 설정
             this.setupSystemCallbacks();
 
             // 게임 시작 메시지
             unifiedControlPanel.addLog('게임이 시작되었습니다!', 'system');
-            unifiedControlPanel.addLog('플레이어 턴 1 시작', 'turn');
+            unifiedControlPanel.addLog(`난수 시드: ${rng.seed}`, 'system');
+
+            // 턴 진행 방식 (?turnMode=initiative 면 속도 순서대로 캐릭터 하나씩 행동)
+            gameState.setTurnMode(params.get('turnMode') || TURN_MODE.PHASE);
+            if (gameState.isInitiativeMode()) {
+                unifiedControlPanel.addLog('우선권 모드: 속도가 빠른 캐릭터부터 하나씩 행동합니다.', 'system');
+            }
+
+            // AI 난이도 (?difficulty=0~10, 높을수록 판단 오차가 작고 위협과 지형을 더 따짐)
+            if (params.has('difficulty')) {
+                aiSystem.setDifficulty(Number(params.get('difficulty')) || 0);
+                unifiedControlPanel.addLog(`AI 난이도: ${aiSystem.difficultyLevel}`, 'system');
+            }
+
+            // 전장의 안개 (?fog=1 이면 자기 편 시야 밖의 타일과 캐릭터를 가림)
+            if (params.get('fog') === '1') {
+                visionSystem.setEnabled(true);
+                unifiedControlPanel.addLog('전장의 안개: 시야 밖의 적은 보이지 않습니다.', 'system');
+            }
+
+            // 리플레이 보기 (?replay=1, 불러올 리플레이는 replayManager.importFromFile이 넘겨줌)
+            const pendingReplay = params.has('replay') ? replayManager.takePending() : null;
+            if (pendingReplay) {
+                try {
+                    await replayManager.load(pendingReplay);
+                    unifiedControlPanel.addLog(`리플레이 보기: 커맨드 ${pendingReplay.commands.length}개`, 'system');
+                    unifiedControlPanel.switchTab('replay');
+                } catch (error) {
+                    console.error('리플레이 불러오기 실패:', error);
+                    unifiedControlPanel.addLog(`리플레이를 불러올 수 없습니다: ${error.message}`, 'system');
+                }
+            }
+
+            // 플레이 방식 (?playMode=hotseat 면 모든 진영을 한 기기에서 번갈아 조작, ?curtain=off 면 턴 사이 가림 화면 없음)
+            if (params.get('playMode') === PLAY_MODE.HOTSEAT) {
+                hotseatManager.enable({ curtain: params.get('curtain') !== 'off' });
+                const players = hotseatManager.players.map(factionId => hotseatManager.getTurnLabel(factionId));
+                unifiedControlPanel.addLog(`핫시트 모드: ${players.join(', ')}`, 'system');
+            }
+
+            // 온라인 모드 (?playMode=online&room=이름, 릴레이 주소는 ?relay=ws://... 로 바꿀 수 있음)
+            if (isOnline) {
+                networkManager.onControlChanged = () => this.runEnemyTurns();
+                networkManager.start({
+                    url: params.get('relay') || `ws://${window.location.hostname || 'localhost'}:${NETWORK.RELAY_PORT}`,
+                    room
+                });
+                unifiedControlPanel.addLog(`온라인 모드: 방 "${room}"에 접속합니다`, 'system');
+            }
 
             this.initialized = true;
 
             // 게임 루프 시작
             this.startGameLoop();
 
+            // 리플레이는 타임라인으로만 진행
+            if (replayManager.isViewing) {
+                inputHandler.setEnabled(false);
+                return;
+            }
+
+            eventBus.emit(GameEvents.GAME_STARTED, { map: gridSystem.mapId, seed: rng.seed, turnMode: gameState.turnMode });
+
+            // 첫 차례 시작 (우선권 모드에서는 적이 먼저 행동할 수 있음)
+            this.runEnemyTurns();
+
         } catch (error) {
             console.error('게임 초기화 실패:', error);
             unifiedControlPanel.addLog('게임 초기화 중 오류가 발생했습니다.', 'system');
@@ -162,52 +268,23 @@ class Game {
     }
 
     /**
-     * 캐릭터 생성
+     * 맵 데이터 로드
+     *
+     * 요청한 맵을 불러오지 못하면 기본 맵으로 대체합니다.
+     *
+     * @param {string} mapName - 맵 이름
+     * @returns {Promise<Object>} 맵 데이터
      */
-    createCharacters() {
-
-        // 플레이어 캐릭터 생성
-        const playerPositions = [
-            { q: -2, r: 0 },
-            { q: -2, r: 1 },
-            { q: -1, r: -1 },
-        ];
-
-        playerPositions.forEach((pos, index) => {
-            const tile = gridSystem.getTile(pos.q, pos.r);
-            if (tile) {
-                const player = new Character(
-                    CHARACTER_TYPE.PLAYER,
-                    tile,
-                    `플레이어 ${index + 1}`
-                );
-                gameState.addCharacter(player);
-                sceneSetup.scene.add(player.group);
-                player.updateActionVisual();
-            }
-        });
-
-        // 적 캐릭터 생성
-        const enemyPositions = [
-            { q: 2, r: 0 },
-            { q: 2, r: -1 },
-            { q: 1, r: 1 },
-        ];
-
-        enemyPositions.forEach((pos, index) => {
-            const tile = gridSystem.getTile(pos.q, pos.r);
-            if (tile) {
-                const enemy = new Character(
-                    CHARACTER_TYPE.ENEMY,
-                    tile,
-                    `고블린 ${index + 1}`
-                );
-                gameState.addCharacter(enemy);
-                sceneSetup.scene.add(enemy.group);
-                enemy.updateActionVisual();
+    async loadMap(mapName) {
+        try {
+            return await resourceManager.loadMap(mapName);
+        } catch (error) {
+            if (mapName === DEFAULT_MAP) {
+                throw error;
             }
-        });
-
+            console.error(`맵 로드 실패: ${mapName}, 기본 맵 사용`, error);
+            return resourceManager.loadMap(DEFAULT_MAP);
+        }
     }
 
     /**
@@ -222,27 +299,98 @@ class Game {
             );
         };
         
+        battleManager.callbacks.onSkillUsed = (caster, skill, results) => {
+            unifiedControlPanel.addLog(`${caster.name}이(가) ${skill.name}을(를) 사용했습니다!`, 'info');
+            if (skill.effect.type === 'status') return;
+            results.forEach(({ target, amount }) => {
+                const message = skill.effect.type === 'heal'
+                    ? `${target.name}의 체력이 ${amount} 회복되었습니다.`
+                    : `${target.name}에게 ${amount}의 데미지를 입혔습니다!`;
+                unifiedControlPanel.addLog(message, 'damage');
+            });
+        };
+        
+        battleManager.callbacks.onStatusEffectTick = (character, effect, damage, heal) => {
+            const name = STATUS_EFFECTS[effect.id].name;
+            if (damage > 0) {
+                unifiedControlPanel.addLog(`${character.name}이(가) ${name}으로 ${damage}의 피해를 입었습니다.`, 'damage');
+            } else if (heal > 0) {
+                unifiedControlPanel.addLog(`${character.name}의 체력이 ${name}으로 ${heal} 회복되었습니다.`, 'info');
+            }
+        };
+        
+        eventBus.on(GameEvents.STATUS_EFFECT_APPLIED, ({ character, effect }) => {
+            const { name } = STATUS_EFFECTS[effect.id];
+            unifiedControlPanel.addLog(`${character.name}에게 ${name} 효과가 걸렸습니다. (${effect.duration}턴)`, 'info');
+        });
+        
+        eventBus.on(GameEvents.FACTION_PROVOKED, ({ attackerFaction, targetFaction }) => {
+            unifiedControlPanel.addLog(
+                `${factionSystem.getName(targetFaction)}이(가) ${factionSystem.getName(attackerFaction)}에게 적대적으로 변했습니다!`,
+                'system'
+            );
+        });
+        
+        eventBus.on(GameEvents.FACTION_DEFEATED, ({ faction }) => {
+            unifiedControlPanel.addLog(`${factionSystem.getName(faction)} 진영이 전멸했습니다!`, 'system');
+        });
+        
         battleManager.callbacks.onCharacterDeath = (character) => {
             unifiedControlPanel.addLog(`${character.name}이(가) 쓰러졌습니다!`, 'system');
             
-            // 캐릭터 제거 (약간의 딜레이 후)
+            // 캐릭터 제거 (약간의 딜레이 후, 그 사이 리플레이를 되돌려 부활했으면 유지)
             setTimeout(() => {
-                sceneSetup.scene.remove(character.group);
-                character.dispose();
+                if (character.isDead) {
+                    character.dispose();
+                }
             }, 2000);
         };
         
-        battleManager.callbacks.onBattleEnd = (result) => {
-            const isVictory = result === 'player_won';
-            const message = isVictory ? '플레이어 승리!' : '플레이어 패배!';
-            unifiedControlPanel.addLog(message, 'system');
+        // 온라인 연결 상태와 동기화 문제 알림
+        eventBus.on(GameEvents.NETWORK_STATUS, ({ status, seat, message }) => {
+            const messages = {
+                [NetworkStatus.CONNECTING]: '릴레이 서버에 접속하는 중...',
+                [NetworkStatus.WAITING]: `${seat + 1}번 자리에 앉았습니다. 상대를 기다리는 중...`,
+                [NetworkStatus.CONNECTED]: '상대와 연결되었습니다',
+                [NetworkStatus.DISCONNECTED]: '릴레이 서버와 연결이 끊겼습니다. 다시 접속합니다...',
+                [NetworkStatus.FAILED]: '온라인 대전에 참가할 수 없습니다'
+            };
+            const text = message || messages[status];
+            unifiedControlPanel.addLog(text, 'system');
+        });
+
+        eventBus.on(GameEvents.NETWORK_COMMAND_REJECTED, ({ index, reason }) => {
+            unifiedControlPanel.addLog(`상대 행동 #${index}을(를) 거부했습니다: ${reason}`, 'system');
+        });
+
+        eventBus.on(GameEvents.NETWORK_DESYNC, ({ index, reason }) => {
+            unifiedControlPanel.addLog(`⚠️ 상대와 상태가 어긋났습니다 (#${index}): ${reason}`, 'system');
+        });
+        
+        battleManager.callbacks.onBattleEnd = (result, objective) => {
+            // 온라인 모드에서는 이 기기 플레이어 기준으로 승패 판정
+            const isVictory = networkManager.isEnabled()
+                ? networkManager.isLocalVictory(result)
+                : result === 'player_won';
+            const reason = objective ? objectiveSystem.describe(objective) : '';
+            // 핫시트 모드에서는 승리/패배 대신 이긴 플레이어를 알림
+            const winner = hotseatManager.isEnabled() ? hotseatManager.getWinner(result) : undefined;
+            const winnerLabel = winner ? `플레이어 ${hotseatManager.getPlayerNumber(winner)}` : null;
+            let message = isVictory ? '플레이어 승리!' : '플레이어 패배!';
+            if (winner !== undefined) {
+                message = winnerLabel ? `${winnerLabel} 승리!` : '무승부!';
+            }
+            unifiedControlPanel.addLog(reason ? `${message} (${reason})` : message, 'system');
+            passDeviceCurtain.hide();
             
-            // 승리/패배 메시지 표시
+            // 승리/패배 메시지 표시 (전투를 끝낸 목표 포함)
             setTimeout(() => {
-                if (isVictory) {
-                    victoryMessage.showVictory();
+                if (winner !== undefined) {
+                    victoryMessage.showWinner(winnerLabel, winner ? factionSystem.getColorStyle(winner) : null, reason);
+                } else if (isVictory) {
+                    victoryMessage.showVictory(reason);
                 } else {
-                    victoryMessage.showDefeat();
+                    victoryMessage.showDefeat(reason);
                 }
             }, 1000); // 1초 후 표시
             
@@ -265,28 +413,99 @@ class Game {
         
         movementSystem.onMoveComplete = battleManager.callbacks.onMoveComplete;
 
-        // 입력 핸들러에 턴 종료 함수 연결
+        // 저장 데이터를 불러오면 입력과 결과 화면을 불러온 상태에 맞춤
+        eventBus.on(GameEvents.GAME_LOADED, () => {
+            movementSystem.clearAllHighlights();
+            if (victoryMessage.visible) {
+                victoryMessage.hide();
+            }
+            inputHandler.setEnabled(!replayManager.isViewing && gameState.isPlaying() && gameState.isPlayerTurn());
+        });
+
+        // 리플레이 탐색이 끝나면 결과 화면과 입력을 이동한 위치에 맞춤
+        eventBus.on('replay:navigated', () => {
+            movementSystem.clearAllHighlights();
+            if (gameState.isPlaying() && victoryMessage.visible) {
+                victoryMessage.hide();
+            }
+            inputHandler.setEnabled(
+                !replayManager.isViewing && !commandHistory.isReplayMode && gameState.isPlaying() && gameState.isPlayerTurn()
+            );
+        });
+
+        // 입력 핸들러에 턴 종료 함수 연결 (모든 캐릭터가 행동을 마치면 배틀 매니저도 호출)
         inputHandler.endPlayerTurn = () => {
-            unifiedControlPanel.addLog('플레이어 턴 종료', 'turn');
+            const active = gameState.getActiveCharacter();
+            unifiedControlPanel.addLog(active ? `${active.name} 행동 종료` : '플레이어 턴 종료', 'turn');
 
             // 턴 전환
-            gameState.endTurn();
+            battleManager.endTurn();
 
             // 적 턴 시작
-            if (gameState.currentTurn === TURN_TYPE.ENEMY) {
-                unifiedControlPanel.addLog('적 턴 시작', 'turn');
-                inputHandler.setEnabled(false);
+            this.runEnemyTurns();
+        };
+        battleManager.callbacks.onPlayerTurnComplete = () => inputHandler.endPlayerTurn();
+    }
+
+    /**
+     * AI가 조작하는 진영의 차례인 동안 AI 실행
+     *
+     * 진영 모드에서는 AI 진영마다 그 진영의 캐릭터가 한꺼번에 행동하고, 우선권 모드에서는
+     * 플레이어 캐릭터의 차례가 올 때까지 AI 캐릭터 하나씩 행동하고 턴을 넘깁니다.
+     */
+    runEnemyTurns() {
+        const active = gameState.getActiveCharacter();
+        const factionName = networkManager.isEnabled()
+            ? networkManager.getTurnLabel(gameState.currentTurn)
+            : hotseatManager.getTurnLabel(gameState.currentTurn);
+
+        // 온라인 모드에서 상대 차례면 상대 커맨드가 올 때까지 대기
+        if (gameState.isPlaying() && factionSystem.isRemoteControlled(gameState.currentTurn)) {
+            inputHandler.setEnabled(false);
+            unifiedControlPanel.addLog(
+                active ? `${active.name}의 차례 - 상대를 기다리는 중...` : `${factionName} 턴 - 상대를 기다리는 중...`,
+                'turn'
+            );
+            return;
+        }
+
+        if (!gameState.isPlaying() || gameState.isPlayerTurn()) {
+            // 핫시트 모드에서 기기 넘기기 화면이 떠 있으면 닫을 때 입력을 받음
+            inputHandler.setEnabled(gameState.isPlaying() && !passDeviceCurtain.visible);
+            if (!gameState.isPlaying()) return;
 
+            unifiedControlPanel.addLog(
+                active ? `${active.name}의 차례 (라운드 ${gameState.turnCount})` : `${factionName} 턴 ${gameState.turnCount} 시작`,
+                'turn'
+            );
+
+            // 기절 등으로 차례가 온 캐릭터가 아무것도 할 수 없으면 바로 넘김
+            if (active && gameState.checkAllPlayersActed()) {
                 setTimeout(() => {
-                    aiSystem.executeEnemyTurn(() => {
-                        // 적 턴 종료
-                        gameState.endTurn();
-                        unifiedControlPanel.addLog(`플레이어 턴 ${Math.floor(gameState.turnCount)} 시작`, 'turn');
-                        inputHandler.setEnabled(true);
-                    });
+                    if (gameState.getActiveCharacter() === active) {
+                        inputHandler.endPlayerTurn();
+                    }
                 }, 500);
             }
-        };
+            return;
+        }
+
+        unifiedControlPanel.addLog(active ? `${active.name}의 차례` : `${factionName} 턴 시작`, 'turn');
+        inputHandler.setEnabled(false);
+
+        setTimeout(() => {
+            const onEnemyTurnEnd = () => {
+                // AI 진영 턴 종료 (다음 진영도 AI면 이어서 실행)
+                battleManager.endTurn();
+                this.runEnemyTurns();
+            };
+
+            if (active) {
+                aiSystem.executeUnitTurn(active, onEnemyTurnEnd);
+            } else {
+                aiSystem.executeEnemyTurn(onEnemyTurnEnd);
+            }
+        }, 500);
     }
 
     /**
@@ -310,7 +529,8 @@ class Game {
                 character.update(delta);
             });
 
-            // 카메라 업데이트
+            // 카메라 업데이트 (연출이 목표값을 먼저 정함)
+            cameraDirector.update(delta);
             cameraControls.updateCameraPosition();
             
             // 2D 체력바 위치 업데이트
@@ -372,10 +592,7 @@ class Game {
      */
     cleanup() {
         // 모든 캐릭터 제거
-        gameState.allCharacters.forEach(character => {
-            sceneSetup.scene.remove(character.group);
-            character.dispose();
-        });
+        gameState.allCharacters.forEach(character => character.dispose());
 
         // 그리드 정리
         gridSystem.dispose();
@@ -412,6 +629,8 @@ class Game {
         replayIndicator.destroy();
         unifiedControlPanel.destroy();
         victoryMessage.destroy();
+        skillBar.destroy();
+        turnOrderBar.destroy();
         
         // 커맨드 히스토리 초기화
         commandHistory.clear();
@@ -0,0 +1,302 @@
+/**
+ * 밸런스 시뮬레이터
+ *
+ * 같은 맵과 편성으로 시드만 바꿔 AI끼리 전투를 여러 번 진행하고 통계를 모읍니다.
+ * 승률, 평균 턴 수, 클래스별 데미지와 생존율, 치명타/회피/반격 빈도를 집계해
+ * 클래스 능력치(public/data/classes.json)나 DAMAGE_VARIANCE 같은 전투 수치를 바꿨을 때의 영향을 숫자로 비교할 수 있게 합니다.
+ *
+ * 전투 진행은 simulationManager를 사용하고, 통계는 전투 이벤트(eventBus)를 받아 기록합니다.
+ *
+ * @module balanceSimulator
+ */
+
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { gameState } from '../core/gameState.js';
+import { GAME_STATE } from '../core/constants.js';
+import { SkillEffect } from '../systems/skillSystem.js';
+import { aiSystem } from '../systems/aiSystem.js';
+import { simulationManager } from './simulationManager.js';
+
+/**
+ * 전투 결과 키 (최대 턴을 넘긴 전투)
+ * @type {string}
+ */
+const UNDECIDED = 'undecided';
+
+/**
+ * 비율 계산 (분모가 0이면 0)
+ *
+ * @param {number} count - 분자
+ * @param {number} total - 분모
+ * @returns {number} 0~1 비율
+ */
+function ratio(count, total) {
+    return total > 0 ? count / total : 0;
+}
+
+/**
+ * 맵의 시작 위치에 편성 적용
+ *
+ * 편성은 진영별 클래스 ID 목록이며, 시작 위치 순서대로 배정합니다
+ * (시작 위치가 더 많으면 목록을 처음부터 반복). 편성에 없는 진영은 맵 설정을 그대로 씁니다.
+ *
+ * @param {Object} mapData - 맵 데이터
+ * @param {Object<string, string[]>} [roster] - 진영 ID → 클래스 ID 목록
+ * @returns {Object} 편성을 적용한 맵 데이터 (원본은 바꾸지 않음)
+ */
+export function applyRoster(mapData, roster = {}) {
+    const spawns = { ...mapData.spawns };
+    Object.entries(roster).forEach(([side, classIds]) => {
+        if (!spawns[side]) {
+            console.warn(`편성 무시: 맵에 ${side} 진영 시작 위치가 없음`);
+            return;
+        }
+        if (classIds.length === 0) return;
+        spawns[side] = spawns[side].map((spawn, index) => ({
+            ...spawn,
+            class: classIds[index % classIds.length]
+        }));
+    });
+    return { ...mapData, spawns };
+}
+
+/**
+ * 밸런스 시뮬레이터 클래스
+ *
+ * @class BalanceSimulator
+ */
+class BalanceSimulator {
+    constructor() {
+        /**
+         * 진행 중인 전투의 캐릭터별 기록 (캐릭터 ID → 기록)
+         * @type {Map<number, Object>}
+         */
+        this.units = new Map();
+
+        /**
+         * 이벤트 핸들러 (구독 해제용)
+         * @type {Object<string, Function>}
+         */
+        this.handlers = {
+            [GameEvents.CHARACTER_ATTACKED]: ({ attacker, target, damage, isCritical, isEvaded, isCounter, counterable }) => {
+                this.recordHit(attacker, target, damage, isCritical, isEvaded);
+                if (counterable) this.getUnit(target).counterChances++;
+                if (isCounter) this.getUnit(attacker).counters++;
+            },
+            [GameEvents.SKILL_USED]: ({ caster, skill, results }) => {
+                results.forEach(({ target, amount, isCritical, isEvaded }) => {
+                    if (skill.effect.type === SkillEffect.DAMAGE) {
+                        this.recordHit(caster, target, amount, isCritical, isEvaded);
+                    } else if (skill.effect.type === SkillEffect.HEAL) {
+                        this.getUnit(caster).healingDone += amount;
+                    }
+                });
+            }
+        };
+    }
+
+    /**
+     * 여러 시드로 전투를 진행하고 보고서 생성
+     *
+     * 정의를 먼저 등록해야 합니다 (simulationManager.setDefinitions).
+     *
+     * @param {Object} mapData - 맵 데이터 (id가 있으면 보고서에 기록)
+     * @param {Object} [options] - 옵션
+     * @param {Array<string|number>} [options.seeds=[1]] - 전투마다 사용할 시드
+     * @param {Object<string, string[]>} [options.roster] - 진영별 클래스 편성 ({@link applyRoster})
+     * @param {string} [options.turnMode] - TURN_MODE 값
+     * @param {number} [options.maxTurns] - 전투 한 번의 최대 턴 수
+     * @param {boolean} [options.quiet=false] - 전투 중 진행 로그 생략 (simulationManager.runBattle)
+     * @param {Function} [options.onProgress] - 전투 하나가 끝날 때마다 (완료 수, 전체 수) 호출
+     * @returns {Promise<Object>} 보고서 ({@link BalanceSimulator#buildReport})
+     */
+    async runBatch(mapData, { seeds = [1], roster, turnMode, maxTurns, quiet = false, onProgress } = {}) {
+        const battleMap = applyRoster(mapData, roster);
+        const battles = [];
+
+        Object.entries(this.handlers).forEach(([event, handler]) => eventBus.on(event, handler));
+        try {
+            for (const seed of seeds) {
+                simulationManager.setupBattle(battleMap, { seed, turnMode });
+                this.beginBattle();
+
+                const outcome = await simulationManager.runBattle({ maxTurns, quiet });
+                battles.push({ ...outcome, units: this.endBattle() });
+
+                onProgress?.(battles.length, seeds.length);
+            }
+        } finally {
+            Object.entries(this.handlers).forEach(([event, handler]) => eventBus.off(event, handler));
+        }
+
+        return this.buildReport(battles, {
+            map: mapData.id ?? null,
+            roster: roster ?? null,
+            turnMode: gameState.turnMode,
+            maxTurns: maxTurns ?? null,
+            difficulty: aiSystem.difficultyLevel
+        });
+    }
+
+    /**
+     * 전투 기록 시작 (배치된 캐릭터 등록)
+     */
+    beginBattle() {
+        this.units.clear();
+        gameState.characterRegistry.forEach(character => this.getUnit(character));
+    }
+
+    /**
+     * 전투 기록 종료
+     *
+     * @returns {Array<Object>} 캐릭터별 기록 (생존 여부 포함)
+     */
+    endBattle() {
+        return [...this.units.values()].map(unit => ({
+            ...unit,
+            survived: !gameState.characterRegistry.get(unit.id)?.isDead
+        }));
+    }
+
+    /**
+     * 캐릭터 기록 가져오기 (없으면 생성)
+     *
+     * @param {Character} character - 캐릭터
+     * @returns {Object} 기록
+     */
+    getUnit(character) {
+        if (!this.units.has(character.id)) {
+            this.units.set(character.id, {
+                id: character.id,
+                faction: character.type,
+                classId: character.classId,
+                attacks: 0,
+                hits: 0,
+                crits: 0,
+                attacksReceived: 0,
+                evasions: 0,
+                counterChances: 0,
+                counters: 0,
+                damageDealt: 0,
+                damageTaken: 0,
+                healingDone: 0,
+                kills: 0
+            });
+        }
+        return this.units.get(character.id);
+    }
+
+    /**
+     * 공격 한 번 기록 (일반 공격, 반격, 데미지 스킬의 대상 하나)
+     *
+     * 회피한 공격은 시도(attacks)와 대상의 회피(evasions)로만 기록합니다.
+     *
+     * @param {Character} attacker - 공격자
+     * @param {Character} target - 대상
+     * @param {number} damage - 데미지
+     * @param {boolean} isCritical - 치명타 여부
+     * @param {boolean} [isEvaded=false] - 회피 여부
+     */
+    recordHit(attacker, target, damage, isCritical, isEvaded = false) {
+        const source = this.getUnit(attacker);
+        const victim = this.getUnit(target);
+        source.attacks++;
+        victim.attacksReceived++;
+        if (isEvaded) {
+            victim.evasions++;
+            return;
+        }
+
+        source.hits++;
+        source.damageDealt += damage;
+        if (isCritical) source.crits++;
+        if (target.health <= 0) source.kills++;
+
+        victim.damageTaken += damage;
+    }
+
+    /**
+     * 전투 기록을 모아 보고서 생성
+     *
+     * @param {Array<Object>} battles - 전투별 결과 (runBattle 결과 + units)
+     * @param {Object} settings - 보고서에 남길 실행 설정
+     * @returns {Object} 보고서
+     *     {settings, battles, results, playerWinRate, averageTurns, crits, evasion, counters, classes, factions, runs}
+     */
+    buildReport(battles, settings) {
+        const results = {
+            [GAME_STATE.PLAYER_WON]: 0,
+            [GAME_STATE.PLAYER_LOST]: 0,
+            [UNDECIDED]: 0
+        };
+        battles.forEach(battle => {
+            results[battle.result ?? UNDECIDED]++;
+        });
+
+        const units = battles.flatMap(battle => battle.units);
+        const total = field => units.reduce((sum, unit) => sum + unit[field], 0);
+        const hits = total('hits');
+        const crits = total('crits');
+        const attacks = total('attacks');
+        const evasions = total('evasions');
+        const counterChances = total('counterChances');
+        const counters = total('counters');
+
+        return {
+            settings,
+            battles: battles.length,
+            results,
+            playerWinRate: ratio(results[GAME_STATE.PLAYER_WON], battles.length),
+            averageTurns: ratio(battles.reduce((sum, battle) => sum + battle.turns, 0), battles.length),
+            crits: { hits, count: crits, rate: ratio(crits, hits) },
+            evasion: { attacks, count: evasions, rate: ratio(evasions, attacks) },
+            counters: { chances: counterChances, count: counters, rate: ratio(counters, counterChances) },
+            classes: this.summarize(units, unit => unit.classId ?? 'none', battles.length),
+            factions: this.summarize(units, unit => unit.faction, battles.length),
+            runs: battles.map(({ seed, result, reason, turns, aliveFactions }) => ({
+                seed, result: result ?? UNDECIDED, reason, turns, aliveFactions
+            }))
+        };
+    }
+
+    /**
+     * 캐릭터 기록을 그룹별로 집계
+     *
+     * @param {Array<Object>} units - 모든 전투의 캐릭터 기록
+     * @param {Function} keyOf - 기록 → 그룹 키
+     * @param {number} battleCount - 전투 수
+     * @returns {Object<string, Object>} 그룹 키 → 집계
+     */
+    summarize(units, keyOf, battleCount) {
+        const groups = {};
+        units.forEach(unit => {
+            const key = keyOf(unit);
+            const group = groups[key] ??= {
+                units: 0, survived: 0, attacks: 0, hits: 0, crits: 0,
+                attacksReceived: 0, evasions: 0, counterChances: 0, counters: 0,
+                damageDealt: 0, damageTaken: 0, healingDone: 0, kills: 0
+            };
+            group.units++;
+            if (unit.survived) group.survived++;
+            [
+                'attacks', 'hits', 'crits', 'attacksReceived', 'evasions', 'counterChances', 'counters',
+                'damageDealt', 'damageTaken', 'healingDone', 'kills'
+            ].forEach(field => {
+                group[field] += unit[field];
+            });
+        });
+
+        Object.values(groups).forEach(group => {
+            group.survivalRate = ratio(group.survived, group.units);
+            group.critRate = ratio(group.crits, group.hits);
+            group.evasionRate = ratio(group.evasions, group.attacksReceived);
+            group.counterRate = ratio(group.counters, group.counterChances);
+            group.damagePerUnit = ratio(group.damageDealt, group.units);
+            group.damagePerBattle = ratio(group.damageDealt, battleCount);
+        });
+        return groups;
+    }
+}
+
+// 싱글톤 인스턴스
+export const balanceSimulator = new BalanceSimulator();
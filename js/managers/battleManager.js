@@ -8,14 +8,20 @@
  */
 
 import { actionQueue, ActionType } from '../systems/actionQueue.js';
-import { animationController } from '../systems/animationController.js';
 import { gameState } from '../core/gameState.js';
-import { healthBarUI } from '../ui/healthBarUI.js';
-import { inputHandler } from '../controls/inputHandler.js';
+import { rng } from '../core/rng.js';
 import { eventBus, GameEvents } from '../core/eventBus.js';
 import { commandHistory } from './commandHistory.js';
 import { MoveCommand } from '../commands/MoveCommand.js';
 import { AttackCommand } from '../commands/AttackCommand.js';
+import { EndTurnCommand } from '../commands/EndTurnCommand.js';
+import { UseSkillCommand } from '../commands/UseSkillCommand.js';
+import { gridSystem } from '../systems/gridSystem.js';
+import { skillSystem, SkillEffect } from '../systems/skillSystem.js';
+import { statusEffectSystem } from '../systems/statusEffectSystem.js';
+import { factionSystem } from '../systems/factionSystem.js';
+import { objectiveSystem } from '../systems/objectiveSystem.js';
+import { ELEVATION, CRIT_MULTIPLIER, DAMAGE_VARIANCE, COUNTER_CHANCE, COUNTER_POWER } from '../core/constants.js';
 
 /**
  * 배틀 매니저 클래스
@@ -36,14 +42,35 @@ class BattleManager {
          */
         this.inBattle = false;
         
+        /**
+         * 히스토리 복원 중 여부 (복원과 리플레이 탐색 중에는 자동 턴 종료와 종료 판정을 하지 않음)
+         * @type {boolean}
+         */
+        this.isRestoring = false;
+        
+        /**
+         * 액션을 재생하는 애니메이션 컨트롤러 (헤드리스 실행에서는 null)
+         * @type {Object|null}
+         */
+        this.animator = null;
+        
+        /**
+         * 진행 로그(사망, 종료 판정) 출력 여부 (밸런스 시뮬레이션처럼 여러 판을 돌릴 때 끔)
+         * @type {boolean}
+         */
+        this.verbose = true;
+        
         /**
          * 콜백 함수들
          * @type {Object}
          */
         this.callbacks = {
+            onPlayerTurnComplete: null,
             onMoveComplete: null,
             onAttackComplete: null,
             onDamageDealt: null,
+            onSkillUsed: null,
+            onStatusEffectTick: null,
             onCharacterDeath: null,
             onBattleEnd: null
         };
@@ -51,26 +78,39 @@ class BattleManager {
     
     /**
      * 초기화
+     * 
+     * 애니메이션 컨트롤러를 주면 큐에 들어간 액션을 그 컨트롤러로 재생하고,
+     * 주지 않으면 애니메이션 없이 결과 콜백만 즉시 처리합니다 (헤드리스 시뮬레이션).
+     * 
+     * @param {Object} [animator=null] - 애니메이션 컨트롤러 (animationController)
      */
-    init() {
+    init(animator = null) {
         if (this.initialized) return;
         
         // 액션 핸들러 등록
-        actionQueue.registerHandler(ActionType.MOVE, (data, options) => {
-            return animationController.createMoveAnimation(data, options);
-        });
-        
-        actionQueue.registerHandler(ActionType.ATTACK, (data, options) => 
-            animationController.createAttackAnimation(data, options)
-        );
-        
-        actionQueue.registerHandler(ActionType.DAMAGE, (data, options) => 
-            animationController.createDamageAnimation(data, options)
-        );
-        
-        actionQueue.registerHandler(ActionType.DEATH, (data, options) => 
-            animationController.createDeathAnimation(data, options)
-        );
+        if (animator) {
+            this.animator = animator;
+            
+            actionQueue.registerHandler(ActionType.MOVE, (data, options) => 
+                animator.createMoveAnimation(data, options)
+            );
+            
+            actionQueue.registerHandler(ActionType.ATTACK, (data, options) => 
+                animator.createAttackAnimation(data, options)
+            );
+            
+            actionQueue.registerHandler(ActionType.SKILL, (data, options) => 
+                animator.createSkillAnimation(data, options)
+            );
+            
+            actionQueue.registerHandler(ActionType.DAMAGE, (data, options) => 
+                animator.createDamageAnimation(data, options)
+            );
+            
+            actionQueue.registerHandler(ActionType.DEATH, (data, options) => 
+                animator.createDeathAnimation(data, options)
+            );
+        }
         
         // 큐 완료 콜백
         actionQueue.onQueueEmpty = () => {
@@ -91,6 +131,17 @@ class BattleManager {
         eventBus.on(GameEvents.CHECK_TURN_END, () => {
             this.checkTurnEnd();
         });
+        
+        // 상태 효과 피해/회복 (턴 전환 중 즉시 처리)
+        eventBus.on(GameEvents.STATUS_EFFECT_TICK, ({ character, effect, damage, heal }) => {
+            if (this.callbacks.onStatusEffectTick) {
+                this.callbacks.onStatusEffectTick(character, effect, damage, heal);
+            }
+            
+            if (character.health <= 0 && !character.isDead) {
+                this.handleCharacterDeath(character);
+            }
+        });
     }
     
     /**
@@ -128,21 +179,107 @@ class BattleManager {
             return 0;
         }
         
+        // 같은 진영이나 동맹 진영은 공격할 수 없음
+        if (!factionSystem.canAttack(attacker, target)) {
+            return 0;
+        }
+        
+        // 사거리 밖이거나 시야가 막힌 대상은 공격할 수 없음
+        if (!gridSystem.isInAttackRange(attacker, target.currentTile)) {
+            return 0;
+        }
+        
         // 커맨드 생성 및 실행
         const command = new AttackCommand({
             attacker: attacker,
             target: target
         });
         
-        commandHistory.execute(command).then(success => {
-            if (success && command.data.damage > 0) {
-                return command.data.damage;
-            }
-            return 0;
+        commandHistory.execute(command);
+        
+        // 커맨드의 execute는 첫 await 전에 데미지를 기록하므로 동기적으로 읽을 수 있음
+        // (여기서 데미지를 다시 계산하면 기록되지 않은 난수를 소모함)
+        return command.data.damage || 0;
+    }
+    
+    /**
+     * 스킬 사용
+     * 
+     * @param {Character} caster - 시전자
+     * @param {string} skillId - 스킬 ID
+     * @param {HexTile} targetTile - 대상 타일
+     * @returns {Array<{targetId: number, amount: number}>|null} 대상별 결과 (null이면 실패)
+     */
+    useSkill(caster, skillId, targetTile) {
+        const skill = skillSystem.getSkill(skillId);
+        if (!skillSystem.canUse(caster, skill) || !skillSystem.isValidTarget(caster, skill, targetTile)) {
+            return null;
+        }
+        
+        // 커맨드 생성 및 실행
+        const command = new UseSkillCommand({
+            caster: caster,
+            skillId: skillId,
+            targetTile: targetTile
         });
         
-        // 동기적 반환을 위해 데미지 계산만 미리 수행
-        return this.calculateDamage(attacker, target);
+        commandHistory.execute(command);
+        
+        // performAttack과 마찬가지로 결과는 첫 await 전에 기록됨
+        return command.data.results || null;
+    }
+    
+    /**
+     * 턴 종료
+     * 
+     * 턴 전환도 커맨드로 기록하여 히스토리 복원 시 행동 상태가 함께 재현되도록 합니다.
+     * 턴 수로 정해지는 목표(버티기, 턴 제한)가 있으므로 턴을 넘긴 직후 종료 조건을 확인합니다.
+     * 
+     * @returns {Promise<boolean>} 실행 성공 여부
+     */
+    endTurn() {
+        const command = new EndTurnCommand({
+            previousTurn: gameState.currentTurn,
+            turnCount: gameState.turnCount
+        });
+        
+        // 커맨드의 턴 전환은 첫 await 전에 동기적으로 반영됨
+        const result = commandHistory.execute(command);
+        this.checkGameEnd();
+        
+        return result;
+    }
+    
+    /**
+     * 저장된 히스토리로 전투 복원
+     * 
+     * 초기 배치 상태의 보드에서 호출해야 합니다.
+     * 커맨드를 스킵 모드로 다시 실행하고, 각 커맨드의 애니메이션 콜백(사망 처리 등)이
+     * 끝난 뒤 다음 커맨드를 실행합니다.
+     * 
+     * @param {Object} data - commandHistory.save()로 만든 데이터
+     * @returns {Promise<void>}
+     * @throws {Error} 히스토리 복원에 실패한 경우 ({@link CommandHistory#load} 참고)
+     */
+    async loadHistory(data) {
+        const resolver = {
+            getCharacter: (id) => gameState.getCharacterById(id),
+            getTile: (q, r) => gridSystem.getTile(q, r)
+        };
+        
+        const previousSkipMode = this.animator?.skipMode;
+        this.isRestoring = true;
+        this.animator?.setSkipMode(true);
+        gameState.clearSelection();
+        
+        try {
+            await commandHistory.load(data, resolver, {
+                afterEach: () => actionQueue.waitUntilIdle()
+            });
+        } finally {
+            this.animator?.setSkipMode(previousSkipMode);
+            this.isRestoring = false;
+        }
     }
     
     /**
@@ -151,7 +288,7 @@ class BattleManager {
      * @param {Character} character - 사망한 캐릭터
      */
     handleCharacterDeath(character) {
-        console.log(`${character.name} 사망 처리 시작`);
+        this.log(`${character.name} 사망 처리 시작`);
         
         // 즉시 처리
         character.isDead = true;
@@ -164,15 +301,22 @@ class BattleManager {
         // 게임 상태에서 제거
         gameState.removeDeadCharacter(character);
         
+        eventBus.emit(GameEvents.CHARACTER_DIED, { character });
+        
         // 애니메이션 큐에 추가
         actionQueue.enqueueDeath(character, {
             onComplete: () => {
-                console.log(`${character.name} 사망 애니메이션 완료`);
+                this.log(`${character.name} 사망 애니메이션 완료`);
                 
                 if (this.callbacks.onCharacterDeath) {
                     this.callbacks.onCharacterDeath(character);
                 }
                 
+                // 진영의 마지막 캐릭터였으면 진영 전멸
+                if (gameState.getFactionCharacters(character.type).length === 0) {
+                    eventBus.emit(GameEvents.FACTION_DEFEATED, { faction: character.type });
+                }
+                
                 // 게임 종료 체크
                 this.checkGameEnd();
             }
@@ -184,44 +328,185 @@ class BattleManager {
      * 
      * @param {Character} attacker - 공격자
      * @param {Character} target - 대상
+     * @param {number} [power=1] - 공격력 배율 (스킬용)
      * @returns {number} 계산된 데미지
      */
-    calculateDamage(attacker, target) {
-        let damage = attacker.attackPower;
+    calculateDamage(attacker, target, power = 1) {
+        return this.rollDamage(attacker, target, power).damage;
+    }
+    
+    /**
+     * 데미지 굴림
+     * 
+     * calculateDamage와 같은 계산이며, 치명타/회피 여부도 함께 반환합니다 (전투 통계용).
+     * 대상이 회피하면 데미지는 0입니다.
+     * 
+     * @param {Character} attacker - 공격자
+     * @param {Character} target - 대상
+     * @param {number} [power=1] - 공격력 배율 (스킬용)
+     * @returns {{damage: number, isCritical: boolean, isEvaded: boolean}} 데미지와 치명타/회피 여부
+     */
+    rollDamage(attacker, target, power = 1) {
+        // 회피 (대상의 회피 확률 + 서 있는 지형의 회피 보정)
+        if (rng.chance(this.getEvasionChance(target))) {
+            return { damage: 0, isCritical: false, isEvaded: true };
+        }
         
-        // 랜덤 변동 (-2 ~ +2)
-        const variance = Math.floor(Math.random() * 5) - 2;
+        let damage = attacker.attackPower * power;
+        
+        // 랜덤 변동 (±DAMAGE_VARIANCE)
+        const variance = rng.int(-DAMAGE_VARIANCE, DAMAGE_VARIANCE);
         damage += variance;
         
-        // 치명타 (10% 확률)
-        if (Math.random() < 0.1) {
-            damage *= 2;
+        // 치명타 (공격자의 치명타 확률)
+        const isCritical = rng.chance(attacker.critChance);
+        if (isCritical) {
+            damage *= CRIT_MULTIPLIER;
+        }
+        
+        // 대상이 서 있는 지형의 방어 보정
+        if (target.currentTile) {
+            damage *= 1 - target.currentTile.getTerrain().defense;
+        }
+        
+        // 높은 곳에서 공격하면 보너스
+        const heightAdvantage = gridSystem.getHeightAdvantage(attacker.currentTile, target.currentTile);
+        damage *= 1 + heightAdvantage * ELEVATION.HIGH_GROUND_BONUS;
+        
+        // 대상의 방어력
+        damage -= target.defense;
+        
+        // 대상의 상태 효과 (보호막 등)
+        damage *= target.getDamageTakenMultiplier();
+        
+        return { damage: Math.max(1, Math.floor(damage)), isCritical, isEvaded: false };
+    }
+    
+    /**
+     * 반격할 수 있는지 확인
+     * 
+     * 공격받고 살아남은 대상이 공격자와 인접해 있고, 근접 공격을 할 수 있으며 기절하지 않았으면 반격할 수 있습니다.
+     * 반격은 대상의 행동을 쓰지 않습니다.
+     * AI가 위치를 옮겼다고 가정하고 평가할 수 있도록 두 캐릭터의 타일을 따로 받습니다.
+     * 
+     * @param {Character} defender - 공격받은 대상
+     * @param {Character} attacker - 공격자
+     * @param {HexTile} [defenderTile] - 대상 위치 (생략하면 현재 위치)
+     * @param {HexTile} [attackerTile] - 공격자 위치 (생략하면 현재 위치)
+     * @returns {boolean}
+     */
+    canCounter(defender, attacker, defenderTile = defender.currentTile, attackerTile = attacker.currentTile) {
+        if (defender.health <= 0 || attacker.health <= 0) return false;
+        if (!defenderTile || !attackerTile) return false;
+        if (defender.minAttackRange > 1 || defenderTile.distanceTo(attackerTile) > 1) return false;
+        if (statusEffectSystem.getEffect(defender, 'stun')) return false;
+        return factionSystem.canAttack(defender, attacker);
+    }
+    
+    /**
+     * 반격 굴림 (COUNTER_CHANCE 확률, 공격력 × COUNTER_POWER로 rollDamage와 같은 판정)
+     * 
+     * @param {Character} defender - 공격받은 대상
+     * @param {Character} attacker - 공격자
+     * @returns {{damage: number, isCritical: boolean, isEvaded: boolean}|null} 반격하지 않으면 null
+     */
+    rollCounter(defender, attacker) {
+        if (!this.canCounter(defender, attacker) || !rng.chance(COUNTER_CHANCE)) return null;
+        return this.rollDamage(defender, attacker, COUNTER_POWER);
+    }
+    
+    /**
+     * 기대 반격 데미지 (난수 없이)
+     * 
+     * 대상이 공격을 받고 살아남는다고 보고, 반격할 수 있으면 COUNTER_CHANCE × (공격력 × COUNTER_POWER의 기대 데미지)입니다.
+     * 대상을 쓰러뜨리는 공격이면 호출하는 쪽에서 0으로 봅니다.
+     * 
+     * @param {Character} attacker - 공격자
+     * @param {Character} target - 대상 (반격하는 쪽)
+     * @param {HexTile} [fromTile] - 공격자 위치 (생략하면 현재 위치)
+     * @param {HexTile} [targetTile] - 대상 위치 (생략하면 현재 위치)
+     * @returns {number} 공격자가 받을 기대 데미지
+     */
+    estimateCounterDamage(attacker, target, fromTile = attacker.currentTile, targetTile = target.currentTile) {
+        if (!this.canCounter(target, attacker, targetTile, fromTile)) return 0;
+        return COUNTER_CHANCE * this.estimateDamage(target, attacker, targetTile, fromTile, COUNTER_POWER);
+    }
+    
+    /**
+     * 회피 확률
+     * 
+     * @param {Character} target - 대상
+     * @param {HexTile} [targetTile] - 대상 위치 (생략하면 현재 위치)
+     * @returns {number} 0 ~ 1
+     */
+    getEvasionChance(target, targetTile = target.currentTile) {
+        const terrainEvasion = targetTile ? targetTile.getTerrain().evasion : 0;
+        return Math.min(1, Math.max(0, target.evasion + terrainEvasion));
+    }
+    
+    /**
+     * 기대 데미지 (난수 없이)
+     * 
+     * rollDamage와 같은 계산을 변동(±DAMAGE_VARIANCE)마다 해서 평균 내고, 치명타와 회피는 확률만큼 반영해 구합니다.
+     * 변동의 평균은 0이지만 최소 데미지(1)에 걸리는 값이 있으면 평균이 달라집니다.
+     * AI가 위치를 옮겼다고 가정하고 평가할 수 있도록 공격자와 대상의 타일을 따로 받습니다.
+     * 
+     * @param {Character} attacker - 공격자
+     * @param {Character} target - 대상
+     * @param {HexTile} [fromTile] - 공격자 위치 (생략하면 현재 위치)
+     * @param {HexTile} [targetTile] - 대상 위치 (생략하면 현재 위치)
+     * @param {number} [power=1] - 공격력 배율 (스킬용)
+     * @returns {number} 기대 데미지
+     */
+    estimateDamage(attacker, target, fromTile = attacker.currentTile, targetTile = target.currentTile, power = 1) {
+        // 변동 뒤에 곱해지는 배율 (치명타 기대값, 지형 방어, 고지대 보너스)
+        let multiplier = 1 + attacker.critChance * (CRIT_MULTIPLIER - 1);
+        if (targetTile) {
+            multiplier *= 1 - targetTile.getTerrain().defense;
+        }
+        multiplier *= 1 + gridSystem.getHeightAdvantage(fromTile, targetTile) * ELEVATION.HIGH_GROUND_BONUS;
+        const damageTaken = target.getDamageTakenMultiplier();
+        
+        let total = 0;
+        for (let variance = -DAMAGE_VARIANCE; variance <= DAMAGE_VARIANCE; variance++) {
+            total += Math.max(1, ((attacker.attackPower * power + variance) * multiplier - target.defense) * damageTaken);
         }
+        const damage = total / (DAMAGE_VARIANCE * 2 + 1);
         
-        return Math.max(1, Math.floor(damage));
+        return damage * (1 - this.getEvasionChance(target, targetTile));
+    }
+    
+    /**
+     * 진행 로그 출력 (verbose가 꺼져 있으면 생략)
+     * 
+     * @param {string} message - 메시지
+     */
+    log(message) {
+        if (this.verbose) {
+            console.log(message);
+        }
     }
     
     /**
      * 게임 종료 체크
+     * 
+     * 승리/패배 조건은 맵의 objectives에 따라 objectiveSystem이 판정
      */
     checkGameEnd() {
-        const alivePlayerCount = gameState.getAlivePlayerCount();
-        const aliveEnemyCount = gameState.getAliveEnemyCount();
+        // 이미 끝난 전투는 다시 판정하지 않음 (여러 대상이 함께 쓰러진 경우 등)
+        if (!gameState.isPlaying() || this.isRestoring) return;
         
-        console.log(`게임 종료 체크: 플레이어 ${alivePlayerCount}명, 적 ${aliveEnemyCount}명`);
+        const outcome = objectiveSystem.evaluate();
         
-        if (alivePlayerCount === 0) {
-            console.log('플레이어 패배!');
-            gameState.setGameState('player_lost');
-            if (this.callbacks.onBattleEnd) {
-                this.callbacks.onBattleEnd('player_lost');
-            }
-        } else if (aliveEnemyCount === 0) {
-            console.log('플레이어 승리!');
-            gameState.setGameState('player_won');
-            if (this.callbacks.onBattleEnd) {
-                this.callbacks.onBattleEnd('player_won');
-            }
+        this.log(`게임 종료 체크: 남은 진영 ${gameState.getAliveFactions().join(', ')}`);
+        
+        if (!outcome) return;
+        
+        const reason = objectiveSystem.describe(outcome.objective);
+        this.log(outcome.result === 'player_won' ? `플레이어 승리! (${reason})` : `플레이어 패배! (${reason})`);
+        gameState.setGameState(outcome.result);
+        if (this.callbacks.onBattleEnd) {
+            this.callbacks.onBattleEnd(outcome.result, outcome.objective);
         }
     }
     
@@ -229,14 +514,17 @@ class BattleManager {
      * 턴 종료 체크
      */
     checkTurnEnd() {
+        // 복원 중에는 히스토리에 있는 턴 종료 커맨드가 턴을 넘김
+        if (this.isRestoring) return;
+        
         // 게임 종료 체크 먼저
         this.checkGameEnd();
         
         // 플레이어 턴이고 모든 플레이어가 행동했으면 자동으로 턴 종료
         if (gameState.isPlayerTurn() && gameState.checkAllPlayersActed()) {
             // 턴 종료
-            if (inputHandler && inputHandler.endPlayerTurn) {
-                inputHandler.endPlayerTurn();
+            if (this.callbacks.onPlayerTurnComplete) {
+                this.callbacks.onPlayerTurnComplete();
             }
         }
     }
@@ -245,6 +533,9 @@ class BattleManager {
      * 큐 비었을 때 처리
      */
     onQueueEmpty() {
+        // 복원 중에는 기록된 EndTurn 커맨드가 턴을 넘김
+        if (this.isRestoring) return;
+        
         // 현재 턴의 모든 액션이 완료됨
         // 턴 종료 체크
         this.checkTurnEnd();
@@ -256,7 +547,7 @@ class BattleManager {
      * @param {number} speed - 속도 (0.1 ~ 5.0)
      */
     setAnimationSpeed(speed) {
-        animationController.setAnimationSpeed(speed);
+        this.animator?.setAnimationSpeed(speed);
     }
     
     /**
@@ -265,7 +556,7 @@ class BattleManager {
      * @param {boolean} enabled - 활성화 여부
      */
     setSkipMode(enabled) {
-        animationController.setSkipMode(enabled);
+        this.animator?.setSkipMode(enabled);
     }
     
     /**
@@ -296,6 +587,7 @@ class BattleManager {
         // 즉시 로직 처리
         const startTile = character.currentTile;
         const endTile = path[path.length - 1];
+        const moveCost = gridSystem.getPathCost(startTile, path);
         
         // 타일 점유 상태 업데이트
         if (startTile) {
@@ -307,7 +599,7 @@ class BattleManager {
         
         // 캐릭터 상태 업데이트
         character.hasMoved = true;
-        character.movedDistance += path.length;
+        character.movedDistance += moveCost;
         character.actionsUsed.move++;
         
         // 행동 상태 시각화 업데이트
@@ -329,23 +621,43 @@ class BattleManager {
     
     /**
      * 실제 공격 처리 (커맨드에서 호출)
+     * 
+     * 살아남은 인접한 대상은 바로 반격할 수 있습니다 ({@link BattleManager#rollCounter}).
      * @param {Character} attacker - 공격자
      * @param {Character} target - 대상
-     * @returns {number} 데미지 (0이면 실패)
+     * @param {number} [fixedDamage] - 지정 시 계산 없이 사용할 데미지 (재실행/복원용)
+     * @param {number} [fixedCounterDamage] - 지정 시 계산 없이 사용할 반격 데미지 (재실행/복원용)
+     * @returns {{damage: number, counterDamage: number|null}|null} 데미지(회피하면 0)와 반격 데미지(반격하지 않았으면 null), 실패하면 null
      */
-    executeAttack(attacker, target) {
+    executeAttack(attacker, target, fixedDamage = null, fixedCounterDamage = null) {
         if (!attacker || !target || attacker.hasAttacked) {
-            return 0;
+            return null;
         }
         
         // 데미지 계산 (즉시)
-        const damage = this.calculateDamage(attacker, target);
+        // 지정된 데미지가 있어도 굴림은 수행해 난수 커서가 처음 실행과 같은 위치로 이동하게 함
+        const roll = this.rollDamage(attacker, target);
+        const damage = typeof fixedDamage === 'number' ? fixedDamage : roll.damage;
+        const { isCritical, isEvaded } = roll;
         
         // 상태 업데이트 (즉시)
         attacker.hasAttacked = true;
         attacker.actionsUsed.attack++;
         target.health = Math.max(0, target.health - damage);
         
+        // 중립 진영을 공격하면 적대 관계로 바뀜
+        factionSystem.provoke(attacker.type, target.type);
+        
+        // 반격 (지정된 반격 데미지가 있어도 굴림은 수행)
+        const counterable = this.canCounter(target, attacker);
+        const counter = this.rollCounter(target, attacker);
+        const counterDamage = counter
+            ? (typeof fixedCounterDamage === 'number' ? fixedCounterDamage : counter.damage)
+            : null;
+        if (counter) {
+            attacker.health = Math.max(0, attacker.health - counterDamage);
+        }
+        
         // 행동 상태 시각화 업데이트
         attacker.updateActionVisual();
         
@@ -358,7 +670,9 @@ class BattleManager {
                 }
                 
                 // 공격 완료 이벤트 발생
-                eventBus.emit(GameEvents.CHARACTER_ATTACKED, { attacker, target, damage });
+                eventBus.emit(GameEvents.CHARACTER_ATTACKED, {
+                    attacker, target, damage, isCritical, isEvaded, isCounter: false, counterable
+                });
                 
                 // 사망 체크
                 if (target.health <= 0) {
@@ -370,7 +684,118 @@ class BattleManager {
             }
         });
         
-        return damage;
+        if (counter) {
+            actionQueue.enqueueAttack(target, attacker, counterDamage, {
+                onHit: () => {
+                    if (this.callbacks.onDamageDealt) {
+                        this.callbacks.onDamageDealt(target, attacker, counterDamage);
+                    }
+                    
+                    eventBus.emit(GameEvents.CHARACTER_ATTACKED, {
+                        attacker: target,
+                        target: attacker,
+                        damage: counterDamage,
+                        isCritical: counter.isCritical,
+                        isEvaded: counter.isEvaded,
+                        isCounter: true,
+                        counterable: false
+                    });
+                    
+                    if (attacker.health <= 0) {
+                        this.handleCharacterDeath(attacker);
+                    } else {
+                        this.checkGameEnd();
+                    }
+                }
+            });
+        }
+        
+        return { damage, counterDamage };
+    }
+    
+    /**
+     * 실제 스킬 처리 (커맨드에서 호출)
+     * 
+     * 스킬은 그 턴의 공격 행동을 대신하며, 마나를 소모하고 재사용 대기에 들어갑니다.
+     * @param {Character} caster - 시전자
+     * @param {Object} skill - 스킬 정의
+     * @param {HexTile} targetTile - 대상 타일
+     * @param {Array<{targetId: number, amount: number}>} [fixedResults] - 지정 시 계산 없이 사용할 결과 (재실행/복원용)
+     * @returns {Array<{target: Character, amount: number, isCritical: boolean, isEvaded: boolean}>|null} 대상별 결과 (null이면 실패)
+     */
+    executeSkill(caster, skill, targetTile, fixedResults = null) {
+        if (!skillSystem.canUse(caster, skill) || !skillSystem.isValidTarget(caster, skill, targetTile)) {
+            return null;
+        }
+        
+        const targets = skillSystem.getTargets(caster, skill, targetTile);
+        
+        // 효과 계산 (즉시)
+        // 지정된 결과가 있어도 굴림은 수행해 난수 커서가 처음 실행과 같은 위치로 이동하게 함
+        const results = targets.map(target => {
+            let rolled = 0;
+            let isCritical = false;
+            let isEvaded = false;
+            if (skill.effect.type === SkillEffect.DAMAGE) {
+                ({ damage: rolled, isCritical, isEvaded } = this.rollDamage(caster, target, skill.effect.power));
+            } else if (skill.effect.type === SkillEffect.HEAL) {
+                rolled = Math.min(skill.effect.amount, target.maxHealth - target.health);
+            }
+            const fixed = fixedResults && fixedResults.find(result => result.targetId === target.id);
+            
+            return { target, amount: fixed ? fixed.amount : rolled, isCritical, isEvaded };
+        });
+        
+        // 상태 업데이트 (즉시)
+        caster.hasAttacked = true;
+        caster.actionsUsed.attack++;
+        caster.mana -= skill.cost;
+        if (skill.cooldown > 0) {
+            caster.skillCooldowns[skill.id] = skill.cooldown;
+        }
+        
+        results.forEach(({ target, amount, isEvaded }) => {
+            if (skill.effect.type === SkillEffect.DAMAGE) {
+                target.health = Math.max(0, target.health - amount);
+            } else if (skill.effect.type === SkillEffect.HEAL) {
+                target.health = Math.min(target.maxHealth, target.health + amount);
+            }
+            
+            // 살아남은 대상에게 상태 효과 부여 (회피한 대상 제외)
+            if (!isEvaded) {
+                (skill.statuses || []).forEach(({ id, duration }) => {
+                    statusEffectSystem.apply(target, id, duration);
+                });
+            }
+            
+            // 중립 진영에게 쓴 스킬은 공격으로 취급
+            if (!factionSystem.isAllied(caster.type, target.type)) {
+                factionSystem.provoke(caster.type, target.type);
+            }
+        });
+        
+        // 행동 상태 시각화 업데이트
+        caster.updateActionVisual();
+        
+        // 애니메이션 큐에 추가
+        actionQueue.enqueueSkill(caster, skill, results, {
+            onHit: () => {
+                if (this.callbacks.onSkillUsed) {
+                    this.callbacks.onSkillUsed(caster, skill, results);
+                }
+                
+                eventBus.emit(GameEvents.SKILL_USED, { caster, skill, results });
+                
+                // 사망 체크 (사망한 대상이 있으면 사망 애니메이션이 끝난 뒤 게임 종료 체크)
+                const defeated = results.filter(({ target }) => target.health <= 0 && !target.isDead);
+                defeated.forEach(({ target }) => this.handleCharacterDeath(target));
+                if (defeated.length === 0) {
+                    this.checkGameEnd();
+                }
+            }
+        });
+        
+        return results;
     }
     
     /**
@@ -378,7 +803,7 @@ class BattleManager {
      */
     pause() {
         actionQueue.pause();
-        animationController.pause();
+        this.animator?.pause();
     }
     
     /**
@@ -386,7 +811,7 @@ class BattleManager {
      */
     resume() {
         actionQueue.resume();
-        animationController.resume();
+        this.animator?.resume();
     }
     
     /**
@@ -2,7 +2,7 @@
  * 전투 매니저
  * 
  * 전투와 관련된 모든 로직을 중앙에서 관리합니다.
- * 애니메이션, 데미지 계산, 전투 흐름 제어를 담당합니다.
+ * 애니메이션과 전투 흐름 제어를 담당하며, 데미지는 battleManager가 계산한 값을 받아 표시합니다.
  * 
  * @module combatManager
  */
@@ -50,6 +50,7 @@ class CombatManager {
      * @param {Character} attacker - 공격자
      * @param {Character} target - 대상
      * @param {Object} options - 전투 옵션
+     * @param {number} [options.damage=0] - 표시할 데미지 (battleManager.rollDamage 결과)
      * @returns {Promise<Object>} 전투 결과
      */
     async startCombat(attacker, target, options = {}) {
@@ -63,7 +64,7 @@ class CombatManager {
         this.currentCombat = {
             attacker,
             target,
-            damage: this.calculateDamage(attacker, target, options),
+            damage: options.damage ?? 0,
             startTime: Date.now(),
             options
         };
@@ -327,31 +328,6 @@ class CombatManager {
             });
     }
     
-    /**
-     * 데미지 계산
-     * 
-     * @param {Character} attacker - 공격자
-     * @param {Character} target - 대상
-     * @param {Object} options - 추가 옵션
-     * @returns {number} 계산된 데미지
-     */
-    calculateDamage(attacker, target, options = {}) {
-        let damage = attacker.attackPower;
-        
-        // 데미지 변동
-        const variance = Math.floor(Math.random() * 5) - 2;
-        damage += variance;
-        
-        // 치명타 계산
-        if (Math.random() < 0.1) { // 10% 치명타 확률
-            damage *= 2;
-            options.isCritical = true;
-        }
-        
-        // 최소 데미지 보장
-        return Math.max(1, Math.floor(damage));
-    }
-    
     /**
      * 현재 전투 취소
      */
@@ -3,10 +3,31 @@
  * 
  * 실행된 커맨드를 관리하고 실행 취소/재실행 기능을 제공합니다.
  * 
+ * 히스토리는 나무 모양으로, 실행 취소한 뒤 새 커맨드를 실행하면 기존 뒷부분을 지우지 않고 새 분기를 만듭니다.
+ * history는 지금 따라가는 줄기(처음부터 현재 분기의 끝까지)이고, 다른 분기는 switchBranch()로 옮겨갈 수 있습니다.
+ * 
  * @module commandHistory
  */
 
 import { eventBus, GameEvents } from '../core/eventBus.js';
+import { Command } from '../commands/Command.js';
+
+/**
+ * 히스토리 노드 생성
+ * 
+ * @param {Command|null} command - 커맨드 (뿌리 노드는 null)
+ * @param {Object|null} parent - 부모 노드
+ * @returns {{command: Command|null, parent: Object|null, children: Object[], activeChild: Object|null}}
+ *     activeChild는 이 노드 다음으로 따라갈 자식 (마지막으로 지나간 분기)
+ */
+function createNode(command, parent) {
+    const node = { command, parent, children: [], activeChild: null };
+    if (parent) {
+        parent.children.push(node);
+        parent.activeChild = node;
+    }
+    return node;
+}
 
 /**
  * 커맨드 히스토리 클래스
@@ -16,7 +37,19 @@ import { eventBus, GameEvents } from '../core/eventBus.js';
 class CommandHistory {
     constructor() {
         /**
-         * 커맨드 히스토리 스택
+         * 히스토리 나무의 뿌리 (커맨드 없음, 첫 커맨드들이 자식)
+         * @type {Object}
+         */
+        this.root = createNode(null, null);
+        
+        /**
+         * 지금 따라가는 줄기의 노드 (history와 같은 순서)
+         * @type {Array<Object>}
+         */
+        this.path = [];
+        
+        /**
+         * 지금 따라가는 줄기의 커맨드
          * @type {Array<Command>}
          */
         this.history = [];
@@ -50,6 +83,25 @@ class CommandHistory {
          * @type {boolean}
          */
         this.stopReplay = false;
+        
+        /**
+         * 리플레이 일시 정지 여부
+         * @type {boolean}
+         */
+        this.isReplayPaused = false;
+        
+        /**
+         * 진행 중인 이동(탐색, 한 단계 이동, 리플레이 진행)
+         * 이동은 이 체인에 차례로 이어 붙여 한 번에 하나씩만 실행합니다.
+         * @type {Promise<*>}
+         */
+        this.navigation = Promise.resolve();
+        
+        /**
+         * 실행 취소/재실행 허용 여부 (온라인 대전에서는 상대와 어긋나므로 막음)
+         * @type {boolean}
+         */
+        this.undoEnabled = true;
     }
     
     /**
@@ -63,23 +115,22 @@ class CommandHistory {
             const success = await command.execute();
             
             if (success) {
-                // 현재 위치 이후의 히스토리 삭제 (새로운 분기 생성)
-                if (this.currentIndex < this.history.length - 1) {
-                    this.history = this.history.slice(0, this.currentIndex + 1);
-                }
-                
-                // 히스토리에 추가
-                this.history.push(command);
+                // 현재 위치 뒤에 커맨드가 있으면 그 줄기는 다른 분기로 남기고 새 분기 생성
+                const parent = this.getNodeAt(this.currentIndex);
+                const node = createNode(command, parent);
+                this.setPath([...this.path.slice(0, this.currentIndex + 1), node]);
                 this.currentIndex++;
                 
                 // 최대 크기 초과 시 오래된 항목 제거
                 if (this.history.length > this.maxHistorySize) {
-                    this.history.shift();
-                    this.currentIndex--;
+                    this.trimOldest();
                 }
                 
                 // 이벤트 발생
                 eventBus.emit('command:executed', { command });
+                if (parent.children.length > 1) {
+                    eventBus.emit('history:branched', { command, branches: parent.children.length });
+                }
             }
             
             return success;
@@ -89,6 +140,78 @@ class CommandHistory {
         }
     }
     
+    /**
+     * 줄기 위치의 노드
+     * 
+     * @param {number} index - history 인덱스 (-1이면 뿌리)
+     * @returns {Object} 노드
+     */
+    getNodeAt(index) {
+        return index < 0 ? this.root : this.path[index];
+    }
+    
+    /**
+     * 따라갈 줄기 설정
+     * 
+     * @param {Array<Object>} nodes - 뿌리 다음부터의 노드
+     */
+    setPath(nodes) {
+        this.path = nodes;
+        this.history = nodes.map(node => node.command);
+    }
+    
+    /**
+     * 가장 오래된 커맨드 제거
+     * 
+     * 첫 커맨드의 자식들이 새 첫 커맨드가 되며, 첫 커맨드 자리에서 갈라진 다른 분기는 함께 사라집니다.
+     */
+    trimOldest() {
+        const first = this.path[0];
+        this.root.children = first.children;
+        this.root.activeChild = first.activeChild;
+        first.children.forEach(child => {
+            child.parent = this.root;
+        });
+        
+        this.setPath(this.path.slice(1));
+        this.currentIndex--;
+    }
+    
+    /**
+     * 커맨드 ID로 노드 찾기
+     * 
+     * @param {string} commandId - 커맨드 ID
+     * @returns {Object|null} 노드
+     */
+    findNode(commandId) {
+        const stack = [...this.root.children];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.command.id === commandId) return node;
+            stack.push(...node.children);
+        }
+        return null;
+    }
+    
+    /**
+     * 노드를 지나는 줄기
+     * 
+     * 뿌리부터 노드까지, 그 뒤로는 각 노드가 마지막으로 지나간 분기를 따라 끝까지 이어집니다.
+     * 
+     * @param {Object} node - 노드
+     * @returns {Array<Object>} 뿌리 다음부터의 노드
+     */
+    getLine(node) {
+        const line = [];
+        for (let current = node; current !== this.root; current = current.parent) {
+            line.unshift(current);
+        }
+        for (let next = node.activeChild; next; next = next.activeChild) {
+            line.push(next);
+        }
+        return line;
+    }
+    
     /**
      * 실행 취소
      * 
@@ -141,40 +264,192 @@ class CommandHistory {
     }
     
     /**
-     * 특정 위치로 이동
+     * 이동 작업을 차례로 실행
+     * 
+     * 앞선 이동이 끝난 뒤에 실행되므로 리플레이 진행 중에 탐색하거나 한 단계 이동해도 서로 섞이지 않습니다.
+     * 
+     * @param {Function} task - 비동기 이동 작업
+     * @returns {Promise<*>} 작업 결과
+     */
+    runExclusive(task) {
+        const run = this.navigation.then(task, task);
+        this.navigation = run.catch(() => {});
+        return run;
+    }
+    
+    /**
+     * 특정 위치로 이동 (잠금 없이 바로 실행)
      * 
      * @param {number} targetIndex - 목표 인덱스
+     * @param {Function} [afterEach] - 한 단계 이동할 때마다 대기할 비동기 함수 (command, index)
      * @returns {Promise<boolean>} 이동 성공 여부
      */
-    async goTo(targetIndex) {
+    async moveTo(targetIndex, afterEach = null) {
         if (targetIndex < -1 || targetIndex >= this.history.length) {
             return false;
         }
         
         // 뒤로 가기
         while (this.currentIndex > targetIndex) {
+            const command = this.history[this.currentIndex];
             if (!await this.undo()) return false;
+            if (afterEach) await afterEach(command, this.currentIndex + 1);
         }
         
         // 앞으로 가기
         while (this.currentIndex < targetIndex) {
             if (!await this.redo()) return false;
+            if (afterEach) await afterEach(this.history[this.currentIndex], this.currentIndex);
         }
         
+        eventBus.emit('history:seeked', this.getStatus());
         return true;
     }
     
+    /**
+     * 특정 위치로 이동
+     * 
+     * 현재 위치보다 앞이면 실행 취소를, 뒤면 재실행을 반복합니다 (-1은 첫 커맨드 이전).
+     * 
+     * @param {number} targetIndex - 목표 인덱스
+     * @param {Object} [options] - 옵션
+     * @param {Function} [options.afterEach] - 한 단계 이동할 때마다 대기할 비동기 함수 (command, index)
+     * @returns {Promise<boolean>} 이동 성공 여부
+     */
+    goTo(targetIndex, options = {}) {
+        return this.runExclusive(() => this.moveTo(targetIndex, options.afterEach));
+    }
+    
+    /**
+     * 한 단계 앞으로 이동 (재실행)
+     * 
+     * @param {Object} [options] - {@link CommandHistory#goTo} 옵션
+     * @returns {Promise<boolean>} 이동 성공 여부
+     */
+    stepForward(options = {}) {
+        return this.runExclusive(() => this.moveTo(this.currentIndex + 1, options.afterEach));
+    }
+    
+    /**
+     * 한 단계 뒤로 이동 (실행 취소)
+     * 
+     * @param {Object} [options] - {@link CommandHistory#goTo} 옵션
+     * @returns {Promise<boolean>} 이동 성공 여부
+     */
+    stepBack(options = {}) {
+        return this.runExclusive(() => this.moveTo(this.currentIndex - 1, options.afterEach));
+    }
+    
+    /**
+     * 다른 분기로 옮겨가기
+     * 
+     * 지금 위치와 대상 노드의 공통 조상까지 실행 취소한 뒤, 대상 노드를 지나는 줄기로 바꾸고 대상 노드까지 재실행합니다.
+     * 
+     * @param {string} commandId - 옮겨갈 위치의 커맨드 ID (현재 줄기 밖이어도 됨)
+     * @param {Object} [options] - {@link CommandHistory#goTo} 옵션
+     * @returns {Promise<boolean>} 이동 성공 여부
+     */
+    switchBranch(commandId, options = {}) {
+        return this.runExclusive(async () => {
+            const target = this.findNode(commandId);
+            if (!target) return false;
+            
+            const line = this.getLine(target);
+            let common = 0;
+            while (common <= this.currentIndex && line[common] === this.path[common]) {
+                common++;
+            }
+            
+            if (!await this.moveTo(common - 1, options.afterEach)) return false;
+            
+            // 대상 노드를 지나도록 조상들의 다음 분기 지정
+            line.forEach(node => {
+                node.parent.activeChild = node;
+            });
+            this.setPath(line);
+            
+            const success = await this.moveTo(line.indexOf(target), options.afterEach);
+            eventBus.emit('history:switched', this.getStatus());
+            return success;
+        });
+    }
+    
+    /**
+     * 분기 목록
+     * 
+     * 나무를 갈림길 사이의 커맨드 묶음으로 나눕니다 (부모 묶음이 먼저 옴).
+     * 
+     * @returns {Array<Object>} 묶음 {id, parentId, depth, startIndex, commands, lastId, isActive, isCurrent}
+     *     id는 첫 커맨드 ID, depth는 갈림길을 지난 수, startIndex는 첫 커맨드의 줄기 위치,
+     *     isActive는 지금 따라가는 줄기인지, isCurrent는 현재 위치가 묶음 안에 있는지
+     */
+    getBranches() {
+        const branches = [];
+        const current = this.getNodeAt(this.currentIndex);
+        const onPath = new Set(this.path);
+        
+        const visit = (first, parentId, depth, startIndex) => {
+            const nodes = [first];
+            while (nodes[nodes.length - 1].children.length === 1) {
+                nodes.push(nodes[nodes.length - 1].children[0]);
+            }
+            const last = nodes[nodes.length - 1];
+            
+            branches.push({
+                id: first.command.id,
+                parentId,
+                depth,
+                startIndex,
+                commands: nodes.map(node => node.command),
+                lastId: last.command.id,
+                isActive: onPath.has(first),
+                isCurrent: nodes.includes(current)
+            });
+            last.children.forEach(child => visit(child, first.command.id, depth + 1, startIndex + nodes.length));
+        };
+        
+        if (this.root.children.length === 1) {
+            visit(this.root.children[0], null, 0, 0);
+        } else {
+            this.root.children.forEach(child => visit(child, null, 1, 0));
+        }
+        return branches;
+    }
+    
+    /**
+     * 분기 끝의 수 (분기가 없으면 1, 히스토리가 비었으면 0)
+     * 
+     * @returns {number}
+     */
+    getLeafCount() {
+        let count = 0;
+        const stack = [...this.root.children];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.children.length === 0) count++;
+            stack.push(...node.children);
+        }
+        return count;
+    }
+    
     /**
      * 리플레이 시작
      * 
+     * 진행은 현재 위치를 기준으로 하므로, 리플레이 중에 탐색하거나 한 단계 이동하면 그 위치부터 이어서 진행합니다.
+     * 
      * @param {number} [fromIndex=0] - 시작 인덱스
      * @param {number} [toIndex] - 종료 인덱스 (기본: 마지막)
+     * @param {Object} [options] - 옵션
+     * @param {Function} [options.afterEach] - 커맨드 하나를 실행할 때마다 대기할 비동기 함수 (command, index)
      * @returns {Promise<void>}
      */
-    async startReplay(fromIndex = 0, toIndex = null) {
+    async startReplay(fromIndex = 0, toIndex = null, options = {}) {
         if (this.isReplayMode) return;
         
+        const { afterEach = null } = options;
+        
         this.isReplayMode = true;
+        this.isReplayPaused = false;
         this.stopReplay = false;
         toIndex = toIndex ?? this.history.length - 1;
         
@@ -184,23 +459,50 @@ class CommandHistory {
         // 리플레이 시작 이벤트
         eventBus.emit('replay:started', { fromIndex, toIndex });
         
-        // 순차적으로 실행
-        for (let i = fromIndex; i <= toIndex && !this.stopReplay; i++) {
-            await this.redo();
+        // 순차적으로 실행 (일시 정지 중에는 대기)
+        while (!this.stopReplay && this.currentIndex < toIndex) {
+            if (this.isReplayPaused) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                continue;
+            }
+            
+            if (!await this.stepForward({ afterEach })) break;
             
             // 대기
             await new Promise(resolve => setTimeout(resolve, this.replaySpeed));
         }
         
         this.isReplayMode = false;
+        this.isReplayPaused = false;
         eventBus.emit('replay:ended');
     }
     
+    /**
+     * 리플레이 일시 정지
+     */
+    pauseReplay() {
+        if (!this.isReplayMode || this.isReplayPaused) return;
+        
+        this.isReplayPaused = true;
+        eventBus.emit('replay:paused', this.getStatus());
+    }
+    
+    /**
+     * 리플레이 계속
+     */
+    resumeReplay() {
+        if (!this.isReplayMode || !this.isReplayPaused) return;
+        
+        this.isReplayPaused = false;
+        eventBus.emit('replay:resumed', this.getStatus());
+    }
+    
     /**
      * 리플레이 중단
      */
     stopReplayMode() {
         this.stopReplay = true;
+        this.isReplayPaused = false;
     }
     
     /**
@@ -209,7 +511,7 @@ class CommandHistory {
      * @returns {boolean}
      */
     canUndo() {
-        return this.currentIndex >= 0;
+        return this.undoEnabled && this.currentIndex >= 0;
     }
     
     /**
@@ -218,26 +520,44 @@ class CommandHistory {
      * @returns {boolean}
      */
     canRedo() {
-        return this.currentIndex < this.history.length - 1;
+        return this.undoEnabled && this.currentIndex < this.history.length - 1;
     }
     
     /**
      * 히스토리 초기화
      */
     clear() {
-        this.history = [];
+        this.root = createNode(null, null);
+        this.setPath([]);
         this.currentIndex = -1;
     }
     
     /**
      * 히스토리 저장
      * 
-     * @returns {Object} 직렬화된 히스토리
+     * 지금 줄기는 history에, 다른 분기의 커맨드는 부모 커맨드 ID와 함께 branches에 담습니다 (부모가 먼저 옴).
+     * 
+     * @returns {Object} 직렬화된 히스토리 {history, currentIndex, branches, timestamp}
      */
     save() {
+        const onPath = new Set(this.path);
+        const branches = [];
+        const stack = [...this.root.children].reverse();
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!onPath.has(node)) {
+                branches.push({
+                    parentId: node.parent.command?.id ?? null,
+                    command: node.command.serialize()
+                });
+            }
+            stack.push(...[...node.children].reverse());
+        }
+        
         return {
             history: this.history.map(cmd => cmd.serialize()),
             currentIndex: this.currentIndex,
+            branches,
             timestamp: Date.now()
         };
     }
@@ -245,11 +565,83 @@ class CommandHistory {
     /**
      * 히스토리 불러오기
      * 
-     * @param {Object} data - 저장된 히스토리 데이터
+     * 직렬화된 커맨드를 등록된 커맨드 클래스로 복원합니다.
+     * 기본적으로 초기 상태의 보드 위에서 저장된 currentIndex까지 커맨드를 다시 실행해
+     * 보드를 재구성하고, 그 이후의 커맨드는 재실행 대상으로 남겨둡니다.
+     * 
+     * 복원 도중 실패하면 보드는 실패 직전까지 실행된 상태로 남습니다.
+     * 다른 분기(branches)는 실행하지 않고 나무에만 다시 붙입니다.
+     * 
+     * @param {Object} data - save()로 만든 히스토리 데이터
+     * @param {Object} resolver - 캐릭터/타일 조회 함수 ({@link Command.deserialize} 참고)
+     * @param {Object} [options] - 옵션
+     * @param {boolean} [options.replay=true] - false면 커맨드를 실행하지 않고
+     *     보드가 이미 currentIndex 시점의 상태라고 보고 히스토리만 복원
+     * @param {Function} [options.afterEach] - 커맨드 하나를 다시 실행한 뒤 대기할 비동기 함수
+     * @returns {Promise<void>}
+     * @throws {Error} 히스토리 데이터가 잘못됐거나, 분기의 부모 커맨드를 찾을 수 없거나,
+     *     커맨드 복원/재실행에 실패한 경우
      */
-    load(data) {
-        // 구현 필요: 직렬화된 데이터로부터 커맨드 복원
-        console.warn('History loading not yet implemented');
+    async load(data, resolver, options = {}) {
+        const { replay = true, afterEach = null } = options;
+        
+        if (!data || !Array.isArray(data.history)) {
+            throw new Error('Invalid history data');
+        }
+        
+        // 모든 커맨드를 먼저 복원 (하나라도 실패하면 보드를 건드리지 않음)
+        const commands = data.history.map(serialized => Command.deserialize(serialized, resolver));
+        const branches = (data.branches || []).map(({ parentId, command }) => ({
+            parentId,
+            command: Command.deserialize(command, resolver)
+        }));
+        const targetIndex = Math.min(data.currentIndex ?? commands.length - 1, commands.length - 1);
+        
+        // 분기의 부모는 줄기나 앞선 분기에 있어야 함
+        const knownIds = new Set(commands.map(command => command.id));
+        branches.forEach(({ parentId, command }) => {
+            if (parentId !== null && !knownIds.has(parentId)) {
+                throw new Error(`Unknown branch parent: ${parentId}`);
+            }
+            knownIds.add(command.id);
+        });
+        
+        this.clear();
+        
+        if (replay) {
+            for (let i = 0; i <= targetIndex; i++) {
+                const success = await commands[i].execute();
+                if (!success) {
+                    throw new Error(`Failed to replay command #${i} (${commands[i].type})`);
+                }
+                if (afterEach) {
+                    await afterEach(commands[i], i);
+                }
+            }
+        } else {
+            commands.forEach((command, index) => {
+                command.executed = index <= targetIndex;
+            });
+        }
+        
+        const path = [];
+        commands.forEach(command => path.push(createNode(command, path[path.length - 1] ?? this.root)));
+        
+        const nodes = new Map(path.map(node => [node.command.id, node]));
+        branches.forEach(({ parentId, command }) => {
+            const parent = parentId === null ? this.root : nodes.get(parentId);
+            command.executed = false;
+            nodes.set(command.id, createNode(command, parent));
+        });
+        
+        // 분기를 붙이면서 바뀐 다음 분기를 저장된 줄기로 되돌림
+        path.forEach(node => {
+            node.parent.activeChild = node;
+        });
+        this.setPath(path);
+        this.currentIndex = targetIndex;
+        
+        eventBus.emit('history:loaded', this.getStatus());
     }
     
     /**
@@ -261,9 +653,11 @@ class CommandHistory {
         return {
             historyLength: this.history.length,
             currentIndex: this.currentIndex,
+            branchCount: this.getLeafCount(),
             canUndo: this.canUndo(),
             canRedo: this.canRedo(),
-            isReplayMode: this.isReplayMode
+            isReplayMode: this.isReplayMode,
+            isReplayPaused: this.isReplayPaused
         };
     }
 }
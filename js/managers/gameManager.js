@@ -8,10 +8,11 @@
 
 import { eventBus, GameEvents } from '../core/eventBus.js';
 import { gameState } from '../core/gameState.js';
-import { CHARACTER_TYPE } from '../core/constants.js';
 import { movementSystem } from '../systems/movementSystem.js';
 import { battleManager } from './battleManager.js';
 import { gridSystem } from '../systems/gridSystem.js';
+import { skillSystem } from '../systems/skillSystem.js';
+import { factionSystem } from '../systems/factionSystem.js';
 
 class GameManager {
     constructor() {
@@ -28,30 +29,44 @@ class GameManager {
         eventBus.on(GameEvents.INPUT_TILE_CLICKED, ({ tile }) => this.onTileClicked(tile));
         eventBus.on(GameEvents.INPUT_CHARACTER_CLICKED, ({ character }) => this.onCharacterClicked(character));
         eventBus.on(GameEvents.INPUT_EMPTY_SPACE_CLICKED, () => this.onEmptySpaceClicked());
+        eventBus.on(GameEvents.INPUT_SKILL_SELECTED, ({ skillId }) => this.onSkillSelected(skillId));
+
+        // 스킬 선택이 어떤 이유로든 해제되면 사거리 표시도 제거
+        eventBus.on(GameEvents.SKILL_SELECTED, ({ skillId }) => {
+            if (!skillId) skillSystem.clearAll();
+        });
+
+        // 우선권 모드에서 플레이어 캐릭터의 차례가 오면 바로 선택
+        eventBus.on(GameEvents.TURN_CHANGED, ({ activeCharacter }) => {
+            if (activeCharacter && gameState.isPlaying() && gameState.canControl(activeCharacter)) {
+                this.selectPlayerCharacter(activeCharacter);
+            }
+        });
     }
 
     onTileClicked(tile) {
         if (!gameState.isPlayerTurn()) return;
 
-        // 타일에 플레이어 캐릭터가 있으면 선택
-        if (tile.isOccupied() && tile.occupant.type === CHARACTER_TYPE.PLAYER) {
-            this.selectPlayerCharacter(tile.occupant);
+        // 스킬 대상 지정 중이면 클릭한 타일에 사용
+        if (gameState.selectedSkill) {
+            this.castSelectedSkill(tile);
+            return;
+        }
+
+        // 캐릭터가 있는 타일은 캐릭터를 클릭한 것과 같음
+        if (tile.isOccupied()) {
+            this.onCharacterClicked(tile.occupant);
             return;
         }
 
         const selectedCharacter = gameState.selectedCharacter;
 
+        // 비어있는 타일 클릭 시 이동
         if (selectedCharacter) {
-            // 적 캐릭터가 있는 타일 클릭 시 공격
-            if (tile.isOccupied() && tile.occupant.type === CHARACTER_TYPE.ENEMY) {
-                battleManager.performAttack(selectedCharacter, tile.occupant);
-            }
-            // 비어있는 타일 클릭 시 이동
-            else if (!tile.isOccupied()) {
-                const path = gridSystem.findPath(selectedCharacter.currentTile, tile);
-                if (path.length > 0 && path.length <= selectedCharacter.movementRange - selectedCharacter.movedDistance) {
-                    battleManager.moveCharacter(selectedCharacter, path);
-                }
+            const path = gridSystem.findPath(selectedCharacter.currentTile, tile);
+            const remainingMovement = selectedCharacter.movementRange - selectedCharacter.movedDistance;
+            if (path.length > 0 && gridSystem.getPathCost(selectedCharacter.currentTile, path) <= remainingMovement) {
+                battleManager.moveCharacter(selectedCharacter, path);
             }
         }
     }
@@ -59,13 +74,18 @@ class GameManager {
     onCharacterClicked(character) {
         if (!gameState.isPlayerTurn()) return;
 
-        if (character.type === CHARACTER_TYPE.PLAYER) {
+        if (gameState.selectedSkill) {
+            this.castSelectedSkill(character.currentTile);
+            return;
+        }
+
+        // 조작할 수 있는 캐릭터는 선택 (우선권 모드에서는 차례인 캐릭터만),
+        // 그 외에는 선택한 캐릭터가 공격할 수 있는 진영(적대/중립)이면 공격
+        const selectedCharacter = gameState.selectedCharacter;
+        if (gameState.canControl(character)) {
             this.selectPlayerCharacter(character);
-        } else if (character.type === CHARACTER_TYPE.ENEMY) {
-            const selectedCharacter = gameState.selectedCharacter;
-            if (selectedCharacter) {
-                battleManager.performAttack(selectedCharacter, character);
-            }
+        } else if (selectedCharacter && factionSystem.canAttack(selectedCharacter, character)) {
+            battleManager.performAttack(selectedCharacter, character);
         }
     }
 
@@ -74,6 +94,37 @@ class GameManager {
         movementSystem.clearAllHighlights();
     }
 
+    onSkillSelected(skillId) {
+        const caster = gameState.selectedCharacter;
+        if (!gameState.isPlayerTurn() || !caster) return;
+
+        // 같은 스킬을 다시 고르면 취소하고 이동/공격 표시로 돌아감
+        if (gameState.selectedSkill === skillId) {
+            this.selectPlayerCharacter(caster);
+            return;
+        }
+
+        const skill = skillSystem.getSkill(skillId);
+        if (!skillSystem.canUse(caster, skill)) return;
+
+        movementSystem.clearAllHighlights();
+        gameState.setSelectedSkill(skillId);
+        skillSystem.showRange(caster, skill);
+    }
+
+    castSelectedSkill(tile) {
+        const caster = gameState.selectedCharacter;
+        const skill = skillSystem.getSkill(gameState.selectedSkill);
+
+        // 사거리 밖이나 잘못된 대상은 무시 (선택 유지)
+        if (!skillSystem.isValidTarget(caster, skill, tile)) return;
+
+        battleManager.useSkill(caster, skill.id, tile);
+
+        // 스킬 선택을 해제하고 남은 행동 표시
+        this.selectPlayerCharacter(caster);
+    }
+
     selectPlayerCharacter(character) {
         gameState.selectCharacter(character);
         movementSystem.clearAllHighlights();
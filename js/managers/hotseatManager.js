@@ -0,0 +1,167 @@
+/**
+ * 핫시트 매니저
+ *
+ * 한 기기에서 여러 사람이 진영을 나눠 맡아 번갈아 조작하는 핫시트 모드를 관리합니다.
+ * 맵에 배치된 진영을 모두 사람이 조작하도록 바꾸고, 진영 순서대로 플레이어 1, 2, ...로 부릅니다.
+ *
+ * 조작하는 진영이 바뀔 때마다 보드를 가리는 화면(passDeviceCurtain)을 띄워
+ * 다음 사람에게 기기를 넘길 수 있게 합니다 (?curtain=off 로 끌 수 있음).
+ *
+ * @module hotseatManager
+ */
+
+import { gameState } from '../core/gameState.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { GAME_STATE, CHARACTER_TYPE, FACTION_CONTROLLER } from '../core/constants.js';
+import { factionSystem } from '../systems/factionSystem.js';
+import { inputHandler } from '../controls/inputHandler.js';
+import { commandHistory } from './commandHistory.js';
+import { passDeviceCurtain } from '../ui/passDeviceCurtain.js';
+import { gameManager } from './gameManager.js';
+
+/**
+ * 핫시트 매니저 클래스
+ *
+ * @class HotseatManager
+ */
+class HotseatManager {
+    constructor() {
+        /**
+         * 핫시트 모드 여부
+         * @type {boolean}
+         */
+        this.enabled = false;
+
+        /**
+         * 플레이어 순서대로의 진영 ID (0번이 플레이어 1)
+         * @type {string[]}
+         */
+        this.players = [];
+
+        /**
+         * 턴 사이에 보드를 가릴지 여부
+         * @type {boolean}
+         */
+        this.curtainEnabled = true;
+
+        /**
+         * 마지막으로 조작을 넘겨받은 진영 (같은 진영이 이어서 행동하면 가리지 않음)
+         * @type {string|null}
+         */
+        this.lastFaction = null;
+    }
+
+    /**
+     * 핫시트 모드 시작
+     *
+     * 캐릭터를 모두 배치한 뒤에 호출해야 합니다 (배치된 진영이 플레이어가 됨).
+     * @param {Object} [options]
+     * @param {boolean} [options.curtain=true] - 턴 사이에 보드를 가릴지 여부
+     */
+    enable({ curtain = true } = {}) {
+        this.enabled = true;
+        this.curtainEnabled = curtain;
+        this.players = gameState.getAliveFactions();
+        this.players.forEach(factionId => factionSystem.setController(factionId, FACTION_CONTROLLER.HUMAN));
+        this.lastFaction = gameState.currentTurn;
+
+        passDeviceCurtain.onContinue = () => this.onCurtainClosed();
+        this.subscribeToEvents();
+    }
+
+    /**
+     * 이벤트 구독
+     */
+    subscribeToEvents() {
+        eventBus.on(GameEvents.TURN_CHANGED, ({ turn }) => this.onTurnChanged(turn));
+
+        // 불러온 상태에서는 가리지 않고 바로 이어서 진행
+        eventBus.on(GameEvents.GAME_LOADED, () => {
+            this.lastFaction = gameState.currentTurn;
+            passDeviceCurtain.hide();
+        });
+    }
+
+    /**
+     * 핫시트 모드인지 확인
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * 진영을 맡은 플레이어 번호
+     *
+     * @param {string} factionId - 진영 ID
+     * @returns {number|null} 1부터 시작하는 번호 (플레이어가 맡지 않은 진영이면 null)
+     */
+    getPlayerNumber(factionId) {
+        const index = this.players.indexOf(factionId);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * 턴 표시용 이름
+     *
+     * 핫시트 모드에서는 "플레이어 N (진영 이름)", 아니면 진영 이름입니다.
+     * @param {string} factionId - 진영 ID
+     * @returns {string} 표시 이름
+     */
+    getTurnLabel(factionId) {
+        const number = this.enabled ? this.getPlayerNumber(factionId) : null;
+        const name = factionSystem.getName(factionId);
+        return number ? `플레이어 ${number} (${name})` : name;
+    }
+
+    /**
+     * 전투 결과로 이긴 진영 찾기
+     *
+     * 전투 목표는 플레이어 1(player 진영) 기준이므로, 플레이어 1이 이기지 못했으면
+     * 살아남은 다른 플레이어 중 적대 진영이 남지 않은 진영, 없으면 진영 순서상 첫 생존 진영이 이깁니다.
+     * @param {string} result - GAME_STATE 값
+     * @returns {string|null} 이긴 진영 ID (모두 쓰러졌으면 null)
+     */
+    getWinner(result) {
+        if (result === GAME_STATE.PLAYER_WON) return CHARACTER_TYPE.PLAYER;
+
+        const aliveFactions = gameState.getAliveFactions();
+        const survivors = this.players.filter(factionId =>
+            factionId !== CHARACTER_TYPE.PLAYER && aliveFactions.includes(factionId)
+        );
+
+        return survivors.find(factionId => factionSystem.hasWon(factionId, aliveFactions))
+            || survivors[0]
+            || null;
+    }
+
+    /**
+     * 턴 변경 처리 - 조작할 진영이 바뀌면 보드를 가림 (리플레이 중에는 가리지 않음)
+     *
+     * @param {string} factionId - 턴을 시작한 진영 ID
+     */
+    onTurnChanged(factionId) {
+        if (factionId === this.lastFaction) return;
+        this.lastFaction = factionId;
+
+        if (!this.curtainEnabled || !gameState.isPlaying() || commandHistory.isReplayMode) return;
+
+        inputHandler.setEnabled(false);
+        passDeviceCurtain.show(this.getTurnLabel(factionId), factionSystem.getColorStyle(factionId));
+    }
+
+    /**
+     * 가림 화면을 닫으면 입력을 다시 받고, 우선권 모드에서는 차례인 캐릭터를 선택
+     */
+    onCurtainClosed() {
+        inputHandler.setEnabled(gameState.isPlaying() && gameState.isPlayerTurn());
+
+        const active = gameState.getActiveCharacter();
+        if (active && gameState.isPlaying() && gameState.canControl(active)) {
+            gameManager.selectPlayerCharacter(active);
+        }
+    }
+}
+
+// 싱글톤 인스턴스
+export const hotseatManager = new HotseatManager();
@@ -0,0 +1,729 @@
+/**
+ * 네트워크 매니저
+ *
+ * 두 기기가 릴레이 서버(server/relay.js)를 거쳐 대전하는 온라인 모드를 관리합니다.
+ * 로컬에서 실행한 커맨드를 직렬화해 상대에게 보내고, 상대가 보낸 커맨드는 자신의 상태로
+ * 검증한 뒤 commandHistory.execute로 실행합니다. 두 기기는 같은 시드(방 이름)로 시작하므로
+ * 같은 커맨드를 같은 순서로 실행하면 같은 상태가 됩니다.
+ *
+ * - 자리(seat) 0과 1은 사람이 조작하는 진영을 나눠 맡습니다. 사람 진영이 하나뿐이면 자리 1은 그 진영의 첫 적대 진영을 맡습니다.
+ * - 그 밖의 진영은 AI가 조작하며, 자리 0의 기기에서만 실행해 그 커맨드를 다른 커맨드처럼 보냅니다.
+ * - 상대 진영(자리 1에게는 AI 진영도)은 FACTION_CONTROLLER.REMOTE가 되어 AI가 실행되지 않고 입력도 받지 않습니다.
+ * - 연결이 끊기면 다시 접속하고, 서로 히스토리 길이를 알려 부족한 쪽에 빠진 커맨드를 보냅니다.
+ * - 턴이 끝날 때마다 상태 해시를 주고받아 어긋나면 NETWORK_DESYNC 이벤트를 발생시킵니다.
+ *
+ * 메시지 (릴레이가 그대로 전달):
+ * - {type: 'hello', length}: 접속/재접속 시 내 히스토리 길이
+ * - {type: 'command', index, command}: 로컬 커맨드 (index는 히스토리에서의 위치)
+ * - {type: 'sync', from, commands}: 상대에게 빠진 커맨드 (from번째부터)
+ * - {type: 'hash', index, hash}: 히스토리 길이가 index일 때의 상태 해시
+ * - {type: 'reject', index, reason}: 받은 커맨드가 검증에 실패함
+ *
+ * @module networkManager
+ */
+
+import { gameState } from '../core/gameState.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { rng } from '../core/rng.js';
+import { GAME_STATE, FACTION_CONTROLLER, NETWORK } from '../core/constants.js';
+import { Command, CommandType } from '../commands/Command.js';
+import { factionSystem } from '../systems/factionSystem.js';
+import { gridSystem } from '../systems/gridSystem.js';
+import { skillSystem } from '../systems/skillSystem.js';
+import { commandHistory } from './commandHistory.js';
+import { battleManager } from './battleManager.js';
+
+/**
+ * 탭마다 고정된 클라이언트 ID 저장 키 (새로고침 후 같은 자리로 재접속하기 위해 사용)
+ * @type {string}
+ */
+const CLIENT_ID_KEY = 'hex-game:client-id';
+
+/**
+ * 연결 상태
+ *
+ * @enum {string}
+ */
+export const NetworkStatus = {
+    CONNECTING: 'connecting',     // 릴레이에 접속 중
+    WAITING: 'waiting',           // 입장했고 상대를 기다리는 중
+    CONNECTED: 'connected',       // 상대와 연결됨
+    DISCONNECTED: 'disconnected', // 릴레이와 연결 끊김 (재접속 대기)
+    FAILED: 'failed'              // 방이 가득 차는 등으로 접속 불가
+};
+
+/**
+ * 32비트 FNV-1a 해시
+ *
+ * @param {string} text - 해시할 문자열
+ * @returns {string} 8자리 16진수
+ */
+function hashString(text) {
+    let h = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * 네트워크 매니저 클래스
+ *
+ * @class NetworkManager
+ */
+class NetworkManager {
+    constructor() {
+        /**
+         * 온라인 모드 여부
+         * @type {boolean}
+         */
+        this.enabled = false;
+
+        /**
+         * 릴레이 서버 주소
+         * @type {string|null}
+         */
+        this.url = null;
+
+        /**
+         * 방 이름
+         * @type {string|null}
+         */
+        this.room = null;
+
+        /**
+         * WebSocket
+         * @type {WebSocket|null}
+         */
+        this.socket = null;
+
+        /**
+         * 연결 상태 (NetworkStatus)
+         * @type {string}
+         */
+        this.status = NetworkStatus.DISCONNECTED;
+
+        /**
+         * 내 자리 (입장 전에는 null)
+         * @type {number|null}
+         */
+        this.seat = null;
+
+        /**
+         * 자리별로 맡은 진영 ID 목록
+         * @type {Array<string[]>}
+         */
+        this.seatFactions = [[], []];
+
+        /**
+         * 어느 자리에도 속하지 않아 AI가 조작하는 진영 ID 목록 (자리 0의 기기에서 실행)
+         * @type {string[]}
+         */
+        this.aiFactions = [];
+
+        /**
+         * 다음 재접속까지 대기 시간 (밀리초)
+         * @type {number}
+         */
+        this.reconnectDelay = NETWORK.RECONNECT_DELAY;
+
+        /**
+         * 재접속 타이머
+         * @type {number|null}
+         */
+        this.reconnectTimer = null;
+
+        /**
+         * 상대에게 받아 실행 중인 커맨드 ID (다시 보내지 않도록)
+         * @type {Set<string>}
+         */
+        this.remoteCommandIds = new Set();
+
+        /**
+         * 받은 메시지 처리 순서를 지키기 위한 작업 체인
+         * @type {Promise<void>}
+         */
+        this.pending = Promise.resolve();
+
+        /**
+         * 히스토리 길이별 내 상태 해시
+         * @type {Map<number, string>}
+         */
+        this.localHashes = new Map();
+
+        /**
+         * 히스토리 길이별 상대 상태 해시
+         * @type {Map<number, string>}
+         */
+        this.peerHashes = new Map();
+
+        /**
+         * 자리를 배정받거나 상대 턴이 끝나 내 차례가 됐을 수 있을 때 호출 (main.runEnemyTurns 연결)
+         * @type {Function|null}
+         */
+        this.onControlChanged = null;
+    }
+
+    /**
+     * 온라인 모드 시작
+     *
+     * 캐릭터를 모두 배치한 뒤에 호출해야 합니다. 자리를 배정받기 전까지는 모든 진영이
+     * 상대 진영으로 취급되어 아무도 조작할 수 없습니다.
+     * @param {Object} options
+     * @param {string} options.url - 릴레이 서버 주소 (ws://...)
+     * @param {string} options.room - 방 이름
+     */
+    start({ url, room }) {
+        this.enabled = true;
+        this.url = url;
+        this.room = room;
+
+        this.assignFactions(gameState.getAliveFactions());
+
+        // 실행 취소는 상대와 상태가 어긋나므로 막음
+        commandHistory.undoEnabled = false;
+
+        this.subscribeToEvents();
+        this.connect();
+    }
+
+    /**
+     * 진영을 자리와 AI로 나누기
+     *
+     * 사람이 조작하는 진영을 자리 0과 1에 나누고, 사람 진영이 하나뿐이면 그 진영의 첫 적대 진영을 자리 1에 줍니다.
+     * 나머지는 AI 진영으로 남깁니다. 자리를 배정받기 전까지는 모두 상대 진영으로 취급합니다.
+     * @param {string[]} factions - 맵에 배치된 진영 ID (진영 순서)
+     */
+    assignFactions(factions) {
+        const humans = factions.filter(factionId => factionSystem.isHumanControlled(factionId));
+        const first = humans[0] ?? factions[0];
+        const opponents = humans.length > 1
+            ? humans.slice(1)
+            : factions.filter(factionId => factionSystem.isHostile(first, factionId)).slice(0, 1);
+
+        this.seatFactions = [[first], opponents];
+        this.aiFactions = factions.filter(factionId => factionId !== first && !opponents.includes(factionId));
+        factions.forEach(factionId => factionSystem.setController(factionId, FACTION_CONTROLLER.REMOTE));
+    }
+
+    /**
+     * 이벤트 구독
+     */
+    subscribeToEvents() {
+        eventBus.on('command:executed', ({ command }) => this.onLocalCommand(command));
+    }
+
+    /**
+     * 온라인 모드인지 확인
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * 릴레이 서버에 접속
+     */
+    connect() {
+        this.reconnectTimer = null;
+        this.setStatus(NetworkStatus.CONNECTING);
+
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.reconnectDelay = NETWORK.RECONNECT_DELAY;
+            socket.send(JSON.stringify({ type: 'join', room: this.room, clientId: this.getClientId() }));
+        });
+
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.error('잘못된 네트워크 메시지:', error);
+                return;
+            }
+            // 커맨드 실행이 비동기이므로 받은 순서대로 하나씩 처리
+            this.pending = this.pending
+                .then(() => this.handleMessage(message))
+                .catch(error => console.error('네트워크 메시지 처리 실패:', error));
+        });
+
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (this.status === NetworkStatus.FAILED) return;
+
+            this.setStatus(NetworkStatus.DISCONNECTED);
+            this.scheduleReconnect();
+        });
+    }
+
+    /**
+     * 재접속 예약 (실패할 때마다 대기 시간을 늘림)
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, NETWORK.MAX_RECONNECT_DELAY);
+    }
+
+    /**
+     * 탭마다 고정된 클라이언트 ID
+     *
+     * @returns {string}
+     */
+    getClientId() {
+        let clientId = sessionStorage.getItem(CLIENT_ID_KEY);
+        if (!clientId) {
+            clientId = `client_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+            sessionStorage.setItem(CLIENT_ID_KEY, clientId);
+        }
+        return clientId;
+    }
+
+    /**
+     * 연결 상태 변경
+     *
+     * @param {string} status - NetworkStatus 값
+     * @param {string} [message] - 추가 설명
+     */
+    setStatus(status, message) {
+        this.status = status;
+        eventBus.emit(GameEvents.NETWORK_STATUS, { status, seat: this.seat, message });
+    }
+
+    /**
+     * 메시지 전송 (연결되어 있지 않으면 버림, 재접속 후 동기화로 보충)
+     *
+     * @param {Object} message - 보낼 메시지
+     */
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * 받은 메시지 처리
+     *
+     * @param {Object} message - 받은 메시지
+     * @returns {Promise<void>}
+     */
+    async handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.assignSeat(message.seat);
+                this.setStatus(message.peerConnected ? NetworkStatus.CONNECTED : NetworkStatus.WAITING);
+                this.sendHello();
+                break;
+            case 'peer_joined':
+                this.setStatus(NetworkStatus.CONNECTED);
+                this.sendHello();
+                break;
+            case 'peer_left':
+                this.setStatus(NetworkStatus.WAITING, '상대의 연결이 끊겼습니다');
+                break;
+            case 'error':
+                this.setStatus(NetworkStatus.FAILED, message.message);
+                break;
+            case 'hello':
+                this.onPeerHello(message);
+                break;
+            case 'command':
+                await this.onRemoteCommand(message);
+                break;
+            case 'sync':
+                await this.onSync(message);
+                break;
+            case 'hash':
+                this.peerHashes.set(message.index, message.hash);
+                this.compareHashes(message.index);
+                break;
+            case 'reject':
+                this.reportDesync(message.index, `상대가 커맨드를 거부했습니다: ${message.reason}`);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * 자리 배정 - 내 진영은 사람이, 상대 진영은 원격으로 조작
+     *
+     * AI 진영은 자리 0의 기기에서 AI가 조작하고, 자리 1에게는 상대 진영처럼 원격으로 취급합니다.
+     * 두 기기가 AI를 따로 실행하면 시간 한도가 있는 선읽기 등으로 판단이 달라질 수 있기 때문입니다.
+     *
+     * @param {number} seat - 자리 (0 또는 1)
+     */
+    assignSeat(seat) {
+        // 재접속이면 같은 자리이므로 다시 배정하지 않음
+        if (this.seat === seat) return;
+
+        this.seat = seat;
+        this.seatFactions.forEach((factions, index) => {
+            const controller = index === seat ? FACTION_CONTROLLER.HUMAN : FACTION_CONTROLLER.REMOTE;
+            factions.forEach(factionId => factionSystem.setController(factionId, controller));
+        });
+        const aiController = seat === 0 ? FACTION_CONTROLLER.AI : FACTION_CONTROLLER.REMOTE;
+        this.aiFactions.forEach(factionId => factionSystem.setController(factionId, aiController));
+        this.onControlChanged?.();
+    }
+
+    /**
+     * 내 히스토리 길이 알림 (상대가 부족한 쪽에 커맨드를 보냄)
+     */
+    sendHello() {
+        this.send({ type: 'hello', length: commandHistory.history.length });
+    }
+
+    /**
+     * 상대의 히스토리 길이를 받으면 상대에게 빠진 커맨드 전송
+     *
+     * @param {{length: number}} message - hello 메시지
+     */
+    onPeerHello({ length }) {
+        const history = commandHistory.history;
+        if (length >= history.length) return;
+
+        this.send({
+            type: 'sync',
+            from: length,
+            commands: history.slice(length).map(command => command.serialize())
+        });
+    }
+
+    /**
+     * 로컬 커맨드 전송
+     *
+     * @param {Command} command - 실행된 커맨드
+     */
+    onLocalCommand(command) {
+        if (!this.enabled) return;
+
+        // 상대에게 받은 커맨드는 다시 보내지 않음
+        if (this.remoteCommandIds.delete(command.id)) return;
+
+        this.send({
+            type: 'command',
+            index: commandHistory.history.length - 1,
+            command: command.serialize()
+        });
+
+        if (command.type === CommandType.END_TURN) {
+            this.sendHash();
+        }
+    }
+
+    /**
+     * 상대 커맨드 처리
+     *
+     * @param {{index: number, command: Object}} message - command 메시지
+     * @returns {Promise<void>}
+     */
+    async onRemoteCommand({ index, command }) {
+        const length = commandHistory.history.length;
+
+        // 이미 받은 커맨드 (동기화와 겹친 경우)
+        if (index < length) return;
+
+        // 중간 커맨드가 빠졌으면 다시 받음
+        if (index > length) {
+            this.sendHello();
+            return;
+        }
+
+        await this.applyRemoteCommand(command);
+    }
+
+    /**
+     * 빠진 커맨드 동기화
+     *
+     * 새로고침 등으로 히스토리가 비어 있으면 애니메이션 없이 한 번에 복원하고,
+     * 그 외에는 빠진 커맨드만 상대 커맨드와 같은 방식으로 검증해 실행합니다.
+     * @param {{from: number, commands: Object[]}} message - sync 메시지
+     * @returns {Promise<void>}
+     */
+    async onSync({ from, commands }) {
+        const length = commandHistory.history.length;
+        if (from > length) {
+            this.sendHello();
+            return;
+        }
+
+        const missing = commands.slice(length - from);
+        if (missing.length === 0) return;
+
+        if (length === 0) {
+            // 내 커맨드도 포함되어 있으므로 검증 없이 복원
+            await battleManager.loadHistory({ history: missing, currentIndex: missing.length - 1 });
+            battleManager.checkGameEnd();
+            eventBus.emit(GameEvents.TURN_CHANGED, {
+                turn: gameState.currentTurn,
+                turnCount: gameState.turnCount,
+                activeCharacter: gameState.getActiveCharacter()
+            });
+            this.sendHash();
+        } else {
+            for (const serialized of missing) {
+                if (!await this.applyRemoteCommand(serialized)) break;
+            }
+        }
+
+        this.onControlChanged?.();
+    }
+
+    /**
+     * 상대 커맨드 검증 후 실행
+     *
+     * 데미지/스킬 결과와 난수 상태는 보낸 값을 믿지 않고 내 난수 상태에서 다시 계산한 뒤 비교합니다
+     * (보낸 난수 상태를 쓰면 상대가 유리한 굴림을 고를 수 있음).
+     * @param {Object} serialized - 직렬화된 커맨드
+     * @returns {Promise<boolean>} 실행 성공 여부
+     */
+    async applyRemoteCommand(serialized) {
+        const index = commandHistory.history.length;
+        const { damage, counterDamage, results, rngState, ...data } = serialized.data || {};
+
+        let command;
+        try {
+            // 실행 전 상태 스냅샷은 내 상태로 다시 만듦
+            command = Command.deserialize({ ...serialized, data, previousState: null }, {
+                getCharacter: (id) => gameState.getCharacterById(id),
+                getTile: (q, r) => gridSystem.getTile(q, r)
+            });
+        } catch (error) {
+            this.rejectCommand(index, error.message);
+            return false;
+        }
+
+        const reason = this.validateRemoteCommand(command);
+        if (reason) {
+            this.rejectCommand(index, reason);
+            return false;
+        }
+
+        // 같은 커맨드를 같은 순서로 실행했으면 난수 상태도 같아야 함 (다르면 알리고 내 상태로 굴림)
+        if (rngState && (rngState.seed !== rng.seed || rngState.cursor !== rng.cursor)) {
+            this.reportDesync(index, '난수 상태가 다릅니다');
+        }
+
+        this.remoteCommandIds.add(command.id);
+        const success = await commandHistory.execute(command);
+        if (!success) {
+            this.remoteCommandIds.delete(command.id);
+            this.rejectCommand(index, '실행 실패');
+            return false;
+        }
+
+        // 다시 계산한 결과 비교
+        if (damage !== undefined && command.data.damage !== damage) {
+            this.reportDesync(index, `데미지가 다릅니다 (${command.data.damage} / ${damage})`);
+        }
+        if (counterDamage !== undefined && command.data.counterDamage !== counterDamage) {
+            this.reportDesync(index, `반격 데미지가 다릅니다 (${command.data.counterDamage} / ${counterDamage})`);
+        }
+        if (results !== undefined && JSON.stringify(command.data.results) !== JSON.stringify(results)) {
+            this.reportDesync(index, '스킬 결과가 다릅니다');
+        }
+
+        if (command.type === CommandType.END_TURN) {
+            battleManager.checkGameEnd();
+            this.sendHash();
+            this.onControlChanged?.();
+        }
+
+        return true;
+    }
+
+    /**
+     * 상대 커맨드 검증 (턴 권한과 행동 규칙)
+     *
+     * battleManager/gameManager가 로컬 입력에 적용하는 규칙과 같은 조건입니다.
+     * @param {Command} command - 복원된 커맨드
+     * @returns {string|null} 거부 이유 (통과하면 null)
+     */
+    validateRemoteCommand(command) {
+        if (!gameState.isPlaying()) return '전투가 끝났습니다';
+
+        const { data } = command;
+
+        switch (command.type) {
+            case CommandType.END_TURN:
+                if (!factionSystem.isRemoteControlled(gameState.currentTurn)) return '상대의 턴이 아닙니다';
+                if (data.previousTurn !== gameState.currentTurn) return '턴 정보가 다릅니다';
+                return null;
+
+            case CommandType.MOVE: {
+                const { character, fromTile, path } = data;
+                if (!this.canRemoteControl(character)) return '조작할 수 없는 캐릭터입니다';
+                if (character.currentTile !== fromTile) return '출발 위치가 다릅니다';
+                if (path.length === 0 || path[path.length - 1] !== data.toTile) return '잘못된 경로입니다';
+
+                const destination = path[path.length - 1];
+                if (destination.isOccupied()) return '도착 타일이 비어 있지 않습니다';
+
+                // findPath처럼 다른 캐릭터가 있는 타일은 지나갈 수 없음
+                let previous = fromTile;
+                for (const tile of path) {
+                    if (!tile.isNeighbor(previous) || !tile.isPassable()) return '잘못된 경로입니다';
+                    if (tile.isOccupied()) return '경로가 다른 캐릭터에 막혀 있습니다';
+                    previous = tile;
+                }
+
+                const remaining = character.movementRange - character.movedDistance;
+                if (gridSystem.getPathCost(fromTile, path) > remaining) return '이동력이 부족합니다';
+
+                // 로컬에서 계산한 이동 범위와도 맞아야 함 (이동 범위 표시와 같은 기준)
+                if (!gridSystem.getMovableTiles(character).includes(destination)) return '이동 범위 밖입니다';
+                return null;
+            }
+
+            case CommandType.ATTACK: {
+                const { attacker, target } = data;
+                if (!this.canRemoteControl(attacker)) return '조작할 수 없는 캐릭터입니다';
+                if (attacker.hasAttacked || !target.isAlive()) return '공격할 수 없습니다';
+                if (!factionSystem.canAttack(attacker, target)) return '공격할 수 없는 대상입니다';
+                if (!gridSystem.isInAttackRange(attacker, target.currentTile)) return '사거리 밖입니다';
+                return null;
+            }
+
+            case CommandType.USE_SKILL: {
+                const { caster, skillId, targetTile } = data;
+                const skill = skillSystem.getSkill(skillId);
+                if (!this.canRemoteControl(caster)) return '조작할 수 없는 캐릭터입니다';
+                if (!skillSystem.canUse(caster, skill)) return '스킬을 사용할 수 없습니다';
+                if (!skillSystem.isValidTarget(caster, skill, targetTile)) return '잘못된 스킬 대상입니다';
+                return null;
+            }
+
+            default:
+                return `알 수 없는 커맨드입니다 (${command.type})`;
+        }
+    }
+
+    /**
+     * 상대가 지금 조작할 수 있는 캐릭터인지 확인 (gameState.canControl의 상대 버전)
+     *
+     * @param {Character} character - 캐릭터
+     * @returns {boolean}
+     */
+    canRemoteControl(character) {
+        if (!character?.isAlive() || !factionSystem.isRemoteControlled(character.type)) return false;
+        return gameState.isInitiativeMode()
+            ? character === gameState.getActiveCharacter()
+            : character.type === gameState.currentTurn;
+    }
+
+    /**
+     * 커맨드 거부 - 상대에게 알림
+     *
+     * @param {number} index - 커맨드 위치
+     * @param {string} reason - 거부 이유
+     */
+    rejectCommand(index, reason) {
+        console.warn(`상대 커맨드 #${index} 거부: ${reason}`);
+        this.send({ type: 'reject', index, reason });
+        eventBus.emit(GameEvents.NETWORK_COMMAND_REJECTED, { index, reason });
+    }
+
+    /**
+     * 동기화 어긋남 알림
+     *
+     * @param {number} index - 어긋난 것을 발견한 히스토리 위치
+     * @param {string} reason - 이유
+     */
+    reportDesync(index, reason) {
+        console.error(`동기화 어긋남 (#${index}): ${reason}`);
+        eventBus.emit(GameEvents.NETWORK_DESYNC, { index, reason });
+    }
+
+    /**
+     * 현재 상태 해시 전송
+     */
+    sendHash() {
+        const index = commandHistory.history.length;
+        const hash = this.getStateHash();
+
+        this.localHashes.set(index, hash);
+        this.send({ type: 'hash', index, hash });
+        this.compareHashes(index);
+    }
+
+    /**
+     * 같은 위치의 내 해시와 상대 해시 비교
+     *
+     * @param {number} index - 히스토리 길이
+     */
+    compareHashes(index) {
+        const local = this.localHashes.get(index);
+        const remote = this.peerHashes.get(index);
+        if (local === undefined || remote === undefined) return;
+
+        if (local !== remote) {
+            this.reportDesync(index, `상태 해시가 다릅니다 (${local} / ${remote})`);
+        }
+    }
+
+    /**
+     * 동기화 확인용 상태 해시
+     *
+     * 턴, 난수 상태, 진영 관계, 캐릭터별 위치와 능력치를 해시합니다.
+     * @returns {string} 해시
+     */
+    getStateHash() {
+        const characters = Array.from(gameState.characterRegistry.values())
+            .sort((a, b) => a.id - b.id)
+            .map(character => [
+                character.id,
+                character.health,
+                character.mana,
+                character.currentTile ? [character.currentTile.q, character.currentTile.r] : null,
+                character.isAlive(),
+                character.hasMoved,
+                character.hasAttacked,
+                character.movedDistance,
+                character.statusEffects.map(effect => [effect.id, effect.duration, effect.stacks]),
+                character.skillCooldowns
+            ]);
+
+        return hashString(JSON.stringify({
+            turn: gameState.currentTurn,
+            turnCount: gameState.turnCount,
+            turnOrder: gameState.turnOrder,
+            activeIndex: gameState.activeIndex,
+            rng: rng.getState(),
+            factions: factionSystem.getState(),
+            characters
+        }));
+    }
+
+    /**
+     * 전투 결과가 이 기기의 플레이어에게 승리인지 확인
+     *
+     * 전투 목표는 자리 0 진영 기준이므로 자리 1은 결과를 뒤집어 봅니다.
+     * @param {string} result - GAME_STATE 값
+     * @returns {boolean}
+     */
+    isLocalVictory(result) {
+        const seatZeroWon = result === GAME_STATE.PLAYER_WON;
+        return this.seat === 1 ? !seatZeroWon : seatZeroWon;
+    }
+
+    /**
+     * 턴 표시용 이름 ("나" 또는 "상대"와 진영 이름, AI 진영은 이름만)
+     *
+     * @param {string} factionId - 진영 ID
+     * @returns {string} 표시 이름
+     */
+    getTurnLabel(factionId) {
+        const name = factionSystem.getName(factionId);
+        if (this.seat === null || this.aiFactions.includes(factionId)) return name;
+        return factionSystem.isRemoteControlled(factionId) ? `상대 (${name})` : `나 (${name})`;
+    }
+}
+
+// 싱글톤 인스턴스
+export const networkManager = new NetworkManager();
@@ -0,0 +1,420 @@
+/**
+ * 리플레이 매니저
+ *
+ * 전투를 처음부터 다시 볼 수 있는 리플레이 파일을 만들고 불러오며, 리플레이 재생과 탐색을 담당합니다.
+ *
+ * 리플레이 파일에는 전투 시작 시점의 스냅샷(배치, 턴, 난수 상태)과 시드, 그 뒤에 실행된 커맨드가 들어 있어
+ * 새 세션에서 같은 맵을 연 뒤 시작 상태를 복원하고 커맨드를 재실행하는 것만으로 전투를 그대로 재현합니다.
+ * 공격 커맨드는 실행 시점의 난수 상태와 데미지를 기록하므로 뒤로 갔다가 다시 재생해도 결과가 같습니다.
+ *
+ * 불러온 리플레이는 보기 전용으로, 입력과 AI 진행 없이 타임라인으로만 움직입니다.
+ *
+ * @module replayManager
+ */
+
+import { gameState } from '../core/gameState.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { GAME_STATE } from '../core/constants.js';
+import { gridSystem } from '../systems/gridSystem.js';
+import { objectiveSystem } from '../systems/objectiveSystem.js';
+import { actionQueue } from '../systems/actionQueue.js';
+import { CommandType } from '../commands/Command.js';
+import { battleManager } from './battleManager.js';
+import { commandHistory } from './commandHistory.js';
+import { saveManager } from './saveManager.js';
+
+/**
+ * 현재 리플레이 파일 버전
+ * @type {number}
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * 리플레이 파일 형식 이름 (저장 파일과 구분)
+ * @type {string}
+ */
+const REPLAY_FORMAT = 'hex-game-replay';
+
+/**
+ * 불러올 리플레이를 페이지를 다시 여는 동안 보관하는 sessionStorage 키
+ * @type {string}
+ */
+const PENDING_REPLAY_KEY = 'hex-game:pending-replay';
+
+/**
+ * 리플레이 매니저 클래스
+ *
+ * @class ReplayManager
+ */
+class ReplayManager {
+    constructor() {
+        /**
+         * 전투 시작 시점 정보 (시작 스냅샷, 그때의 히스토리 위치와 그 위치의 커맨드 ID)
+         * @type {{snapshot: Object, startIndex: number, startId: string|null}|null}
+         */
+        this.setup = null;
+
+        /**
+         * 불러온 리플레이를 보는 중인지 여부
+         * @type {boolean}
+         */
+        this.isViewing = false;
+
+        /**
+         * 진행 중인 탐색/재생 수 (0이 되면 복원 플래그를 되돌림)
+         * @type {number}
+         */
+        this.navigating = 0;
+
+        /**
+         * 탐색을 시작하기 전의 battleManager.isRestoring 값
+         * @type {boolean}
+         */
+        this.previousRestoring = false;
+    }
+
+    /**
+     * 초기화 (전투 시작과 불러오기 시점을 기록)
+     */
+    init() {
+        eventBus.on(GameEvents.GAME_STARTED, () => this.captureSetup());
+        eventBus.on(GameEvents.GAME_LOADED, () => {
+            if (!this.isViewing) this.captureSetup();
+        });
+    }
+
+    /**
+     * 현재 상태를 리플레이 시작 상태로 기록
+     */
+    captureSetup() {
+        this.setup = {
+            snapshot: { ...saveManager.createSnapshot('setup'), history: null },
+            startIndex: commandHistory.currentIndex,
+            startId: commandHistory.history[commandHistory.currentIndex]?.id ?? null
+        };
+    }
+
+    /**
+     * 리플레이 데이터 생성
+     *
+     * 시작 상태부터 현재 위치까지 실행된 커맨드를 담습니다 (지금 따라가는 분기만).
+     *
+     * @param {string} [name] - 리플레이 이름
+     * @returns {Object} 리플레이 데이터 {format, version, name, createdAt, map, seed, turnMode, setup, commands, result}
+     * @throws {Error} 시작 상태가 기록되지 않았거나 현재 분기가 시작 상태를 지나지 않는 경우
+     */
+    createReplay(name = '') {
+        if (!this.setup) {
+            throw new Error('No battle setup recorded');
+        }
+
+        const { startIndex, startId, snapshot } = this.setup;
+        const startCommand = commandHistory.history[startIndex];
+        if (commandHistory.currentIndex < startIndex || (startCommand?.id ?? null) !== startId) {
+            throw new Error('Current history does not pass through the recorded battle setup');
+        }
+
+        const commands = commandHistory.history
+            .slice(startIndex + 1, commandHistory.currentIndex + 1)
+            .map(command => command.serialize());
+
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            name,
+            createdAt: new Date().toISOString(),
+            map: snapshot.battle.map,
+            seed: snapshot.rng?.seed ?? null,
+            turnMode: snapshot.battle.turnMode,
+            setup: snapshot,
+            commands,
+            result: {
+                state: gameState.currentState,
+                turnCount: gameState.turnCount
+            }
+        };
+    }
+
+    /**
+     * 리플레이 데이터 검증
+     *
+     * @param {Object} data - 리플레이 데이터
+     * @returns {Object} 검증된 데이터
+     * @throws {Error} 리플레이 파일이 아니거나 지원하지 않는 버전인 경우
+     */
+    validate(data) {
+        if (!data || data.format !== REPLAY_FORMAT) {
+            throw new Error('Not a replay file');
+        }
+        if ((data.version ?? 0) > REPLAY_VERSION) {
+            throw new Error(`Replay version ${data.version} is newer than supported version ${REPLAY_VERSION}`);
+        }
+        if (!data.setup || !Array.isArray(data.commands)) {
+            throw new Error('Invalid replay data');
+        }
+        return data;
+    }
+
+    /**
+     * 리플레이 불러오기
+     *
+     * 리플레이를 만든 맵이 열려 있어야 합니다. 시작 상태를 복원하고 커맨드를 재실행 대상으로 등록한 뒤
+     * 보기 전용 상태로 들어갑니다 (처음 위치는 첫 커맨드 이전).
+     *
+     * @param {Object} data - 리플레이 데이터
+     * @returns {Promise<boolean>} 불러오기 성공 여부
+     */
+    async load(data) {
+        const replay = this.validate(data);
+
+        this.isViewing = true;
+        battleManager.isRestoring = true;
+        gameState.clearSelection();
+
+        try {
+            await saveManager.applySnapshot(replay.setup);
+
+            const resolver = {
+                getCharacter: (id) => gameState.getCharacterById(id),
+                getTile: (q, r) => gridSystem.getTile(q, r)
+            };
+            await commandHistory.load({ history: replay.commands, currentIndex: -1 }, resolver, { replay: false });
+        } catch (error) {
+            this.isViewing = false;
+            battleManager.isRestoring = false;
+            throw error;
+        }
+
+        this.setup = { snapshot: replay.setup, startIndex: -1, startId: null };
+        this.updateGameState();
+
+        eventBus.emit('replay:loaded', {
+            name: replay.name,
+            createdAt: replay.createdAt,
+            commands: replay.commands.length
+        });
+        return true;
+    }
+
+    /**
+     * 리플레이를 JSON 파일로 내보내기
+     *
+     * @param {string} [fileName] - 파일 이름 (확장자 제외)
+     */
+    exportToFile(fileName = `hex-replay-${Date.now()}`) {
+        if (actionQueue.isProcessing || this.navigating > 0) {
+            throw new Error('Cannot export replay while actions are in progress');
+        }
+
+        const replay = this.createReplay(fileName);
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.replay.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * JSON 파일에서 리플레이 불러오기
+     *
+     * 맵과 턴 방식이 리플레이와 같은 새 세션에서 보도록, 리플레이를 sessionStorage에 넣고
+     * 페이지를 리플레이 설정으로 다시 엽니다 (main.js가 ?replay=1 을 보고 {@link ReplayManager#takePending}).
+     *
+     * @param {File} file - 사용자가 선택한 파일
+     * @returns {Promise<void>}
+     */
+    async importFromFile(file) {
+        const text = await file.text();
+        const replay = this.validate(JSON.parse(text));
+
+        sessionStorage.setItem(PENDING_REPLAY_KEY, text);
+
+        const params = new URLSearchParams({ replay: '1' });
+        if (replay.map) params.set('map', replay.map);
+        if (replay.turnMode) params.set('turnMode', replay.turnMode);
+        if (replay.seed !== null && replay.seed !== undefined) params.set('seed', replay.seed);
+        window.location.search = params.toString();
+    }
+
+    /**
+     * 불러오기를 기다리는 리플레이 꺼내기
+     *
+     * @returns {Object|null} 리플레이 데이터 (없거나 읽을 수 없으면 null)
+     */
+    takePending() {
+        const raw = sessionStorage.getItem(PENDING_REPLAY_KEY);
+        sessionStorage.removeItem(PENDING_REPLAY_KEY);
+        if (!raw) return null;
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            console.warn('손상된 리플레이 데이터:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 타임라인 위치 수 (0: 첫 커맨드 이전, 길이: 마지막 커맨드 이후)
+     *
+     * @returns {number} 커맨드 수
+     */
+    getLength() {
+        return commandHistory.history.length;
+    }
+
+    /**
+     * 현재 타임라인 위치
+     *
+     * @returns {number} 0~getLength()
+     */
+    getPosition() {
+        return commandHistory.currentIndex + 1;
+    }
+
+    /**
+     * 턴 표시 위치 (턴 종료 커맨드마다 하나)
+     *
+     * @returns {Array<{position: number, turnCount: number, faction: string}>}
+     *     position은 턴 종료 직후의 타임라인 위치, turnCount와 faction은 끝난 턴
+     */
+    getTurnMarkers() {
+        return commandHistory.history.flatMap((command, index) => {
+            if (command.type !== CommandType.END_TURN) return [];
+            return [{
+                position: index + 1,
+                turnCount: command.data.turnCount,
+                faction: command.data.previousTurn
+            }];
+        });
+    }
+
+    /**
+     * 타임라인 위치로 이동
+     *
+     * 한 칸보다 멀리 이동하면 애니메이션을 건너뜁니다.
+     *
+     * @param {number} position - 0~getLength()
+     * @returns {Promise<boolean>} 이동 성공 여부
+     */
+    seek(position) {
+        const target = Math.max(0, Math.min(position, this.getLength())) - 1;
+        const skip = Math.abs(target - commandHistory.currentIndex) > 1;
+        return this.navigate(() => commandHistory.goTo(target, { afterEach: () => actionQueue.waitUntilIdle() }), skip);
+    }
+
+    /**
+     * 한 단계 앞으로 (재생 중이면 일시 정지)
+     *
+     * @returns {Promise<boolean>} 이동 성공 여부
+     */
+    stepForward() {
+        commandHistory.pauseReplay();
+        return this.navigate(() => commandHistory.stepForward({ afterEach: () => actionQueue.waitUntilIdle() }));
+    }
+
+    /**
+     * 한 단계 뒤로 (재생 중이면 일시 정지)
+     *
+     * @returns {Promise<boolean>} 이동 성공 여부
+     */
+    stepBack() {
+        commandHistory.pauseReplay();
+        return this.navigate(() => commandHistory.stepBack({ afterEach: () => actionQueue.waitUntilIdle() }));
+    }
+
+    /**
+     * 다른 분기로 옮겨가기 (애니메이션 없이)
+     *
+     * @param {string} commandId - 옮겨갈 위치의 커맨드 ID
+     * @returns {Promise<boolean>} 이동 성공 여부
+     */
+    switchBranch(commandId) {
+        commandHistory.pauseReplay();
+        return this.navigate(() => commandHistory.switchBranch(commandId, {
+            afterEach: () => actionQueue.waitUntilIdle()
+        }), true);
+    }
+
+    /**
+     * 재생 (일시 정지 중이면 계속, 끝에 있으면 처음부터)
+     *
+     * @returns {Promise<void>} 재생이 끝나면 완료
+     */
+    async play() {
+        if (commandHistory.isReplayMode) {
+            commandHistory.resumeReplay();
+            return;
+        }
+
+        const position = this.getPosition();
+        const from = position >= this.getLength() ? 0 : position;
+        await this.navigate(() => commandHistory.startReplay(from, null, {
+            afterEach: () => actionQueue.waitUntilIdle()
+        }));
+    }
+
+    /**
+     * 일시 정지
+     */
+    pause() {
+        commandHistory.pauseReplay();
+    }
+
+    /**
+     * 재생 중단
+     */
+    stop() {
+        commandHistory.stopReplayMode();
+    }
+
+    /**
+     * 탐색/재생 실행
+     *
+     * 실행 중에는 복원 플래그를 켜서 커맨드 재실행이 자동 턴 종료나 승패 판정을 일으키지 않게 하고,
+     * 끝나면 현재 위치에 맞는 전투 상태로 맞춥니다 ({@link ReplayManager#updateGameState}).
+     *
+     * @param {Function} task - 비동기 이동 작업
+     * @param {boolean} [skip=false] - 애니메이션 건너뛰기
+     * @returns {Promise<*>} 작업 결과
+     */
+    async navigate(task, skip = false) {
+        if (this.navigating++ === 0) {
+            this.previousRestoring = battleManager.isRestoring;
+            battleManager.isRestoring = true;
+        }
+        const previousSkipMode = battleManager.animator?.skipMode;
+        if (skip) battleManager.animator?.setSkipMode(true);
+        gameState.clearSelection();
+
+        try {
+            return await task();
+        } finally {
+            if (skip) battleManager.animator?.setSkipMode(previousSkipMode);
+            if (--this.navigating === 0) {
+                battleManager.isRestoring = this.previousRestoring;
+            }
+            this.updateGameState();
+            eventBus.emit('replay:navigated', { position: this.getPosition(), length: this.getLength() });
+        }
+    }
+
+    /**
+     * 현재 위치에 맞는 전투 상태로 맞춤
+     *
+     * 탐색 중에는 승패 판정을 하지 않으므로, 이동한 위치의 보드로 전투 목표를 다시 평가합니다
+     * (끝난 전투를 되돌리면 진행 중, 다시 끝으로 가면 그 결과).
+     */
+    updateGameState() {
+        const outcome = objectiveSystem.evaluate();
+        gameState.setGameState(outcome ? outcome.result : GAME_STATE.PLAYING);
+    }
+}
+
+// 싱글톤 인스턴스
+export const replayManager = new ReplayManager();
@@ -7,6 +7,7 @@
 
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { loadJSON } from '../utils/loadJSON.js';
 
 /**
  * 리소스 타입 열거형
@@ -227,17 +228,28 @@ class ResourceManager {
      * JSON 로드
      */
     async loadJSON(path, name) {
-        try {
-            const response = await fetch(path);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-            console.log(`JSON loaded: ${name}`);
-            return data;
-        } catch (error) {
-            throw error;
+        return loadJSON(path, name);
+    }
+    
+    /**
+     * 맵 데이터 로드 (public/maps/<이름>.json)
+     * 
+     * 한 번 로드한 맵은 캐시됩니다.
+     * @param {string} mapName - 맵 이름
+     * @returns {Promise<Object>} 맵 데이터
+     */
+    async loadMap(mapName) {
+        const key = `map:${mapName}`;
+        if (this.resources.has(key)) {
+            return this.resources.get(key);
         }
+        
+        const data = await this.loadJSON(`maps/${mapName}.json`, key);
+        
+        // 파일에 id가 없으면 파일 이름을 id로 사용
+        const mapData = { id: mapName, ...data };
+        this.resources.set(key, mapData);
+        return mapData;
     }
     
     /**
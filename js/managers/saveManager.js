@@ -0,0 +1,459 @@
+/**
+ * 저장 매니저
+ *
+ * 전투 상태 전체(턴, 캐릭터, 커맨드 히스토리)를 스냅샷으로 만들고
+ * localStorage 슬롯이나 JSON 파일로 저장/불러오기를 담당합니다.
+ *
+ * 저장 데이터에는 버전이 기록되며, 구버전 데이터는 등록된 마이그레이션을
+ * 순서대로 거쳐 현재 버전으로 변환된 뒤 불러옵니다.
+ *
+ * @module saveManager
+ */
+
+import { gameState } from '../core/gameState.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { rng } from '../core/rng.js';
+import { GAME_STATE, TURN_TYPE, TURN_MODE } from '../core/constants.js';
+import { Character } from '../entities/Character.js';
+import { gridSystem } from '../systems/gridSystem.js';
+import { classSystem } from '../systems/classSystem.js';
+import { factionSystem } from '../systems/factionSystem.js';
+import { actionQueue } from '../systems/actionQueue.js';
+import { commandHistory } from './commandHistory.js';
+
+/**
+ * 현재 저장 데이터 버전
+ * 스냅샷 형식이 바뀌면 올리고 이전 버전용 마이그레이션을 등록합니다.
+ *
+ * - 1: 캐릭터 위치/체력/행동 상태, 턴 정보, 커맨드 히스토리
+ * - 2: 클래스, AI 성향, 마나/스킬/쿨다운, 상태 효과, 우선권 턴 순서,
+ *      진영 관계, 히스토리 분기 추가 / 밸런스 상수 기록(balance) 제거
+ * @type {number}
+ */
+export const SAVE_VERSION = 2;
+
+/**
+ * localStorage 키 접두사
+ * @type {string}
+ */
+const STORAGE_PREFIX = 'hex-game:save:';
+
+/**
+ * 저장 매니저 클래스
+ *
+ * @class SaveManager
+ */
+class SaveManager {
+    constructor() {
+        /**
+         * 버전별 마이그레이션 (fromVersion → 변환 함수)
+         * 변환 함수는 fromVersion 데이터를 받아 fromVersion + 1 데이터를 반환합니다.
+         * @type {Map<number, Function>}
+         */
+        this.migrations = new Map();
+
+        this.registerMigration(1, (data) => this.migrateV1(data));
+    }
+
+    /**
+     * 마이그레이션 등록
+     *
+     * @param {number} fromVersion - 변환 대상 버전
+     * @param {Function} migrate - (data) => 다음 버전 데이터
+     */
+    registerMigration(fromVersion, migrate) {
+        this.migrations.set(fromVersion, migrate);
+    }
+
+    /**
+     * 버전 1 → 2 변환
+     *
+     * 버전 1 이후에 추가된 필드를 기본값으로 채웁니다. 마나와 스킬은 null로 두어
+     * 복원할 때 클래스 기본값을 쓰게 하고, 더 이상 쓰지 않는 balance 기록은 버립니다.
+     *
+     * @private
+     * @param {Object} data - 버전 1 저장 데이터
+     * @returns {Object} 버전 2 저장 데이터
+     */
+    migrateV1(data) {
+        const { balance, ...rest } = data;
+
+        return {
+            ...rest,
+            battle: rest.battle && {
+                turnMode: TURN_MODE.PHASE,
+                turnOrder: [],
+                activeIndex: 0,
+                factions: null,
+                ...rest.battle
+            },
+            characters: Array.isArray(rest.characters)
+                ? rest.characters.map(saved => ({
+                    classId: null,
+                    aiProfile: null,
+                    mana: null,
+                    skills: null,
+                    skillCooldowns: {},
+                    statusEffects: [],
+                    ...saved
+                }))
+                : rest.characters,
+            history: rest.history && { branches: [], ...rest.history }
+        };
+    }
+
+    /**
+     * 현재 저장이 가능한지 확인
+     *
+     * 애니메이션이 진행 중이거나 적 턴, 리플레이 중에는 상태가 확정되지 않아 막습니다.
+     *
+     * @returns {boolean}
+     */
+    canSave() {
+        return gameState.isPlaying()
+            && gameState.isPlayerTurn()
+            && !commandHistory.isReplayMode
+            && !actionQueue.isProcessing
+            && actionQueue.queue.length === 0;
+    }
+
+    /**
+     * 현재 불러오기가 가능한지 확인
+     *
+     * 적 턴 진행 중에는 AI가 기존 캐릭터로 계속 행동하므로 막고,
+     * 전투가 끝난 뒤에는 허용합니다.
+     *
+     * @returns {boolean}
+     */
+    canLoad() {
+        return (gameState.isPlayerTurn() || !gameState.isPlaying())
+            && !commandHistory.isReplayMode
+            && !actionQueue.isProcessing
+            && actionQueue.queue.length === 0;
+    }
+
+    /**
+     * 현재 전투 상태 스냅샷 생성
+     *
+     * @param {string} [name] - 저장 이름
+     * @returns {Object} 저장 데이터
+     */
+    createSnapshot(name = '') {
+        // 사망한 캐릭터도 히스토리 복원에 필요하므로 레지스트리 전체를 저장
+        const characters = Array.from(gameState.characterRegistry.values()).map(character => ({
+            id: character.id,
+            type: character.type,
+            name: character.name,
+            classId: character.classId,
+            aiProfile: character.aiProfile,
+            health: character.health,
+            maxHealth: character.maxHealth,
+            isDead: !character.isAlive(),
+            q: character.currentTile ? character.currentTile.q : null,
+            r: character.currentTile ? character.currentTile.r : null,
+            hasMoved: character.hasMoved,
+            hasAttacked: character.hasAttacked,
+            movedDistance: character.movedDistance,
+            actionsUsed: { ...character.actionsUsed },
+            facingDirection: character.facingDirection,
+            mana: character.mana,
+            skills: [...character.skills],
+            skillCooldowns: { ...character.skillCooldowns },
+            statusEffects: character.statusEffects.map(effect => ({ ...effect }))
+        }));
+
+        return {
+            version: SAVE_VERSION,
+            name,
+            savedAt: new Date().toISOString(),
+            battle: {
+                map: gridSystem.mapId,
+                state: gameState.currentState,
+                currentTurn: gameState.currentTurn,
+                turnCount: gameState.turnCount,
+                turnMode: gameState.turnMode,
+                turnOrder: [...gameState.turnOrder],
+                activeIndex: gameState.activeIndex,
+                factions: factionSystem.getState()
+            },
+            characters,
+            rng: rng.getState(),
+            history: commandHistory.save()
+        };
+    }
+
+    /**
+     * 저장 데이터를 현재 버전으로 변환
+     *
+     * @param {Object} data - 저장 데이터
+     * @returns {Object} 현재 버전 데이터
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid save data');
+        }
+
+        let migrated = data;
+        let version = migrated.version ?? 0;
+
+        if (version > SAVE_VERSION) {
+            throw new Error(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+        }
+
+        while (version < SAVE_VERSION) {
+            const migration = this.migrations.get(version);
+            if (!migration) {
+                throw new Error(`No migration registered for save version ${version}`);
+            }
+            migrated = { ...migration(migrated), version: version + 1 };
+            version++;
+        }
+
+        return migrated;
+    }
+
+    /**
+     * 저장 데이터 적용
+     *
+     * 현재 캐릭터를 모두 제거하고 저장된 캐릭터를 다시 생성한 뒤,
+     * 턴 정보와 커맨드 히스토리를 복원합니다.
+     *
+     * @param {Object} data - 저장 데이터 (구버전 가능)
+     * @returns {Promise<boolean>} 적용 성공 여부
+     */
+    async applySnapshot(data) {
+        const snapshot = this.migrate(data);
+
+        if (!Array.isArray(snapshot.characters) || !snapshot.battle) {
+            throw new Error('Invalid save data');
+        }
+
+        // 다른 맵에서 만든 저장 데이터는 타일 구성이 달라 불러올 수 없음
+        if (snapshot.battle.map && snapshot.battle.map !== gridSystem.mapId) {
+            throw new Error(`Save was made on map '${snapshot.battle.map}', current map is '${gridSystem.mapId}'`);
+        }
+
+        // 보드를 건드리기 전에 타일 좌표 검증
+        snapshot.characters.forEach(saved => {
+            if (!gridSystem.getTile(saved.q, saved.r)) {
+                throw new Error(`Character ${saved.id}: tile (${saved.q}, ${saved.r}) not found`);
+            }
+        });
+
+        this.clearCharacters();
+        snapshot.characters.forEach(saved => this.restoreCharacter(saved));
+
+        // 턴 정보 복원
+        gameState.setGameState(snapshot.battle.state || GAME_STATE.PLAYING);
+        gameState.currentTurn = snapshot.battle.currentTurn || TURN_TYPE.PLAYER;
+        gameState.turnCount = snapshot.battle.turnCount || 1;
+        gameState.turnMode = snapshot.battle.turnMode || TURN_MODE.PHASE;
+        gameState.turnOrder = [...(snapshot.battle.turnOrder || [])];
+        gameState.activeIndex = snapshot.battle.activeIndex || 0;
+        factionSystem.setState(snapshot.battle.factions);
+
+        if (snapshot.rng) {
+            rng.setState(snapshot.rng);
+        }
+
+        // 보드는 이미 저장 시점 상태이므로 커맨드를 재실행하지 않음
+        const resolver = {
+            getCharacter: (id) => gameState.getCharacterById(id),
+            getTile: (q, r) => gridSystem.getTile(q, r)
+        };
+
+        if (snapshot.history) {
+            await commandHistory.load(snapshot.history, resolver, { replay: false });
+        } else {
+            commandHistory.clear();
+        }
+
+        eventBus.emit(GameEvents.TURN_CHANGED, {
+            turn: gameState.currentTurn,
+            turnCount: gameState.turnCount,
+            activeCharacter: gameState.getActiveCharacter()
+        });
+        eventBus.emit(GameEvents.GAME_LOADED, { name: snapshot.name, savedAt: snapshot.savedAt });
+
+        return true;
+    }
+
+    /**
+     * 현재 캐릭터 모두 제거 (사망한 캐릭터 포함)
+     */
+    clearCharacters() {
+        gameState.characterRegistry.forEach(character => character.dispose());
+
+        gridSystem.allTiles.forEach(tile => tile.removeOccupant());
+        gameState.clearCharacters();
+    }
+
+    /**
+     * 저장된 캐릭터 하나를 생성해 보드에 배치
+     *
+     * 최대 체력 등 능력치는 현재 클래스 능력치(classes.json)를 따르고,
+     * 저장된 체력은 현재 최대 체력을 넘지 않도록 맞춥니다.
+     *
+     * @param {Object} saved - 저장된 캐릭터 데이터
+     * @returns {Character} 생성된 캐릭터
+     */
+    restoreCharacter(saved) {
+        const tile = gridSystem.getTile(saved.q, saved.r);
+        const character = new Character(saved.type, tile, saved.name, saved.id, saved.classId);
+
+        character.health = Math.min(saved.health, character.maxHealth);
+        character.hasMoved = saved.hasMoved;
+        character.hasAttacked = saved.hasAttacked;
+        character.movedDistance = saved.movedDistance;
+        character.actionsUsed = { ...character.actionsUsed, ...saved.actionsUsed };
+        character.facingDirection = saved.facingDirection || 0;
+        character.aiProfile = saved.aiProfile ?? null;
+
+        // 버전 1 저장 데이터(스킬/마나가 null)는 클래스 기본 스킬과 가득 찬 마나로 시작
+        character.skills = saved.skills ? [...saved.skills] : classSystem.getStartingSkills(character);
+        character.mana = Math.min(saved.mana ?? character.maxMana, character.maxMana);
+        character.skillCooldowns = { ...saved.skillCooldowns };
+        character.statusEffects = (saved.statusEffects || []).map(effect => ({ ...effect }));
+
+        gameState.addCharacter(character);
+
+        if (saved.isDead) {
+            // 레지스트리에는 남겨두어 공격 실행 취소 시 부활할 수 있게 함
+            character.isDead = true;
+            character.health = 0;
+            character.view?.setVisible(false);
+            tile.removeOccupant();
+            gameState.removeDeadCharacter(character);
+        }
+
+        character.updateHealthBar();
+        character.updateActionVisual();
+
+        return character;
+    }
+
+    /**
+     * localStorage 슬롯에 저장
+     *
+     * @param {string} slotName - 슬롯 이름
+     * @returns {Object} 저장된 데이터
+     */
+    saveToSlot(slotName) {
+        if (!this.canSave()) {
+            throw new Error('Cannot save while actions are in progress');
+        }
+
+        const snapshot = this.createSnapshot(slotName);
+        localStorage.setItem(STORAGE_PREFIX + slotName, JSON.stringify(snapshot));
+
+        eventBus.emit(GameEvents.GAME_SAVED, { name: slotName, savedAt: snapshot.savedAt });
+
+        return snapshot;
+    }
+
+    /**
+     * localStorage 슬롯에서 불러오기
+     *
+     * @param {string} slotName - 슬롯 이름
+     * @returns {Promise<boolean>} 불러오기 성공 여부
+     */
+    async loadFromSlot(slotName) {
+        const raw = localStorage.getItem(STORAGE_PREFIX + slotName);
+        if (!raw) {
+            throw new Error(`Save slot not found: ${slotName}`);
+        }
+
+        return this.load(JSON.parse(raw));
+    }
+
+    /**
+     * 저장 데이터 불러오기
+     *
+     * @param {Object} data - 저장 데이터
+     * @returns {Promise<boolean>} 불러오기 성공 여부
+     */
+    async load(data) {
+        if (!this.canLoad()) {
+            throw new Error('Cannot load while actions are in progress');
+        }
+
+        return this.applySnapshot(data);
+    }
+
+    /**
+     * 슬롯 삭제
+     *
+     * @param {string} slotName - 슬롯 이름
+     */
+    deleteSlot(slotName) {
+        localStorage.removeItem(STORAGE_PREFIX + slotName);
+    }
+
+    /**
+     * 저장 슬롯 목록
+     *
+     * @returns {Array<{name: string, savedAt: string, turnCount: number, version: number}>}
+     */
+    listSlots() {
+        const slots = [];
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(STORAGE_PREFIX)) continue;
+
+            const name = key.slice(STORAGE_PREFIX.length);
+            try {
+                const data = JSON.parse(localStorage.getItem(key));
+                slots.push({
+                    name,
+                    savedAt: data.savedAt,
+                    turnCount: data.battle?.turnCount,
+                    version: data.version ?? 0
+                });
+            } catch (error) {
+                console.warn(`손상된 저장 슬롯: ${name}`, error);
+            }
+        }
+
+        return slots.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    }
+
+    /**
+     * 현재 상태를 JSON 파일로 내보내기
+     *
+     * @param {string} [fileName] - 파일 이름 (확장자 제외)
+     */
+    exportToFile(fileName = `hex-battle-${Date.now()}`) {
+        if (!this.canSave()) {
+            throw new Error('Cannot save while actions are in progress');
+        }
+
+        const snapshot = this.createSnapshot(fileName);
+        const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        eventBus.emit(GameEvents.GAME_SAVED, { name: fileName, savedAt: snapshot.savedAt });
+    }
+
+    /**
+     * JSON 파일에서 불러오기
+     *
+     * @param {File} file - 사용자가 선택한 파일
+     * @returns {Promise<boolean>} 불러오기 성공 여부
+     */
+    async importFromFile(file) {
+        const text = await file.text();
+        return this.load(JSON.parse(text));
+    }
+}
+
+// 싱글톤 인스턴스
+export const saveManager = new SaveManager();
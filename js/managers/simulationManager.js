@@ -0,0 +1,225 @@
+/**
+ * 시뮬레이션 매니저
+ *
+ * 전투 규칙(그리드, 이동, 전투, AI, 턴)만으로 전투를 구성하고 진행합니다.
+ * Three.js, DOM, 애니메이션을 쓰지 않으므로 Node에서 그대로 실행할 수 있어
+ * AI끼리의 대전을 빠르게 여러 번 돌리거나 규칙을 검증할 때 사용합니다.
+ *
+ * 브라우저 게임도 같은 캐릭터 배치 코드(spawnCharacters)를 사용하며,
+ * 렌더러는 boardView가 생성 이벤트를 받아 뷰를 붙이는 선택적인 계층입니다.
+ *
+ * @module simulationManager
+ */
+
+import { gameState } from '../core/gameState.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { rng } from '../core/rng.js';
+import { TURN_MODE, FACTION_CONTROLLER } from '../core/constants.js';
+import { Character } from '../entities/Character.js';
+import { gridSystem } from '../systems/gridSystem.js';
+import { factionSystem } from '../systems/factionSystem.js';
+import { skillSystem } from '../systems/skillSystem.js';
+import { classSystem } from '../systems/classSystem.js';
+import { objectiveSystem } from '../systems/objectiveSystem.js';
+import { aiSystem } from '../systems/aiSystem.js';
+import { aiProfileSystem } from '../systems/aiProfileSystem.js';
+import { visionSystem } from '../systems/visionSystem.js';
+import { actionQueue } from '../systems/actionQueue.js';
+import { battleManager } from './battleManager.js';
+import { commandHistory } from './commandHistory.js';
+
+/**
+ * 전투 한 번의 기본 최대 턴 수 (서로 다가가지 못하는 맵 등에서 끝나지 않는 것을 막음)
+ * @type {number}
+ */
+const DEFAULT_MAX_TURNS = 200;
+
+/**
+ * 시뮬레이션 매니저 클래스
+ *
+ * @class SimulationManager
+ */
+class SimulationManager {
+    constructor() {
+        /**
+         * 등록된 데이터 정의 (전투마다 진영 조작 주체와 관계를 초기화할 때 사용)
+         * @type {{factions: Object, skills: Object, classes: Object, aiProfiles?: Object}|null}
+         */
+        this.definitions = null;
+    }
+
+    /**
+     * 진영/스킬/클래스/AI 성향 정의 등록
+     *
+     * 브라우저에서는 각 시스템의 load()가 파일을 읽지만, Node에서는 읽은 데이터를 직접 넘깁니다.
+     * 클래스가 스킬을 참조하므로 스킬을 먼저 등록합니다.
+     *
+     * @param {Object} definitions - 정의 데이터
+     * @param {Object} definitions.factions - factions.json 형식
+     * @param {Object} definitions.skills - skills.json 형식
+     * @param {Object} definitions.classes - classes.json 형식
+     * @param {Object} [definitions.aiProfiles] - aiProfiles.json 형식 (생략하면 모든 가중치가 1인 성향 사용)
+     * @throws {Error} 정의가 잘못된 경우
+     */
+    setDefinitions({ factions, skills, classes, aiProfiles }) {
+        factionSystem.setDefinitions(factions);
+        skillSystem.setDefinitions(skills);
+        classSystem.setDefinitions(classes);
+        if (aiProfiles) {
+            aiProfileSystem.setDefinitions(aiProfiles);
+        }
+        this.definitions = { factions, skills, classes, aiProfiles };
+    }
+
+    /**
+     * 맵의 시작 위치에 캐릭터 배치
+     *
+     * 맵 데이터의 진영별 시작 위치에 캐릭터를 배치합니다 (factions.json의 진영 순서대로).
+     * 시작 위치에 class가 있으면 그 클래스로, 없으면 classes.json의 진영 기본 클래스로 만듭니다.
+     * 그리드를 만든 뒤에 호출해야 합니다.
+     */
+    spawnCharacters() {
+        Object.keys(gridSystem.spawns).forEach(side => {
+            if (!factionSystem.getFaction(side)) {
+                console.warn(`알 수 없는 진영: ${side}, 시작 위치 무시`);
+            }
+        });
+
+        factionSystem.getFactionIds().forEach(side => {
+            gridSystem.getSpawnPoints(side).forEach(({ tile, name, classId, aiProfile }, index) => {
+                if (classId && !classSystem.getClass(classId)) {
+                    console.warn(`알 수 없는 클래스: ${classId}, 진영 기본 클래스 사용`);
+                }
+                if (aiProfile && !aiProfileSystem.getProfile(aiProfile)) {
+                    console.warn(`알 수 없는 AI 성향: ${aiProfile}, 진영 기본 성향 사용`);
+                }
+
+                // 스폰에 클래스가 없으면 진영 기본 클래스를 순서대로 배정
+                const character = new Character(
+                    side,
+                    tile,
+                    name || `${factionSystem.getUnitName(side)} ${index + 1}`,
+                    undefined,
+                    classSystem.getClass(classId) ? classId : classSystem.getDefaultClass(side, index)
+                );
+                character.skills = classSystem.getStartingSkills(character);
+                character.aiProfile = aiProfileSystem.getProfile(aiProfile) ? aiProfile : null;
+                gameState.addCharacter(character);
+                character.updateActionVisual();
+            });
+        });
+    }
+
+    /**
+     * 이전 전투 정리
+     *
+     * 보드, 캐릭터, 히스토리를 비우고 진영 관계와 조작 주체를 정의 파일 상태로 되돌립니다.
+     */
+    reset() {
+        commandHistory.clear();
+        actionQueue.clear();
+        gameState.characterRegistry.forEach(character => character.dispose());
+        gridSystem.dispose();
+        gameState.reset();
+        Character.idCounter = 0;
+
+        if (this.definitions) {
+            factionSystem.setDefinitions(this.definitions.factions);
+        }
+    }
+
+    /**
+     * 전투 구성
+     *
+     * 정의를 먼저 등록해야 합니다 ({@link SimulationManager#setDefinitions}).
+     *
+     * @param {Object} mapData - 맵 데이터 (public/maps/*.json 형식)
+     * @param {Object} [options] - 옵션
+     * @param {string|number} [options.seed] - 난수 시드 (같은 시드면 같은 전투가 재현됨)
+     * @param {string} [options.turnMode] - TURN_MODE 값
+     * @param {boolean} [options.fog=false] - 전장의 안개 사용 여부 (AI가 보이는 캐릭터만 따짐)
+     * @throws {Error} 맵이나 목표 정의가 잘못된 경우
+     */
+    setupBattle(mapData, { seed = Date.now(), turnMode = TURN_MODE.PHASE, fog = false } = {}) {
+        this.reset();
+        battleManager.init();
+
+        rng.setSeed(seed);
+        gridSystem.createGrid(mapData);
+        this.spawnCharacters();
+        objectiveSystem.setObjectives(mapData.objectives);
+        gameState.setTurnMode(turnMode);
+        visionSystem.setEnabled(fog);
+
+        eventBus.emit(GameEvents.GAME_STARTED, { map: gridSystem.mapId, seed: rng.seed, turnMode });
+    }
+
+    /**
+     * 구성된 전투를 모든 진영 AI로 끝까지 진행
+     *
+     * 애니메이션 핸들러가 없으면 액션 결과가 즉시 처리되므로 대기 없이 진행됩니다.
+     *
+     * @param {Object} [options] - 옵션
+     * @param {number} [options.maxTurns=200] - 최대 턴 수 (넘으면 결과 없이 중단)
+     * @param {boolean} [options.quiet=false] - 전투 중 battleManager의 진행 로그 생략 (battleManager.verbose)
+     * @returns {Promise<Object>} 결과 {result, reason, turns, aliveFactions, commands, seed}
+     *     (result는 GAME_STATE 값, 최대 턴을 넘기면 null)
+     */
+    async runBattle({ maxTurns = DEFAULT_MAX_TURNS, quiet = false } = {}) {
+        factionSystem.getFactionIds().forEach(id => factionSystem.setController(id, FACTION_CONTROLLER.AI));
+
+        let outcome = null;
+        battleManager.callbacks.onBattleEnd = (result, objective) => {
+            outcome = { result, objective };
+        };
+
+        // 로그는 이 전투 동안만 생략하고, 중간에 예외가 나도 되돌림
+        const verbose = battleManager.verbose;
+        battleManager.verbose = !quiet;
+
+        try {
+            // 이미 끝난 상태로 시작하는 경우 (시작부터 목표를 만족한 맵 등)
+            battleManager.checkGameEnd();
+
+            while (gameState.isPlaying() && gameState.turnCount <= maxTurns) {
+                const active = gameState.getActiveCharacter();
+                const units = gameState.isInitiativeMode()
+                    ? [active].filter(unit => unit?.isAlive())
+                    : [...gameState.getFactionCharacters(gameState.currentTurn)];
+
+                await aiSystem.runUnits(units);
+
+                if (gameState.isPlaying()) {
+                    await battleManager.endTurn();
+                }
+            }
+        } finally {
+            battleManager.verbose = verbose;
+            battleManager.callbacks.onBattleEnd = null;
+        }
+
+        return {
+            result: outcome?.result ?? null,
+            reason: outcome ? objectiveSystem.describe(outcome.objective) : 'turn limit',
+            turns: gameState.turnCount,
+            aliveFactions: gameState.getAliveFactions(),
+            commands: commandHistory.history.length,
+            seed: rng.seed
+        };
+    }
+
+    /**
+     * 전투 한 번 구성하고 끝까지 진행
+     *
+     * @param {Object} mapData - 맵 데이터
+     * @param {Object} [options] - setupBattle/runBattle 옵션
+     * @returns {Promise<Object>} runBattle 결과
+     */
+    async simulate(mapData, options = {}) {
+        this.setupBattle(mapData, options);
+        return this.runBattle(options);
+    }
+}
+
+// 싱글톤 인스턴스
+export const simulationManager = new SimulationManager();
@@ -4,6 +4,7 @@
  * 게임 로직과 애니메이션을 분리하여 관리합니다.
  * 모든 게임 액션(이동, 공격 등)은 먼저 즉시 실행되고,
  * 애니메이션은 별도로 큐에 저장되어 순차적으로 재생됩니다.
+ * 핸들러를 등록하지 않으면 애니메이션 없이 콜백만 동기적으로 처리됩니다 (헤드리스 실행).
  * 
  * @module actionQueue
  */
@@ -126,9 +127,23 @@ class ActionQueue {
         return this.enqueue(ActionType.ATTACK, {
             attacker,
             target,
-            damage,
-            attackerPos: { ...attacker.group.position },
-            targetPos: { ...target.group.position }
+            damage
+        }, options);
+    }
+    
+    /**
+     * 스킬 액션 추가
+     * 
+     * @param {Character} caster - 시전자
+     * @param {Object} skill - 스킬 정의
+     * @param {Array<{target: Character, amount: number}>} results - 대상별 결과
+     * @param {Object} options - 옵션
+     */
+    enqueueSkill(caster, skill, results, options = {}) {
+        return this.enqueue(ActionType.SKILL, {
+            caster,
+            skill,
+            results
         }, options);
     }
     
@@ -175,9 +190,14 @@ class ActionQueue {
         this.currentAction = this.queue.shift();
         try {
             // 액션 타입별 핸들러 실행
+            // 핸들러가 없으면(헤드리스 실행) 애니메이션 없이 콜백만 즉시 호출
             const handler = this.handlers.get(this.currentAction.type);
             if (handler) {
                 await handler(this.currentAction.data, this.currentAction.options);
+            } else {
+                const { onHit, onComplete } = this.currentAction.options;
+                onHit?.();
+                onComplete?.();
             }
             
             // 완료 콜백
@@ -270,6 +290,26 @@ class ActionQueue {
         };
     }
     
+    /**
+     * 큐가 빌 때까지 대기
+     * 
+     * 현재 액션과 대기 중인 액션이 모두 끝나면 resolve됩니다.
+     * 
+     * @returns {Promise<void>}
+     */
+    waitUntilIdle() {
+        return new Promise(resolve => {
+            const check = () => {
+                if (!this.isProcessing && this.queue.length === 0) {
+                    resolve();
+                } else {
+                    setTimeout(check, 16);
+                }
+            };
+            check();
+        });
+    }
+    
     /**
      * 액션 우선순위 설정
      * 
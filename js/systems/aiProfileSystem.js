@@ -0,0 +1,131 @@
+/**
+ * AI 성향 시스템
+ *
+ * public/data/aiProfiles.json의 AI 성향(균형, 공격적, 신중, 지원, 광전사) 정의를 관리합니다.
+ * 성향은 aiSystem이 행동 후보를 평가할 때 쓰는 고려 요소별 가중치이며,
+ * 맵의 스폰 위치에서 aiProfile로 캐릭터마다 지정하거나 진영별 defaults로 정해집니다.
+ *
+ * @module aiProfileSystem
+ */
+
+import { loadJSON } from '../utils/loadJSON.js';
+import { AI_PROFILES_DATA_PATH, DEFAULT_AI_PROFILE } from '../core/constants.js';
+
+/**
+ * 행동 평가 고려 요소
+ *
+ * damage: 줄 수 있는 데미지, kill: 처치 가능성, exposure: 다음 턴에 받을 위협 (감점),
+ * allies: 아군과의 거리, terrain: 서 있을 지형의 방어/회피, approach: 공격할 수 없을 때 적에게 다가가는 정도,
+ * focus: 진영의 집중 공격 대상 공격, flank: 아군과 대상을 사이에 둔 측면 공격, formation: 대열 유지
+ * @type {string[]}
+ */
+export const AI_CONSIDERATIONS = ['damage', 'kill', 'exposure', 'allies', 'terrain', 'approach', 'focus', 'flank', 'formation'];
+
+/**
+ * AI 성향 시스템 클래스
+ *
+ * @class AIProfileSystem
+ */
+class AIProfileSystem {
+    constructor() {
+        /**
+         * 성향 정의 (id → 정의)
+         * @type {Map<string, Object>}
+         */
+        this.profiles = new Map();
+
+        /**
+         * 진영별 기본 성향 (스폰에 aiProfile이 없을 때 사용)
+         * @type {Object<string, string>}
+         */
+        this.defaults = {};
+    }
+
+    /**
+     * 성향 정의 파일 로드
+     *
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const data = await loadJSON(AI_PROFILES_DATA_PATH, 'aiProfiles');
+        this.setDefinitions(data);
+    }
+
+    /**
+     * 성향 정의 등록
+     *
+     * @param {Object} data - aiProfiles.json 형식의 데이터
+     * @throws {Error} 정의가 잘못된 경우
+     */
+    setDefinitions(data) {
+        this.profiles.clear();
+
+        Object.entries(data.profiles || {}).forEach(([id, definition]) => {
+            const profile = { id, ...definition };
+            this.validateProfile(profile);
+            this.profiles.set(id, profile);
+        });
+
+        if (!this.profiles.has(DEFAULT_AI_PROFILE)) {
+            throw new Error(`AI profiles: default profile ${DEFAULT_AI_PROFILE} is required`);
+        }
+
+        this.defaults = data.defaults || {};
+        Object.entries(this.defaults).forEach(([type, profileId]) => {
+            if (!this.profiles.has(profileId)) {
+                throw new Error(`Defaults ${type}: unknown AI profile ${profileId}`);
+            }
+        });
+    }
+
+    /**
+     * 성향 정의 검사
+     *
+     * 가중치는 생략하면 0이며, 지정한 값은 0 이상의 숫자여야 합니다.
+     * @param {Object} profile - 성향 정의
+     * @throws {Error} 가중치가 잘못된 경우
+     */
+    validateProfile(profile) {
+        Object.entries(profile.weights || {}).forEach(([consideration, weight]) => {
+            if (!AI_CONSIDERATIONS.includes(consideration)) {
+                throw new Error(`AI profile ${profile.id}: unknown consideration ${consideration}`);
+            }
+            if (typeof weight !== 'number' || weight < 0) {
+                throw new Error(`AI profile ${profile.id}: invalid ${consideration} weight ${weight}`);
+            }
+        });
+
+        const { retreatBelow } = profile;
+        if (retreatBelow !== undefined && !(typeof retreatBelow === 'number' && retreatBelow >= 0 && retreatBelow <= 1)) {
+            throw new Error(`AI profile ${profile.id}: retreatBelow must be 0-1`);
+        }
+    }
+
+    /**
+     * 성향 정의 조회
+     *
+     * @param {string} profileId - 성향 ID
+     * @returns {Object|null} 성향 정의
+     */
+    getProfile(profileId) {
+        return this.profiles.get(profileId) || null;
+    }
+
+    /**
+     * 캐릭터에 적용할 성향
+     *
+     * 캐릭터에 지정한 성향 → 진영 기본 성향 → DEFAULT_AI_PROFILE 순서로 찾습니다.
+     * 정의를 불러오지 않았으면 모든 가중치가 1인 성향을 반환합니다.
+     * @param {Character} character - 캐릭터
+     * @returns {Object} 성향 정의
+     */
+    getProfileFor(character) {
+        return this.getProfile(character.aiProfile)
+            || this.getProfile(this.defaults[character.type])
+            || this.getProfile(DEFAULT_AI_PROFILE)
+            || { id: DEFAULT_AI_PROFILE, weights: Object.fromEntries(AI_CONSIDERATIONS.map(id => [id, 1])) };
+    }
+}
+
+// 싱글톤 인스턴스
+export const aiProfileSystem = new AIProfileSystem();
@@ -1,8 +1,14 @@
 /**
  * AI 시스템
  * 
- * 적 캐릭터의 인공지능을 담당합니다.
- * 행동 결정, 타겟 선택, 경로 찾기 등을 수행합니다.
+ * AI가 조작하는 진영 캐릭터의 인공지능을 담당합니다.
+ * 갈 수 있는 위치와 공격 대상(또는 스킬과 대상 타일) 조합을 후보로 만들어, 캐릭터 성향(aiProfileSystem)의 가중치로
+ * 데미지, 처치 가능성, 위협, 아군 거리, 지형, 접근 정도를 점수화해 행동을 고릅니다.
+ * 대상은 적대 관계인 진영의 캐릭터뿐이므로, 중립 진영은 먼저 공격받기 전까지 싸우지 않습니다.
+ * 진영 공용 전술 정보(tacticsSystem: 위협 지도, 집중 공격 대상, 측면, 대열)를 턴마다 만들어 모든 캐릭터의 판단에 반영합니다.
+ * 높은 난이도에서는 lookaheadPlanner가 상대의 응수까지 따져 진영의 턴 전체를 먼저 계획하고, 그 계획대로 행동합니다.
+ * 전장의 안개가 켜져 있으면 FOG.FULL_KNOWLEDGE_DIFFICULTY 미만의 난이도에서는 자기 편이 보는 적대 캐릭터만 따지고,
+ * 보이는 적대 캐릭터가 없으면 마지막으로 본 위치로 다가갑니다.
  * 
  * @module aiSystem
  */
@@ -12,7 +18,22 @@ import { gridSystem } from './gridSystem.js';
 import { movementSystem } from './movementSystem.js';
 import { combatSystem } from './combatSystem.js';
 import { battleManager } from '../managers/battleManager.js';
-import { CHARACTER_TYPE } from '../core/constants.js';
+import { factionSystem } from './factionSystem.js';
+import { aiProfileSystem } from './aiProfileSystem.js';
+import { lookaheadPlanner } from './lookaheadPlanner.js';
+import { tacticsSystem } from './tacticsSystem.js';
+import { visionSystem } from './visionSystem.js';
+import { skillSystem, SkillEffect } from './skillSystem.js';
+import { statusEffectSystem } from './statusEffectSystem.js';
+import { rng, RNG } from '../core/rng.js';
+import { TACTICS, FOG, AI_SKILL } from '../core/constants.js';
+
+/**
+ * 난이도 0일 때 후보 점수에 더하는 무작위 값의 최대 크기
+ * (고려 요소 하나의 최대 점수가 가중치 1에서 1이므로, 1이면 비슷한 후보끼리는 거의 무작위로 고름)
+ * @type {number}
+ */
+const DECISION_NOISE = 1;
 
 /**
  * AI 시스템 클래스
@@ -38,12 +59,24 @@ export class AISystem {
          * @type {boolean}
          */
         this.isProcessing = false;
+        
+        /**
+         * 선읽기로 계획한 이번 턴 행동 (캐릭터 ID → 계획, 행동하면 지워짐)
+         * @type {Map<number, Object>}
+         */
+        this.plannedActions = new Map();
+        
+        /**
+         * 판단 오차용 난수 (전투 난수의 커서를 움직이지 않도록 따로 둠, beginTactics에서 시드 설정)
+         * @type {RNG}
+         */
+        this.decisionRng = new RNG();
     }
     
     /**
      * 적 턴 실행
      * 
-     * 모든 적 캐릭터의 행동을 순차적으로 실행합니다.
+     * 지금 턴을 진행 중인 진영의 모든 캐릭터 행동을 순차적으로 실행합니다.
      * @param {Function} [callback] - 턴 종료 콜백
      */
     executeEnemyTurn(callback) {
@@ -53,8 +86,9 @@ export class AISystem {
         
         this.isProcessing = true;
         
-        // 살아있는 적 캐릭터 목록
-        const aliveEnemies = gameState.enemyCharacters.filter(enemy => enemy.isAlive());
+        // 진영 전술 정보를 만들고, 살아있는 현재 진영 캐릭터를 앞에 있는 순서로
+        this.beginTactics(gameState.currentTurn);
+        const aliveEnemies = tacticsSystem.orderUnits(gameState.getFactionCharacters(gameState.currentTurn));
         
         if (aliveEnemies.length === 0) {
             this.isProcessing = false;
@@ -62,11 +96,67 @@ export class AISystem {
             return;
         }
         
-        // 순차적으로 적 행동 실행
-        this.processEnemyActions(aliveEnemies, 0, () => {
+        // 턴 계획 후 순차적으로 적 행동 실행
+        this.runTurn(aliveEnemies, callback);
+    }
+    
+    /**
+     * 적 캐릭터 하나의 턴 실행 (우선권 모드)
+     * 
+     * @param {Character} enemy - 행동할 적 캐릭터
+     * @param {Function} [callback] - 턴 종료 콜백
+     */
+    executeUnitTurn(enemy, callback) {
+        if (this.isProcessing) {
+            return;
+        }
+        
+        this.isProcessing = true;
+        
+        const units = enemy && enemy.isAlive() ? [enemy] : [];
+        if (enemy) {
+            this.beginTactics(enemy.type);
+        }
+        this.runTurn(units, callback);
+    }
+    
+    /**
+     * 턴 계획을 세운 뒤 캐릭터들의 행동을 차례로 실행
+     * 
+     * 계획이나 행동 처리 중 오류가 나도 처리 중 상태를 풀고 콜백을 한 번 호출해
+     * 턴이 멈추지 않게 합니다.
+     * 
+     * @private
+     * @param {Character[]} units - 행동할 캐릭터 (행동 순서대로)
+     * @param {Function} [callback] - 턴 종료 콜백
+     */
+    runTurn(units, callback) {
+        let finished = false;
+        const finish = () => {
+            if (finished) return;
+            finished = true;
             this.isProcessing = false;
             if (callback) callback();
-        });
+        };
+        
+        this.preparePlan(units)
+            .then(() => this.processEnemyActions(units, 0, finish))
+            .catch(error => {
+                console.error('AI turn processing error:', error);
+                finish();
+            });
+    }
+    
+    /**
+     * 진영의 턴 전술 정보 생성 (진영이 아는 캐릭터만 따짐)
+     * 
+     * @param {string} side - 턴을 진행할 진영 ID
+     */
+    beginTactics(side) {
+        tacticsSystem.beginTurn(side, character => this.knowsAbout(side, character));
+        
+        // 같은 전투 상태에서는 같은 판단을 하도록 전투 난수 상태로 시드 설정
+        this.decisionRng.setSeed(`${rng.seed}:${rng.cursor}`);
     }
     
     /**
@@ -100,8 +190,13 @@ export class AISystem {
      * @param {Function} callback - 완료 콜백
      */
     executeEnemyAction(enemy, callback) {
-        // 최적의 행동 결정
-        const action = this.determineAction(enemy);
+        // 기절 등으로 행동할 수 없으면 건너뜀
+        if (!enemy.canAct()) {
+            callback();
+            return;
+        }
+        
+        const action = this.decideAction(enemy);
         
         switch (action.type) {
             case 'attack':
@@ -116,6 +211,16 @@ export class AISystem {
                 this.performMoveAndAttack(enemy, action.moveTile, action.attackTarget, callback);
                 break;
                 
+            case 'skill':
+                this.performSkill(enemy, action.skillId, action.targetTile, callback);
+                break;
+                
+            case 'move_and_skill':
+                this.performMove(enemy, action.moveTile, () => {
+                    this.performSkill(enemy, action.skillId, action.targetTile, callback);
+                });
+                break;
+                
             case 'wait':
             default:
                 callback();
@@ -124,209 +229,438 @@ export class AISystem {
     }
     
     /**
-     * 최적의 행동 결정
+     * 선읽기 턴 계획 준비
      * 
-     * @param {Character} enemy - 적 캐릭터
-     * @returns {Object} 행동 정보 {type, target, targetTile}
+     * 난이도가 선읽기 기준(LOOKAHEAD.MIN_DIFFICULTY) 이상이면 캐릭터들의 행동을 함께 계획해 둡니다.
+     * 시간 안에 계획하지 못한 캐릭터는 평소처럼 행동을 고릅니다.
+     * 계획 중 오류가 나면 계획 없이 모든 캐릭터가 평소처럼(효용 AI) 행동합니다.
+     * 
+     * @param {Character[]} units - 이번에 행동할 캐릭터 (같은 진영, 행동 순서대로)
+     * @returns {Promise<void>}
      */
-    determineAction(enemy) {
-        // 공격 가능한 대상 찾기
-        const attackableTargets = this.findAttackableTargets(enemy);
-        
-        if (attackableTargets.length > 0) {
-            // 즉시 공격 가능
-            const target = this.selectBestTarget(attackableTargets);
-            return { type: 'attack', target };
+    async preparePlan(units) {
+        this.plannedActions.clear();
+        if (units.length === 0 || !lookaheadPlanner.isEnabled(this.difficultyLevel)) return;
+        
+        try {
+            const plan = await lookaheadPlanner.plan(units[0].type, units, this.difficultyLevel);
+            if (plan) {
+                this.plannedActions = plan;
+            }
+        } catch (error) {
+            console.warn('선읽기 계획 실패, 계획 없이 진행:', error);
+            this.plannedActions.clear();
         }
-        
-        // 이동 후 공격 가능한지 확인
-        const moveAndAttackOptions = this.findMoveAndAttackOptions(enemy);
-        
-        if (moveAndAttackOptions.length > 0) {
-            // 최적의 이동-공격 옵션 선택
-            const bestOption = this.selectBestMoveAndAttackOption(moveAndAttackOptions);
-            return {
-                type: 'move_and_attack',
-                moveTile: bestOption.tile,
-                attackTarget: bestOption.target
-            };
+    }
+    
+    /**
+     * 계획한 행동 꺼내기
+     * 
+     * 앞서 행동한 캐릭터 때문에 계획이 어긋났으면(타일이 막힘, 대상이 쓰러짐 등) null을 반환합니다.
+     * 선읽기는 스킬을 따지지 않으므로, 계획한 위치에서 쓸 수 있는 스킬이 계획한 행동보다 점수가 높으면 스킬을 씁니다.
+     * 
+     * @param {Character} enemy - 행동할 캐릭터
+     * @returns {Object|null} 행동 정보 (determineAction()과 같은 형식)
+     */
+    takePlannedAction(enemy) {
+        const planned = this.plannedActions.get(enemy.id);
+        if (!planned) return null;
+        this.plannedActions.delete(enemy.id);
+        
+        const tile = gridSystem.getTile(planned.q, planned.r);
+        if (!tile) return null;
+        if (tile !== enemy.currentTile && (tile.isOccupied() || !gridSystem.getMovableTiles(enemy).includes(tile))) {
+            return null;
         }
         
-        // 가장 가까운 적에게 접근
-        const nearestTarget = this.findNearestTarget(enemy);
-        if (nearestTarget) {
-            const moveTile = this.findBestApproachTile(enemy, nearestTarget);
-            if (moveTile) {
-                return { type: 'move', targetTile: moveTile };
+        let target = null;
+        if (planned.targetId !== null) {
+            target = gameState.getCharacterById(planned.targetId);
+            if (!target?.isAlive() || enemy.hasAttacked || !gridSystem.isInAttackRange(enemy, target.currentTile, tile)) {
+                return null;
             }
         }
         
-        // 행동할 수 없으면 대기
-        return { type: 'wait' };
+        const profile = aiProfileSystem.getProfileFor(enemy);
+        const context = this.createContext(enemy);
+        let best = { tile, target };
+        let bestScore = this.scoreCandidate(enemy, best, profile, context);
+        this.findSkillCandidates(enemy, tile).forEach(candidate => {
+            const score = this.scoreCandidate(enemy, candidate, profile, context);
+            if (score > bestScore) {
+                bestScore = score;
+                best = candidate;
+            }
+        });
+        
+        return this.toAction(enemy, best);
+    }
+    
+    /**
+     * 캐릭터의 이번 행동 결정
+     * 
+     * 계획한 행동이 아직 유효하면 그대로, 아니면 최적의 행동을 고르고, 공격 대상을 진영 전술에 예약합니다.
+     * 
+     * @param {Character} enemy - 행동할 캐릭터
+     * @returns {Object} 행동 정보
+     */
+    decideAction(enemy) {
+        const action = this.takePlannedAction(enemy) ?? this.determineAction(enemy);
+        tacticsSystem.commit(enemy, action);
+        return action;
     }
     
     /**
-     * 공격 가능한 대상 찾기
+     * 최적의 행동 결정
+     * 
+     * 캐릭터의 성향(aiProfileSystem)에 따라 후퇴하거나, 갈 수 있는 모든 위치와 공격 대상 조합을 평가해
+     * 점수가 가장 높은 행동을 고릅니다.
      * 
      * @param {Character} enemy - 적 캐릭터
-     * @returns {Character[]} 공격 가능한 대상 목록
+     * @returns {Object} 행동 정보 {type, target, targetTile, moveTile, attackTarget}
      */
-    findAttackableTargets(enemy) {
-        const targets = [];
-        const attackableTiles = gridSystem.getAttackableTiles(enemy);
+    determineAction(enemy) {
+        const profile = aiProfileSystem.getProfileFor(enemy);
+        
+        // 체력이 성향의 후퇴 기준보다 낮으면 물러남
+        if (profile.retreatBelow !== undefined && enemy.health / enemy.maxHealth < profile.retreatBelow) {
+            return this.defensiveBehavior(enemy, profile);
+        }
         
-        attackableTiles.forEach(tile => {
-            if (tile.occupant && tile.occupant.type === CHARACTER_TYPE.PLAYER) {
-                targets.push(tile.occupant);
+        return this.chooseBestAction(enemy, profile);
+    }
+    
+    /**
+     * 후보 행동을 평가해 가장 점수가 높은 행동 선택
+     * 
+     * @param {Character} enemy - 적 캐릭터
+     * @param {Object} profile - AI 성향
+     * @returns {Object} 행동 정보
+     */
+    chooseBestAction(enemy, profile) {
+        const context = this.createContext(enemy);
+        
+        let best = null;
+        let bestScore = -Infinity;
+        this.findCandidates(enemy).forEach(candidate => {
+            const score = this.scoreCandidate(enemy, candidate, profile, context) + this.getDecisionNoise();
+            if (score > bestScore) {
+                bestScore = score;
+                best = candidate;
             }
         });
         
-        return targets;
+        return this.toAction(enemy, best);
     }
     
     /**
-     * 이동 후 공격 가능한 옵션 찾기
+     * 후보 행동 목록
+     * 
+     * 제자리와 이동 가능한 타일마다 "그 위치에서 공격할 대상 하나", "그 위치에서 쓸 스킬과 대상 타일",
+     * 또는 "이동만"을 후보로 만듭니다.
      * 
      * @param {Character} enemy - 적 캐릭터
-     * @returns {Object[]} 이동-공격 옵션 목록
+     * @returns {Array<{tile: HexTile, target: Character|null, skill?: Object}>} 후보 목록 (제자리 대기가 첫 번째)
      */
-    findMoveAndAttackOptions(enemy) {
-        const options = [];
-        const movableTiles = gridSystem.getMovableTiles(enemy);
+    findCandidates(enemy) {
+        const candidates = [];
+        const tiles = [enemy.currentTile, ...gridSystem.getMovableTiles(enemy)];
         
-        movableTiles.forEach(tile => {
-            // 해당 타일에서 공격 가능한 대상 확인
-            const attackableFromTile = [];
-            const tilesInAttackRange = gridSystem.getTilesInRange(tile, enemy.attackRange);
+        tiles.forEach(tile => {
+            candidates.push({ tile, target: null });
+            if (enemy.hasAttacked) return;
             
-            tilesInAttackRange.forEach(attackTile => {
-                if (attackTile.occupant && attackTile.occupant.type === CHARACTER_TYPE.PLAYER) {
-                    attackableFromTile.push(attackTile.occupant);
+            gridSystem.getAttackableTiles(enemy, tile).forEach(attackTile => {
+                const occupant = attackTile.occupant;
+                if (factionSystem.isHostile(enemy.type, occupant.type) && this.knowsAbout(enemy.type, occupant)) {
+                    candidates.push({ tile, target: occupant });
                 }
             });
             
-            if (attackableFromTile.length > 0) {
-                attackableFromTile.forEach(target => {
-                    options.push({ tile, target });
-                });
-            }
+            candidates.push(...this.findSkillCandidates(enemy, tile));
         });
         
-        return options;
+        return candidates;
     }
     
     /**
-     * 가장 가까운 적 찾기
+     * 위치에서 쓸 수 있는 스킬 후보
+     * 
+     * 지금 쓸 수 있는 스킬(마나, 재사용 대기)마다 그 위치에서 지정할 수 있는 대상 타일을 따지고,
+     * 효과를 받는 캐릭터로 얻는 값({@link AISystem#getSkillValue})이 있는 것만 후보로 만듭니다.
+     * 중립 캐릭터가 휘말리는 후보는 적대 관계를 만들 수 있으므로 제외합니다.
      * 
      * @param {Character} enemy - 적 캐릭터
-     * @returns {Character|null} 가장 가까운 플레이어 캐릭터
-     */
-    findNearestTarget(enemy) {
-        let nearestTarget = null;
-        let shortestDistance = Infinity;
-        
-        gameState.playerCharacters.forEach(player => {
-            if (player.isAlive()) {
-                const distance = enemy.currentTile.distanceTo(player.currentTile);
-                if (distance < shortestDistance) {
-                    shortestDistance = distance;
-                    nearestTarget = player;
-                }
-            }
-        });
+     * @param {HexTile} tile - 시전 위치
+     * @returns {Array<{tile: HexTile, target: null, skill: Object, skillTile: HexTile, value: Object}>} 후보 목록
+     */
+    findSkillCandidates(enemy, tile) {
+        if (enemy.hasAttacked) return [];
+        
+        const moved = tile !== enemy.currentTile;
+        const candidates = [];
+        skillSystem.getCharacterSkills(enemy)
+            .filter(skill => skillSystem.canUse(enemy, skill))
+            .forEach(skill => {
+                skillSystem.getCastableTiles(enemy, skill, tile).forEach(skillTile => {
+                    // 이동하면 비게 되는 지금 위치는 대상이 아님
+                    if (moved && skillTile === enemy.currentTile) return;
+                    
+                    const targets = skillSystem.getTargets(enemy, skill, skillTile, tile)
+                        .filter(character => character !== enemy || !moved);
+                    if (targets.some(character => !this.knowsAbout(enemy.type, character))) return;
+                    if (targets.some(character =>
+                        !factionSystem.isHostile(enemy.type, character.type) && !factionSystem.isAllied(enemy.type, character.type)
+                    )) return;
+                    
+                    const value = this.getSkillValue(enemy, skill, tile, targets);
+                    if (value.damage > 0 || value.kill > 0) {
+                        candidates.push({ tile, target: null, skill, skillTile, value });
+                    }
+                });
+            });
         
-        return nearestTarget;
+        return candidates;
     }
     
     /**
-     * 최적의 공격 대상 선택
+     * 스킬 후보의 값 (일반 공격과 같은 단위)
      * 
-     * @param {Character[]} targets - 공격 가능한 대상 목록
-     * @returns {Character} 선택된 대상
+     * damage는 적대 대상에게 주는 기대 데미지와 아군의 회복량을 대상 최대 체력 대비로 더한 값이고
+     * (아군에게 주는 데미지는 뺌), 상태 효과는 적대 대상의 해로운 효과와 위협받는 아군의 이로운 효과마다
+     * 지속 턴 × AI_SKILL.STATUS_VALUE를 더합니다. kill은 기대 데미지로 쓰러뜨릴 수 있는 적대 대상 수입니다.
+     * 
+     * @param {Character} enemy - 시전자
+     * @param {Object} skill - 스킬 정의
+     * @param {HexTile} tile - 시전 위치
+     * @param {Character[]} targets - 효과를 받는 캐릭터
+     * @returns {{damage: number, kill: number, hostiles: Character[]}} 값과 효과를 받는 적대 캐릭터
      */
-    selectBestTarget(targets) {
-        // 우선순위: 체력이 낮은 적 > 가까운 적
-        return targets.reduce((best, current) => {
-            // 체력 비율 계산
-            const bestHealthRatio = best.health / best.maxHealth;
-            const currentHealthRatio = current.health / current.maxHealth;
+    getSkillValue(enemy, skill, tile, targets) {
+        let damage = 0;
+        let kill = 0;
+        const hostiles = [];
+        
+        targets.forEach(character => {
+            const hostile = factionSystem.isHostile(enemy.type, character.type);
+            if (hostile) hostiles.push(character);
             
-            // 체력이 20% 이상 차이나면 체력이 낮은 쪽 우선
-            if (Math.abs(bestHealthRatio - currentHealthRatio) > 0.2) {
-                return currentHealthRatio < bestHealthRatio ? current : best;
+            if (skill.effect.type === SkillEffect.DAMAGE) {
+                const expected = battleManager.estimateDamage(enemy, character, tile, character.currentTile, skill.effect.power);
+                const value = Math.min(expected, character.health) / character.maxHealth;
+                damage += hostile ? value : -value;
+                if (hostile && expected >= character.health) kill++;
+            } else if (skill.effect.type === SkillEffect.HEAL && !hostile) {
+                damage += Math.min(skill.effect.amount, character.maxHealth - character.health) / character.maxHealth;
             }
             
-            // 비슷한 체력이면 더 가까운 쪽
-            const bestDistance = best.currentTile.distanceTo(current.currentTile);
-            const currentDistance = current.currentTile.distanceTo(current.currentTile);
-            
-            return currentDistance < bestDistance ? current : best;
+            (skill.statuses || []).forEach(({ id, duration }) => {
+                const debuff = statusEffectSystem.getDefinition(id)?.debuff;
+                const useful = hostile
+                    ? debuff
+                    : !debuff && tacticsSystem.getThreats(character.currentTile).length > 0;
+                if (useful) {
+                    damage += duration * AI_SKILL.STATUS_VALUE;
+                }
+            });
         });
+        
+        return { damage, kill, hostiles };
     }
     
     /**
-     * 최적의 이동-공격 옵션 선택
+     * 진영이 캐릭터를 아는지 확인
      * 
-     * @param {Object[]} options - 이동-공격 옵션 목록
-     * @returns {Object} 선택된 옵션
+     * 전장의 안개가 켜져 있으면 FOG.FULL_KNOWLEDGE_DIFFICULTY 미만의 난이도에서는 자기 편이 보는 캐릭터만 압니다.
+     * 
+     * @param {string} side - 진영 ID
+     * @param {Character} character - 캐릭터
+     * @returns {boolean}
      */
-    selectBestMoveAndAttackOption(options) {
-        // 점수 계산: 낮은 체력 대상 + 짧은 이동 거리
-        return options.reduce((best, current) => {
-            const bestScore = this.calculateActionScore(best);
-            const currentScore = this.calculateActionScore(current);
-            
-            return currentScore > bestScore ? current : best;
-        });
+    knowsAbout(side, character) {
+        return this.difficultyLevel >= FOG.FULL_KNOWLEDGE_DIFFICULTY || visionSystem.canSee(side, character);
     }
     
     /**
-     * 행동 점수 계산
+     * 진영이 아는 적대 캐릭터
      * 
-     * @param {Object} option - 이동-공격 옵션
-     * @returns {number} 점수 (높을수록 좋음)
+     * @param {Character} enemy - 적 캐릭터
+     * @returns {Character[]}
      */
-    calculateActionScore(option) {
-        let score = 0;
-        
-        // 대상 체력이 낮을수록 높은 점수
-        const healthRatio = option.target.health / option.target.maxHealth;
-        score += (1 - healthRatio) * 100;
-        
-        // 이동 거리가 짧을수록 높은 점수
-        const moveDistance = option.tile.distanceTo(option.target.currentTile);
-        score += (10 - moveDistance) * 10;
-        
-        // 난이도에 따른 보정
-        score *= (this.difficultyLevel / 10);
+    getKnownHostiles(enemy) {
+        return gameState.getHostileCharacters(enemy).filter(hostile => this.knowsAbout(enemy.type, hostile));
+    }
+    
+    /**
+     * 다가갈 대상 (아는 적대 캐릭터, 없으면 마지막으로 본 위치)
+     * 
+     * getRangeGap에는 currentTile만 쓰이므로 마지막으로 본 위치는 {currentTile}로 넘깁니다.
+     * 
+     * @param {Character} enemy - 적 캐릭터
+     * @returns {Array<Character|{currentTile: HexTile}>}
+     */
+    getApproachTargets(enemy) {
+        const known = this.getKnownHostiles(enemy);
+        if (known.length > 0) return known;
         
-        return score;
+        return visionSystem.getLastKnown(enemy.type).map(({ tile }) => ({ currentTile: tile }));
     }
     
     /**
-     * 접근을 위한 최적 타일 찾기
+     * 후보 평가에 공통으로 쓰는 정보
      * 
      * @param {Character} enemy - 적 캐릭터
-     * @param {Character} target - 목표 캐릭터
-     * @returns {HexTile|null} 이동할 타일
+     * @returns {{hostiles: Array<Character|{currentTile: HexTile}>, allies: Character[], focus: Character|null}}
      */
-    findBestApproachTile(enemy, target) {
-        const movableTiles = gridSystem.getMovableTiles(enemy);
-        if (movableTiles.length === 0) return null;
+    createContext(enemy) {
+        return {
+            hostiles: this.getApproachTargets(enemy),
+            allies: gameState.allCharacters.filter(other =>
+                other !== enemy && other.isAlive() && factionSystem.isAllied(enemy.type, other.type)
+            ),
+            focus: tacticsSystem.getFocusTarget()
+        };
+    }
+    
+    /**
+     * 후보 행동 점수 계산
+     * 
+     * 고려 요소마다 0~1 정도의 값을 구해 성향 가중치를 곱해 더합니다 (위협은 감점).
+     * 스킬 후보는 데미지와 처치에 getSkillValue의 값을 쓰고, 접근과 집중 공격은 공격 후보처럼 따집니다
+     * (이번 턴에 행동하므로 접근은 최대, 집중 공격은 효과를 받는 적대 캐릭터 중에 집중 대상이 있으면 최대).
+     * 난이도가 낮을수록 위협, 아군 거리, 지형, 집중 공격, 측면, 대열처럼 당장 보이지 않는 요소를 덜 따집니다.
+     * 
+     * @param {Character} enemy - 적 캐릭터
+     * @param {{tile: HexTile, target: Character|null, skill?: Object, value?: Object}} candidate - 후보 행동
+     * @param {Object} profile - AI 성향
+     * @param {{hostiles: Array<Character|{currentTile: HexTile}>, allies: Character[], focus: Character|null}} context - createContext() 결과
+     * @returns {number} 점수 (높을수록 좋음)
+     */
+    scoreCandidate(enemy, candidate, profile, context) {
+        const { tile, target, skill } = candidate;
+        const weights = profile.weights || {};
+        const awareness = this.difficultyLevel / 10;
+        
+        // 공격하거나 스킬을 쓰는 후보 (접근과 집중 공격에 반영)
+        const engages = Boolean(target || skill);
+        const hostiles = skill ? candidate.value.hostiles : [target];
+        
+        // 줄 수 있는 데미지 (대상 최대 체력 대비)와 처치 가능성
+        let damage = 0;
+        let kill = 0;
+        if (skill) {
+            ({ damage, kill } = candidate.value);
+        } else if (target) {
+            const expected = battleManager.estimateDamage(enemy, target, tile);
+            damage = Math.min(expected, target.health) / target.maxHealth;
+            kill = expected >= target.health ? 1 : 0;
+        }
         
-        // 목표에 가장 가까운 타일 선택
-        let bestTile = null;
-        let shortestDistance = Infinity;
+        // 다음 턴에 이 위치로 공격해 올 수 있는 적대 캐릭터의 기대 데미지 (위협 지도)와
+        // 살아남은 대상의 기대 반격 데미지를 더한 값 (남은 체력 대비)
+        const threat = tacticsSystem.getThreatDamage(enemy, tile, kill ? target : null);
+        const counter = target && !kill ? battleManager.estimateCounterDamage(enemy, target, tile) : 0;
+        const exposure = Math.min(1, (threat + counter) / enemy.health);
+        
+        // 가장 가까운 아군과 붙어 있을수록 높음
+        const allyDistance = Math.min(...context.allies.map(ally => ally.currentTile.distanceTo(tile)));
+        const allies = context.allies.length > 0 ? 1 / Math.max(1, allyDistance) : 0;
+        
+        // 서 있을 지형의 방어와 회피 보정
+        const terrainInfo = tile.getTerrain();
+        const terrain = terrainInfo.defense + terrainInfo.evasion;
+        
+        // 공격할 수 있으면 최대, 아니면 지금 위치보다 적대 캐릭터를 사거리에 두는 데 가까워진 만큼 (멀어지면 음수)
+        let approach = engages ? 1 : 0;
+        if (!engages && context.hostiles.length > 0) {
+            const gain = this.getRangeGap(enemy, enemy.currentTile, context.hostiles)
+                - this.getRangeGap(enemy, tile, context.hostiles);
+            approach = Math.max(-1, Math.min(1, gain / Math.max(1, enemy.movementRange)));
+        }
         
-        movableTiles.forEach(tile => {
-            const distance = tile.distanceTo(target.currentTile);
-            if (distance < shortestDistance) {
-                shortestDistance = distance;
-                bestTile = tile;
+        // 진영의 집중 공격 대상을 공격하면 최대, 공격하지 않으면 그 대상에게 다가간 정도의 일부
+        let focus = 0;
+        if (context.focus) {
+            if (engages) {
+                focus = hostiles.includes(context.focus) ? 1 : 0;
+            } else {
+                const gain = this.getRangeGap(enemy, enemy.currentTile, [context.focus])
+                    - this.getRangeGap(enemy, tile, [context.focus]);
+                focus = TACTICS.FOCUS_APPROACH * Math.max(-1, Math.min(1, gain / Math.max(1, enemy.movementRange)));
             }
-        });
+        }
         
-        return bestTile;
+        // 대상을 사이에 두고 아군과 마주보는 정도, 턴 시작 때의 대열 중심에 가까운 정도
+        const flank = target ? tacticsSystem.getFlankValue(enemy, tile, target) : 0;
+        const formation = tacticsSystem.getFormationValue(tile);
+        
+        return (weights.damage ?? 0) * damage
+            + (weights.kill ?? 0) * kill
+            + (weights.approach ?? 0) * approach
+            + awareness * (
+                (weights.allies ?? 0) * allies
+                + (weights.terrain ?? 0) * terrain
+                + (weights.focus ?? 0) * focus
+                + (weights.flank ?? 0) * flank
+                + (weights.formation ?? 0) * formation
+                - (weights.exposure ?? 0) * exposure
+            );
+    }
+    
+    /**
+     * 위치에서 가장 가까운 적대 캐릭터를 공격 사거리에 두기까지 남은 거리
+     * 
+     * @param {Character} enemy - 적 캐릭터
+     * @param {HexTile} tile - 기준 위치
+     * @param {Array<Character|{currentTile: HexTile}>} hostiles - 적대 캐릭터 목록 (또는 마지막으로 본 위치)
+     * @returns {number} 사거리와의 차이 (0이면 사거리 끝)
+     */
+    getRangeGap(enemy, tile, hostiles) {
+        return Math.min(...hostiles.map(hostile =>
+            Math.abs(hostile.currentTile.distanceTo(tile) - enemy.attackRange)
+        ));
+    }
+    
+    /**
+     * 난이도에 따른 판단 오차
+     * 
+     * 난이도가 낮을수록 후보 점수에 큰 무작위 값을 더해 최선이 아닌 행동을 고르게 합니다
+     * (오차 크기는 난이도에 제곱으로 줄어 기본 난이도 5에서 DECISION_NOISE의 1/4, 10이면 0).
+     * 같은 시드에서 같은 판단을 하도록 전투 난수 상태로 시드를 정한 decisionRng를 사용합니다.
+     * 전투 난수는 커맨드의 판정에만 쓰여, 온라인 대전에서 AI를 실행하지 않는 기기와 커서가 어긋나지 않습니다.
+     * 
+     * @returns {number} 점수에 더할 값
+     */
+    getDecisionNoise() {
+        const scale = (1 - this.difficultyLevel / 10) ** 2 * DECISION_NOISE;
+        return scale > 0 ? this.decisionRng.random() * scale : 0;
+    }
+    
+    /**
+     * 후보를 행동 정보로 변환
+     * 
+     * @param {Character} enemy - 적 캐릭터
+     * @param {{tile: HexTile, target: Character|null}|null} candidate - 선택한 후보
+     * @returns {Object} 행동 정보
+     */
+    toAction(enemy, candidate) {
+        if (!candidate) {
+            return { type: 'wait' };
+        }
+        
+        const { tile, target, skill } = candidate;
+        const stays = tile === enemy.currentTile;
+        if (skill) {
+            return stays
+                ? { type: 'skill', skillId: skill.id, targetTile: candidate.skillTile }
+                : { type: 'move_and_skill', moveTile: tile, skillId: skill.id, targetTile: candidate.skillTile };
+        }
+        if (target) {
+            return stays
+                ? { type: 'attack', target }
+                : { type: 'move_and_attack', moveTile: tile, attackTarget: target };
+        }
+        return stays ? { type: 'wait' } : { type: 'move', targetTile: tile };
     }
     
     /**
@@ -347,6 +681,24 @@ export class AISystem {
         }
     }
     
+    /**
+     * 스킬 실행
+     * 
+     * @param {Character} enemy - 시전자
+     * @param {string} skillId - 스킬 ID
+     * @param {HexTile} targetTile - 대상 타일
+     * @param {Function} callback - 완료 콜백
+     */
+    performSkill(enemy, skillId, targetTile, callback) {
+        const results = battleManager.useSkill(enemy, skillId, targetTile);
+        if (results) {
+            // 스킬 애니메이션이 완료될 때까지 기다림
+            setTimeout(callback, 1000);
+        } else {
+            callback();
+        }
+    }
+    
     /**
      * 이동 실행
      * 
@@ -374,9 +726,117 @@ export class AISystem {
         });
     }
     
+    /**
+     * 캐릭터들의 행동을 타이머 없이 차례로 실행 (헤드리스 시뮬레이션)
+     * 
+     * 행동 딜레이와 애니메이션을 기다리지 않고, 앞 캐릭터의 커맨드가 끝나면 바로 다음 캐릭터가 행동합니다.
+     * 액션 큐에 애니메이션 핸들러가 없어 사망/종료 판정이 커맨드와 함께 끝나는 경우에 사용합니다.
+     * 
+     * @param {Character[]} units - 행동할 캐릭터 목록
+     * @returns {Promise<void>}
+     */
+    async runUnits(units) {
+        const ready = units.filter(unit => unit.isAlive() && unit.canAct());
+        if (ready.length === 0) return;
+        
+        this.beginTactics(ready[0].type);
+        const ordered = tacticsSystem.orderUnits(ready);
+        await this.preparePlan(ordered);
+        
+        for (const unit of ordered) {
+            if (!gameState.isPlaying()) return;
+            if (!unit.isAlive() || !unit.canAct()) continue;
+            
+            await this.applyAction(unit, this.decideAction(unit));
+        }
+    }
+    
+    /**
+     * 결정한 행동을 커맨드로 실행
+     * 
+     * @param {Character} enemy - 행동할 캐릭터
+     * @param {Object} action - determineAction()의 결과
+     * @returns {Promise<void>}
+     */
+    async applyAction(enemy, action) {
+        switch (action.type) {
+            case 'attack':
+                await this.attackNow(enemy, action.target);
+                break;
+                
+            case 'move':
+                await this.moveNow(enemy, action.targetTile);
+                break;
+                
+            case 'move_and_attack':
+                if (await this.moveNow(enemy, action.moveTile)) {
+                    await this.attackNow(enemy, action.attackTarget);
+                }
+                break;
+                
+            case 'skill':
+                await this.skillNow(enemy, action.skillId, action.targetTile);
+                break;
+                
+            case 'move_and_skill':
+                if (await this.moveNow(enemy, action.moveTile)) {
+                    await this.skillNow(enemy, action.skillId, action.targetTile);
+                }
+                break;
+                
+            case 'wait':
+            default:
+                break;
+        }
+    }
+    
+    /**
+     * 타일로 이동하는 커맨드 실행
+     * 
+     * @param {Character} enemy - 이동할 캐릭터
+     * @param {HexTile} targetTile - 목표 타일
+     * @returns {Promise<boolean>} 이동 성공 여부
+     */
+    async moveNow(enemy, targetTile) {
+        const path = gridSystem.findPath(enemy.currentTile, targetTile);
+        if (path.length === 0) return false;
+        
+        return battleManager.moveCharacter(enemy, path);
+    }
+    
+    /**
+     * 공격 커맨드 실행
+     * 
+     * @param {Character} enemy - 공격자
+     * @param {Character} target - 대상
+     * @returns {Promise<boolean>} 공격 성공 여부
+     */
+    async attackNow(enemy, target) {
+        if (!target.isAlive() || !gameState.isPlaying()) return false;
+        
+        return battleManager.performAttack(enemy, target) > 0;
+    }
+    
+    /**
+     * 스킬 커맨드 실행
+     * 
+     * @param {Character} enemy - 시전자
+     * @param {string} skillId - 스킬 ID
+     * @param {HexTile} targetTile - 대상 타일
+     * @returns {Promise<boolean>} 사용 성공 여부
+     */
+    async skillNow(enemy, skillId, targetTile) {
+        if (!gameState.isPlaying()) return false;
+        
+        return battleManager.useSkill(enemy, skillId, targetTile) !== null;
+    }
+    
     /**
      * AI 난이도 설정
      * 
+     * 난이도가 높을수록 판단 오차(getDecisionNoise)가 작고, 위협/아군 거리/지형을 더 따지며, 행동 딜레이가 짧습니다.
+     * LOOKAHEAD.MIN_DIFFICULTY 이상이면 턴 전체를 선읽기로 계획합니다 (lookaheadPlanner).
+     * 
      * @param {number} level - 난이도 레벨 (0-10)
      */
     setDifficulty(level) {
@@ -386,50 +846,55 @@ export class AISystem {
         this.actionDelay = 2000 - (this.difficultyLevel * 150);
     }
     
-    /**
-     * 특수 AI 행동 패턴
-     */
-    
     /**
      * 방어적 행동 패턴
      * 
+     * 위협에서 가장 먼 타일로 물러납니다. 움직일 수 없으면 평소처럼 행동을 고릅니다.
+     * 
      * @param {Character} enemy - 적 캐릭터
+     * @param {Object} [profile] - AI 성향 (생략하면 캐릭터의 성향)
      * @returns {Object} 행동 정보
      */
-    defensiveBehavior(enemy) {
-        // 체력이 30% 이하면 후퇴
-        if (enemy.health / enemy.maxHealth < 0.3) {
-            const retreatTile = this.findRetreatTile(enemy);
-            if (retreatTile) {
-                return { type: 'move', targetTile: retreatTile };
-            }
+    defensiveBehavior(enemy, profile = aiProfileSystem.getProfileFor(enemy)) {
+        const retreatTile = this.findRetreatTile(enemy);
+        if (retreatTile) {
+            return { type: 'move', targetTile: retreatTile };
         }
         
-        return this.determineAction(enemy);
+        return this.chooseBestAction(enemy, profile);
     }
     
     /**
      * 후퇴할 타일 찾기
      * 
+     * 지금 위치보다 위협에서 멀어지는 타일 중 위협 지도의 기대 데미지가 가장 적은 타일을 고르고,
+     * 같으면 아군 영향력이 큰 타일을 고릅니다.
+     * 
      * @param {Character} enemy - 적 캐릭터
      * @returns {HexTile|null} 후퇴할 타일
      */
     findRetreatTile(enemy) {
         const movableTiles = gridSystem.getMovableTiles(enemy);
-        const threats = gameState.playerCharacters.filter(p => p.isAlive());
+        const threats = this.getKnownHostiles(enemy);
+        
+        const getTotalDistance = tile => threats.reduce((sum, threat) => {
+            return sum + tile.distanceTo(threat.currentTile);
+        }, 0);
         
-        // 모든 위협으로부터 가장 먼 타일 선택
+        const currentDistance = getTotalDistance(enemy.currentTile);
         let bestTile = null;
-        let maxTotalDistance = 0;
+        let bestThreat = Infinity;
+        let bestInfluence = -Infinity;
         
         movableTiles.forEach(tile => {
-            const totalDistance = threats.reduce((sum, threat) => {
-                return sum + tile.distanceTo(threat.currentTile);
-            }, 0);
+            if (getTotalDistance(tile) <= currentDistance) return;
             
-            if (totalDistance > maxTotalDistance) {
-                maxTotalDistance = totalDistance;
+            const threat = tacticsSystem.getThreatDamage(enemy, tile);
+            const influence = tacticsSystem.getInfluence(tile);
+            if (threat < bestThreat || (threat === bestThreat && influence > bestInfluence)) {
                 bestTile = tile;
+                bestThreat = threat;
+                bestInfluence = influence;
             }
         });
         
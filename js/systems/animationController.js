@@ -8,10 +8,13 @@
  */
 
 import { gsap } from 'https://cdn.jsdelivr.net/npm/gsap@3.12.5/index.js';
+import * as THREE from 'three';
 import { soundSystem } from './soundSystem.js';
 import { healthBarUI } from '../ui/healthBarUI.js';
-import { ANIMATION } from '../core/constants.js';
+import { ANIMATION, COLORS } from '../core/constants.js';
+import { sceneSetup } from '../core/sceneSetup.js';
 import { eventBus, GameEvents } from '../core/eventBus.js';
+import { animationTimeline } from './animationTimeline.js';
 
 /**
  * 애니메이션 컨트롤러 클래스
@@ -32,6 +35,12 @@ class AnimationController {
          */
         this.animationSpeed = 1.0;
         
+        /**
+         * 슬로 모션 배속 (카메라 연출의 킬 캠에서 사용, 1이면 보통)
+         * @type {number}
+         */
+        this.slowMotion = 1;
+        
         /**
          * 콜백 맵
          * @type {Map<string, Function>}
@@ -63,9 +72,13 @@ class AnimationController {
         return new Promise((resolve) => {
             // 즉시 해결 (스킵 모드)
             if (this.skipMode) {
-                const finalPos = path[path.length - 1].getPixelPosition();
-                character.setPosition(finalPos.x, finalPos.z);
+                const finalTile = path[path.length - 1];
+                const finalPos = finalTile.getPixelPosition();
+                character.setPosition(finalPos.x, finalPos.z, finalTile.getSurfaceHeight());
                 character.playAnimation('Idle', true);
+                if (options.onComplete) {
+                    options.onComplete();
+                }
                 resolve();
                 return;
             }
@@ -84,10 +97,13 @@ class AnimationController {
             });
             
             this.currentTimeline = timeline;
+            timeline.timeScale(this.slowMotion);
+            eventBus.emit(GameEvents.MOVE_ANIMATION_START, { character, path });
             
             // 각 타일로의 이동 애니메이션
             let previousPos = {
                 x: character.group.position.x,
+                y: character.group.position.y,
                 z: character.group.position.z
             };
             
@@ -134,16 +150,20 @@ class AnimationController {
                     ease: 'power2.inOut'
                 });
                 
-                // 점프 효과
+                // 점프 효과 (높은 쪽 타일 기준으로 뛰었다가 다음 타일 높이에 착지)
+                const landingY = tile.getSurfaceHeight();
                 timeline.to(character.group.position, {
-                    y: 0.3,
+                    y: Math.max(previousPos.y, landingY) + 0.3,
                     duration: duration / 2,
-                    ease: 'power2.out',
-                    yoyo: true,
-                    repeat: 1
+                    ease: 'power2.out'
                 }, `-=${duration}`);
+                timeline.to(character.group.position, {
+                    y: landingY,
+                    duration: duration / 2,
+                    ease: 'power2.in'
+                }, `-=${duration / 2}`);
                 
-                previousPos = { x: pos.x, z: pos.z };
+                previousPos = { x: pos.x, y: landingY, z: pos.z };
             });
             
             // UI 업데이트 콜백
@@ -163,13 +183,21 @@ class AnimationController {
      * @returns {Promise}
      */
     createAttackAnimation(data, options = {}) {
-        const { attacker, target, damage, attackerPos, targetPos } = data;
+        const { attacker, target, damage } = data;
+        
+        // 재생 시점의 위치 사용 (앞서 큐에 들어간 이동 애니메이션이 끝난 뒤의 위치)
+        const attackerPos = { ...attacker.group.position };
+        const targetPos = { ...target.group.position };
         
         return new Promise((resolve) => {
             // 즉시 해결 (스킵 모드)
             if (this.skipMode) {
                 attacker.playAnimation('Idle', true);
                 target.playAnimation('Idle', true);
+                healthBarUI.updateHealthBar(target);
+                if (options.onHit) {
+                    options.onHit();
+                }
                 resolve();
                 return;
             }
@@ -187,6 +215,8 @@ class AnimationController {
             });
             
             this.currentTimeline = timeline;
+            timeline.timeScale(this.slowMotion);
+            eventBus.emit(GameEvents.ATTACK_ANIMATION_START, { attacker, target });
             
             // 방향 계산
             const direction = {
@@ -202,6 +232,16 @@ class AnimationController {
             const attackerAngle = Math.atan2(direction.x, direction.z);
             const targetAngle = Math.atan2(-direction.x, -direction.z);
             
+            // 2칸 이상 떨어진 대상은 돌진 대신 투사체를 날림
+            const distance = attacker.currentTile && target.currentTile
+                ? attacker.currentTile.distanceTo(target.currentTile)
+                : 1;
+            if (distance > 1) {
+                this.addProjectileAttack(timeline, { ...data, attackerPos, targetPos }, options, { attackerAngle, targetAngle, distance });
+                timeline.play();
+                return;
+            }
+            
             timeline
                 // 1. 서로 마주보기
                 .call(() => {
@@ -281,6 +321,140 @@ class AnimationController {
         });
     }
     
+    /**
+     * 원거리 공격 타임라인 구성
+     * 
+     * 공격자 가슴 높이에서 대상까지 포물선을 그리며 투사체가 날아가고, 도착하면 피격을 표시합니다.
+     * @private
+     * @param {gsap.core.Timeline} timeline - 타임라인
+     * @param {Object} data - 공격 데이터 (createAttackAnimation의 데이터에 재생 시점 위치 attackerPos/targetPos 추가)
+     * @param {Object} options - 옵션
+     * @param {Object} aim - 방향과 거리 {attackerAngle, targetAngle, distance}
+     */
+    addProjectileAttack(timeline, data, options, aim) {
+        const { attacker, target, damage, attackerPos, targetPos } = data;
+        
+        const projectile = new THREE.Mesh(
+            new THREE.SphereGeometry(0.12, 8, 8),
+            new THREE.MeshBasicMaterial({ color: COLORS.PROJECTILE })
+        );
+        const start = new THREE.Vector3(attackerPos.x, attackerPos.y + 1.2, attackerPos.z);
+        const end = new THREE.Vector3(targetPos.x, targetPos.y + 1.0, targetPos.z);
+        const arcHeight = 0.3 * aim.distance;
+        const flight = { t: 0 };
+        
+        const removeProjectile = () => {
+            sceneSetup.scene.remove(projectile);
+            projectile.geometry.dispose();
+            projectile.material.dispose();
+        };
+        
+        timeline
+            // 1. 서로 마주보기
+            .call(() => {
+                this.rotateCharacter(attacker, aim.attackerAngle, 0.2 / this.animationSpeed);
+                this.rotateCharacter(target, aim.targetAngle, 0.2 / this.animationSpeed);
+            })
+            .to({}, { duration: 0.2 / this.animationSpeed })
+            
+            // 2. 발사
+            .call(() => {
+                attacker.playAnimation('Punch', false);
+                soundSystem.playAttack();
+                projectile.position.copy(start);
+                sceneSetup.scene.add(projectile);
+            })
+            
+            // 3. 비행 (거리에 비례한 시간, 포물선)
+            .to(flight, {
+                t: 1,
+                duration: (ANIMATION.PROJECTILE_DURATION * aim.distance / this.animationSpeed) / 1000,
+                ease: 'none',
+                onUpdate: () => {
+                    projectile.position.lerpVectors(start, end, flight.t);
+                    projectile.position.y += Math.sin(Math.PI * flight.t) * arcHeight;
+                }
+            })
+            
+            // 4. 명중
+            .call(() => {
+                removeProjectile();
+                
+                this.createHitEffect(target);
+                soundSystem.playHit();
+                target.playAnimation('Hit', false);
+                this.showDamageText(target, damage);
+                healthBarUI.updateHealthBar(target);
+                
+                if (options.onHit) {
+                    options.onHit();
+                }
+            })
+            
+            // 5. Idle 복귀
+            .call(() => {
+                attacker.playAnimation('Idle', true);
+                if (target.isAlive()) {
+                    target.playAnimation('Idle', true);
+                }
+            }, null, '+=0.3');
+    }
+    
+    /**
+     * 스킬 애니메이션 생성
+     * 
+     * 스킬 정의의 animation 값으로 animationTimeline의 스킬 타임라인을 만들어 재생하고,
+     * 타임라인이 끝나면 대상들의 피격/회복을 표시합니다.
+     * 
+     * @param {Object} data - 스킬 데이터
+     * @param {Object} options - 옵션
+     * @returns {Promise}
+     */
+    createSkillAnimation(data, options = {}) {
+        const { caster, skill, results } = data;
+        
+        const showResults = () => {
+            results.forEach(({ target, amount }) => {
+                if (skill.effect.type === 'damage') {
+                    this.showDamageText(target, amount);
+                }
+                healthBarUI.updateHealthBar(target);
+            });
+            
+            if (options.onHit) {
+                options.onHit();
+            }
+        };
+        
+        return new Promise((resolve) => {
+            // 즉시 해결 (스킵 모드)
+            if (this.skipMode) {
+                showResults();
+                resolve();
+                return;
+            }
+            
+            const targets = results.map(({ target }) => target);
+            const timeline = animationTimeline.createSkillAnimation(caster, skill.animation, targets);
+            
+            // 타임라인 끝에 결과 표시 (건너뛰기로 progress(1)이 되어도 호출됨)
+            timeline.call(() => {
+                this.currentTimeline = null;
+                showResults();
+                caster.playAnimation('Idle', true);
+                
+                eventBus.emit(GameEvents.SKILL_ANIMATION_COMPLETE, { caster, skill });
+                
+                resolve();
+            });
+            
+            this.currentTimeline = timeline;
+            timeline.timeScale(this.animationSpeed * this.slowMotion);
+            eventBus.emit(GameEvents.SKILL_ANIMATION_START, { caster, skill, targets });
+            timeline.play();
+        });
+    }
+    
     /**
      * 데미지 애니메이션 생성 (더 이상 사용하지 않음)
      * 
@@ -314,11 +488,17 @@ class AnimationController {
             const timeline = gsap.timeline({
                 onComplete: () => {
                     this.currentTimeline = null;
+                    
+                    // 사망 완료 이벤트 발생
+                    eventBus.emit(GameEvents.DEATH_ANIMATION_COMPLETE, { character });
+                    
                     resolve();
                 }
             });
             
             this.currentTimeline = timeline;
+            timeline.timeScale(this.slowMotion);
+            eventBus.emit(GameEvents.DEATH_ANIMATION_START, { character });
             
             timeline
                 // 쓰러지기
@@ -444,7 +624,22 @@ class AnimationController {
         this.animationSpeed = Math.max(0.1, Math.min(5, speed));
         
         if (this.currentTimeline) {
-            this.currentTimeline.timeScale(this.animationSpeed);
+            this.currentTimeline.timeScale(this.animationSpeed * this.slowMotion);
+        }
+    }
+    
+    /**
+     * 슬로 모션 설정
+     * 
+     * 재생 중인 타임라인과 이후에 만드는 타임라인 모두에 적용됩니다.
+     * @param {number} factor - 배속 (0.1 ~ 1, 1이면 슬로 모션 해제)
+     */
+    setSlowMotion(factor) {
+        const previous = this.slowMotion;
+        this.slowMotion = Math.max(0.1, Math.min(1, factor));
+        
+        if (this.currentTimeline) {
+            this.currentTimeline.timeScale(this.currentTimeline.timeScale() * this.slowMotion / previous);
         }
     }
     
@@ -456,6 +651,10 @@ class AnimationController {
     setSkipMode(enabled) {
         this.skipMode = enabled;
         
+        if (enabled) {
+            this.setSlowMotion(1);
+        }
+        
         if (enabled && this.currentTimeline) {
             this.skipCurrentAnimation();
         }
@@ -90,6 +90,7 @@ class AnimationTimeline {
         });
         
         // 각 타일로의 이동을 타임라인에 추가
+        let previousY = character.group.position.y;
         path.forEach((tile, index) => {
             const pos = tile.getPixelPosition();
             const duration = this.presets.movement.walkDuration;
@@ -102,14 +103,19 @@ class AnimationTimeline {
                 ease: 'power2.inOut'
             });
             
-            // 점프 효과
+            // 점프 효과 (다음 타일 고도에 착지)
+            const landingY = tile.getSurfaceHeight();
             timeline.to(character.group.position, {
-                y: this.presets.movement.jumpHeight,
+                y: Math.max(previousY, landingY) + this.presets.movement.jumpHeight,
                 duration: duration / 2,
-                ease: 'power2.out',
-                yoyo: true,
-                repeat: 1
+                ease: 'power2.out'
             }, `-=${duration}`);
+            timeline.to(character.group.position, {
+                y: landingY,
+                duration: duration / 2,
+                ease: 'power2.in'
+            }, `-=${duration / 2}`);
+            previousY = landingY;
             
             // 회전
             if (index < path.length - 1) {
@@ -174,10 +180,11 @@ class AnimationTimeline {
      * @param {Object} options - 옵션
      */
     addAreaAttackAnimation(timeline, caster, targets, options) {
-        // 시전 준비
+        // 시전 준비 (서 있는 타일 높이 기준)
+        const casterY = caster.currentTile ? caster.currentTile.getSurfaceHeight() : 0;
         timeline
             .to(caster.group.position, {
-                y: 0.5,
+                y: casterY + 0.5,
                 duration: 0.3,
                 ease: 'power2.out'
             })
@@ -192,9 +199,10 @@ class AnimationTimeline {
         
         // 타겟들에게 동시 피격
         targets.forEach(target => {
+            const targetY = target.currentTile ? target.currentTile.getSurfaceHeight() : 0;
             timeline
                 .to(target.group.position, {
-                    y: 0.3,
+                    y: targetY + 0.3,
                     duration: 0.1,
                     ease: 'power2.out',
                     yoyo: true,
@@ -207,7 +215,7 @@ class AnimationTimeline {
         
         // 시전자 복귀
         timeline.to(caster.group.position, {
-            y: 0,
+            y: casterY,
             duration: 0.3,
             ease: 'power2.in'
         }, 0.6);
@@ -250,6 +258,8 @@ class AnimationTimeline {
                     y: 1.05,
                     z: 1.05,
                     duration: 0.3,
+                    yoyo: true,
+                    repeat: 1,
                     ease: 'back.out(2)'
                 }, 0.3 + index * 0.1);
         });
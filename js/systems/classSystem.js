@@ -0,0 +1,159 @@
+/**
+ * 캐릭터 클래스 시스템
+ *
+ * public/data/classes.json의 클래스(전사, 궁수, 마법사, 치유사, 수호자) 정의를 관리합니다.
+ * 클래스는 캐릭터의 능력치와 기본 스킬을 정하며, 맵의 스폰 위치에서 class로 지정하거나
+ * 진영별 defaults 목록에서 순서대로 배정됩니다.
+ *
+ * @module classSystem
+ */
+
+import { loadJSON } from '../utils/loadJSON.js';
+import { CLASSES_DATA_PATH } from '../core/constants.js';
+import { skillSystem } from './skillSystem.js';
+
+/**
+ * 클래스 능력치 이름과 검사 규칙
+ *
+ * @type {Object<string, {min: number, max?: number, integer?: boolean}>}
+ */
+export const CLASS_STATS = {
+    maxHealth: { min: 1, integer: true },
+    attackPower: { min: 0 },
+    attackRange: { min: 1, integer: true },
+    minAttackRange: { min: 1, integer: true },
+    movementRange: { min: 0 },
+    defense: { min: 0 },
+    evasion: { min: 0, max: 1 },
+    critChance: { min: 0, max: 1 },
+    speed: { min: 0 },
+    sightRange: { min: 1, integer: true },
+    maxMana: { min: 0, integer: true }
+};
+
+/**
+ * 클래스 시스템 클래스
+ *
+ * @class ClassSystem
+ */
+class ClassSystem {
+    constructor() {
+        /**
+         * 클래스 정의 (id → 정의)
+         * @type {Map<string, Object>}
+         */
+        this.classes = new Map();
+
+        /**
+         * 진영별 기본 클래스 순서 (스폰에 class가 없을 때 사용)
+         * @type {Object<string, string[]>}
+         */
+        this.defaults = {};
+    }
+
+    /**
+     * 클래스 정의 파일 로드
+     *
+     * 클래스의 스킬을 검사하므로 skillSystem.load() 뒤에 호출해야 합니다.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const data = await loadJSON(CLASSES_DATA_PATH, 'classes');
+        this.setDefinitions(data);
+    }
+
+    /**
+     * 클래스 정의 등록
+     *
+     * @param {Object} data - classes.json 형식의 데이터
+     * @throws {Error} 정의가 잘못된 경우
+     */
+    setDefinitions(data) {
+        this.classes.clear();
+
+        Object.entries(data.classes || {}).forEach(([id, definition]) => {
+            const characterClass = { id, ...definition };
+            this.validateClass(characterClass);
+            this.classes.set(id, characterClass);
+        });
+
+        this.defaults = data.defaults || {};
+        Object.entries(this.defaults).forEach(([type, classIds]) => {
+            classIds.forEach(classId => {
+                if (!this.classes.has(classId)) {
+                    throw new Error(`Defaults ${type}: unknown class ${classId}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * 클래스 정의 검사
+     *
+     * 능력치는 생략할 수 있고 (constants.js의 기본값 사용), 지정한 값만 범위를 검사합니다.
+     * @param {Object} characterClass - 클래스 정의
+     * @throws {Error} 능력치가 잘못된 경우
+     */
+    validateClass(characterClass) {
+        const stats = characterClass.stats || {};
+
+        Object.entries(stats).forEach(([stat, value]) => {
+            const rule = CLASS_STATS[stat];
+            if (!rule) {
+                throw new Error(`Class ${characterClass.id}: unknown stat ${stat}`);
+            }
+            if (typeof value !== 'number' || value < rule.min || value > (rule.max ?? Infinity)
+                || (rule.integer && !Number.isInteger(value))) {
+                throw new Error(`Class ${characterClass.id}: invalid ${stat} ${value}`);
+            }
+        });
+
+        if ((stats.minAttackRange ?? 1) > (stats.attackRange ?? 1)) {
+            throw new Error(`Class ${characterClass.id}: minAttackRange is greater than attackRange`);
+        }
+
+        (characterClass.skills || []).forEach(skillId => {
+            if (!skillSystem.getSkill(skillId)) {
+                throw new Error(`Class ${characterClass.id}: unknown skill ${skillId}`);
+            }
+        });
+    }
+
+    /**
+     * 클래스 정의 조회
+     *
+     * @param {string} classId - 클래스 ID
+     * @returns {Object|null} 클래스 정의
+     */
+    getClass(classId) {
+        return this.classes.get(classId) || null;
+    }
+
+    /**
+     * 캐릭터의 시작 스킬
+     *
+     * 클래스에 skills가 있으면 그 목록, 없으면 skills.json의 진영별 loadouts를 사용합니다.
+     * @param {Character} character - 캐릭터
+     * @returns {string[]} 스킬 ID 목록
+     */
+    getStartingSkills(character) {
+        const skills = this.getClass(character.classId)?.skills;
+        return skills ? [...skills] : skillSystem.getLoadout(character.type);
+    }
+
+    /**
+     * 스폰 순서에 맞는 진영의 기본 클래스
+     *
+     * defaults 목록을 순환하며, 목록이 없으면 null (클래스 없이 기본 능력치 사용)
+     * @param {string} type - 캐릭터 타입
+     * @param {number} index - 진영 안에서의 스폰 순서
+     * @returns {string|null} 클래스 ID
+     */
+    getDefaultClass(type, index) {
+        const classIds = this.defaults[type] || [];
+        return classIds.length > 0 ? classIds[index % classIds.length] : null;
+    }
+}
+
+// 싱글톤 인스턴스
+export const classSystem = new ClassSystem();
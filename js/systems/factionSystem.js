@@ -0,0 +1,336 @@
+/**
+ * 진영 시스템
+ *
+ * public/data/factions.json의 진영 정의와 진영 사이의 관계(동맹, 적대, 중립)를 관리합니다.
+ * 캐릭터의 type이 소속 진영 ID이며, 적대 여부는 캐릭터 타입을 직접 비교하지 말고
+ * 이 시스템으로 판단해야 합니다.
+ *
+ * 중립 관계는 한쪽이 먼저 공격하면 그 전투 동안 적대로 바뀝니다 (provoke).
+ * 바뀐 관계는 커맨드 상태 스냅샷과 저장 데이터에 getState()로 기록합니다.
+ *
+ * @module factionSystem
+ */
+
+import { loadJSON } from '../utils/loadJSON.js';
+import { parseHexColor, hslToHex } from '../utils/color.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import {
+    COLORS,
+    FACTIONS_DATA_PATH,
+    FACTION_RELATION,
+    FACTION_CONTROLLER
+} from '../core/constants.js';
+
+/**
+ * 색상을 지정하지 않은 진영의 색상 생성용 색상환 간격 (황금각)
+ * @type {number}
+ */
+const GOLDEN_ANGLE = 0.381966;
+
+/**
+ * 진영 시스템 클래스
+ *
+ * @class FactionSystem
+ */
+class FactionSystem {
+    constructor() {
+        /**
+         * 진영 정의 (id → 정의, 정의 파일의 순서가 진영 턴 순서)
+         * @type {Map<string, Object>}
+         */
+        this.factions = new Map();
+
+        /**
+         * 정의 파일에 지정된 관계 ("a|b" → 관계, 진영 ID는 정렬해서 키로 사용)
+         * @type {Map<string, string>}
+         */
+        this.relations = new Map();
+
+        /**
+         * 공격을 받아 중립에서 적대로 바뀐 진영 쌍 ("a|b")
+         * @type {Set<string>}
+         */
+        this.provoked = new Set();
+    }
+
+    /**
+     * 진영 정의 파일 로드
+     *
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const data = await loadJSON(FACTIONS_DATA_PATH, 'factions');
+        this.setDefinitions(data);
+    }
+
+    /**
+     * 진영 정의 등록
+     *
+     * 진영마다 COLORS.FACTION에 팀 색상을 만듭니다 (color가 없으면 색상환에서 자동 생성).
+     * @param {Object} data - factions.json 형식의 데이터
+     * @throws {Error} 정의가 잘못된 경우
+     */
+    setDefinitions(data) {
+        this.factions.clear();
+        this.relations.clear();
+        this.provoked.clear();
+        Object.keys(COLORS.FACTION).forEach(id => delete COLORS.FACTION[id]);
+
+        Object.entries(data.factions || {}).forEach(([id, definition], index) => {
+            const faction = { id, ...definition };
+            this.validateFaction(faction);
+            this.factions.set(id, faction);
+
+            COLORS.FACTION[id] = faction.color
+                ? parseHexColor(faction.color)
+                : hslToHex((index * GOLDEN_ANGLE) % 1, 0.7, 0.5);
+        });
+
+        (data.relations || []).forEach(({ factions, relation }) => {
+            const [a, b] = factions || [];
+            if (!this.factions.has(a) || !this.factions.has(b) || a === b) {
+                throw new Error(`Relation: invalid factions ${a}, ${b}`);
+            }
+            if (!Object.values(FACTION_RELATION).includes(relation)) {
+                throw new Error(`Relation ${a}-${b}: unknown relation ${relation}`);
+            }
+            this.relations.set(this.getPairKey(a, b), relation);
+        });
+    }
+
+    /**
+     * 진영 정의 검사
+     *
+     * @param {Object} faction - 진영 정의
+     * @throws {Error} 필수 값이 없거나 잘못된 경우
+     */
+    validateFaction(faction) {
+        if (!faction.name) {
+            throw new Error(`Faction ${faction.id}: name is required`);
+        }
+        if (!Object.values(FACTION_CONTROLLER).includes(faction.controller)) {
+            throw new Error(`Faction ${faction.id}: unknown controller ${faction.controller}`);
+        }
+        if (faction.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(faction.color)) {
+            throw new Error(`Faction ${faction.id}: color must be #rrggbb`);
+        }
+    }
+
+    /**
+     * 진영 정의 조회
+     *
+     * @param {string} factionId - 진영 ID
+     * @returns {Object|null} 진영 정의
+     */
+    getFaction(factionId) {
+        return this.factions.get(factionId) || null;
+    }
+
+    /**
+     * 모든 진영 ID (턴 순서)
+     *
+     * @returns {string[]} 진영 ID 목록
+     */
+    getFactionIds() {
+        return Array.from(this.factions.keys());
+    }
+
+    /**
+     * 진영의 턴 순서 (정의 파일의 순서, 알 수 없는 진영은 맨 뒤)
+     *
+     * @param {string} factionId - 진영 ID
+     * @returns {number} 순서
+     */
+    getOrder(factionId) {
+        const index = this.getFactionIds().indexOf(factionId);
+        return index === -1 ? this.factions.size : index;
+    }
+
+    /**
+     * 진영 이름
+     *
+     * @param {string} factionId - 진영 ID
+     * @returns {string} 이름 (정의가 없으면 ID)
+     */
+    getName(factionId) {
+        return this.getFaction(factionId)?.name || factionId;
+    }
+
+    /**
+     * 진영 캐릭터의 기본 이름 (뒤에 번호를 붙여 사용)
+     *
+     * @param {string} factionId - 진영 ID
+     * @returns {string} 기본 이름
+     */
+    getUnitName(factionId) {
+        return this.getFaction(factionId)?.unitName || this.getName(factionId);
+    }
+
+    /**
+     * 진영 팀 색상
+     *
+     * @param {string} factionId - 진영 ID
+     * @returns {number} 16진수 색상
+     */
+    getColor(factionId) {
+        return COLORS.FACTION[factionId] ?? 0x888888;
+    }
+
+    /**
+     * 진영 팀 색상 (CSS용)
+     *
+     * @param {string} factionId - 진영 ID
+     * @returns {string} #rrggbb
+     */
+    getColorStyle(factionId) {
+        return `#${this.getColor(factionId).toString(16).padStart(6, '0')}`;
+    }
+
+    /**
+     * 플레이어가 조작하는 진영인지 확인
+     *
+     * @param {string} factionId - 진영 ID
+     * @returns {boolean}
+     */
+    isHumanControlled(factionId) {
+        return this.getFaction(factionId)?.controller === FACTION_CONTROLLER.HUMAN;
+    }
+
+    /**
+     * 온라인 대전 상대가 조작하는 진영인지 확인
+     *
+     * @param {string} factionId - 진영 ID
+     * @returns {boolean}
+     */
+    isRemoteControlled(factionId) {
+        return this.getFaction(factionId)?.controller === FACTION_CONTROLLER.REMOTE;
+    }
+
+    /**
+     * 진영의 조작 주체 변경 (핫시트/온라인 대전에서 AI 진영을 사람이 조작하도록 바꿀 때 사용)
+     * 
+     * @param {string} factionId - 진영 ID
+     * @param {string} controller - FACTION_CONTROLLER 값
+     */
+    setController(factionId, controller) {
+        const faction = this.getFaction(factionId);
+        if (!faction || !Object.values(FACTION_CONTROLLER).includes(controller)) return;
+        faction.controller = controller;
+    }
+
+    /**
+     * 두 진영의 관계
+     *
+     * 같은 진영은 동맹이고, 정의 파일에 없는 진영 쌍은 적대입니다.
+     * @param {string} a - 진영 ID
+     * @param {string} b - 진영 ID
+     * @returns {string} FACTION_RELATION 값
+     */
+    getRelation(a, b) {
+        if (a === b) return FACTION_RELATION.ALLIED;
+
+        const key = this.getPairKey(a, b);
+        if (this.provoked.has(key)) return FACTION_RELATION.HOSTILE;
+
+        return this.relations.get(key) || FACTION_RELATION.HOSTILE;
+    }
+
+    /**
+     * 두 진영이 적대 관계인지 확인 (AI 대상 선택, 범위 효과 판정에 사용)
+     *
+     * @param {string} a - 진영 ID
+     * @param {string} b - 진영 ID
+     * @returns {boolean}
+     */
+    isHostile(a, b) {
+        return this.getRelation(a, b) === FACTION_RELATION.HOSTILE;
+    }
+
+    /**
+     * 두 진영이 동맹 관계인지 확인 (같은 진영 포함)
+     *
+     * @param {string} a - 진영 ID
+     * @param {string} b - 진영 ID
+     * @returns {boolean}
+     */
+    isAllied(a, b) {
+        return this.getRelation(a, b) === FACTION_RELATION.ALLIED;
+    }
+
+    /**
+     * 캐릭터가 대상을 직접 공격할 수 있는 관계인지 확인
+     *
+     * 적대뿐 아니라 중립 캐릭터도 직접 지정하면 공격할 수 있습니다 (공격하면 적대로 바뀜).
+     * @param {Character} attacker - 공격자
+     * @param {Character} target - 대상
+     * @returns {boolean}
+     */
+    canAttack(attacker, target) {
+        return !this.isAllied(attacker.type, target.type);
+    }
+
+    /**
+     * 공격받은 중립 진영을 공격한 진영과 적대 관계로 전환
+     *
+     * @param {string} attackerFaction - 공격한 진영 ID
+     * @param {string} targetFaction - 공격받은 진영 ID
+     * @returns {boolean} 관계가 바뀌었으면 true
+     */
+    provoke(attackerFaction, targetFaction) {
+        if (this.getRelation(attackerFaction, targetFaction) !== FACTION_RELATION.NEUTRAL) {
+            return false;
+        }
+
+        this.provoked.add(this.getPairKey(attackerFaction, targetFaction));
+        eventBus.emit(GameEvents.FACTION_PROVOKED, { attackerFaction, targetFaction });
+
+        return true;
+    }
+
+    /**
+     * 진영이 승리했는지 확인
+     *
+     * 진영이 살아남았고, 살아남은 다른 진영 중 적대 관계인 진영이 없으면 승리입니다.
+     * (중립 진영은 남아 있어도 됨)
+     * @param {string} factionId - 진영 ID
+     * @param {string[]} aliveFactions - 살아있는 캐릭터가 있는 진영 ID 목록
+     * @returns {boolean}
+     */
+    hasWon(factionId, aliveFactions) {
+        return aliveFactions.includes(factionId)
+            && aliveFactions.every(other => !this.isHostile(factionId, other));
+    }
+
+    /**
+     * 전투 중 바뀐 관계 상태 (직렬화 가능)
+     *
+     * @returns {{provoked: string[]}} 관계 상태
+     */
+    getState() {
+        return { provoked: Array.from(this.provoked) };
+    }
+
+    /**
+     * 관계 상태 복원
+     *
+     * @param {{provoked: string[]}} [state] - getState()로 만든 상태 (생략하면 초기 관계)
+     */
+    setState(state) {
+        this.provoked = new Set(state?.provoked || []);
+    }
+
+    /**
+     * 진영 쌍의 키 (순서와 무관)
+     *
+     * @private
+     * @param {string} a - 진영 ID
+     * @param {string} b - 진영 ID
+     * @returns {string} 키
+     */
+    getPairKey(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    }
+}
+
+// 싱글톤 인스턴스
+export const factionSystem = new FactionSystem();
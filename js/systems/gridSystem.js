@@ -8,10 +8,80 @@
  * @tutorial https://www.redblobgames.com/grids/hexagons/
  */
 
-import { GRID_WIDTH, GRID_HEIGHT } from '../core/constants.js';
+import { GRID_WIDTH, GRID_HEIGHT, CHARACTER_TYPE, TERRAIN, ELEVATION } from '../core/constants.js';
 import { HexTile } from '../entities/HexTile.js';
 import { gameState } from '../core/gameState.js';
-import { sceneSetup } from '../core/sceneSetup.js';
+import { cubeRound } from '../utils/hexMath.js';
+import { factionSystem } from './factionSystem.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+
+/**
+ * 지원하는 맵 모양
+ * @readonly
+ * @enum {string}
+ */
+export const MapShape = {
+    RECTANGLE: 'rectangle',   // width x height 직사각형 (기존 10x10 보드와 같은 배치)
+    HEXAGON: 'hexagon',       // 반지름 radius의 정육각형
+    RHOMBUS: 'rhombus',       // width x height 평행사변형
+    CUSTOM: 'custom'          // tiles 목록에 있는 타일만 생성
+};
+
+/**
+ * 맵 모양에 해당하는 타일 좌표 목록 생성
+ * 
+ * @param {Object} shape - 맵 데이터의 shape
+ * @param {Array<{q: number, r: number}>} [tiles] - custom 모양일 때 사용할 타일 목록
+ * @returns {Array<{q: number, r: number}>} 타일 좌표 목록
+ * @tutorial https://www.redblobgames.com/grids/hexagons/#map-storage
+ */
+function getShapeCoords(shape, tiles = []) {
+    const coords = [];
+    
+    switch (shape.type) {
+        case MapShape.RECTANGLE: {
+            // 중심 오프셋 적용, 열마다 r을 보정하는 배치
+            const offsetX = -Math.floor(shape.width / 2);
+            const offsetZ = -Math.floor(shape.height / 2);
+            for (let row = 0; row < shape.height; row++) {
+                for (let col = 0; col < shape.width; col++) {
+                    coords.push({ q: col + offsetX, r: row + offsetZ - Math.floor(col / 2) });
+                }
+            }
+            break;
+        }
+        
+        case MapShape.HEXAGON: {
+            const radius = shape.radius;
+            for (let q = -radius; q <= radius; q++) {
+                for (let r = Math.max(-radius, -q - radius); r <= Math.min(radius, -q + radius); r++) {
+                    coords.push({ q, r });
+                }
+            }
+            break;
+        }
+        
+        case MapShape.RHOMBUS: {
+            const offsetQ = -Math.floor(shape.width / 2);
+            const offsetR = -Math.floor(shape.height / 2);
+            for (let q = 0; q < shape.width; q++) {
+                for (let r = 0; r < shape.height; r++) {
+                    coords.push({ q: q + offsetQ, r: r + offsetR });
+                }
+            }
+            break;
+        }
+        
+        case MapShape.CUSTOM:
+            tiles.forEach(({ q, r }) => coords.push({ q, r }));
+            break;
+        
+        default:
+            throw new Error(`Unknown map shape: ${shape.type}`);
+    }
+    
+    return coords;
+}
 
 /**
  * 그리드 시스템 클래스
@@ -38,49 +108,145 @@ export class GridSystem {
          * @type {Map<string, HexTile>}
          */
         this.tileMap = new Map();
+        
+        /**
+         * 현재 맵 ID
+         * @type {string|null}
+         */
+        this.mapId = null;
+        
+        /**
+         * 진영별 시작 위치
+         * @type {Object<string, Array<{q: number, r: number, name?: string}>>}
+         */
+        this.spawns = {};
     }
     
     /**
      * 육각형 그리드 생성
      * 
-     * 오프셋 좌표를 큐브 좌표로 변환하여 육각형 그리드를 생성합니다.
-     * @tutorial https://www.redblobgames.com/grids/hexagons/#conversions-offset
+     * 맵 데이터(public/maps/*.json)의 모양, 타일별 지형, 막힌 타일, 시작 위치로 그리드를 생성합니다.
+     * 맵 데이터가 없으면 GRID_WIDTH x GRID_HEIGHT 직사각형을 생성합니다.
+     * 형식은 docs/MAP_FORMAT.md 참고.
+     * 
+     * @param {Object} [mapData] - 맵 데이터
      */
-    createGrid() {
+    createGrid(mapData = null) {
+        const map = mapData || {
+            id: 'fallback',
+            shape: { type: MapShape.RECTANGLE, width: GRID_WIDTH, height: GRID_HEIGHT }
+        };
+        
+        this.validateMap(map);
         
-        // 그리드 중심 오프셋 계산
-        const offsetX = -GRID_WIDTH / 2;
-        const offsetZ = -GRID_HEIGHT / 2;
+        // 타일별 속성 (custom 모양이면 목록 자체가 타일 정의)
+        const tileProps = new Map();
+        (map.tiles || []).forEach(tile => tileProps.set(`${tile.q},${tile.r}`, tile));
+        (map.blocked || []).forEach(({ q, r }) => {
+            const key = `${q},${r}`;
+            tileProps.set(key, { ...tileProps.get(key), blocked: true });
+        });
         
-        // 그리드 생성
-        for (let row = 0; row < GRID_HEIGHT; row++) {
-            this.hexGrid[row] = [];
+        const coords = getShapeCoords(map.shape, map.tiles);
+        const minQ = Math.min(...coords.map(c => c.q));
+        const minR = Math.min(...coords.map(c => c.r));
+        
+        for (const { q, r } of coords) {
+            const key = `${q},${r}`;
+            if (this.tileMap.has(key)) continue;
             
-            for (let col = 0; col < GRID_WIDTH; col++) {
-                // 오프셋 좌표를 큐브 좌표로 변환
-                // "odd-r" 레이아웃 사용
-                const q = col + offsetX;
-                const r = row + offsetZ - Math.floor(col / 2);
-                
-                // 타일 생성
-                const tile = new HexTile(q, r);
-                
-                // 배열에 추가
-                this.hexGrid[row][col] = tile;
-                this.allTiles.push(tile);
-                
-                // 맵에 추가 (빠른 검색용)
-                this.tileMap.set(`${q},${r}`, tile);
-                
-                // 씬에 추가
-                sceneSetup.scene.add(tile.mesh);
-                sceneSetup.scene.add(tile.borderMesh);
+            const props = tileProps.get(key) || {};
+            
+            // 타일 생성
+            const tile = new HexTile(q, r, {
+                terrain: props.terrain,
+                blocked: props.blocked,
+                elevation: props.elevation
+            });
+            
+            // 배열에 추가 (hexGrid[r - minR][q - minQ], 모양에 따라 빈 칸이 있음)
+            const row = r - minR;
+            if (!this.hexGrid[row]) {
+                this.hexGrid[row] = [];
             }
+            this.hexGrid[row][q - minQ] = tile;
+            this.allTiles.push(tile);
+            
+            // 맵에 추가 (빠른 검색용)
+            this.tileMap.set(key, tile);
         }
         
+        this.mapId = map.id || null;
+        this.spawns = map.spawns || {};
+        
+        // 시작 위치는 실제로 존재하고 막히지 않은 타일이어야 함
+        Object.entries(this.spawns).forEach(([side, spawnList]) => {
+            spawnList.forEach(({ q, r }) => {
+                const tile = this.getTile(q, r);
+                if (!tile || !tile.isPassable()) {
+                    throw new Error(`Map ${this.mapId}: invalid ${side} spawn (${q}, ${r})`);
+                }
+            });
+        });
+        
         // 게임 상태에 그리드 저장
         gameState.hexGrid = this.hexGrid;
         
+        // 뷰가 있으면 타일 메시 생성
+        eventBus.emit(GameEvents.GRID_CREATED, { tiles: this.allTiles });
+    }
+    
+    /**
+     * 맵 데이터 형식 검사
+     * 
+     * @param {Object} map - 맵 데이터
+     * @throws {Error} 필수 값이 없거나 잘못된 경우
+     */
+    validateMap(map) {
+        const { shape } = map;
+        const name = map.id || map.name || '(unnamed)';
+        
+        if (!shape || !Object.values(MapShape).includes(shape.type)) {
+            throw new Error(`Map ${name}: unknown shape ${shape?.type}`);
+        }
+        
+        const needsSize = shape.type === MapShape.RECTANGLE || shape.type === MapShape.RHOMBUS;
+        if (needsSize && !(shape.width > 0 && shape.height > 0)) {
+            throw new Error(`Map ${name}: ${shape.type} requires positive width and height`);
+        }
+        
+        if (shape.type === MapShape.HEXAGON && !(shape.radius >= 0)) {
+            throw new Error(`Map ${name}: hexagon requires radius`);
+        }
+        
+        if (shape.type === MapShape.CUSTOM && !(Array.isArray(map.tiles) && map.tiles.length > 0)) {
+            throw new Error(`Map ${name}: custom shape requires tiles`);
+        }
+        
+        (map.tiles || []).forEach(tile => {
+            if (tile.terrain && !TERRAIN[tile.terrain]) {
+                throw new Error(`Map ${name}: unknown terrain ${tile.terrain} at (${tile.q}, ${tile.r})`);
+            }
+            if (tile.elevation !== undefined &&
+                !(Number.isInteger(tile.elevation) && tile.elevation >= 0 && tile.elevation <= ELEVATION.MAX_LEVEL)) {
+                throw new Error(`Map ${name}: elevation must be an integer 0-${ELEVATION.MAX_LEVEL} at (${tile.q}, ${tile.r})`);
+            }
+        });
+    }
+    
+    /**
+     * 진영의 시작 위치 목록
+     * 
+     * @param {string} side - 진영 ID (factions.json의 키)
+     * @returns {Array<{tile: HexTile, name?: string, classId?: string, aiProfile?: string}>} 시작 타일 목록
+     */
+    getSpawnPoints(side = CHARACTER_TYPE.PLAYER) {
+        return (this.spawns[side] || []).map(spawn => ({
+            tile: this.getTile(spawn.q, spawn.r),
+            name: spawn.name,
+            classId: spawn.class,
+            aiProfile: spawn.aiProfile
+        }));
     }
     
     /**
@@ -148,14 +314,59 @@ export class GridSystem {
         return tilesInRange;
     }
     
+    /**
+     * 인접한 타일로 한 칸 이동하는 비용
+     * 
+     * 들어가는 타일의 지형 비용에 올라가는 고도만큼 추가 비용을 더합니다.
+     * @param {HexTile} from - 출발 타일
+     * @param {HexTile} to - 도착 타일
+     * @returns {number} 이동 비용 (오를 수 없는 절벽이면 Infinity)
+     */
+    getStepCost(from, to) {
+        const climb = to.elevation - from.elevation;
+        if (climb > ELEVATION.MAX_CLIMB) {
+            return Infinity;
+        }
+        return to.getMoveCost() + Math.max(0, climb) * ELEVATION.CLIMB_COST;
+    }
+    
+    /**
+     * 경로 이동 비용
+     * 
+     * @param {HexTile} start - 출발 타일
+     * @param {HexTile[]} path - 경로 (시작 타일 제외)
+     * @returns {number} 각 걸음 비용의 합
+     */
+    getPathCost(start, path) {
+        let cost = 0;
+        let previous = start;
+        for (const tile of path) {
+            cost += this.getStepCost(previous, tile);
+            previous = tile;
+        }
+        return cost;
+    }
+    
+    /**
+     * 고도 우위
+     * 
+     * @param {HexTile} from - 공격자 타일
+     * @param {HexTile} to - 대상 타일
+     * @returns {number} 공격자가 높은 단계 수 (낮거나 같으면 0)
+     */
+    getHeightAdvantage(from, to) {
+        if (!from || !to) return 0;
+        return Math.max(0, from.elevation - to.elevation);
+    }
+    
     /**
      * 두 타일 간의 경로 찾기
      * 
-     * A* 알고리즘을 사용한 경로 탐색
+     * A* 알고리즘을 사용한 경로 탐색 (지형/고도 이동 비용 반영)
      * @param {HexTile} start - 시작 타일
      * @param {HexTile} end - 목표 타일
      * @param {boolean} [ignoreOccupants=false] - 점유된 타일 무시 여부
-     * @returns {HexTile[]} 경로 배열 (시작 타일 제외)
+     * @returns {HexTile[]} 비용이 가장 적은 경로 배열 (시작 타일 제외)
      * @tutorial https://www.redblobgames.com/pathfinding/a-star/introduction.html
      */
     findPath(start, end, ignoreOccupants = false) {
@@ -206,12 +417,18 @@ export class GridSystem {
             for (const neighbor of neighbors) {
                 if (closedSet.has(neighbor)) continue;
                 
+                // 막힌 타일 체크
+                if (!neighbor.isPassable()) continue;
+                
                 // 점유된 타일 체크
                 if (!ignoreOccupants && neighbor.isOccupied() && neighbor !== end) {
                     continue;
                 }
                 
-                const tentativeGScore = gScore.get(current) + 1;
+                const stepCost = this.getStepCost(current, neighbor);
+                if (stepCost === Infinity) continue;
+                
+                const tentativeGScore = gScore.get(current) + stepCost;
                 
                 if (!openSet.includes(neighbor)) {
                     openSet.push(neighbor);
@@ -234,21 +451,27 @@ export class GridSystem {
      * 직선 상의 타일들 가져오기
      * 
      * 두 타일 사이의 직선 경로상의 모든 타일을 반환합니다.
+     * 선이 두 타일의 경계를 정확히 지날 때 항상 같은 쪽을 고르도록 끝점을 살짝 밀어 보간합니다.
      * @param {HexTile} start - 시작 타일
      * @param {HexTile} end - 끝 타일
-     * @returns {HexTile[]} 직선 상의 타일들
+     * @returns {HexTile[]} 직선 상의 타일들 (맵에 없는 좌표는 제외)
      * @tutorial https://www.redblobgames.com/grids/hexagons/#line-drawing
      */
     getLine(start, end) {
         const distance = start.distanceTo(end);
+        if (distance === 0) return [start];
+        
         const tiles = [];
+        const nudge = 1e-6;
         
         for (let i = 0; i <= distance; i++) {
             const t = i / distance;
             
-            // 선형 보간
-            const q = Math.round(start.q * (1 - t) + end.q * t);
-            const r = Math.round(start.r * (1 - t) + end.r * t);
+            // 선형 보간 후 큐브 좌표 반올림 (q, r을 따로 반올림하면 s = -q - r이 어긋남)
+            const { q, r } = cubeRound(
+                (start.q + nudge) * (1 - t) + (end.q + nudge) * t,
+                (start.r + nudge) * (1 - t) + (end.r + nudge) * t
+            );
             
             const tile = this.getTile(q, r);
             if (tile) {
@@ -263,16 +486,31 @@ export class GridSystem {
      * 시야선 확인
      * 
      * 두 타일 사이에 장애물이 있는지 확인합니다.
+     * 사이에 있는 캐릭터와 통행 불가 장애물(blocked), 또는 두 캐릭터의 눈높이를 잇는 선보다
+     * 높이 솟은 타일이 시야를 막습니다. (물처럼 지형 때문에 지나갈 수 없는 타일은 막지 않음)
      * @param {HexTile} from - 시작 타일
      * @param {HexTile} to - 목표 타일
+     * @param {Character} [ignore] - 시야를 막지 않는 것으로 볼 캐릭터 (다른 타일에서의 공격을 가정할 때 자기 자신)
      * @returns {boolean} 시야선이 확보되면 true
      */
-    hasLineOfSight(from, to) {
+    hasLineOfSight(from, to, ignore = null) {
         const line = this.getLine(from, to);
+        const totalDistance = from.distanceTo(to);
+        const fromEye = from.getSurfaceHeight() + ELEVATION.EYE_HEIGHT;
+        const toEye = to.getSurfaceHeight() + ELEVATION.EYE_HEIGHT;
         
         // 시작과 끝 타일을 제외하고 확인
         for (let i = 1; i < line.length - 1; i++) {
-            if (line[i].isOccupied()) {
+            const tile = line[i];
+            
+            if (tile.blocked || (tile.isOccupied() && tile.occupant !== ignore)) {
+                return false;
+            }
+            
+            // 이 지점에서의 시선 높이
+            const t = from.distanceTo(tile) / totalDistance;
+            const sightHeight = fromEye + (toEye - fromEye) * t;
+            if (tile.getSurfaceHeight() > sightHeight) {
                 return false;
             }
         }
@@ -299,12 +537,12 @@ export class GridSystem {
             // 자기 자신 타일 제외
             if (tile === character.currentTile) continue;
             
-            // 점유된 타일 제외
-            if (tile.isOccupied()) continue;
+            // 점유되거나 막힌 타일 제외
+            if (tile.isOccupied() || !tile.isPassable()) continue;
             
             // 경로가 있는지 확인
             const path = this.findPath(character.currentTile, tile);
-            if (path.length > 0 && path.length <= remainingMovement) {
+            if (path.length > 0 && this.getPathCost(character.currentTile, path) <= remainingMovement) {
                 movableTiles.push(tile);
             }
         }
@@ -317,20 +555,19 @@ export class GridSystem {
      * 
      * 캐릭터가 공격할 수 있는 모든 타일을 찾습니다.
      * @param {Character} character - 캐릭터
+     * @param {HexTile} [fromTile] - 공격할 위치 (생략하면 현재 위치, AI가 이동 후 공격을 따질 때 지정)
      * @returns {HexTile[]} 공격 가능한 타일들
      */
-    getAttackableTiles(character) {
-        if (!character || !character.currentTile) return [];
+    getAttackableTiles(character, fromTile = character?.currentTile) {
+        if (!character || !fromTile) return [];
         
         const attackableTiles = [];
-        const tilesInRange = this.getTilesInRange(character.currentTile, character.attackRange);
+        const tilesInRange = this.getTilesInRange(fromTile, character.attackRange);
         
         for (const tile of tilesInRange) {
-            // 자기 자신 타일 제외
-            if (tile === character.currentTile) continue;
-            
-            // 적이 있는 타일만
-            if (tile.isOccupied() && tile.occupant.type !== character.type) {
+            // 공격할 수 있는 진영(적대/중립)의 캐릭터가 있고 사거리와 시야가 맞는 타일만
+            if (tile.isOccupied() && factionSystem.canAttack(character, tile.occupant) &&
+                this.isInAttackRange(character, tile, fromTile)) {
                 attackableTiles.push(tile);
             }
         }
@@ -338,6 +575,25 @@ export class GridSystem {
         return attackableTiles;
     }
     
+    /**
+     * 일반 공격 사거리 확인
+     * 
+     * 거리가 최소~최대 사거리 안이어야 하고, 인접하지 않은 대상은 시야선이 확보되어야 합니다.
+     * @param {Character} character - 공격자
+     * @param {HexTile} targetTile - 대상 타일
+     * @param {HexTile} [fromTile] - 공격할 위치 (생략하면 현재 위치)
+     * @returns {boolean} 공격 가능 여부
+     */
+    isInAttackRange(character, targetTile, fromTile = character.currentTile) {
+        if (!fromTile || !targetTile) return false;
+        
+        const distance = fromTile.distanceTo(targetTile);
+        if (distance < character.minAttackRange || distance > character.attackRange) return false;
+        
+        // 인접 타일은 항상 보임
+        return distance <= 1 || this.hasLineOfSight(fromTile, targetTile, character);
+    }
+    
     /**
      * 모든 타일 하이라이트 초기화
      */
@@ -346,6 +602,7 @@ export class GridSystem {
             tile.setHighlight(false);
             tile.setMovable(false);
             tile.setAttackable(false);
+            tile.setSkillRange(false);
         }
     }
     
@@ -355,13 +612,13 @@ export class GridSystem {
     dispose() {
         for (const tile of this.allTiles) {
             tile.dispose();
-            sceneSetup.scene.remove(tile.mesh);
-            sceneSetup.scene.remove(tile.borderMesh);
         }
         
         this.hexGrid = [];
         this.allTiles = [];
         this.tileMap.clear();
+        this.mapId = null;
+        this.spawns = {};
     }
 }
 
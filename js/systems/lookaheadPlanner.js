@@ -0,0 +1,224 @@
+/**
+ * 선읽기 계획 시스템
+ *
+ * 높은 난이도(LOOKAHEAD.MIN_DIFFICULTY 이상)에서 AI 진영의 턴 전체를 미리 계획합니다.
+ * 현재 전투를 메시 없는 전술 상태로 옮겨(captureState) tacticalSearch.searchTurn으로 탐색하며,
+ * 브라우저에서는 Web Worker(aiSearchWorker)에서 시간 한도(LOOKAHEAD.TIME_BUDGET) 안에 실행해 프레임을 멈추지 않습니다.
+ * Node(헤드리스 시뮬레이션)에서는 같은 시드에서 같은 결과가 나오도록 시간 한도 없이 평가 수 한도만으로 바로 실행합니다.
+ *
+ * @module lookaheadPlanner
+ */
+
+import { gameState } from '../core/gameState.js';
+import { LOOKAHEAD } from '../core/constants.js';
+import { gridSystem } from './gridSystem.js';
+import { factionSystem } from './factionSystem.js';
+import { statusEffectSystem } from './statusEffectSystem.js';
+import { searchTurn } from './tacticalSearch.js';
+
+/**
+ * 워커 응답을 기다리는 추가 시간 (밀리초, 탐색 시간 한도에 더함)
+ * @type {number}
+ */
+const WORKER_TIMEOUT_MARGIN = 200;
+
+/**
+ * 선읽기 계획 클래스
+ *
+ * @class LookaheadPlanner
+ */
+class LookaheadPlanner {
+    constructor() {
+        /**
+         * 탐색 워커 (처음 계획할 때 생성, 사용할 수 없으면 null)
+         * @type {Worker|null}
+         */
+        this.worker = null;
+
+        /**
+         * 워커 생성이나 실행에 실패했는지 여부
+         * @type {boolean}
+         */
+        this.workerDisabled = false;
+
+        /**
+         * 다음 요청 ID
+         * @type {number}
+         */
+        this.nextRequestId = 1;
+
+        /**
+         * 응답을 기다리는 요청 (요청 ID → resolve)
+         * @type {Map<number, Function>}
+         */
+        this.pending = new Map();
+    }
+
+    /**
+     * 난이도에서 선읽기를 사용하는지 확인
+     *
+     * @param {number} level - AI 난이도 (0-10)
+     * @returns {boolean}
+     */
+    isEnabled(level) {
+        return level >= LOOKAHEAD.MIN_DIFFICULTY;
+    }
+
+    /**
+     * 현재 전투를 전술 상태 데이터로 변환
+     *
+     * 타일, 살아있는 캐릭터, 진영 관계만 숫자로 옮기므로 복제와 워커 전달이 가볍습니다.
+     *
+     * @param {string} side - 계획할 진영 ID
+     * @returns {Object} 상태 데이터 (TacticalState 생성자 형식)
+     */
+    captureState(side) {
+        const tiles = gridSystem.allTiles.map(tile => {
+            const terrain = tile.getTerrain();
+            return {
+                q: tile.q,
+                r: tile.r,
+                elevation: tile.elevation,
+                moveCost: terrain.moveCost,
+                defense: terrain.defense,
+                evasion: terrain.evasion,
+                passable: tile.isPassable(),
+                blocked: tile.blocked
+            };
+        });
+
+        const units = gameState.allCharacters
+            .filter(character => character.isAlive() && character.currentTile)
+            .map(character => ({
+                id: character.id,
+                faction: character.type,
+                q: character.currentTile.q,
+                r: character.currentTile.r,
+                health: character.health,
+                maxHealth: character.maxHealth,
+                attackPower: character.attackPower,
+                critChance: character.critChance,
+                defense: character.defense,
+                evasion: character.evasion,
+                damageTakenMultiplier: character.getDamageTakenMultiplier(),
+                attackRange: character.attackRange,
+                minAttackRange: character.minAttackRange,
+                movementRange: character.movementRange,
+                movement: Math.max(0, character.movementRange - character.movedDistance),
+                canAttack: !character.hasAttacked,
+                stunned: Boolean(statusEffectSystem.getEffect(character, 'stun'))
+            }));
+
+        const factions = [...new Set([side, ...units.map(unit => unit.faction)])];
+        const hostile = [];
+        const allied = [];
+        factions.forEach(a => factions.forEach(b => {
+            if (factionSystem.isHostile(a, b)) hostile.push(`${a}|${b}`);
+            if (factionSystem.isAllied(a, b)) allied.push(`${a}|${b}`);
+        }));
+
+        // 계획하는 진영 다음 차례부터의 턴 순서
+        const order = [...factions].sort((a, b) => factionSystem.getOrder(a) - factionSystem.getOrder(b));
+        const start = order.indexOf(side);
+        const factionOrder = [...order.slice(start + 1), ...order.slice(0, start)];
+
+        return { tiles, units, hostile, allied, factionOrder };
+    }
+
+    /**
+     * 캐릭터들의 턴 계획
+     *
+     * @param {string} side - 계획할 진영 ID
+     * @param {Character[]} units - 행동 순서대로의 캐릭터
+     * @param {number} level - AI 난이도
+     * @returns {Promise<Map<number, Object>|null>} 캐릭터 ID → 계획한 행동 {unitId, q, r, targetId}
+     *     (시간 안에 답이 없거나 실패하면 null, 계획에 없는 캐릭터는 평소처럼 행동)
+     */
+    async plan(side, units, level) {
+        const state = this.captureState(side);
+        const options = {
+            side,
+            unitIds: units.map(unit => unit.id),
+            beamWidth: LOOKAHEAD.BEAM_WIDTH_PER_LEVEL * (level - LOOKAHEAD.MIN_DIFFICULTY + 1),
+            candidatesPerUnit: LOOKAHEAD.CANDIDATES_PER_UNIT,
+            maxEvaluations: LOOKAHEAD.MAX_EVALUATIONS
+        };
+
+        let result = null;
+        if (typeof Worker === 'undefined') {
+            result = searchTurn(state, options);
+        } else if (this.workerDisabled) {
+            // 워커를 쓸 수 없는 브라우저에서는 메인 스레드에서 시간 한도만큼만 탐색
+            result = searchTurn(state, { ...options, timeBudget: LOOKAHEAD.TIME_BUDGET });
+        } else {
+            result = await this.runInWorker(state, { ...options, timeBudget: LOOKAHEAD.TIME_BUDGET });
+        }
+
+        if (!result) return null;
+        return new Map(result.actions.map(action => [action.unitId, action]));
+    }
+
+    /**
+     * 워커에서 탐색 실행
+     *
+     * @param {Object} state - 상태 데이터
+     * @param {Object} options - searchTurn 옵션
+     * @returns {Promise<Object|null>} searchTurn 결과 (시간 초과나 오류면 null)
+     */
+    runInWorker(state, options) {
+        if (!this.worker) {
+            try {
+                this.worker = new Worker(new URL('../workers/aiSearchWorker.js', import.meta.url), { type: 'module' });
+                this.worker.onmessage = ({ data }) => this.resolve(data.id, data.error ? null : data.plan, data.error);
+                this.worker.onerror = event => {
+                    console.warn('선읽기 워커 오류, 이후로는 메인 스레드에서 탐색:', event.message);
+                    this.disableWorker();
+                };
+            } catch (error) {
+                console.warn('선읽기 워커를 만들 수 없음:', error);
+                this.workerDisabled = true;
+                return Promise.resolve(null);
+            }
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise(resolve => {
+            this.pending.set(id, resolve);
+            this.worker.postMessage({ id, state, options });
+
+            // 워커가 늦으면 계획 없이 진행 (늦게 온 응답은 무시됨)
+            setTimeout(() => this.resolve(id, null), options.timeBudget + WORKER_TIMEOUT_MARGIN);
+        });
+    }
+
+    /**
+     * 요청 완료 처리
+     *
+     * @param {number} id - 요청 ID
+     * @param {Object|null} plan - 탐색 결과
+     * @param {string} [error] - 워커에서 난 오류
+     */
+    resolve(id, plan, error) {
+        const resolve = this.pending.get(id);
+        if (!resolve) return;
+
+        if (error) {
+            console.warn('선읽기 탐색 실패:', error);
+        }
+        this.pending.delete(id);
+        resolve(plan);
+    }
+
+    /**
+     * 워커 종료 (기다리는 요청은 계획 없이 끝냄)
+     */
+    disableWorker() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.workerDisabled = true;
+        [...this.pending.keys()].forEach(id => this.resolve(id, null));
+    }
+}
+
+// 싱글톤 인스턴스
+export const lookaheadPlanner = new LookaheadPlanner();
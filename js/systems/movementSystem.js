@@ -6,10 +6,10 @@
  * @module movementSystem
  */
 
-import * as THREE from 'three';
 import { gameState } from '../core/gameState.js';
 import { gridSystem } from './gridSystem.js';
 import { COLORS } from '../core/constants.js';
+import { lerpColor } from '../utils/color.js';
 import { battleManager } from '../managers/battleManager.js';
 
 /**
@@ -60,7 +60,7 @@ export class MovementSystem {
         
         // 남은 이동 범위 확인
         const remainingMovement = character.movementRange - character.movedDistance;
-        if (path.length > remainingMovement) {
+        if (gridSystem.getPathCost(character.currentTile, path) > remainingMovement) {
             return false;
         }
         
@@ -119,7 +119,7 @@ export class MovementSystem {
         
         // 남은 이동 범위 확인
         const remainingMovement = character.movementRange - character.movedDistance;
-        if (path.length > remainingMovement) return false;
+        if (gridSystem.getPathCost(character.currentTile, path) > remainingMovement) return false;
         
         return true;
     }
@@ -167,12 +167,9 @@ export class MovementSystem {
         path.forEach((tile, index) => {
             // 경로 색상 (점진적으로 밝아짐)
             const intensity = (index + 1) / path.length;
-            const color = new THREE.Color(COLORS.TILE_MOVABLE).lerp(
-                new THREE.Color(0xffffff), 
-                intensity * 0.3
-            );
+            const color = lerpColor(COLORS.TILE_MOVABLE, 0xffffff, intensity * 0.3);
             
-            tile.setHighlight(true, color.getHex());
+            tile.setHighlight(true, color);
         });
         
         this.currentPath = path;
@@ -0,0 +1,392 @@
+/**
+ * 목표 시스템
+ *
+ * 맵의 objectives에 정의된 승리/패배 조건을 판정합니다.
+ * 조건은 type으로 등록된 판정기(registerCondition)가 처리하며,
+ * {all: [...]}(모두 만족)과 {any: [...]}(하나라도 만족)로 묶어 조합할 수 있습니다.
+ * 맵에 objectives가 없으면 "적대 진영 전멸 시 승리, 플레이어 진영 전멸 시 패배"입니다.
+ *
+ * 판정은 현재 보드 상태만 보고 계산하므로 따로 저장하거나 실행 취소할 상태가 없습니다.
+ *
+ * @module objectiveSystem
+ */
+
+import { gameState } from '../core/gameState.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { GAME_STATE, CHARACTER_TYPE } from '../core/constants.js';
+import { gridSystem } from './gridSystem.js';
+import { factionSystem } from './factionSystem.js';
+
+/**
+ * 기본 제공 조건 타입
+ *
+ * @enum {string}
+ */
+export const ConditionType = {
+    ELIMINATE: 'eliminate',           // 적대 진영 전멸
+    ALL_UNITS_LOST: 'all_units_lost', // 진영 전멸
+    SURVIVE: 'survive',               // turns 턴 동안 버티기
+    DEFEAT_UNIT: 'defeat_unit',       // 이름이 unit인 캐릭터 처치
+    REACH_TILE: 'reach_tile',         // tiles 중 하나에 count명 도착
+    PROTECT: 'protect',               // 이름이 unit인 캐릭터가 쓰러짐 (패배 조건으로 사용)
+    TURN_LIMIT: 'turn_limit'          // turns 턴이 지남 (패배 조건으로 사용)
+};
+
+/**
+ * 맵에 objectives가 없을 때의 목표
+ * @type {{victory: Object, defeat: Object}}
+ */
+export const DEFAULT_OBJECTIVES = {
+    victory: { type: ConditionType.ELIMINATE },
+    defeat: { type: ConditionType.ALL_UNITS_LOST }
+};
+
+/**
+ * 이름으로 캐릭터 찾기 (사망한 캐릭터 포함)
+ *
+ * @param {string} name - 캐릭터 이름 (맵 spawns의 name)
+ * @returns {Character|null}
+ */
+function findUnit(name) {
+    return Array.from(gameState.characterRegistry.values()).find(character => character.name === name) || null;
+}
+
+/**
+ * 목표 시스템 클래스
+ *
+ * @class ObjectiveSystem
+ */
+class ObjectiveSystem {
+    constructor() {
+        /**
+         * 조건 판정기 (type → 판정기)
+         * @type {Map<string, {isMet: Function, describe: Function, progress?: Function, validate?: Function, setup?: Function}>}
+         */
+        this.conditions = new Map();
+
+        /**
+         * 현재 전투의 목표
+         * @type {{victory: Object, defeat: Object}}
+         */
+        this.objectives = DEFAULT_OBJECTIVES;
+
+        /**
+         * 출구로 표시한 타일 (다른 맵을 불러올 때 표시 해제)
+         * @type {HexTile[]}
+         */
+        this.exitTiles = [];
+    }
+
+    /**
+     * 조건 판정기 등록
+     *
+     * @param {string} type - 조건 타입 (맵 objectives의 type)
+     * @param {Object} handler - 판정기
+     * @param {Function} handler.isMet - (condition) => 조건을 만족하면 true
+     * @param {Function} handler.describe - (condition) => 목표 설명
+     * @param {Function} [handler.progress] - (condition) => 진행 상황 텍스트
+     * @param {Function} [handler.validate] - (condition) => 정의가 잘못되면 에러를 던짐
+     * @param {Function} [handler.setup] - (condition) => 전투 시작 시 준비 (출구 표시 등)
+     */
+    registerCondition(type, handler) {
+        this.conditions.set(type, handler);
+    }
+
+    /**
+     * 전투 목표 설정
+     *
+     * 그리드와 캐릭터를 만든 뒤에 호출해야 합니다 (출구 타일과 캐릭터 이름을 검사함).
+     * @param {{victory?: Object, defeat?: Object}} [objectives] - 맵의 objectives (생략하면 기본 목표)
+     * @throws {Error} 조건 정의가 잘못된 경우
+     */
+    setObjectives(objectives) {
+        const next = {
+            victory: objectives?.victory || DEFAULT_OBJECTIVES.victory,
+            defeat: objectives?.defeat || DEFAULT_OBJECTIVES.defeat
+        };
+
+        this.validate(next.victory);
+        this.validate(next.defeat);
+
+        this.exitTiles.forEach(tile => tile.setExit(false));
+        this.exitTiles = [];
+        this.objectives = next;
+        this.forEachCondition(next.victory, condition => this.conditions.get(condition.type).setup?.(condition));
+        this.forEachCondition(next.defeat, condition => this.conditions.get(condition.type).setup?.(condition));
+
+        eventBus.emit(GameEvents.OBJECTIVES_CHANGED, { objectives: this.objectives });
+    }
+
+    /**
+     * 조건 정의 검사 (조합 포함)
+     *
+     * @param {Object} condition - 조건
+     * @throws {Error} 정의가 잘못된 경우
+     */
+    validate(condition) {
+        const group = this.getGroup(condition);
+        if (group) {
+            if (!Array.isArray(group.conditions) || group.conditions.length === 0) {
+                throw new Error(`Objective: '${group.operator}' needs at least one condition`);
+            }
+            group.conditions.forEach(child => this.validate(child));
+            return;
+        }
+
+        const handler = this.conditions.get(condition?.type);
+        if (!handler) {
+            throw new Error(`Objective: unknown condition type ${condition?.type}`);
+        }
+        handler.validate?.(condition);
+    }
+
+    /**
+     * 승리/패배 판정
+     *
+     * 패배 조건을 먼저 확인하므로, 같은 순간에 둘 다 만족하면 패배입니다.
+     * @returns {{result: string, objective: Object}|null} 결과(GAME_STATE 값)와 전투를 끝낸 조건, 계속되면 null
+     */
+    evaluate() {
+        const defeat = this.findMet(this.objectives.defeat);
+        if (defeat) {
+            return { result: GAME_STATE.PLAYER_LOST, objective: defeat };
+        }
+
+        const victory = this.findMet(this.objectives.victory);
+        if (victory) {
+            return { result: GAME_STATE.PLAYER_WON, objective: victory };
+        }
+
+        return null;
+    }
+
+    /**
+     * 조건을 만족시킨 조건 찾기
+     *
+     * any는 만족한 첫 하위 조건을, all은 묶음 전체를 반환합니다.
+     * @param {Object} condition - 조건
+     * @returns {Object|null} 만족한 조건 (만족하지 않으면 null)
+     */
+    findMet(condition) {
+        const group = this.getGroup(condition);
+        if (!group) {
+            return this.isMet(condition) ? condition : null;
+        }
+
+        if (group.operator === 'any') {
+            for (const child of group.conditions) {
+                const met = this.findMet(child);
+                if (met) return met;
+            }
+            return null;
+        }
+
+        return group.conditions.every(child => this.isMet(child)) ? condition : null;
+    }
+
+    /**
+     * 조건 만족 여부
+     *
+     * @param {Object} condition - 조건
+     * @returns {boolean}
+     */
+    isMet(condition) {
+        const group = this.getGroup(condition);
+        if (group) {
+            return group.operator === 'any'
+                ? group.conditions.some(child => this.isMet(child))
+                : group.conditions.every(child => this.isMet(child));
+        }
+
+        return !!this.conditions.get(condition.type)?.isMet(condition);
+    }
+
+    /**
+     * 조건 설명 (description이 있으면 그대로 사용)
+     *
+     * @param {Object} condition - 조건
+     * @returns {string} 설명
+     */
+    describe(condition) {
+        if (condition.description) return condition.description;
+
+        const group = this.getGroup(condition);
+        if (group) {
+            const joiner = group.operator === 'any' ? ' 또는 ' : ' 그리고 ';
+            return group.conditions.map(child => this.describe(child)).join(joiner);
+        }
+
+        return this.conditions.get(condition.type)?.describe(condition) || condition.type;
+    }
+
+    /**
+     * 패널 표시용 목표 목록
+     *
+     * 조합은 들여쓰기 단계(depth)로 펼칩니다.
+     * @returns {{victory: Array, defeat: Array}} 항목: {depth, text, progress, met, operator?}
+     */
+    getProgress() {
+        return {
+            victory: this.flatten(this.objectives.victory, 0),
+            defeat: this.flatten(this.objectives.defeat, 0)
+        };
+    }
+
+    /**
+     * 조건 트리를 표시용 목록으로 펼치기
+     *
+     * @private
+     * @param {Object} condition - 조건
+     * @param {number} depth - 들여쓰기 단계
+     * @returns {Array} 표시 항목 목록
+     */
+    flatten(condition, depth) {
+        const group = this.getGroup(condition);
+        if (group) {
+            const header = {
+                depth,
+                operator: group.operator,
+                text: condition.description || (group.operator === 'any' ? '다음 중 하나' : '다음 모두'),
+                progress: '',
+                met: this.isMet(condition)
+            };
+            return [header, ...group.conditions.flatMap(child => this.flatten(child, depth + 1))];
+        }
+
+        return [{
+            depth,
+            text: this.describe(condition),
+            progress: this.conditions.get(condition.type)?.progress?.(condition) || '',
+            met: this.isMet(condition)
+        }];
+    }
+
+    /**
+     * 조건 트리의 모든 단일 조건에 대해 실행
+     *
+     * @private
+     * @param {Object} condition - 조건
+     * @param {Function} callback - (condition) => void
+     */
+    forEachCondition(condition, callback) {
+        const group = this.getGroup(condition);
+        if (group) {
+            group.conditions.forEach(child => this.forEachCondition(child, callback));
+        } else {
+            callback(condition);
+        }
+    }
+
+    /**
+     * 조합 조건이면 연산자와 하위 조건
+     *
+     * @private
+     * @param {Object} condition - 조건
+     * @returns {{operator: string, conditions: Object[]}|null} 단일 조건이면 null
+     */
+    getGroup(condition) {
+        if (condition?.all) return { operator: 'all', conditions: condition.all };
+        if (condition?.any) return { operator: 'any', conditions: condition.any };
+        return null;
+    }
+}
+
+// 싱글톤 인스턴스
+export const objectiveSystem = new ObjectiveSystem();
+
+// 기본 조건 등록
+// faction을 생략하면 플레이어 진영 기준
+
+objectiveSystem.registerCondition(ConditionType.ELIMINATE, {
+    isMet: ({ faction = CHARACTER_TYPE.PLAYER }) => factionSystem.hasWon(faction, gameState.getAliveFactions()),
+    describe: () => '적대 진영 전멸',
+    progress: ({ faction = CHARACTER_TYPE.PLAYER }) => {
+        const remaining = gameState.allCharacters.filter(character =>
+            character.isAlive() && factionSystem.isHostile(faction, character.type)
+        ).length;
+        return `남은 적 ${remaining}`;
+    }
+});
+
+objectiveSystem.registerCondition(ConditionType.ALL_UNITS_LOST, {
+    isMet: ({ faction = CHARACTER_TYPE.PLAYER }) => gameState.getFactionCharacters(faction).length === 0,
+    describe: ({ faction = CHARACTER_TYPE.PLAYER }) => `${factionSystem.getName(faction)} 전멸`,
+    progress: ({ faction = CHARACTER_TYPE.PLAYER }) => `남은 아군 ${gameState.getFactionCharacters(faction).length}`
+});
+
+objectiveSystem.registerCondition(ConditionType.SURVIVE, {
+    validate: ({ turns }) => {
+        if (!(Number.isInteger(turns) && turns > 0)) throw new Error(`Objective survive: invalid turns ${turns}`);
+    },
+    // 턴 수는 모든 진영이 턴을 마칠 때 늘어나므로, turns 턴을 모두 마치면 turnCount가 turns + 1
+    isMet: ({ turns }) => gameState.turnCount > turns,
+    describe: ({ turns }) => `${turns}턴 동안 버티기`,
+    progress: ({ turns }) => `${Math.min(gameState.turnCount - 1, turns)}/${turns}턴`
+});
+
+objectiveSystem.registerCondition(ConditionType.TURN_LIMIT, {
+    validate: ({ turns }) => {
+        if (!(Number.isInteger(turns) && turns > 0)) throw new Error(`Objective turn_limit: invalid turns ${turns}`);
+    },
+    isMet: ({ turns }) => gameState.turnCount > turns,
+    describe: ({ turns }) => `${turns}턴 제한`,
+    progress: ({ turns }) => `${Math.min(gameState.turnCount, turns)}/${turns}턴`
+});
+
+objectiveSystem.registerCondition(ConditionType.DEFEAT_UNIT, {
+    validate: ({ unit }) => {
+        if (!findUnit(unit)) throw new Error(`Objective defeat_unit: unit '${unit}' not found`);
+    },
+    isMet: ({ unit }) => findUnit(unit)?.isAlive() === false,
+    describe: ({ unit }) => `${unit} 처치`,
+    progress: ({ unit }) => {
+        const character = findUnit(unit);
+        return character?.isAlive() ? `체력 ${character.health}/${character.maxHealth}` : '처치함';
+    }
+});
+
+objectiveSystem.registerCondition(ConditionType.PROTECT, {
+    validate: ({ unit }) => {
+        if (!findUnit(unit)) throw new Error(`Objective protect: unit '${unit}' not found`);
+    },
+    isMet: ({ unit }) => findUnit(unit)?.isAlive() === false,
+    describe: ({ unit }) => `${unit} 쓰러짐`,
+    progress: ({ unit }) => {
+        const character = findUnit(unit);
+        return character?.isAlive() ? `체력 ${character.health}/${character.maxHealth}` : '쓰러짐';
+    }
+});
+
+objectiveSystem.registerCondition(ConditionType.REACH_TILE, {
+    validate: ({ tiles, count = 1 }) => {
+        if (!Array.isArray(tiles) || tiles.length === 0) throw new Error('Objective reach_tile: tiles is required');
+        tiles.forEach(({ q, r }) => {
+            if (!gridSystem.getTile(q, r)?.isPassable()) throw new Error(`Objective reach_tile: invalid tile (${q}, ${r})`);
+        });
+        if (!(Number.isInteger(count) && count > 0)) throw new Error(`Objective reach_tile: invalid count ${count}`);
+    },
+    setup: ({ tiles }) => {
+        tiles.forEach(({ q, r }) => {
+            const tile = gridSystem.getTile(q, r);
+            tile.setExit(true);
+            objectiveSystem.exitTiles.push(tile);
+        });
+    },
+    isMet: (condition) => countArrived(condition) >= (condition.count || 1),
+    describe: ({ count = 1, faction = CHARACTER_TYPE.PLAYER }) =>
+        `${factionSystem.getName(faction)} ${count}명 출구 도착`,
+    progress: (condition) => `${countArrived(condition)}/${condition.count || 1}명`
+});
+
+/**
+ * 출구 타일에 서 있는 진영 캐릭터 수
+ *
+ * @param {{tiles: Array<{q: number, r: number}>, faction?: string}} condition - reach_tile 조건
+ * @returns {number}
+ */
+function countArrived({ tiles, faction = CHARACTER_TYPE.PLAYER }) {
+    return tiles.filter(({ q, r }) => {
+        const occupant = gridSystem.getTile(q, r)?.occupant;
+        return occupant && occupant.isAlive() && occupant.type === faction;
+    }).length;
+}
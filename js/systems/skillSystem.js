@@ -0,0 +1,404 @@
+/**
+ * 스킬 시스템
+ *
+ * public/data/skills.json의 스킬 정의를 관리하고,
+ * 사거리/효과 범위 계산과 그리드 위 대상 지정 미리보기를 담당합니다.
+ * 실제 스킬 사용은 battleManager.useSkill()이 커맨드로 처리합니다.
+ *
+ * @module skillSystem
+ */
+
+import { gridSystem } from './gridSystem.js';
+import { loadJSON } from '../utils/loadJSON.js';
+import { COLORS, SKILLS_DATA_PATH } from '../core/constants.js';
+import { statusEffectSystem } from './statusEffectSystem.js';
+import { factionSystem } from './factionSystem.js';
+
+/**
+ * 스킬 대상 지정 방식
+ *
+ * @enum {string}
+ */
+export const SkillTarget = {
+    ENEMY: 'enemy',   // 적이 있는 타일
+    ALLY: 'ally',     // 자신 또는 아군이 있는 타일
+    SELF: 'self',     // 시전자 자신의 타일
+    TILE: 'tile'      // 사거리 안의 아무 타일
+};
+
+/**
+ * 스킬 효과 범위 모양
+ *
+ * @enum {string}
+ */
+export const SkillShape = {
+    SINGLE: 'single', // 대상 타일 하나
+    RADIUS: 'radius', // 대상 타일 중심 반경 size
+    LINE: 'line',     // 시전자부터 대상 타일까지의 직선
+    CHAIN: 'chain'    // 대상에서 size 칸 안의 가장 가까운 대상으로 count명까지 튀어 감
+};
+
+/**
+ * 스킬 효과 타입
+ *
+ * @enum {string}
+ */
+export const SkillEffect = {
+    DAMAGE: 'damage', // 공격력 × power 만큼 데미지
+    HEAL: 'heal',     // amount 만큼 체력 회복
+    STATUS: 'status'  // 체력 변화 없이 statuses의 상태 효과만 부여
+};
+
+/**
+ * 스킬 시스템 클래스
+ *
+ * @class SkillSystem
+ */
+class SkillSystem {
+    constructor() {
+        /**
+         * 스킬 정의 (id → 정의)
+         * @type {Map<string, Object>}
+         */
+        this.skills = new Map();
+
+        /**
+         * 캐릭터 타입별 기본 스킬 목록
+         * @type {Object<string, string[]>}
+         */
+        this.loadouts = {};
+
+        /**
+         * 사거리로 표시 중인 타일
+         * @type {HexTile[]}
+         */
+        this.rangeTiles = [];
+
+        /**
+         * 효과 범위로 미리보기 중인 타일
+         * @type {HexTile[]}
+         */
+        this.previewTiles = [];
+    }
+
+    /**
+     * 스킬 정의 파일 로드
+     *
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const data = await loadJSON(SKILLS_DATA_PATH, 'skills');
+        this.setDefinitions(data);
+    }
+
+    /**
+     * 스킬 정의 등록
+     *
+     * @param {Object} data - skills.json 형식의 데이터
+     * @throws {Error} 정의가 잘못된 경우
+     */
+    setDefinitions(data) {
+        this.skills.clear();
+
+        Object.entries(data.skills || {}).forEach(([id, definition]) => {
+            const skill = { id, ...definition };
+            this.validateSkill(skill);
+            this.skills.set(id, skill);
+        });
+
+        this.loadouts = data.loadouts || {};
+        Object.entries(this.loadouts).forEach(([type, skillIds]) => {
+            skillIds.forEach(skillId => {
+                if (!this.skills.has(skillId)) {
+                    throw new Error(`Loadout ${type}: unknown skill ${skillId}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * 스킬 정의 검사
+     *
+     * @param {Object} skill - 스킬 정의
+     * @throws {Error} 필수 값이 없거나 잘못된 경우
+     */
+    validateSkill(skill) {
+        if (!Object.values(SkillTarget).includes(skill.target)) {
+            throw new Error(`Skill ${skill.id}: unknown target ${skill.target}`);
+        }
+        if (!skill.area || !Object.values(SkillShape).includes(skill.area.shape)) {
+            throw new Error(`Skill ${skill.id}: unknown area shape ${skill.area?.shape}`);
+        }
+        if (skill.area.shape === SkillShape.CHAIN && !(skill.area.size >= 1 && skill.area.count >= 1)) {
+            throw new Error(`Skill ${skill.id}: chain area needs size and count of at least 1`);
+        }
+        if (!skill.effect || !Object.values(SkillEffect).includes(skill.effect.type)) {
+            throw new Error(`Skill ${skill.id}: unknown effect ${skill.effect?.type}`);
+        }
+        if (!(skill.range >= 0) || !(skill.cost >= 0) || !(skill.cooldown >= 0)) {
+            throw new Error(`Skill ${skill.id}: range, cost and cooldown must be non-negative`);
+        }
+        (skill.statuses || []).forEach(({ id, duration }) => {
+            if (!statusEffectSystem.getDefinition(id) || !(duration > 0)) {
+                throw new Error(`Skill ${skill.id}: invalid status ${id}`);
+            }
+        });
+    }
+
+    /**
+     * 스킬 정의 조회
+     *
+     * @param {string} skillId - 스킬 ID
+     * @returns {Object|null} 스킬 정의
+     */
+    getSkill(skillId) {
+        return this.skills.get(skillId) || null;
+    }
+
+    /**
+     * 캐릭터 타입의 기본 스킬 목록
+     *
+     * @param {string} type - 캐릭터 타입
+     * @returns {string[]} 스킬 ID 목록
+     */
+    getLoadout(type) {
+        return [...(this.loadouts[type] || [])];
+    }
+
+    /**
+     * 캐릭터가 가진 스킬 정의 목록
+     *
+     * @param {Character} character - 캐릭터
+     * @returns {Object[]} 스킬 정의 목록
+     */
+    getCharacterSkills(character) {
+        return character.skills
+            .map(skillId => this.getSkill(skillId))
+            .filter(Boolean);
+    }
+
+    /**
+     * 남은 재사용 대기 턴
+     *
+     * @param {Character} character - 캐릭터
+     * @param {string} skillId - 스킬 ID
+     * @returns {number} 0이면 사용 가능
+     */
+    getCooldown(character, skillId) {
+        return character.skillCooldowns[skillId] || 0;
+    }
+
+    /**
+     * 지금 스킬을 사용할 수 있는지 확인 (대상은 보지 않음)
+     *
+     * 스킬은 공격 행동을 대신하므로 이번 턴에 공격하지 않았어야 합니다.
+     * @param {Character} caster - 시전자
+     * @param {Object} skill - 스킬 정의
+     * @returns {boolean} 사용 가능 여부
+     */
+    canUse(caster, skill) {
+        if (!caster || !skill || !caster.isAlive() || !caster.currentTile) return false;
+        if (!caster.skills.includes(skill.id)) return false;
+        if (caster.hasAttacked) return false;
+        if (caster.mana < skill.cost) return false;
+        return this.getCooldown(caster, skill.id) === 0;
+    }
+
+    /**
+     * 대상 타일로 지정할 수 있는지 확인
+     *
+     * @param {Character} caster - 시전자
+     * @param {Object} skill - 스킬 정의
+     * @param {HexTile} tile - 대상 타일
+     * @param {HexTile} [fromTile] - 시전 위치 (생략하면 현재 위치, AI가 이동 후 시전을 평가할 때 지정)
+     * @returns {boolean} 지정 가능 여부
+     */
+    isValidTarget(caster, skill, tile, fromTile = caster.currentTile) {
+        if (!tile || !fromTile) return false;
+
+        const distance = fromTile.distanceTo(tile);
+        if (distance > skill.range) return false;
+
+        switch (skill.target) {
+            case SkillTarget.SELF:
+                if (tile !== fromTile) return false;
+                break;
+            case SkillTarget.ENEMY:
+                if (!tile.isOccupied() || !factionSystem.canAttack(caster, tile.occupant)) return false;
+                break;
+            case SkillTarget.ALLY:
+                if (!tile.isOccupied() || !factionSystem.isAllied(caster.type, tile.occupant.type)) return false;
+                break;
+            case SkillTarget.TILE:
+                if (tile === fromTile) return false;
+                break;
+        }
+
+        // 인접 타일은 항상 보임
+        if (skill.lineOfSight && distance > 1) {
+            return gridSystem.hasLineOfSight(fromTile, tile);
+        }
+
+        return true;
+    }
+
+    /**
+     * 대상으로 지정할 수 있는 모든 타일
+     *
+     * @param {Character} caster - 시전자
+     * @param {Object} skill - 스킬 정의
+     * @param {HexTile} [fromTile] - 시전 위치 (생략하면 현재 위치)
+     * @returns {HexTile[]} 대상 타일 목록
+     */
+    getCastableTiles(caster, skill, fromTile = caster.currentTile) {
+        if (!fromTile) return [];
+
+        return gridSystem.getTilesInRange(fromTile, skill.range)
+            .filter(tile => this.isValidTarget(caster, skill, tile, fromTile));
+    }
+
+    /**
+     * 효과 범위에 들어가는 타일
+     *
+     * @param {Character} caster - 시전자
+     * @param {Object} skill - 스킬 정의
+     * @param {HexTile} targetTile - 대상 타일
+     * @param {HexTile} [fromTile] - 시전 위치 (생략하면 현재 위치)
+     * @returns {HexTile[]} 효과 범위 타일 목록
+     */
+    getAffectedTiles(caster, skill, targetTile, fromTile = caster.currentTile) {
+        switch (skill.area.shape) {
+            case SkillShape.RADIUS:
+                return gridSystem.getTilesInRange(targetTile, skill.area.size || 0);
+            case SkillShape.LINE:
+                // 시전자 타일은 제외
+                return gridSystem.getLine(fromTile, targetTile).slice(1);
+            case SkillShape.CHAIN:
+                return this.getChainTiles(caster, skill, targetTile);
+            default:
+                return [targetTile];
+        }
+    }
+
+    /**
+     * 연쇄 범위의 타일
+     *
+     * 대상 타일에서 시작해, 마지막으로 맞은 타일에서 area.size 칸 안에 있는 가장 가까운 대상으로
+     * area.count개의 타일까지 튀어 갑니다. 같은 캐릭터는 두 번 맞지 않으며, 대상이 없으면 멈춥니다.
+     * @param {Character} caster - 시전자
+     * @param {Object} skill - 스킬 정의
+     * @param {HexTile} targetTile - 대상 타일
+     * @returns {HexTile[]} 맞는 순서대로의 타일 목록
+     */
+    getChainTiles(caster, skill, targetTile) {
+        const chain = [targetTile];
+
+        while (chain.length < skill.area.count) {
+            const last = chain[chain.length - 1];
+            let next = null;
+            gridSystem.getTilesInRange(last, skill.area.size).forEach(tile => {
+                if (chain.includes(tile) || !tile.isOccupied() || !tile.occupant.isAlive()) return;
+                if (!this.isAffected(caster, skill, tile.occupant, targetTile)) return;
+                if (!next || last.distanceTo(tile) < last.distanceTo(next)) {
+                    next = tile;
+                }
+            });
+            if (!next) break;
+            chain.push(next);
+        }
+
+        return chain;
+    }
+
+    /**
+     * 효과를 받는 캐릭터
+     *
+     * affects를 생략하면 대상 지정 방식에 따라 정합니다 (아군 대상이면 아군, 그 외에는 적).
+     * 아군은 동맹 진영, 적은 적대 진영이며, 중립 캐릭터는 대상 타일에서 직접 지정했을 때만 적으로 칩니다.
+     * @param {Character} caster - 시전자
+     * @param {Object} skill - 스킬 정의
+     * @param {HexTile} targetTile - 대상 타일
+     * @param {HexTile} [fromTile] - 시전 위치 (생략하면 현재 위치)
+     * @returns {Character[]} 대상 캐릭터 목록
+     */
+    getTargets(caster, skill, targetTile, fromTile = caster.currentTile) {
+        return this.getAffectedTiles(caster, skill, targetTile, fromTile)
+            .filter(tile => tile.isOccupied() && tile.occupant.isAlive())
+            .map(tile => tile.occupant)
+            .filter(character => this.isAffected(caster, skill, character, targetTile));
+    }
+
+    /**
+     * 캐릭터가 효과를 받는지 확인 (affects 기준, getTargets 참고)
+     *
+     * @param {Character} caster - 시전자
+     * @param {Object} skill - 스킬 정의
+     * @param {Character} character - 캐릭터
+     * @param {HexTile} targetTile - 대상 타일
+     * @returns {boolean}
+     */
+    isAffected(caster, skill, character, targetTile) {
+        const affects = skill.affects || (skill.target === SkillTarget.ALLY ? 'ally' : 'enemy');
+
+        if (affects === 'all') return true;
+        if (affects === 'ally') return factionSystem.isAllied(caster.type, character.type);
+        return factionSystem.isHostile(caster.type, character.type)
+            || (character.currentTile === targetTile && factionSystem.canAttack(caster, character));
+    }
+
+    /**
+     * 사거리 표시
+     *
+     * @param {Character} caster - 시전자
+     * @param {Object} skill - 스킬 정의
+     */
+    showRange(caster, skill) {
+        this.clearRange();
+
+        this.rangeTiles = this.getCastableTiles(caster, skill);
+        this.rangeTiles.forEach(tile => tile.setSkillRange(true));
+    }
+
+    /**
+     * 효과 범위 미리보기 (대상으로 지정할 수 있는 타일 위에서만)
+     *
+     * @param {Character} caster - 시전자
+     * @param {Object} skill - 스킬 정의
+     * @param {HexTile} targetTile - 마우스가 올라간 타일
+     */
+    showAreaPreview(caster, skill, targetTile) {
+        this.clearAreaPreview();
+
+        if (!this.isValidTarget(caster, skill, targetTile)) return;
+
+        this.previewTiles = this.getAffectedTiles(caster, skill, targetTile);
+        this.previewTiles.forEach(tile => tile.setHighlight(true, COLORS.TILE_SKILL_AREA));
+    }
+
+    /**
+     * 사거리 표시 제거
+     */
+    clearRange() {
+        this.rangeTiles.forEach(tile => tile.setSkillRange(false));
+        this.rangeTiles = [];
+    }
+
+    /**
+     * 효과 범위 미리보기 제거
+     */
+    clearAreaPreview() {
+        this.previewTiles.forEach(tile => tile.setHighlight(false));
+        this.previewTiles = [];
+    }
+
+    /**
+     * 모든 스킬 표시 제거
+     */
+    clearAll() {
+        this.clearAreaPreview();
+        this.clearRange();
+    }
+}
+
+// 싱글톤 인스턴스
+export const skillSystem = new SkillSystem();
@@ -0,0 +1,270 @@
+/**
+ * 상태 효과 시스템
+ *
+ * 캐릭터에 걸린 버프/디버프(중독, 기절, 둔화, 보호막, 재생)를 관리합니다.
+ * 효과는 캐릭터의 statusEffects 배열에 순수 데이터({id, duration, stacks})로 저장되므로
+ * 커맨드 상태 스냅샷과 저장 데이터에 그대로 복사할 수 있습니다.
+ *
+ * 턴 흐름 (gameState.endTurn에서 호출):
+ * 1. 턴을 마치는 진영: onTurnEnd() - 지속 시간 감소, 만료된 효과 제거
+ * 2. 턴을 시작하는 진영: onTurnStart() - 중독 피해, 재생 회복, 기절 등
+ *
+ * @module statusEffectSystem
+ */
+
+import { gameState } from '../core/gameState.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+
+/**
+ * 중첩 규칙
+ *
+ * @enum {string}
+ */
+export const StackingRule = {
+    REFRESH: 'refresh', // 남은 지속 시간을 더 긴 쪽으로 갱신
+    STACK: 'stack',     // 중첩 수 증가 (maxStacks까지), 지속 시간 갱신
+    EXTEND: 'extend'    // 남은 지속 시간에 더함
+};
+
+/**
+ * 상태 효과 정의
+ *
+ * modifiers: 능력치 보정 ({add}는 더하기, {multiply}는 곱하기)
+ *   - movementRange: 이동력
+ *   - attackPower: 공격력
+ *   - damageTaken: 받는 데미지 배율
+ * onTurnStart/onTurnEnd: 훅. {damage} 또는 {heal}을 반환하면 체력에 반영됨
+ * @type {Object<string, Object>}
+ */
+export const STATUS_EFFECTS = {
+    poison: {
+        name: '중독',
+        icon: '☠️',
+        debuff: true,
+        stacking: StackingRule.STACK,
+        maxStacks: 3,
+        modifiers: { attackPower: { multiply: 0.9 } },
+        // 중첩당 5 피해
+        onTurnStart: (character, effect) => ({ damage: 5 * effect.stacks })
+    },
+    stun: {
+        name: '기절',
+        icon: '💫',
+        debuff: true,
+        stacking: StackingRule.REFRESH,
+        // 이번 턴의 이동과 공격을 모두 사용한 것으로 처리
+        onTurnStart: (character) => {
+            character.hasMoved = true;
+            character.hasAttacked = true;
+            character.movedDistance = character.movementRange;
+            character.actionsUsed.move = character.actionsPerTurn.move;
+            character.actionsUsed.attack = character.actionsPerTurn.attack;
+            character.updateActionVisual();
+            return null;
+        }
+    },
+    slow: {
+        name: '둔화',
+        icon: '🐌',
+        debuff: true,
+        stacking: StackingRule.REFRESH,
+        modifiers: { movementRange: { add: -1 } }
+    },
+    shield: {
+        name: '보호막',
+        icon: '🛡️',
+        debuff: false,
+        stacking: StackingRule.REFRESH,
+        modifiers: { damageTaken: { multiply: 0.5 } }
+    },
+    regen: {
+        name: '재생',
+        icon: '💚',
+        debuff: false,
+        stacking: StackingRule.EXTEND,
+        onTurnStart: () => ({ heal: 8 })
+    }
+};
+
+/**
+ * 상태 효과 시스템 클래스
+ *
+ * @class StatusEffectSystem
+ */
+class StatusEffectSystem {
+    /**
+     * 효과 정의 조회
+     *
+     * @param {string} effectId - 효과 ID
+     * @returns {Object|null} 효과 정의
+     */
+    getDefinition(effectId) {
+        return STATUS_EFFECTS[effectId] || null;
+    }
+
+    /**
+     * 효과 적용
+     *
+     * 자기 진영의 턴 중에 걸린 효과는 그 턴의 종료를 지속 시간으로 세지 않습니다.
+     * (아군에게 건 1턴 보호막이 적 턴 동안 유지되도록, 우선권 모드에서는 행동 중인 캐릭터 자신만 해당)
+     * @param {Character} character - 대상
+     * @param {string} effectId - 효과 ID
+     * @param {number} duration - 지속 시간 (대상 진영의 턴 수)
+     * @returns {Object|null} 적용된 효과 데이터
+     */
+    apply(character, effectId, duration) {
+        const definition = this.getDefinition(effectId);
+        if (!definition || !character.isAlive() || duration <= 0) return null;
+
+        const skipNextTick = gameState.isInitiativeMode()
+            ? character === gameState.getActiveCharacter()
+            : character.type === gameState.currentTurn;
+        let effect = this.getEffect(character, effectId);
+
+        if (!effect) {
+            effect = { id: effectId, duration, stacks: 1, skipNextTick };
+            character.statusEffects.push(effect);
+        } else {
+            switch (definition.stacking) {
+                case StackingRule.STACK:
+                    effect.stacks = Math.min(definition.maxStacks || Infinity, effect.stacks + 1);
+                    effect.duration = Math.max(effect.duration, duration);
+                    break;
+                case StackingRule.EXTEND:
+                    effect.duration += duration;
+                    break;
+                default:
+                    effect.duration = Math.max(effect.duration, duration);
+                    break;
+            }
+            effect.skipNextTick = effect.skipNextTick || skipNextTick;
+        }
+
+        character.updateHealthBar();
+        eventBus.emit(GameEvents.STATUS_EFFECT_APPLIED, { character, effect });
+
+        return effect;
+    }
+
+    /**
+     * 효과 제거
+     *
+     * @param {Character} character - 대상
+     * @param {string} effectId - 효과 ID
+     */
+    remove(character, effectId) {
+        const before = character.statusEffects.length;
+        character.statusEffects = character.statusEffects.filter(effect => effect.id !== effectId);
+
+        if (character.statusEffects.length !== before) {
+            character.updateHealthBar();
+            eventBus.emit(GameEvents.STATUS_EFFECT_REMOVED, { character, effectId });
+        }
+    }
+
+    /**
+     * 걸려 있는 효과 조회
+     *
+     * @param {Character} character - 대상
+     * @param {string} effectId - 효과 ID
+     * @returns {Object|null} 효과 데이터
+     */
+    getEffect(character, effectId) {
+        return character.statusEffects.find(effect => effect.id === effectId) || null;
+    }
+
+    /**
+     * 효과 보정이 반영된 능력치
+     *
+     * @param {Character} character - 대상
+     * @param {string} stat - 능력치 이름 (movementRange, attackPower, damageTaken)
+     * @param {number} base - 기본값
+     * @returns {number} 보정된 값
+     */
+    modifyStat(character, stat, base) {
+        let add = 0;
+        let multiply = 1;
+
+        character.statusEffects.forEach(effect => {
+            const modifier = this.getDefinition(effect.id)?.modifiers?.[stat];
+            if (!modifier) return;
+            add += modifier.add || 0;
+            multiply *= modifier.multiply ?? 1;
+        });
+
+        return (base + add) * multiply;
+    }
+
+    /**
+     * 턴 시작 처리 (턴을 시작하는 진영의 캐릭터)
+     *
+     * @param {Character} character - 대상
+     */
+    onTurnStart(character) {
+        this.runHook(character, 'onTurnStart');
+    }
+
+    /**
+     * 턴 종료 처리 (턴을 마치는 진영의 캐릭터)
+     *
+     * 훅을 실행한 뒤 지속 시간을 줄이고 만료된 효과를 제거합니다.
+     * @param {Character} character - 대상
+     */
+    onTurnEnd(character) {
+        this.runHook(character, 'onTurnEnd');
+
+        if (!character.isAlive()) return;
+
+        const expired = [];
+        character.statusEffects.forEach(effect => {
+            if (effect.skipNextTick) {
+                effect.skipNextTick = false;
+                return;
+            }
+            effect.duration--;
+            if (effect.duration <= 0) {
+                expired.push(effect.id);
+            }
+        });
+
+        expired.forEach(effectId => this.remove(character, effectId));
+    }
+
+    /**
+     * 효과 훅 실행
+     *
+     * 피해/회복은 즉시 체력에 반영하고 STATUS_EFFECT_TICK 이벤트로 알립니다.
+     * (사망 처리는 battleManager가 이 이벤트를 받아 처리)
+     * @param {Character} character - 대상
+     * @param {string} hook - 'onTurnStart' 또는 'onTurnEnd'
+     */
+    runHook(character, hook) {
+        // 훅 도중 효과 목록이 바뀔 수 있으므로 복사본으로 순회
+        [...character.statusEffects].forEach(effect => {
+            if (!character.isAlive()) return;
+
+            const outcome = this.getDefinition(effect.id)?.[hook]?.(character, effect);
+            if (!outcome) return;
+
+            let amount = 0;
+            if (outcome.damage) {
+                amount = Math.min(outcome.damage, character.health);
+                character.health -= amount;
+            } else if (outcome.heal) {
+                amount = Math.min(outcome.heal, character.maxHealth - character.health);
+                character.health += amount;
+            }
+            character.updateHealthBar();
+
+            eventBus.emit(GameEvents.STATUS_EFFECT_TICK, {
+                character,
+                effect,
+                damage: outcome.damage ? amount : 0,
+                heal: outcome.heal ? amount : 0
+            });
+        });
+    }
+}
+
+// 싱글톤 인스턴스
+export const statusEffectSystem = new StatusEffectSystem();
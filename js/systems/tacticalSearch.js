@@ -0,0 +1,532 @@
+/**
+ * 전술 탐색 (선읽기 AI)
+ *
+ * 메시, 엔티티, 싱글톤 없이 숫자와 좌표만으로 이루어진 복제 가능한 전투 상태(TacticalState)와,
+ * 그 위에서 한 진영의 턴을 계획하는 탐색(searchTurn)을 제공합니다.
+ *
+ * 탐색은 빔 탐색입니다. 캐릭터를 차례로 보며 행동 후보를 붙여 나가고, 각 계획은
+ * 상대 진영들이 욕심껏(가장 큰 피해를 주는 쪽으로) 응수한 뒤의 국면으로 평가합니다.
+ * 그래서 약한 대상을 함께 노려 쓰러뜨리거나(집중 공격), 상대가 들어올 길목을 막는 계획이 점수를 받습니다.
+ *
+ * 이 모듈은 constants와 hexMath만 사용하므로 Web Worker(aiSearchWorker)와 Node에서도 실행됩니다.
+ * 상태는 lookaheadPlanner.captureState()가 만듭니다.
+ *
+ * @module tacticalSearch
+ */
+
+import { ELEVATION, CRIT_MULTIPLIER, DAMAGE_VARIANCE, COUNTER_CHANCE, COUNTER_POWER, LOOKAHEAD } from '../core/constants.js';
+import { cubeRound } from '../utils/hexMath.js';
+
+/**
+ * 육각형 6방향 오프셋
+ * @type {Array<{q: number, r: number}>}
+ */
+const DIRECTIONS = [
+    { q: 1, r: 0 },
+    { q: 1, r: -1 },
+    { q: 0, r: -1 },
+    { q: -1, r: 0 },
+    { q: -1, r: 1 },
+    { q: 0, r: 1 },
+];
+
+/**
+ * 살아있는 캐릭터 하나의 기본 가치 (체력 비율이 여기에 더해짐, 쓰러뜨리면 둘 다 잃음)
+ * @type {number}
+ */
+const ALIVE_VALUE = 1;
+
+/**
+ * 좌표 키
+ *
+ * @param {number} q - 큐브 좌표 q
+ * @param {number} r - 큐브 좌표 r
+ * @returns {string} "q,r"
+ */
+function tileKey(q, r) {
+    return `${q},${r}`;
+}
+
+/**
+ * 두 좌표 사이 거리
+ *
+ * @param {{q: number, r: number}} a - 좌표
+ * @param {{q: number, r: number}} b - 좌표
+ * @returns {number} 타일 수
+ */
+function distance(a, b) {
+    return (Math.abs(a.q - b.q) + Math.abs(a.q + a.r - b.q - b.r) + Math.abs(a.r - b.r)) / 2;
+}
+
+/**
+ * 전술 상태 클래스
+ *
+ * 타일과 진영 관계는 모든 복제본이 공유하고(바뀌지 않음), 캐릭터 상태만 복제합니다.
+ *
+ * @class TacticalState
+ */
+export class TacticalState {
+    /**
+     * @param {Object} data - 상태 데이터 (lookaheadPlanner.captureState() 형식)
+     * @param {Array<Object>} data.tiles - {q, r, elevation, moveCost, defense, evasion, passable, blocked}
+     * @param {Array<Object>} data.units - 살아있는 캐릭터
+     *     {id, faction, q, r, health, maxHealth, attackPower, critChance, defense, evasion, damageTakenMultiplier,
+     *      attackRange, minAttackRange, movementRange, movement, canAttack, stunned}
+     * @param {string[]} data.hostile - 적대 진영 쌍 ("a|b", 양쪽 순서 모두)
+     * @param {string[]} data.allied - 동맹 진영 쌍 ("a|b", 양쪽 순서 모두, 같은 진영 포함)
+     * @param {string[]} data.factionOrder - 진영 턴 순서
+     */
+    constructor(data) {
+        if (!data) return;
+
+        /**
+         * 타일 (좌표 키 → 타일 데이터)
+         * @type {Map<string, Object>}
+         */
+        this.tiles = new Map(data.tiles.map(tile => [tileKey(tile.q, tile.r), tile]));
+
+        /**
+         * 적대 진영 쌍
+         * @type {Set<string>}
+         */
+        this.hostile = new Set(data.hostile);
+
+        /**
+         * 동맹 진영 쌍
+         * @type {Set<string>}
+         */
+        this.allied = new Set(data.allied);
+
+        /**
+         * 진영 턴 순서
+         * @type {string[]}
+         */
+        this.factionOrder = data.factionOrder;
+
+        /**
+         * 캐릭터 상태 (복제본마다 따로 가짐)
+         * @type {Array<Object>}
+         */
+        this.units = data.units.map(unit => ({ ...unit, alive: true }));
+
+        this.buildOccupancy();
+    }
+
+    /**
+     * 상태 복제 (캐릭터 상태만 깊은 복사)
+     *
+     * @returns {TacticalState} 복제본
+     */
+    clone() {
+        const copy = new TacticalState();
+        copy.tiles = this.tiles;
+        copy.hostile = this.hostile;
+        copy.allied = this.allied;
+        copy.factionOrder = this.factionOrder;
+        copy.units = this.units.map(unit => ({ ...unit }));
+        copy.buildOccupancy();
+        return copy;
+    }
+
+    /**
+     * 좌표별 점유 캐릭터 목록 다시 만들기
+     */
+    buildOccupancy() {
+        /**
+         * 점유 (좌표 키 → 캐릭터)
+         * @type {Map<string, Object>}
+         */
+        this.occupancy = new Map();
+        this.units.forEach(unit => {
+            if (unit.alive) {
+                this.occupancy.set(tileKey(unit.q, unit.r), unit);
+            }
+        });
+    }
+
+    /**
+     * 캐릭터 조회
+     *
+     * @param {number} id - 캐릭터 ID
+     * @returns {Object|null} 캐릭터 상태
+     */
+    getUnit(id) {
+        return this.units.find(unit => unit.id === id) || null;
+    }
+
+    /**
+     * 두 진영이 적대 관계인지 확인
+     *
+     * @param {string} a - 진영 ID
+     * @param {string} b - 진영 ID
+     * @returns {boolean}
+     */
+    isHostile(a, b) {
+        return this.hostile.has(`${a}|${b}`);
+    }
+
+    /**
+     * 진영에서 본 캐릭터의 편 (+1 아군, -1 적대, 0 중립)
+     *
+     * @param {string} side - 기준 진영 ID
+     * @param {Object} unit - 캐릭터 상태
+     * @returns {number}
+     */
+    getAlignment(side, unit) {
+        if (this.allied.has(`${side}|${unit.faction}`)) return 1;
+        if (this.isHostile(side, unit.faction)) return -1;
+        return 0;
+    }
+
+    /**
+     * 캐릭터가 서 있는 타일
+     *
+     * @param {Object} unit - 캐릭터 상태
+     * @returns {Object} 타일 데이터
+     */
+    getTileOf(unit) {
+        return this.tiles.get(tileKey(unit.q, unit.r));
+    }
+
+    /**
+     * 한 칸 이동 비용 (gridSystem.getStepCost와 같은 규칙)
+     *
+     * @param {Object} from - 출발 타일
+     * @param {Object} to - 도착 타일
+     * @returns {number} 비용 (오를 수 없는 절벽이면 Infinity)
+     */
+    getStepCost(from, to) {
+        const climb = to.elevation - from.elevation;
+        if (climb > ELEVATION.MAX_CLIMB) {
+            return Infinity;
+        }
+        return to.moveCost + Math.max(0, climb) * ELEVATION.CLIMB_COST;
+    }
+
+    /**
+     * 이번 턴에 갈 수 있는 타일 (현재 타일 포함)
+     *
+     * 다른 캐릭터가 있는 타일은 지나갈 수 없고, 남은 이동력 안에서 비용이 가장 적은 경로로 계산합니다.
+     * @param {Object} unit - 캐릭터 상태
+     * @returns {Object[]} 타일 데이터 목록 (현재 타일이 첫 번째)
+     */
+    getReachableTiles(unit) {
+        const start = this.getTileOf(unit);
+        const costs = new Map([[start, 0]]);
+        const open = [start];
+        const reachable = [];
+
+        while (open.length > 0) {
+            // 비용이 가장 적은 타일부터 확정
+            let bestIndex = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (costs.get(open[i]) < costs.get(open[bestIndex])) bestIndex = i;
+            }
+            const current = open.splice(bestIndex, 1)[0];
+            reachable.push(current);
+
+            DIRECTIONS.forEach(dir => {
+                const next = this.tiles.get(tileKey(current.q + dir.q, current.r + dir.r));
+                if (!next || !next.passable || this.occupancy.has(tileKey(next.q, next.r))) return;
+
+                const cost = costs.get(current) + this.getStepCost(current, next);
+                if (cost > unit.movement) return;
+                if (!costs.has(next)) {
+                    costs.set(next, cost);
+                    open.push(next);
+                } else if (cost < costs.get(next) && open.includes(next)) {
+                    costs.set(next, cost);
+                }
+            });
+        }
+
+        return reachable;
+    }
+
+    /**
+     * 시야선 확인 (gridSystem.hasLineOfSight와 같은 규칙)
+     *
+     * @param {Object} from - 시작 타일
+     * @param {Object} to - 목표 타일
+     * @param {Object} [ignore] - 시야를 막지 않는 것으로 볼 캐릭터 (자리를 옮겼다고 가정한 공격자)
+     * @returns {boolean}
+     */
+    hasLineOfSight(from, to, ignore = null) {
+        const total = distance(from, to);
+        const nudge = 1e-6;
+        const line = [];
+        for (let i = 0; i <= total; i++) {
+            const t = i / total;
+            const { q, r } = cubeRound(
+                (from.q + nudge) * (1 - t) + (to.q + nudge) * t,
+                (from.r + nudge) * (1 - t) + (to.r + nudge) * t
+            );
+            const tile = this.tiles.get(tileKey(q, r));
+            if (tile) line.push(tile);
+        }
+
+        const fromEye = from.elevation * ELEVATION.STEP_HEIGHT + ELEVATION.EYE_HEIGHT;
+        const toEye = to.elevation * ELEVATION.STEP_HEIGHT + ELEVATION.EYE_HEIGHT;
+        for (let i = 1; i < line.length - 1; i++) {
+            const tile = line[i];
+            const occupant = this.occupancy.get(tileKey(tile.q, tile.r));
+            if (tile.blocked || (occupant && occupant !== ignore)) {
+                return false;
+            }
+
+            const sightHeight = fromEye + (toEye - fromEye) * (distance(from, tile) / total);
+            if (tile.elevation * ELEVATION.STEP_HEIGHT > sightHeight) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 위치에서 공격할 수 있는 적대 캐릭터
+     *
+     * @param {Object} unit - 공격자
+     * @param {Object} fromTile - 공격할 위치
+     * @returns {Object[]} 대상 목록
+     */
+    getTargets(unit, fromTile) {
+        return this.units.filter(other => {
+            if (!other.alive || !this.isHostile(unit.faction, other.faction)) return false;
+
+            const gap = distance(fromTile, other);
+            if (gap < unit.minAttackRange || gap > unit.attackRange) return false;
+            return gap <= 1 || this.hasLineOfSight(fromTile, this.getTileOf(other), unit);
+        });
+    }
+
+    /**
+     * 기대 데미지 (battleManager.estimateDamage와 같은 계산)
+     *
+     * @param {Object} attacker - 공격자
+     * @param {Object} target - 대상
+     * @param {Object} fromTile - 공격자 위치
+     * @param {Object} [targetTile] - 대상 위치 (생략하면 현재 위치)
+     * @param {number} [power=1] - 공격력 배율 (반격용)
+     * @returns {number} 기대 데미지
+     */
+    estimateDamage(attacker, target, fromTile, targetTile = this.getTileOf(target), power = 1) {
+        let multiplier = 1 + attacker.critChance * (CRIT_MULTIPLIER - 1);
+        multiplier *= 1 - targetTile.defense;
+        multiplier *= 1 + Math.max(0, fromTile.elevation - targetTile.elevation) * ELEVATION.HIGH_GROUND_BONUS;
+
+        let total = 0;
+        for (let variance = -DAMAGE_VARIANCE; variance <= DAMAGE_VARIANCE; variance++) {
+            total += Math.max(1, ((attacker.attackPower * power + variance) * multiplier - target.defense) * target.damageTakenMultiplier);
+        }
+        const damage = total / (DAMAGE_VARIANCE * 2 + 1);
+        return damage * (1 - Math.min(1, Math.max(0, target.evasion + targetTile.evasion)));
+    }
+
+    /**
+     * 기대 반격 데미지 (battleManager.estimateCounterDamage와 같은 계산)
+     *
+     * 대상이 살아남는다고 보고, 인접해 있고 근접 공격을 할 수 있으며 기절하지 않았으면 반격할 수 있습니다.
+     * @param {Object} attacker - 공격자
+     * @param {Object} target - 대상 (반격하는 쪽)
+     * @param {Object} fromTile - 공격자 위치
+     * @returns {number} 공격자가 받을 기대 데미지
+     */
+    estimateCounterDamage(attacker, target, fromTile) {
+        if (target.stunned || target.minAttackRange > 1 || distance(fromTile, target) > 1) return 0;
+        if (!this.isHostile(target.faction, attacker.faction)) return 0;
+        return COUNTER_CHANCE * this.estimateDamage(target, attacker, this.getTileOf(target), fromTile, COUNTER_POWER);
+    }
+
+    /**
+     * 캐릭터의 행동 후보 (간단한 점수 순)
+     *
+     * 갈 수 있는 타일마다 "이동만"과 "그 자리에서 공격"을 만들고, 기대 데미지와 처치,
+     * 가장 가까운 적대 캐릭터에게 다가간 정도로 미리 점수를 매겨 정렬합니다 (살아남은 대상의 기대 반격 데미지는 뺌).
+     * @param {Object} unit - 캐릭터 상태
+     * @returns {Array<{q: number, r: number, targetId: number|null, score: number}>} 후보 목록
+     */
+    getCandidates(unit) {
+        const hostiles = this.units.filter(other => other.alive && this.isHostile(unit.faction, other.faction));
+        const nearestGap = tile => hostiles.length === 0 ? 0
+            : Math.min(...hostiles.map(other => Math.abs(distance(tile, other) - unit.attackRange)));
+        const startGap = nearestGap(unit);
+
+        const candidates = [];
+        this.getReachableTiles(unit).forEach(tile => {
+            const approach = (startGap - nearestGap(tile)) / 10;
+            candidates.push({ q: tile.q, r: tile.r, targetId: null, score: approach });
+
+            if (!unit.canAttack) return;
+            this.getTargets(unit, tile).forEach(target => {
+                const damage = this.estimateDamage(unit, target, tile);
+                const kill = damage >= target.health ? ALIVE_VALUE : 0;
+                const counter = kill ? 0 : this.estimateCounterDamage(unit, target, tile);
+                candidates.push({
+                    q: tile.q,
+                    r: tile.r,
+                    targetId: target.id,
+                    score: Math.min(damage, target.health) / target.maxHealth + kill + approach
+                        - Math.min(counter, unit.health) / unit.maxHealth
+                });
+            });
+        });
+
+        // 점수가 같으면 만든 순서(제자리 우선)를 유지
+        return candidates
+            .map((candidate, index) => ({ candidate, index }))
+            .sort((a, b) => b.candidate.score - a.candidate.score || a.index - b.index)
+            .map(({ candidate }) => candidate);
+    }
+
+    /**
+     * 행동 적용 (이동 후 공격, 데미지와 반격은 기대값)
+     *
+     * @param {Object} unit - 캐릭터 상태
+     * @param {{q: number, r: number, targetId: number|null}} action - 행동
+     */
+    applyAction(unit, action) {
+        if (action.q !== unit.q || action.r !== unit.r) {
+            this.occupancy.delete(tileKey(unit.q, unit.r));
+            unit.q = action.q;
+            unit.r = action.r;
+            this.occupancy.set(tileKey(unit.q, unit.r), unit);
+        }
+        unit.movement = 0;
+
+        const target = action.targetId !== null ? this.getUnit(action.targetId) : null;
+        if (target && target.alive && unit.canAttack) {
+            const fromTile = this.getTileOf(unit);
+            target.health -= this.estimateDamage(unit, target, fromTile);
+            if (target.health <= 0) {
+                target.alive = false;
+                this.occupancy.delete(tileKey(target.q, target.r));
+            } else {
+                unit.health -= this.estimateCounterDamage(unit, target, fromTile);
+                if (unit.health <= 0) {
+                    unit.alive = false;
+                    this.occupancy.delete(tileKey(unit.q, unit.r));
+                }
+            }
+        }
+        unit.canAttack = false;
+    }
+
+    /**
+     * 상대 진영들의 응수 시뮬레이션
+     *
+     * side와 적대인 진영이 턴 순서대로, 캐릭터마다 가장 점수가 높은 후보로 행동합니다 (새 턴이므로 이동력과 공격 회복).
+     * @param {string} side - 계획 중인 진영 ID
+     */
+    simulateReplies(side) {
+        this.factionOrder
+            .filter(faction => this.isHostile(side, faction))
+            .forEach(faction => {
+                this.units
+                    .filter(unit => unit.alive && unit.faction === faction)
+                    .forEach(unit => {
+                        if (!unit.alive) return;
+                        unit.movement = unit.movementRange;
+                        unit.canAttack = true;
+                        const [best] = this.getCandidates(unit);
+                        if (best) this.applyAction(unit, best);
+                    });
+            });
+    }
+
+    /**
+     * 국면 평가
+     *
+     * 살아있는 아군은 (기본 가치 + 체력 비율)만큼 더하고, 적대 캐릭터는 그만큼 뺍니다.
+     * @param {string} side - 기준 진영 ID
+     * @returns {number} 점수 (높을수록 side에 유리)
+     */
+    evaluate(side) {
+        return this.units.reduce((score, unit) => {
+            if (!unit.alive) return score;
+            return score + this.getAlignment(side, unit) * (ALIVE_VALUE + Math.max(0, unit.health) / unit.maxHealth);
+        }, 0);
+    }
+}
+
+/**
+ * 계획을 상대 응수 뒤의 국면으로 평가
+ *
+ * @param {TacticalState} state - 계획을 적용한 상태
+ * @param {string} side - 계획 중인 진영 ID
+ * @returns {number} 점수
+ */
+function evaluateWithReplies(state, side) {
+    const reply = state.clone();
+    reply.simulateReplies(side);
+    return reply.evaluate(side);
+}
+
+/**
+ * 한 진영의 턴 계획
+ *
+ * 캐릭터 순서대로 후보 행동을 붙여 계획을 늘려 가며, 매 단계 점수가 높은 계획 beamWidth개만 남깁니다.
+ * 캐릭터 하나를 볼 때마다 시간/평가 한도를 확인하고, 넘으면 그때까지의 최선 계획을 반환합니다
+ * (계획에 없는 캐릭터는 호출하는 쪽에서 평소처럼 행동을 정함).
+ *
+ * @param {Object} data - 상태 데이터 ({@link TacticalState} 생성자 참고)
+ * @param {Object} options - 옵션
+ * @param {string} options.side - 계획할 진영 ID
+ * @param {number[]} options.unitIds - 행동 순서대로의 캐릭터 ID
+ * @param {number} [options.beamWidth=2] - 유지할 계획 수
+ * @param {number} [options.candidatesPerUnit] - 캐릭터 하나당 따져 볼 행동 수
+ * @param {number} [options.maxEvaluations] - 최대 평가 수
+ * @param {number} [options.timeBudget=Infinity] - 시간 한도 (밀리초)
+ * @param {Function} [options.now] - 현재 시각 함수 (밀리초)
+ * @returns {{actions: Array<{unitId: number, q: number, r: number, targetId: number|null}>, score: number, evaluations: number}}
+ */
+export function searchTurn(data, {
+    side,
+    unitIds,
+    beamWidth = 2,
+    candidatesPerUnit = LOOKAHEAD.CANDIDATES_PER_UNIT,
+    maxEvaluations = LOOKAHEAD.MAX_EVALUATIONS,
+    timeBudget = Infinity,
+    now = () => Date.now()
+}) {
+    const root = new TacticalState(data);
+    const deadline = now() + timeBudget;
+    let evaluations = 1;
+    let beam = [{ state: root, actions: [], score: evaluateWithReplies(root, side) }];
+
+    for (const unitId of unitIds) {
+        // 이 캐릭터를 다 볼 수 없으면 지금까지의 계획으로 마무리
+        if (now() > deadline || evaluations + beam.length * candidatesPerUnit > maxEvaluations) break;
+
+        const next = [];
+        beam.forEach(node => {
+            const unit = node.state.getUnit(unitId);
+            if (!unit || !unit.alive) {
+                next.push(node);
+                return;
+            }
+
+            node.state.getCandidates(unit).slice(0, candidatesPerUnit).forEach(candidate => {
+                const child = node.state.clone();
+                child.applyAction(child.getUnit(unitId), candidate);
+                evaluations++;
+
+                const { q, r, targetId } = candidate;
+                next.push({
+                    state: child,
+                    actions: [...node.actions, { unitId, q, r, targetId }],
+                    score: evaluateWithReplies(child, side)
+                });
+            });
+        });
+
+        // 점수가 같으면 먼저 만든 계획 유지 (같은 입력이면 같은 계획)
+        beam = next
+            .map((node, index) => ({ node, index }))
+            .sort((a, b) => b.node.score - a.node.score || a.index - b.index)
+            .slice(0, beamWidth)
+            .map(({ node }) => node);
+    }
+
+    const [best] = beam;
+    return { actions: best.actions, score: best.score, evaluations };
+}
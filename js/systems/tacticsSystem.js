@@ -0,0 +1,326 @@
+/**
+ * 전술 시스템
+ *
+ * AI 진영이 턴을 시작할 때 진영 공용 전술 정보를 만들고, 캐릭터들이 행동할 때마다 함께 참고하게 합니다.
+ * - 위협 지도: 타일마다 다음 턴에 그 타일을 공격할 수 있는 적대 캐릭터
+ * - 영향력 지도: 타일마다 아군 영향력 - 적대 영향력 (가까울수록 큼)
+ * - 대상 예약: 먼저 행동한 캐릭터가 공격한 대상을 예약해, 뒤 캐릭터들이 같은 대상을 집중 공격
+ * - 측면 공격: 아군이 이미 붙어 있는 대상을 반대편에서 공격할수록 높은 점수
+ * - 대열 유지: 턴 시작 때의 대열 중심에서 너무 멀어지지 않기
+ * 앞에 있는 캐릭터부터 행동하게 해(orderUnits) 뒤 캐릭터의 길을 막지 않습니다.
+ * 적대 캐릭터는 턴을 시작할 때 받은 판별 함수로 진영이 아는 캐릭터만 따집니다 (전장의 안개).
+ *
+ * @module tacticsSystem
+ */
+
+import { gameState } from '../core/gameState.js';
+import { TACTICS } from '../core/constants.js';
+import { cubeToPixel } from '../utils/hexMath.js';
+import { gridSystem } from './gridSystem.js';
+import { factionSystem } from './factionSystem.js';
+import { battleManager } from '../managers/battleManager.js';
+
+/**
+ * 캐릭터가 다음 턴에 공격할 수 있는 최대 거리 (이동 + 사거리)
+ *
+ * @param {Character} character - 캐릭터
+ * @returns {number} 타일 수
+ */
+function getReach(character) {
+    return character.movementRange + character.attackRange;
+}
+
+/**
+ * 전술 시스템 클래스
+ *
+ * @class TacticsSystem
+ */
+class TacticsSystem {
+    constructor() {
+        /**
+         * 전술 정보를 만든 진영 ID
+         * @type {string|null}
+         */
+        this.side = null;
+
+        /**
+         * 위협 지도 (타일 → 그 타일을 공격할 수 있는 적대 캐릭터)
+         * @type {Map<HexTile, Character[]>}
+         */
+        this.threatMap = new Map();
+
+        /**
+         * 영향력 지도 (타일 → 아군 영향력 - 적대 영향력)
+         * @type {Map<HexTile, number>}
+         */
+        this.influenceMap = new Map();
+
+        /**
+         * 대상 예약 (대상 캐릭터 ID → 공격한 캐릭터 ID 목록)
+         * @type {Map<number, Set<number>>}
+         */
+        this.reservations = new Map();
+
+        /**
+         * 이번 턴에 행동을 마친 캐릭터 ID
+         * @type {Set<number>}
+         */
+        this.acted = new Set();
+
+        /**
+         * 턴 시작 때 고른 집중 공격 대상
+         * @type {Character|null}
+         */
+        this.focusTarget = null;
+
+        /**
+         * 대열 중심 (큐브 좌표, 소수)
+         * @type {{q: number, r: number}|null}
+         */
+        this.anchor = null;
+
+        /**
+         * 진영이 아는 캐릭터인지 판별하는 함수 (전장의 안개에서 보이지 않는 캐릭터 제외)
+         * @type {function(Character): boolean}
+         */
+        this.knows = () => true;
+    }
+
+    /**
+     * 진영의 턴 전술 정보 생성
+     *
+     * @param {string} side - 턴을 진행할 진영 ID
+     * @param {function(Character): boolean} [knows] - 진영이 아는 캐릭터인지 판별 (생략하면 모두 앎)
+     */
+    beginTurn(side, knows = () => true) {
+        this.side = side;
+        this.knows = knows;
+        this.reservations.clear();
+        this.acted.clear();
+
+        const allies = this.getAllies();
+        const hostiles = this.getHostiles();
+
+        this.threatMap.clear();
+        this.influenceMap.clear();
+        gridSystem.allTiles.forEach(tile => {
+            this.threatMap.set(tile, hostiles.filter(hostile =>
+                hostile.currentTile.distanceTo(tile) <= getReach(hostile)
+            ));
+            this.influenceMap.set(tile,
+                allies.reduce((sum, ally) => sum + this.getInfluenceOf(ally, tile), 0)
+                - hostiles.reduce((sum, hostile) => sum + this.getInfluenceOf(hostile, tile), 0)
+            );
+        });
+
+        this.anchor = allies.length > 0 ? {
+            q: allies.reduce((sum, ally) => sum + ally.currentTile.q, 0) / allies.length,
+            r: allies.reduce((sum, ally) => sum + ally.currentTile.r, 0) / allies.length
+        } : null;
+
+        this.focusTarget = this.chooseFocusTarget();
+    }
+
+    /**
+     * 진영의 살아있는 캐릭터
+     *
+     * @returns {Character[]}
+     */
+    getAllies() {
+        return gameState.allCharacters.filter(character =>
+            character.isAlive() && factionSystem.isAllied(this.side, character.type)
+        );
+    }
+
+    /**
+     * 진영과 적대 관계인 살아있는 캐릭터 (진영이 아는 캐릭터만)
+     *
+     * @returns {Character[]}
+     */
+    getHostiles() {
+        return gameState.allCharacters.filter(character =>
+            character.isAlive() && factionSystem.isHostile(this.side, character.type) && this.knows(character)
+        );
+    }
+
+    /**
+     * 캐릭터가 타일에 미치는 영향력 (자기 타일 1, 공격 가능 거리 밖 0)
+     *
+     * @param {Character} character - 캐릭터
+     * @param {HexTile} tile - 타일
+     * @returns {number} 0~1
+     */
+    getInfluenceOf(character, tile) {
+        const reach = getReach(character);
+        return Math.max(0, 1 - character.currentTile.distanceTo(tile) / (reach + 1));
+    }
+
+    /**
+     * 행동 순서 정하기
+     *
+     * 가장 가까운 적대 캐릭터와의 거리가 가까운 캐릭터부터 행동해, 앞 캐릭터가 뒤 캐릭터의 길을 막지 않게 합니다.
+     * (거리가 같으면 원래 순서 유지)
+     * @param {Character[]} units - 행동할 캐릭터
+     * @returns {Character[]} 정렬된 새 배열
+     */
+    orderUnits(units) {
+        const hostiles = this.getHostiles();
+        const frontDistance = unit => hostiles.length === 0 ? 0
+            : Math.min(...hostiles.map(hostile => hostile.currentTile.distanceTo(unit.currentTile)));
+
+        return units
+            .map((unit, index) => ({ unit, index, distance: frontDistance(unit) }))
+            .sort((a, b) => a.distance - b.distance || a.index - b.index)
+            .map(({ unit }) => unit);
+    }
+
+    /**
+     * 집중 공격 대상 고르기
+     *
+     * 아직 행동하지 않은 아군이 이번 턴에 줄 수 있는 기대 데미지 합이 남은 체력에 비해 가장 큰 적대 캐릭터를 고릅니다.
+     * @returns {Character|null} 대상 (닿을 수 있는 대상이 없으면 null)
+     */
+    chooseFocusTarget() {
+        const attackers = this.getAllies().filter(ally => !this.acted.has(ally.id) && !ally.hasAttacked);
+
+        let best = null;
+        let bestScore = 0;
+        this.getHostiles().forEach(hostile => {
+            const damage = attackers.reduce((sum, ally) => {
+                if (ally.currentTile.distanceTo(hostile.currentTile) > getReach(ally)) return sum;
+                return sum + battleManager.estimateDamage(ally, hostile, ally.currentTile);
+            }, 0);
+
+            const score = damage / hostile.health;
+            if (score > bestScore) {
+                bestScore = score;
+                best = hostile;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * 지금의 집중 공격 대상
+     *
+     * 예약된 대상(이미 공격받은 대상) 중 공격한 아군이 가장 많은 대상, 없으면 턴 시작 때 고른 대상입니다.
+     * 대상이 쓰러지면 남은 아군 기준으로 다시 고릅니다.
+     * @returns {Character|null}
+     */
+    getFocusTarget() {
+        let reserved = null;
+        let reservedCount = 0;
+        this.reservations.forEach((attackers, targetId) => {
+            const target = gameState.getCharacterById(targetId);
+            if (target?.isAlive() && attackers.size > reservedCount) {
+                reserved = target;
+                reservedCount = attackers.size;
+            }
+        });
+        if (reserved) return reserved;
+
+        if (!this.focusTarget?.isAlive()) {
+            this.focusTarget = this.chooseFocusTarget();
+        }
+        return this.focusTarget;
+    }
+
+    /**
+     * 행동 확정 (대상 예약)
+     *
+     * @param {Character} unit - 행동하는 캐릭터
+     * @param {Object} action - aiSystem 행동 정보
+     */
+    commit(unit, action) {
+        this.acted.add(unit.id);
+
+        const target = action.target ?? action.attackTarget;
+        if (!target) return;
+
+        if (!this.reservations.has(target.id)) {
+            this.reservations.set(target.id, new Set());
+        }
+        this.reservations.get(target.id).add(unit.id);
+    }
+
+    /**
+     * 타일을 공격할 수 있는 적대 캐릭터 (위협 지도)
+     *
+     * @param {HexTile} tile - 타일
+     * @returns {Character[]} 살아있는 적대 캐릭터
+     */
+    getThreats(tile) {
+        return (this.threatMap.get(tile) || []).filter(hostile => hostile.isAlive());
+    }
+
+    /**
+     * 캐릭터가 타일에 서 있을 때 다음 턴에 받을 기대 데미지
+     *
+     * @param {Character} character - 캐릭터
+     * @param {HexTile} tile - 서 있을 타일
+     * @param {Character} [exclude] - 제외할 적대 캐릭터 (이번에 쓰러뜨릴 대상)
+     * @returns {number} 기대 데미지 합
+     */
+    getThreatDamage(character, tile, exclude = null) {
+        return this.getThreats(tile).reduce((sum, hostile) => {
+            if (hostile === exclude) return sum;
+            return sum + battleManager.estimateDamage(hostile, character, hostile.currentTile, tile);
+        }, 0);
+    }
+
+    /**
+     * 타일의 영향력 (양수면 아군 쪽, 음수면 적대 쪽)
+     *
+     * @param {HexTile} tile - 타일
+     * @returns {number}
+     */
+    getInfluence(tile) {
+        return this.influenceMap.get(tile) ?? 0;
+    }
+
+    /**
+     * 측면 공격 정도
+     *
+     * 대상을 사거리에 두고 있는 다른 아군과 대상을 사이에 두고 마주볼수록 1에 가깝습니다.
+     * @param {Character} unit - 공격할 캐릭터
+     * @param {HexTile} tile - 공격할 위치
+     * @param {Character} target - 대상
+     * @returns {number} 0~1 (대상 곁에 다른 아군이 없으면 0)
+     */
+    getFlankValue(unit, tile, target) {
+        const center = cubeToPixel(target.currentTile.q, target.currentTile.r);
+        const direction = hexTile => {
+            const { x, y } = cubeToPixel(hexTile.q, hexTile.r);
+            const length = Math.hypot(x - center.x, y - center.y) || 1;
+            return { x: (x - center.x) / length, y: (y - center.y) / length };
+        };
+
+        const from = direction(tile);
+        return this.getAllies().reduce((best, ally) => {
+            if (ally === unit || ally.currentTile.distanceTo(target.currentTile) > ally.attackRange) return best;
+
+            const other = direction(ally.currentTile);
+            const cos = from.x * other.x + from.y * other.y;
+            return Math.max(best, (1 - cos) / 2);
+        }, 0);
+    }
+
+    /**
+     * 대열 유지 정도
+     *
+     * @param {HexTile} tile - 서 있을 타일
+     * @returns {number} 0~1 (대열 중심에서 TACTICS.FORMATION_SPREAD 안이면 1, 두 배 거리부터 0)
+     */
+    getFormationValue(tile) {
+        if (!this.anchor) return 0;
+
+        const dq = tile.q - this.anchor.q;
+        const dr = tile.r - this.anchor.r;
+        const distance = (Math.abs(dq) + Math.abs(dq + dr) + Math.abs(dr)) / 2;
+        const spread = TACTICS.FORMATION_SPREAD;
+        return 1 - Math.min(1, Math.max(0, distance - spread) / spread);
+    }
+}
+
+// 싱글톤 인스턴스
+export const tacticsSystem = new TacticsSystem();
@@ -0,0 +1,185 @@
+/**
+ * 시야 시스템 (전장의 안개)
+ *
+ * 진영마다 자기 편(같은 진영과 동맹) 캐릭터가 볼 수 있는 타일을 계산합니다.
+ * 캐릭터는 시야(sightRange) 안에서 시야선(gridSystem.hasLineOfSight)이 닿는 타일을 보며, 인접한 타일은 항상 봅니다.
+ * 적대 캐릭터를 마지막으로 본 위치를 진영마다 기억해, 보이지 않게 된 뒤에도 그 위치를 알려줍니다.
+ * 커맨드가 실행/취소될 때마다 다시 계산하고 GameEvents.VISION_UPDATED를 보냅니다.
+ * 꺼져 있으면(기본값) 모든 타일과 캐릭터가 보이는 것으로 취급합니다.
+ *
+ * @module visionSystem
+ */
+
+import { gameState } from '../core/gameState.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { gridSystem } from './gridSystem.js';
+import { factionSystem } from './factionSystem.js';
+
+/**
+ * 시야를 다시 계산하는 이벤트 (보드 상태가 바뀌는 시점)
+ * @type {string[]}
+ */
+const REFRESH_EVENTS = [
+    'command:executed', 'command:undone', 'command:redone', 'history:loaded',
+    GameEvents.GAME_STARTED, GameEvents.GAME_LOADED, GameEvents.TURN_CHANGED
+];
+
+/**
+ * 시야 시스템 클래스
+ *
+ * @class VisionSystem
+ */
+class VisionSystem {
+    constructor() {
+        /**
+         * 전장의 안개 사용 여부
+         * @type {boolean}
+         */
+        this.enabled = false;
+
+        /**
+         * 진영별로 보이는 타일 (진영 ID → 타일 집합)
+         * @type {Map<string, Set<HexTile>>}
+         */
+        this.visibleTiles = new Map();
+
+        /**
+         * 진영별로 적대 캐릭터를 마지막으로 본 위치 (진영 ID → 캐릭터 ID → {character, tile})
+         * @type {Map<string, Map<number, {character: Character, tile: HexTile}>>}
+         */
+        this.lastKnown = new Map();
+
+        /**
+         * 이벤트를 구독했는지 여부
+         * @type {boolean}
+         */
+        this.subscribed = false;
+    }
+
+    /**
+     * 전장의 안개 사용 설정 (켜면 기억을 비우고 바로 계산)
+     *
+     * @param {boolean} enabled - 사용 여부
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.reset();
+
+        if (enabled && !this.subscribed) {
+            this.subscribed = true;
+            REFRESH_EVENTS.forEach(event => eventBus.on(event, () => this.refresh()));
+        }
+        this.refresh();
+    }
+
+    /**
+     * 계산 결과와 기억 비우기
+     */
+    reset() {
+        this.visibleTiles.clear();
+        this.lastKnown.clear();
+    }
+
+    /**
+     * 모든 진영의 시야를 다시 계산하고 마지막으로 본 위치 갱신
+     *
+     * 지금 보이는 적대 캐릭터는 위치를 기억하고, 기억한 위치가 보이는데 거기에 없으면(떠났거나 쓰러짐) 잊습니다.
+     */
+    refresh() {
+        if (!this.enabled) {
+            eventBus.emit(GameEvents.VISION_UPDATED, { enabled: false });
+            return;
+        }
+
+        const characters = gameState.allCharacters.filter(character => character.isAlive() && character.currentTile);
+        const sides = [...new Set(characters.map(character => character.type))];
+
+        this.visibleTiles.clear();
+        sides.forEach(side => {
+            const visible = this.computeVisibleTiles(side, characters);
+            this.visibleTiles.set(side, visible);
+
+            if (!this.lastKnown.has(side)) {
+                this.lastKnown.set(side, new Map());
+            }
+            const memory = this.lastKnown.get(side);
+
+            memory.forEach(({ character, tile }, id) => {
+                if (!character.isAlive() || (visible.has(tile) && character.currentTile !== tile)) {
+                    memory.delete(id);
+                }
+            });
+            characters.forEach(character => {
+                if (factionSystem.isHostile(side, character.type) && visible.has(character.currentTile)) {
+                    memory.set(character.id, { character, tile: character.currentTile });
+                }
+            });
+        });
+
+        eventBus.emit(GameEvents.VISION_UPDATED, { enabled: true });
+    }
+
+    /**
+     * 진영이 볼 수 있는 타일 계산
+     *
+     * @param {string} side - 진영 ID
+     * @param {Character[]} characters - 보드 위의 살아있는 캐릭터
+     * @returns {Set<HexTile>} 보이는 타일
+     */
+    computeVisibleTiles(side, characters) {
+        const visible = new Set();
+
+        characters.forEach(viewer => {
+            if (!factionSystem.isAllied(side, viewer.type)) return;
+
+            const from = viewer.currentTile;
+            gridSystem.getTilesInRange(from, viewer.sightRange).forEach(tile => {
+                if (visible.has(tile)) return;
+                if (from.distanceTo(tile) <= 1 || gridSystem.hasLineOfSight(from, tile, viewer)) {
+                    visible.add(tile);
+                }
+            });
+        });
+
+        return visible;
+    }
+
+    /**
+     * 진영이 타일을 볼 수 있는지 확인
+     *
+     * @param {string} side - 진영 ID
+     * @param {HexTile} tile - 타일
+     * @returns {boolean} 안개가 꺼져 있으면 항상 true
+     */
+    isTileVisible(side, tile) {
+        if (!this.enabled) return true;
+        return this.visibleTiles.get(side)?.has(tile) ?? false;
+    }
+
+    /**
+     * 진영이 캐릭터를 볼 수 있는지 확인
+     *
+     * @param {string} side - 진영 ID
+     * @param {Character} character - 캐릭터
+     * @returns {boolean} 자기 편이거나 안개가 꺼져 있으면 항상 true
+     */
+    canSee(side, character) {
+        if (!this.enabled || factionSystem.isAllied(side, character.type)) return true;
+        return !!character.currentTile && this.isTileVisible(side, character.currentTile);
+    }
+
+    /**
+     * 진영이 지금은 볼 수 없지만 위치를 기억하는 적대 캐릭터
+     *
+     * @param {string} side - 진영 ID
+     * @returns {Array<{character: Character, tile: HexTile}>} 캐릭터와 마지막으로 본 타일
+     */
+    getLastKnown(side) {
+        if (!this.enabled) return [];
+        return [...(this.lastKnown.get(side)?.values() ?? [])]
+            .filter(({ character }) => !this.canSee(side, character));
+    }
+}
+
+// 싱글톤 인스턴스
+export const visionSystem = new VisionSystem();
@@ -0,0 +1,198 @@
+/**
+ * 분기 나무
+ *
+ * 통합 컨트롤 패널의 리플레이 탭에서 커맨드 히스토리의 분기를 보여주는 UI 컴포넌트입니다.
+ * 실행 취소한 뒤 다른 행동을 하면 생기는 분기를 갈림길마다 들여쓴 목록으로 표시하고,
+ * 항목을 누르면 그 분기의 끝으로 옮겨가 "그때 공격했다면" 같은 다른 전개를 오갈 수 있습니다.
+ *
+ * @module branchTree
+ */
+
+import { eventBus } from '../core/eventBus.js';
+import { CommandType } from '../commands/Command.js';
+import { commandHistory } from '../managers/commandHistory.js';
+import { replayManager } from '../managers/replayManager.js';
+import { skillSystem } from '../systems/skillSystem.js';
+
+/**
+ * 커맨드 한 줄 설명
+ *
+ * @param {Command} command - 커맨드
+ * @returns {string} 설명
+ */
+function describeCommand(command) {
+    const { data } = command;
+    switch (command.type) {
+        case CommandType.MOVE:
+            return `${data.character.name} 이동`;
+        case CommandType.ATTACK:
+            return `${data.attacker.name} → ${data.target.name} 공격`;
+        case CommandType.USE_SKILL:
+            return `${data.caster.name} ${skillSystem.getSkill(data.skillId)?.name ?? data.skillId}`;
+        case CommandType.END_TURN:
+            return `턴 ${data.turnCount} 종료`;
+        default:
+            return command.type;
+    }
+}
+
+/**
+ * 분기 나무 클래스
+ *
+ * @class BranchTree
+ */
+class BranchTree {
+    constructor() {
+        /**
+         * 분기 나무 엘리먼트
+         * @type {HTMLElement}
+         */
+        this.element = null;
+
+        /**
+         * 메시지 출력 함수 (패널 로그)
+         * @type {Function}
+         */
+        this.log = () => {};
+    }
+
+    /**
+     * 초기화
+     *
+     * @param {HTMLElement} parent - 분기 나무를 붙일 엘리먼트
+     * @param {Object} [options] - 옵션
+     * @param {Function} [options.log] - (message) => void, 실패 메시지 출력
+     */
+    init(parent, { log } = {}) {
+        if (log) this.log = log;
+
+        this.element = document.createElement('div');
+        this.element.className = 'branch-tree';
+        parent.appendChild(this.element);
+
+        this.element.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-branch]');
+            if (item) {
+                this.switchTo(item.dataset.branch);
+            }
+        });
+
+        const update = () => this.update();
+        [
+            'command:executed', 'command:undone', 'command:redone',
+            'history:loaded', 'history:seeked', 'history:switched'
+        ].forEach(event => eventBus.on(event, update));
+
+        this.update();
+    }
+
+    /**
+     * 분기로 옮겨가기 (실패 시 로그 출력)
+     *
+     * @param {string} commandId - 분기 끝의 커맨드 ID
+     */
+    async switchTo(commandId) {
+        try {
+            await replayManager.switchBranch(commandId);
+        } catch (error) {
+            console.error('분기 전환 실패:', error);
+            this.log(`분기 전환 실패: ${error.message}`);
+        }
+    }
+
+    /**
+     * 분기 목록 다시 그리기
+     */
+    update() {
+        if (!this.element) return;
+
+        const branches = commandHistory.getBranches();
+        if (branches.length <= 1) {
+            this.element.innerHTML = '<div class="branch-tree-empty">분기 없음 · 실행 취소한 뒤 다른 행동을 하면 분기가 생깁니다</div>';
+            return;
+        }
+
+        const rows = branches.map(branch => {
+            const from = branch.startIndex + 1;
+            const to = branch.startIndex + branch.commands.length;
+            const classes = ['branch-tree-item'];
+            if (branch.isActive) classes.push('active');
+            if (branch.isCurrent) classes.push('current');
+
+            return `
+                <div class="${classes.join(' ')}" data-branch="${branch.lastId}" style="padding-left: ${branch.depth * 14 + 6}px">
+                    <span class="branch-tree-mark">${branch.depth > 0 ? '└' : '●'}</span>
+                    <span class="branch-tree-label"></span>
+                    <span class="branch-tree-range">#${from}~#${to}</span>
+                </div>
+            `;
+        });
+
+        this.element.innerHTML = `
+            <div class="branch-tree-header">분기 ${commandHistory.getLeafCount()}개</div>
+            ${rows.join('')}
+        `;
+
+        // 캐릭터 이름은 맵 데이터에서 오므로 textContent로 설정
+        this.element.querySelectorAll('.branch-tree-item').forEach((item, index) => {
+            const { commands } = branches[index];
+            const more = commands.length > 1 ? ` 외 ${commands.length - 1}개` : '';
+            item.querySelector('.branch-tree-label').textContent = `${describeCommand(commands[0])}${more}`;
+            item.title = commands.map(describeCommand).join('\n');
+        });
+    }
+}
+
+// 싱글톤 인스턴스
+export const branchTree = new BranchTree();
+
+// CSS 스타일 추가
+const style = document.createElement('style');
+style.textContent = `
+    .branch-tree {
+        max-height: 160px;
+        overflow-y: auto;
+        margin-bottom: 15px;
+        font-size: 12px;
+    }
+
+    .branch-tree-empty,
+    .branch-tree-header {
+        color: #888;
+        margin-bottom: 4px;
+    }
+
+    .branch-tree-item {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 3px 6px;
+        border-radius: 4px;
+        color: #999;
+        cursor: pointer;
+    }
+
+    .branch-tree-item:hover {
+        background: #3a3a3a;
+    }
+
+    .branch-tree-item.active {
+        color: white;
+    }
+
+    .branch-tree-item.current {
+        background: #2a4a6a;
+    }
+
+    .branch-tree-label {
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+
+    .branch-tree-range {
+        color: #777;
+    }
+`;
+document.head.appendChild(style);
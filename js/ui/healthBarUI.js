@@ -2,13 +2,14 @@
  * 2D 체력바 UI 시스템
  * 
  * 3D 캐릭터의 위치를 2D 화면 좌표로 변환하여
- * HTML/CSS 기반의 체력바를 표시합니다.
+ * HTML/CSS 기반의 체력바와 상태 효과 아이콘을 표시합니다.
  * 
  * @module healthBarUI
  */
 
 import * as THREE from 'three';
 import { sceneSetup } from '../core/sceneSetup.js';
+import { STATUS_EFFECTS } from '../systems/statusEffectSystem.js';
 
 /**
  * 체력바 UI 관리 클래스
@@ -79,6 +80,10 @@ export class HealthBarUI {
                 opacity: 0;
             }
             
+            .character-health-bar.fogged {
+                visibility: hidden;
+            }
+            
             .health-bar-fill {
                 height: 100%;
                 border-radius: 3px;
@@ -121,6 +126,41 @@ export class HealthBarUI {
                 margin-bottom: 2px;
                 font-family: Arial, sans-serif;
             }
+            
+            .status-icons {
+                position: absolute;
+                top: 50%;
+                left: 100%;
+                transform: translateY(-50%);
+                display: flex;
+                gap: 1px;
+                margin-left: 3px;
+                white-space: nowrap;
+            }
+            
+            .status-icon {
+                position: relative;
+                font-size: 11px;
+                line-height: 1;
+            }
+            
+            .status-icon.debuff {
+                filter: drop-shadow(0 0 2px #F44336);
+            }
+            
+            .status-icon.buff {
+                filter: drop-shadow(0 0 2px #4CAF50);
+            }
+            
+            .status-icon-count {
+                position: absolute;
+                right: -3px;
+                bottom: -4px;
+                font-size: 8px;
+                color: white;
+                text-shadow: 1px 1px 1px black;
+                font-family: Arial, sans-serif;
+            }
         `;
         document.head.appendChild(style);
     }
@@ -137,6 +177,7 @@ export class HealthBarUI {
         healthBar.innerHTML = `
             <div class="character-name">${character.name}</div>
             <div class="health-bar-fill high" style="width: 100%"></div>
+            <div class="status-icons"></div>
         `;
         
         this.container.appendChild(healthBar);
@@ -172,10 +213,45 @@ export class HealthBarUI {
             fill.classList.add('low');
         }
         
-        // 죽은 캐릭터는 체력바 숨김
-        if (character.health <= 0) {
-            healthBar.classList.add('hidden');
-        }
+        this.updateStatusIcons(healthBar, character);
+        
+        // 죽은 캐릭터는 체력바 숨김 (실행 취소로 부활하면 다시 표시)
+        healthBar.classList.toggle('hidden', character.health <= 0);
+    }
+    
+    /**
+     * 전장의 안개에 가려진 캐릭터의 체력바 숨김
+     * 
+     * 위치 갱신(updateHealthBarPosition)이 display를 바꾸므로 visibility로 숨깁니다.
+     * @param {Character} character - 캐릭터 객체
+     * @param {boolean} hidden - 숨김 여부
+     */
+    setHidden(character, hidden) {
+        this.healthBars.get(character.id)?.classList.toggle('fogged', hidden);
+    }
+    
+    /**
+     * 체력바 옆 상태 효과 아이콘 업데이트
+     * 
+     * 중첩된 효과는 중첩 수를, 그 외에는 남은 턴 수를 아이콘 구석에 표시합니다.
+     * @param {HTMLElement} healthBar - 체력바 요소
+     * @param {Character} character - 캐릭터 객체
+     */
+    updateStatusIcons(healthBar, character) {
+        const icons = healthBar.querySelector('.status-icons');
+        
+        icons.innerHTML = (character.statusEffects || []).map(effect => {
+            const definition = STATUS_EFFECTS[effect.id];
+            if (!definition) return '';
+            
+            const count = effect.stacks > 1 ? `×${effect.stacks}` : effect.duration;
+            return `
+                <span class="status-icon ${definition.debuff ? 'debuff' : 'buff'}"
+                      title="${definition.name} (${effect.duration}턴)">
+                    ${definition.icon}<span class="status-icon-count">${count}</span>
+                </span>
+            `;
+        }).join('');
     }
     
     /**
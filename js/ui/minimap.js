@@ -0,0 +1,404 @@
+/**
+ * 미니맵
+ *
+ * 화면 오른쪽 위에 보드 전체를 2D 캔버스로 그리는 UI 컴포넌트입니다.
+ * 타일은 지형/하이라이트 색상으로, 캐릭터는 진영 색상의 점으로(플레이어가 조작하는 진영은 흰 테두리),
+ * 카메라가 지금 비추는 바닥 영역은 사각형 테두리로 그립니다. 미니맵을 누르면 그 위치로 카메라를 옮깁니다.
+ * 매 프레임 그리지 않고 캐릭터 이동/사망 같은 보드 이벤트가 오거나 카메라가 움직였을 때만 다시 그립니다.
+ * 전장의 안개가 켜져 있으면 안개 낀 타일은 어둡게, 숨겨진 캐릭터는 빼고 마지막으로 본 위치만 빈 원으로 그립니다.
+ *
+ * @module minimap
+ */
+
+import * as THREE from 'three';
+import { HEX_SIZE, MINIMAP, FOG } from '../core/constants.js';
+import { gameState } from '../core/gameState.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { sceneSetup } from '../core/sceneSetup.js';
+import { cameraControls } from '../controls/cameraControls.js';
+import { gridSystem } from '../systems/gridSystem.js';
+import { factionSystem } from '../systems/factionSystem.js';
+import { fogView } from '../views/fogView.js';
+
+/**
+ * 다시 그리는 이벤트 (보드 위의 모습이 바뀌는 시점)
+ * @type {string[]}
+ */
+const REDRAW_EVENTS = [
+    GameEvents.GRID_CREATED, GameEvents.CHARACTER_ADDED,
+    GameEvents.CHARACTER_MOVED, GameEvents.CHARACTER_DIED,
+    GameEvents.SELECTION_CHANGED, GameEvents.TURN_CHANGED,
+    GameEvents.VISION_UPDATED, GameEvents.GAME_LOADED,
+    'command:undone', 'command:redone', 'history:loaded'
+];
+
+/**
+ * 카메라 시야 사각형의 모서리 (정규화 장치 좌표, 반시계 방향)
+ * @type {number[][]}
+ */
+const FRUSTUM_CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+/**
+ * 숫자 색상을 CSS 색상으로 변환
+ *
+ * @param {number} color - 0xRRGGBB
+ * @param {number} [brightness=1] - 밝기 배율
+ * @returns {string} rgb(r, g, b)
+ */
+function toStyle(color, brightness = 1) {
+    const r = Math.round(((color >> 16) & 0xff) * brightness);
+    const g = Math.round(((color >> 8) & 0xff) * brightness);
+    const b = Math.round((color & 0xff) * brightness);
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * 미니맵 클래스
+ *
+ * @class Minimap
+ */
+class Minimap {
+    constructor() {
+        /**
+         * 미니맵 캔버스
+         * @type {HTMLCanvasElement}
+         */
+        this.element = null;
+
+        /**
+         * 2D 그리기 컨텍스트
+         * @type {CanvasRenderingContext2D}
+         */
+        this.context = null;
+
+        /**
+         * 월드 좌표 → 캔버스 좌표 변환 {scale, offsetX, offsetY} (그릴 때마다 보드 크기에 맞춰 계산)
+         * @type {Object|null}
+         */
+        this.transform = null;
+
+        /**
+         * 예약된 다시 그리기 요청 ID
+         * @type {number|null}
+         */
+        this.frameRequest = null;
+
+        /**
+         * 마지막으로 그린 카메라 상태 (위치와 방향을 이어 붙인 문자열)
+         * @type {string}
+         */
+        this.cameraKey = '';
+
+        /**
+         * 카메라 시야를 바닥에 투영할 때 쓰는 레이캐스터
+         * @type {THREE.Raycaster}
+         */
+        this.raycaster = new THREE.Raycaster();
+
+        /**
+         * 바닥 평면 (y = 0)
+         * @type {THREE.Plane}
+         */
+        this.ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    }
+
+    /**
+     * 초기화
+     */
+    init() {
+        this.createElement();
+        this.subscribeToEvents();
+
+        // 카메라는 매 프레임 확인하지 않고, 움직였을 때만 다시 그림
+        setInterval(() => {
+            if (this.getCameraKey() !== this.cameraKey) {
+                this.requestDraw();
+            }
+        }, MINIMAP.CAMERA_CHECK_INTERVAL);
+
+        this.requestDraw();
+    }
+
+    /**
+     * 캔버스 생성 (고해상도 화면에서도 선명하도록 devicePixelRatio만큼 크게 그림)
+     */
+    createElement() {
+        const ratio = window.devicePixelRatio || 1;
+
+        this.element = document.createElement('canvas');
+        this.element.className = 'minimap';
+        this.element.width = MINIMAP.SIZE * ratio;
+        this.element.height = MINIMAP.SIZE * ratio;
+        this.element.title = '누르면 그 위치로 카메라 이동';
+
+        this.context = this.element.getContext('2d');
+        this.context.scale(ratio, ratio);
+
+        this.element.addEventListener('click', (e) => this.handleClick(e));
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * 이벤트 구독
+     */
+    subscribeToEvents() {
+        REDRAW_EVENTS.forEach(event => eventBus.on(event, () => this.requestDraw()));
+    }
+
+    /**
+     * 다시 그리기 예약 (같은 프레임에 여러 이벤트가 와도 한 번만 그림)
+     */
+    requestDraw() {
+        if (this.frameRequest !== null) return;
+
+        this.frameRequest = requestAnimationFrame(() => {
+            this.frameRequest = null;
+            this.draw();
+        });
+    }
+
+    /**
+     * 미니맵 그리기
+     */
+    draw() {
+        const ctx = this.context;
+        ctx.clearRect(0, 0, MINIMAP.SIZE, MINIMAP.SIZE);
+
+        const tiles = gridSystem.allTiles;
+        if (tiles.length === 0) {
+            this.transform = null;
+            return;
+        }
+
+        this.transform = this.computeTransform(tiles);
+        tiles.forEach(tile => this.drawTile(tile));
+        this.drawCharacters();
+        this.drawCameraFootprint();
+    }
+
+    /**
+     * 보드 전체가 캔버스에 들어가도록 변환 계산
+     *
+     * @param {HexTile[]} tiles - 모든 타일
+     * @returns {Object} {scale, offsetX, offsetY}
+     */
+    computeTransform(tiles) {
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        tiles.forEach(tile => {
+            const { x, z } = tile.getPixelPosition();
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minZ = Math.min(minZ, z);
+            maxZ = Math.max(maxZ, z);
+        });
+
+        const width = maxX - minX + HEX_SIZE * 2;
+        const height = maxZ - minZ + HEX_SIZE * 2;
+        const available = MINIMAP.SIZE - MINIMAP.PADDING * 2;
+        const scale = available / Math.max(width, height);
+
+        return {
+            scale,
+            offsetX: MINIMAP.SIZE / 2 - ((minX + maxX) / 2) * scale,
+            offsetY: MINIMAP.SIZE / 2 - ((minZ + maxZ) / 2) * scale
+        };
+    }
+
+    /**
+     * 월드 좌표 → 캔버스 좌표
+     *
+     * @param {number} x - 월드 X
+     * @param {number} z - 월드 Z
+     * @returns {{x: number, y: number}}
+     */
+    toCanvas(x, z) {
+        const { scale, offsetX, offsetY } = this.transform;
+        return { x: x * scale + offsetX, y: z * scale + offsetY };
+    }
+
+    /**
+     * 캔버스 좌표 → 월드 좌표
+     *
+     * @param {number} x - 캔버스 X
+     * @param {number} y - 캔버스 Y
+     * @returns {{x: number, z: number}}
+     */
+    toWorld(x, y) {
+        const { scale, offsetX, offsetY } = this.transform;
+        return { x: (x - offsetX) / scale, z: (y - offsetY) / scale };
+    }
+
+    /**
+     * 타일 그리기 (하이라이트 중이면 하이라이트 색상, 안개가 끼었으면 어둡게)
+     *
+     * @param {HexTile} tile - 타일
+     */
+    drawTile(tile) {
+        const ctx = this.context;
+        const { x, z } = tile.getPixelPosition();
+        const center = this.toCanvas(x, z);
+        const radius = HEX_SIZE * this.transform.scale;
+
+        const highlighted = tile.state.isHighlighted && tile.highlightColor !== null;
+        const color = highlighted ? tile.highlightColor : tile.originalColor;
+        const brightness = tile.state.isFogged && !highlighted ? FOG.TILE_DIM : 1;
+
+        // 평평한 면이 위아래인 육각형 (gridSystem 좌표계와 같음)
+        ctx.beginPath();
+        for (let i = 0; i < 6; i++) {
+            const angle = (Math.PI / 3) * i;
+            const px = center.x + radius * Math.cos(angle);
+            const py = center.y + radius * Math.sin(angle);
+            if (i === 0) {
+                ctx.moveTo(px, py);
+            } else {
+                ctx.lineTo(px, py);
+            }
+        }
+        ctx.closePath();
+        ctx.fillStyle = toStyle(color, brightness);
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.lineWidth = 0.5;
+        ctx.stroke();
+    }
+
+    /**
+     * 캐릭터와 마지막으로 본 위치 그리기
+     */
+    drawCharacters() {
+        const ctx = this.context;
+        const radius = Math.max(2, HEX_SIZE * MINIMAP.MARKER_RADIUS * this.transform.scale);
+
+        // 전장의 안개: 마지막으로 본 위치는 진영 색상의 빈 원
+        fogView.ghosts.forEach(({ tile }, id) => {
+            const character = gameState.allCharacters.find(c => c.id === id);
+            if (!character) return;
+
+            const { x, z } = tile.getPixelPosition();
+            const point = this.toCanvas(x, z);
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+            ctx.strokeStyle = factionSystem.getColorStyle(character.type);
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        });
+
+        gameState.allCharacters.forEach(character => {
+            if (!character.isAlive() || !character.currentTile || character.view?.isHidden) return;
+
+            const { x, z } = character.currentTile.getPixelPosition();
+            const point = this.toCanvas(x, z);
+            const isPlayer = factionSystem.isHumanControlled(character.type);
+
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = factionSystem.getColorStyle(character.type);
+            ctx.fill();
+            ctx.strokeStyle = isPlayer ? 'white' : 'rgba(0, 0, 0, 0.6)';
+            ctx.lineWidth = character === gameState.selectedCharacter ? 2.5 : 1;
+            ctx.stroke();
+        });
+    }
+
+    /**
+     * 카메라가 비추는 바닥 영역 그리기
+     */
+    drawCameraFootprint() {
+        const ctx = this.context;
+        const footprint = this.getCameraFootprint();
+
+        ctx.beginPath();
+        footprint.forEach((corner, i) => {
+            const point = this.toCanvas(corner.x, corner.z);
+            if (i === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.closePath();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+
+        this.cameraKey = this.getCameraKey();
+    }
+
+    /**
+     * 화면 네 모서리를 바닥(y = 0)에 투영한 점
+     *
+     * 지평선 위를 향하는 모서리는 바닥과 만나지 않으므로, 카메라 앞 최대 거리의 점을 바닥으로 내려 씁니다.
+     * @returns {THREE.Vector3[]} 바닥 위의 네 점
+     */
+    getCameraFootprint() {
+        const camera = sceneSetup.camera;
+        const ndc = new THREE.Vector2();
+
+        return FRUSTUM_CORNERS.map(([x, y]) => {
+            ndc.set(x, y);
+            this.raycaster.setFromCamera(ndc, camera);
+
+            const point = new THREE.Vector3();
+            const { ray } = this.raycaster;
+            if (!ray.intersectPlane(this.ground, point) || point.distanceTo(ray.origin) > camera.far) {
+                ray.at(camera.far, point);
+                point.y = 0;
+            }
+            return point;
+        });
+    }
+
+    /**
+     * 카메라 상태 문자열 (움직였는지 비교용)
+     *
+     * @returns {string}
+     */
+    getCameraKey() {
+        const camera = sceneSetup.camera;
+        if (!camera) return '';
+
+        const { position, quaternion } = camera;
+        return [position.x, position.y, position.z, quaternion.x, quaternion.y, quaternion.z, quaternion.w]
+            .map(value => value.toFixed(2))
+            .join(',');
+    }
+
+    /**
+     * 미니맵 클릭 - 누른 위치로 카메라 이동
+     *
+     * @param {MouseEvent} e - 클릭 이벤트
+     */
+    handleClick(e) {
+        if (!this.transform) return;
+
+        const rect = this.element.getBoundingClientRect();
+        const { x, z } = this.toWorld(
+            (e.clientX - rect.left) * (MINIMAP.SIZE / rect.width),
+            (e.clientY - rect.top) * (MINIMAP.SIZE / rect.height)
+        );
+
+        cameraControls.moveTo(new THREE.Vector3(x, 0, z), MINIMAP.MOVE_DURATION);
+    }
+}
+
+// 싱글톤 인스턴스
+export const minimap = new Minimap();
+
+// CSS 스타일 추가
+const style = document.createElement('style');
+style.textContent = `
+    .minimap {
+        position: fixed;
+        top: 10px;
+        right: 10px;
+        width: ${MINIMAP.SIZE}px;
+        height: ${MINIMAP.SIZE}px;
+        background: rgba(0, 0, 0, 0.6);
+        border: 1px solid #555;
+        border-radius: 6px;
+        cursor: pointer;
+        z-index: 900;
+    }
+`;
+document.head.appendChild(style);
@@ -0,0 +1,164 @@
+/**
+ * 기기 넘기기 화면
+ *
+ * 핫시트 모드에서 조작할 플레이어가 바뀔 때 보드를 가리고 다음 플레이어를 안내하는 UI 컴포넌트입니다.
+ * 다음 플레이어가 버튼을 눌러야 보드가 다시 보입니다.
+ *
+ * @module passDeviceCurtain
+ */
+
+/**
+ * 기기 넘기기 화면 클래스
+ *
+ * @class PassDeviceCurtain
+ */
+class PassDeviceCurtain {
+    constructor() {
+        /**
+         * 화면 엘리먼트
+         * @type {HTMLElement}
+         */
+        this.element = null;
+
+        /**
+         * 표시 여부
+         * @type {boolean}
+         */
+        this.visible = false;
+
+        /**
+         * 다음 플레이어가 준비 버튼을 눌렀을 때 호출
+         * @type {Function|null}
+         */
+        this.onContinue = null;
+    }
+
+    /**
+     * 초기화
+     */
+    init() {
+        this.createElement();
+    }
+
+    /**
+     * 엘리먼트 생성
+     */
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.id = 'pass-device-curtain';
+        this.element.className = 'pass-device-curtain';
+        this.element.innerHTML = `
+            <div class="pass-device-content">
+                <div class="pass-device-icon">🔄</div>
+                <div class="pass-device-title"></div>
+                <div class="pass-device-subtitle">기기를 넘겨주세요</div>
+                <button class="pass-device-btn">준비 완료</button>
+            </div>
+        `;
+
+        this.element.querySelector('.pass-device-btn').addEventListener('click', () => {
+            this.hide();
+            if (this.onContinue) {
+                this.onContinue();
+            }
+        });
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * 표시
+     *
+     * @param {string} label - 다음 플레이어 이름
+     * @param {string} color - 다음 플레이어 진영 색상 (CSS)
+     */
+    show(label, color) {
+        if (!this.element) return;
+
+        const title = this.element.querySelector('.pass-device-title');
+        title.textContent = `${label} 차례입니다`;
+        title.style.color = color;
+
+        this.element.style.display = 'flex';
+        this.visible = true;
+    }
+
+    /**
+     * 숨기기
+     */
+    hide() {
+        if (!this.element) return;
+
+        this.element.style.display = 'none';
+        this.visible = false;
+    }
+
+    /**
+     * 제거
+     */
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+        this.visible = false;
+    }
+}
+
+// 싱글톤 인스턴스
+export const passDeviceCurtain = new PassDeviceCurtain();
+
+// CSS 스타일 추가
+const style = document.createElement('style');
+style.textContent = `
+    .pass-device-curtain {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        display: none;
+        justify-content: center;
+        align-items: center;
+        background: #111;
+        z-index: 5000;
+        font-family: Arial, sans-serif;
+        color: white;
+    }
+
+    .pass-device-content {
+        text-align: center;
+    }
+
+    .pass-device-icon {
+        font-size: 64px;
+        margin-bottom: 20px;
+    }
+
+    .pass-device-title {
+        font-size: 36px;
+        font-weight: bold;
+        margin-bottom: 10px;
+    }
+
+    .pass-device-subtitle {
+        font-size: 18px;
+        color: #aaa;
+        margin-bottom: 30px;
+    }
+
+    .pass-device-btn {
+        padding: 12px 32px;
+        border: none;
+        border-radius: 6px;
+        background: #4CAF50;
+        color: white;
+        font-size: 18px;
+        cursor: pointer;
+    }
+
+    .pass-device-btn:hover {
+        background: #45a049;
+    }
+`;
+document.head.appendChild(style);
@@ -178,6 +178,9 @@ class ReplayControl {
             this.updateUI();
             this.showCommandStatus(`재실행: ${data.command.type}`, 'redone');
         });
+        eventBus.on('history:loaded', () => {
+            this.updateUI();
+        });
         
         // 리플레이 이벤트
         eventBus.on('replay:started', () => {
@@ -0,0 +1,289 @@
+/**
+ * 리플레이 타임라인
+ *
+ * 통합 컨트롤 패널의 리플레이 탭에 붙는 타임라인 UI 컴포넌트입니다.
+ * 커맨드 히스토리 전체를 슬라이더로 보여주고 턴이 끝난 위치마다 눈금을 표시하며,
+ * 슬라이더를 끌어 아무 위치로나(뒤로도) 이동하고 재생/일시 정지/한 단계 이동을 할 수 있습니다.
+ * 리플레이 파일 내보내기와 불러오기 버튼도 함께 제공합니다.
+ *
+ * @module replayTimeline
+ */
+
+import { eventBus } from '../core/eventBus.js';
+import { commandHistory } from '../managers/commandHistory.js';
+import { replayManager } from '../managers/replayManager.js';
+import { factionSystem } from '../systems/factionSystem.js';
+
+/**
+ * 리플레이 타임라인 클래스
+ *
+ * @class ReplayTimeline
+ */
+class ReplayTimeline {
+    constructor() {
+        /**
+         * 타임라인 엘리먼트
+         * @type {HTMLElement}
+         */
+        this.element = null;
+
+        /**
+         * UI 엘리먼트들
+         * @type {Object}
+         */
+        this.elements = {};
+
+        /**
+         * 슬라이더를 끄는 중인지 여부 (끄는 동안에는 현재 위치로 되돌리지 않음)
+         * @type {boolean}
+         */
+        this.isScrubbing = false;
+
+        /**
+         * 메시지 출력 함수 (패널 로그)
+         * @type {Function}
+         */
+        this.log = () => {};
+    }
+
+    /**
+     * 초기화
+     *
+     * @param {HTMLElement} parent - 타임라인을 붙일 엘리먼트
+     * @param {Object} [options] - 옵션
+     * @param {Function} [options.log] - (message) => void, 실패 메시지 출력
+     */
+    init(parent, { log } = {}) {
+        if (log) this.log = log;
+
+        this.createElement(parent);
+        this.attachEventListeners();
+        this.subscribeToEvents();
+        this.update();
+    }
+
+    /**
+     * 엘리먼트 생성
+     *
+     * @param {HTMLElement} parent - 부모 엘리먼트
+     */
+    createElement(parent) {
+        this.element = document.createElement('div');
+        this.element.className = 'replay-timeline';
+        this.element.innerHTML = `
+            <div class="replay-timeline-badge" hidden>📼 리플레이 보기</div>
+            <div class="replay-timeline-track">
+                <div class="replay-timeline-markers"></div>
+                <input type="range" class="replay-timeline-slider" min="0" max="0" value="0" step="1">
+            </div>
+            <div class="replay-timeline-controls">
+                <button class="control-btn" data-action="step-back" title="한 단계 뒤로">⏮</button>
+                <button class="control-btn" data-action="play" title="재생 / 일시 정지">▶</button>
+                <button class="control-btn" data-action="step-forward" title="한 단계 앞으로">⏭</button>
+                <span class="replay-timeline-position">0 / 0</span>
+            </div>
+            <div class="replay-timeline-file">
+                <button class="control-btn" data-action="export">⬇️ 리플레이 저장</button>
+                <button class="control-btn" data-action="import">⬆️ 리플레이 열기</button>
+                <input type="file" accept=".json,application/json" hidden>
+            </div>
+        `;
+        parent.appendChild(this.element);
+
+        this.elements = {
+            badge: this.element.querySelector('.replay-timeline-badge'),
+            markers: this.element.querySelector('.replay-timeline-markers'),
+            slider: this.element.querySelector('.replay-timeline-slider'),
+            position: this.element.querySelector('.replay-timeline-position'),
+            stepBack: this.element.querySelector('[data-action="step-back"]'),
+            play: this.element.querySelector('[data-action="play"]'),
+            stepForward: this.element.querySelector('[data-action="step-forward"]'),
+            export: this.element.querySelector('[data-action="export"]'),
+            import: this.element.querySelector('[data-action="import"]'),
+            file: this.element.querySelector('input[type="file"]')
+        };
+    }
+
+    /**
+     * 이벤트 리스너 연결
+     */
+    attachEventListeners() {
+        const { slider } = this.elements;
+
+        // 끄는 동안에는 위치 표시만 바꾸고, 놓으면 이동
+        slider.addEventListener('input', () => {
+            this.isScrubbing = true;
+            this.updatePosition(Number(slider.value));
+        });
+        slider.addEventListener('change', () => {
+            this.isScrubbing = false;
+            this.run(() => replayManager.seek(Number(slider.value)));
+        });
+
+        this.elements.stepBack.addEventListener('click', () => {
+            this.run(() => replayManager.stepBack());
+        });
+        this.elements.stepForward.addEventListener('click', () => {
+            this.run(() => replayManager.stepForward());
+        });
+        this.elements.play.addEventListener('click', () => {
+            if (commandHistory.isReplayMode && !commandHistory.isReplayPaused) {
+                replayManager.pause();
+            } else {
+                this.run(() => replayManager.play());
+            }
+        });
+
+        this.elements.export.addEventListener('click', () => {
+            this.run(() => replayManager.exportToFile());
+        });
+        this.elements.import.addEventListener('click', () => {
+            this.elements.file.click();
+        });
+        this.elements.file.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.run(() => replayManager.importFromFile(file));
+            }
+        });
+    }
+
+    /**
+     * 이벤트 구독
+     */
+    subscribeToEvents() {
+        const update = () => this.update();
+
+        [
+            'command:executed', 'command:undone', 'command:redone',
+            'history:loaded', 'history:seeked',
+            'replay:started', 'replay:ended', 'replay:paused', 'replay:resumed', 'replay:loaded'
+        ].forEach(event => eventBus.on(event, update));
+    }
+
+    /**
+     * 작업 실행 (실패 시 로그 출력)
+     *
+     * @param {Function} action - 실행할 작업
+     */
+    async run(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error('리플레이 작업 실패:', error);
+            this.log(`리플레이 작업 실패: ${error.message}`);
+        }
+        this.update();
+    }
+
+    /**
+     * 타임라인 다시 그리기
+     */
+    update() {
+        if (!this.element) return;
+
+        const length = replayManager.getLength();
+        const position = replayManager.getPosition();
+        const { slider } = this.elements;
+
+        slider.max = length;
+        if (!this.isScrubbing) {
+            slider.value = position;
+        }
+        this.updatePosition(this.isScrubbing ? Number(slider.value) : position);
+        this.updateMarkers(length);
+
+        const isPlaying = commandHistory.isReplayMode && !commandHistory.isReplayPaused;
+        this.elements.play.textContent = isPlaying ? '⏸' : '▶';
+        this.elements.play.disabled = length === 0;
+        this.elements.stepBack.disabled = position === 0;
+        this.elements.stepForward.disabled = position >= length;
+        this.elements.badge.hidden = !replayManager.isViewing;
+    }
+
+    /**
+     * 위치 표시 업데이트
+     *
+     * @param {number} position - 타임라인 위치
+     */
+    updatePosition(position) {
+        const marker = [...replayManager.getTurnMarkers()].reverse().find(turn => turn.position <= position);
+        const turnLabel = marker ? ` · 턴 ${marker.turnCount} ${factionSystem.getName(marker.faction)} 이후` : '';
+        this.elements.position.textContent = `${position} / ${replayManager.getLength()}${turnLabel}`;
+    }
+
+    /**
+     * 턴 눈금 다시 그리기
+     *
+     * @param {number} length - 타임라인 길이
+     */
+    updateMarkers(length) {
+        const markers = length > 0 ? replayManager.getTurnMarkers() : [];
+
+        this.elements.markers.innerHTML = markers.map(({ position, turnCount, faction }) => `
+            <div class="replay-timeline-marker" style="left: ${(position / length) * 100}%; background: ${factionSystem.getColorStyle(faction)}"
+                 title="턴 ${turnCount} ${factionSystem.getName(faction)} 종료"></div>
+        `).join('');
+    }
+}
+
+// 싱글톤 인스턴스
+export const replayTimeline = new ReplayTimeline();
+
+// CSS 스타일 추가
+const style = document.createElement('style');
+style.textContent = `
+    .replay-timeline {
+        margin-bottom: 15px;
+        padding-bottom: 15px;
+        border-bottom: 1px solid #444;
+    }
+
+    .replay-timeline-badge {
+        margin-bottom: 8px;
+        font-size: 13px;
+        color: #ffd966;
+        text-align: center;
+    }
+
+    .replay-timeline-track {
+        position: relative;
+        padding-top: 10px;
+    }
+
+    .replay-timeline-markers {
+        position: absolute;
+        top: 0;
+        left: 8px;
+        right: 8px;
+        height: 10px;
+        pointer-events: none;
+    }
+
+    .replay-timeline-marker {
+        position: absolute;
+        width: 2px;
+        height: 10px;
+        transform: translateX(-1px);
+        opacity: 0.8;
+    }
+
+    .replay-timeline-slider {
+        width: 100%;
+    }
+
+    .replay-timeline-controls,
+    .replay-timeline-file {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-top: 8px;
+    }
+
+    .replay-timeline-position {
+        font-size: 12px;
+        color: #aaa;
+    }
+`;
+document.head.appendChild(style);
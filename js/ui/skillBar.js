@@ -0,0 +1,217 @@
+/**
+ * 스킬 바
+ *
+ * 선택한 캐릭터의 스킬 버튼과 마나를 화면 아래에 표시하는 UI 컴포넌트입니다.
+ * 버튼을 누르거나 숫자 키(1~9)로 스킬을 고르면 그리드에 사거리가 표시됩니다.
+ *
+ * @module skillBar
+ */
+
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { gameState } from '../core/gameState.js';
+import { skillSystem } from '../systems/skillSystem.js';
+import { classSystem } from '../systems/classSystem.js';
+
+/**
+ * 스킬 바 클래스
+ *
+ * @class SkillBar
+ */
+class SkillBar {
+    constructor() {
+        /**
+         * 스킬 바 엘리먼트
+         * @type {HTMLElement}
+         */
+        this.element = null;
+    }
+
+    /**
+     * 초기화
+     */
+    init() {
+        this.createElement();
+        this.subscribeToEvents();
+        this.update();
+    }
+
+    /**
+     * 엘리먼트 생성
+     */
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.id = 'skill-bar';
+        this.element.className = 'skill-bar';
+
+        // 버튼은 update()에서 다시 그리므로 위임으로 처리
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('.skill-button');
+            if (button && !button.disabled) {
+                eventBus.emit(GameEvents.INPUT_SKILL_SELECTED, { skillId: button.dataset.skill });
+            }
+        });
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * 이벤트 구독
+     */
+    subscribeToEvents() {
+        const update = () => this.update();
+
+        eventBus.on(GameEvents.SELECTION_CHANGED, update);
+        eventBus.on(GameEvents.SKILL_SELECTED, update);
+        eventBus.on(GameEvents.TURN_CHANGED, update);
+        eventBus.on(GameEvents.GAME_LOADED, update);
+        eventBus.on('command:executed', update);
+        eventBus.on('command:undone', update);
+        eventBus.on('command:redone', update);
+    }
+
+    /**
+     * 선택한 캐릭터 기준으로 다시 그리기
+     */
+    update() {
+        if (!this.element) return;
+
+        const character = gameState.selectedCharacter;
+        const skills = character ? skillSystem.getCharacterSkills(character) : [];
+
+        if (!character || skills.length === 0) {
+            this.element.style.display = 'none';
+            return;
+        }
+
+        const buttons = skills.map((skill, index) => {
+            const cooldown = skillSystem.getCooldown(character, skill.id);
+            const usable = skillSystem.canUse(character, skill);
+            const classes = ['skill-button'];
+            if (gameState.selectedSkill === skill.id) classes.push('active');
+
+            return `
+                <button class="${classes.join(' ')}" data-skill="${skill.id}" ${usable ? '' : 'disabled'}
+                        title="${skill.name} - ${skill.description || ''} (마나 ${skill.cost}, 대기 ${skill.cooldown}턴)">
+                    <span class="skill-key">${index + 1}</span>
+                    <span class="skill-icon">${skill.icon || '✦'}</span>
+                    <span class="skill-name">${skill.name}</span>
+                    <span class="skill-cost">${cooldown > 0 ? `⏳${cooldown}` : `💧${skill.cost}`}</span>
+                </button>
+            `;
+        }).join('');
+
+        const characterClass = classSystem.getClass(character.classId);
+        const stats = `공격 ${Math.round(character.attackPower)} / 사거리 ${character.attackRange} / 이동 ${character.movementRange}`
+            + ` / 방어 ${character.defense} / 회피 ${Math.round(character.evasion * 100)}%`
+            + ` / 치명 ${Math.round(character.critChance * 100)}% / 속도 ${character.speed}`;
+
+        this.element.innerHTML = `
+            <div class="skill-mana">
+                <span title="${stats}">${characterClass ? `${characterClass.icon} ${characterClass.name} · ` : ''}${character.name}</span>
+                <span>마나 ${character.mana} / ${character.maxMana}</span>
+            </div>
+            <div class="skill-buttons">${buttons}</div>
+        `;
+        this.element.style.display = 'flex';
+    }
+
+    /**
+     * 제거
+     */
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+}
+
+// 싱글톤 인스턴스
+export const skillBar = new SkillBar();
+
+// CSS 스타일 추가
+const style = document.createElement('style');
+style.textContent = `
+    .skill-bar {
+        position: fixed;
+        bottom: 20px;
+        left: 20px;
+        display: none;
+        flex-direction: column;
+        gap: 6px;
+        padding: 10px;
+        background: rgba(0, 0, 0, 0.85);
+        border: 2px solid #444;
+        border-radius: 12px;
+        font-family: Arial, sans-serif;
+        color: white;
+        z-index: 1000;
+    }
+
+    .skill-mana {
+        display: flex;
+        justify-content: space-between;
+        gap: 20px;
+        font-size: 13px;
+        color: #8ecbff;
+    }
+
+    .skill-buttons {
+        display: flex;
+        gap: 6px;
+    }
+
+    .skill-button {
+        position: relative;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        width: 72px;
+        padding: 6px 4px;
+        background: #2a2a2a;
+        border: 2px solid #555;
+        border-radius: 8px;
+        color: white;
+        font-size: 12px;
+        cursor: pointer;
+        transition: all 0.2s ease;
+    }
+
+    .skill-button:hover:not(:disabled) {
+        border-color: #b08a3c;
+        background: #3a3a3a;
+    }
+
+    .skill-button.active {
+        border-color: #ffd966;
+        background: #4a3f20;
+    }
+
+    .skill-button:disabled {
+        opacity: 0.4;
+        cursor: not-allowed;
+    }
+
+    .skill-key {
+        position: absolute;
+        top: 2px;
+        left: 5px;
+        font-size: 10px;
+        color: #999;
+    }
+
+    .skill-icon {
+        font-size: 20px;
+    }
+
+    .skill-name {
+        margin-top: 2px;
+        white-space: nowrap;
+    }
+
+    .skill-cost {
+        font-size: 11px;
+        color: #aaa;
+    }
+`;
+document.head.appendChild(style);
@@ -0,0 +1,186 @@
+/**
+ * 행동 순서 바
+ *
+ * 우선권 모드에서 지금 행동 중인 캐릭터와 앞으로 행동할 캐릭터를 화면 위쪽에 표시하는 UI 컴포넌트입니다.
+ * 진영 모드에서는 표시하지 않습니다. 캐릭터는 진영 팀 색상으로 구분합니다.
+ *
+ * @module turnOrderBar
+ */
+
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { gameState } from '../core/gameState.js';
+import { classSystem } from '../systems/classSystem.js';
+import { factionSystem } from '../systems/factionSystem.js';
+
+/**
+ * 표시할 캐릭터 수
+ * @type {number}
+ */
+const VISIBLE_ACTORS = 8;
+
+/**
+ * 행동 순서 바 클래스
+ *
+ * @class TurnOrderBar
+ */
+class TurnOrderBar {
+    constructor() {
+        /**
+         * 행동 순서 바 엘리먼트
+         * @type {HTMLElement}
+         */
+        this.element = null;
+    }
+
+    /**
+     * 초기화
+     */
+    init() {
+        this.createElement();
+        this.subscribeToEvents();
+        this.update();
+    }
+
+    /**
+     * 엘리먼트 생성
+     */
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.id = 'turn-order-bar';
+        this.element.className = 'turn-order-bar';
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * 이벤트 구독
+     */
+    subscribeToEvents() {
+        const update = () => this.update();
+
+        eventBus.on(GameEvents.TURN_CHANGED, update);
+        eventBus.on(GameEvents.GAME_LOADED, update);
+        eventBus.on(GameEvents.STATUS_EFFECT_TICK, update);
+        eventBus.on('command:executed', update);
+        eventBus.on('command:undone', update);
+        eventBus.on('command:redone', update);
+        eventBus.on(GameEvents.VISION_UPDATED, update);
+    }
+
+    /**
+     * 행동 순서 다시 그리기
+     */
+    update() {
+        if (!this.element) return;
+
+        if (!gameState.isInitiativeMode()) {
+            this.element.style.display = 'none';
+            return;
+        }
+
+        const active = gameState.getActiveCharacter();
+        let previousRound = gameState.turnCount;
+
+        const items = gameState.getUpcomingActors(VISIBLE_ACTORS).map(({ character, round }) => {
+            // 전장의 안개에 가려진 캐릭터는 진영만 알 수 있음
+            const hidden = character.view?.isHidden;
+            const characterClass = hidden ? null : classSystem.getClass(character.classId);
+            const name = hidden ? '???' : character.name;
+            const classes = ['turn-order-item'];
+            if (character === active && round === gameState.turnCount) classes.push('active');
+
+            // 라운드가 바뀌는 곳에 구분선
+            const separator = round !== previousRound ? `<div class="turn-order-round">R${round}</div>` : '';
+            previousRound = round;
+
+            return `
+                ${separator}
+                <div class="${classes.join(' ')}" style="background: ${factionSystem.getColorStyle(character.type)}59"
+                     title="${name} (${factionSystem.getName(character.type)}${hidden ? '' : `, 속도 ${character.speed}`})">
+                    <span class="turn-order-icon">${characterClass?.icon || '●'}</span>
+                    <span class="turn-order-name">${name}</span>
+                </div>
+            `;
+        }).join('');
+
+        this.element.innerHTML = `
+            <div class="turn-order-round current">R${gameState.turnCount}</div>
+            ${items}
+        `;
+        this.element.style.display = 'flex';
+    }
+
+    /**
+     * 제거
+     */
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+}
+
+// 싱글톤 인스턴스
+export const turnOrderBar = new TurnOrderBar();
+
+// CSS 스타일 추가
+const style = document.createElement('style');
+style.textContent = `
+    .turn-order-bar {
+        position: fixed;
+        top: 10px;
+        left: 50%;
+        transform: translateX(-50%);
+        display: none;
+        align-items: center;
+        gap: 4px;
+        padding: 6px 10px;
+        background: rgba(0, 0, 0, 0.8);
+        border: 2px solid #444;
+        border-radius: 10px;
+        font-family: Arial, sans-serif;
+        color: white;
+        z-index: 900;
+        pointer-events: none;
+    }
+
+    .turn-order-item {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        width: 58px;
+        padding: 3px 2px;
+        border: 2px solid transparent;
+        border-radius: 6px;
+        font-size: 10px;
+        opacity: 0.75;
+    }
+
+    .turn-order-item.active {
+        border-color: #ffd966;
+        opacity: 1;
+    }
+
+    .turn-order-icon {
+        font-size: 16px;
+    }
+
+    .turn-order-name {
+        max-width: 100%;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+
+    .turn-order-round {
+        padding: 0 4px;
+        font-size: 11px;
+        color: #aaa;
+    }
+
+    .turn-order-round.current {
+        color: #ffd966;
+    }
+`;
+document.head.appendChild(style);
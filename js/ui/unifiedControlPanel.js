@@ -8,10 +8,17 @@
 
 import { gameState } from '../core/gameState.js';
 import { inputHandler } from '../controls/inputHandler.js';
+import { cameraDirector } from '../controls/cameraDirector.js';
 import { commandHistory } from '../managers/commandHistory.js';
 import { battleManager } from '../managers/battleManager.js';
+import { saveManager } from '../managers/saveManager.js';
+import { hotseatManager } from '../managers/hotseatManager.js';
+import { networkManager } from '../managers/networkManager.js';
+import { replayManager } from '../managers/replayManager.js';
 import { eventBus, GameEvents } from '../core/eventBus.js';
-import { TURN_TYPE } from '../core/constants.js';
+import { objectiveSystem } from '../systems/objectiveSystem.js';
+import { replayTimeline } from './replayTimeline.js';
+import { branchTree } from './branchTree.js';
 
 /**
  * 통합 컨트롤 패널 클래스
@@ -62,6 +69,12 @@ class UnifiedControlPanel {
      */
     init() {
         this.createUI();
+        replayTimeline.init(this.container.querySelector('#replay-timeline'), {
+            log: (message) => this.addLog(message, 'system')
+        });
+        branchTree.init(this.container.querySelector('#branch-tree'), {
+            log: (message) => this.addLog(message, 'system')
+        });
         this.attachEventListeners();
         this.subscribeToEvents();
         this.updateAll();
@@ -83,6 +96,7 @@ class UnifiedControlPanel {
                     <button class="tab-btn" data-tab="turn">턴</button>
                     <button class="tab-btn" data-tab="animation">애니메이션</button>
                     <button class="tab-btn" data-tab="replay">리플레이</button>
+                    <button class="tab-btn" data-tab="save">저장</button>
                 </div>
                 <button class="minimize-btn">_</button>
             </div>
@@ -109,6 +123,12 @@ class UnifiedControlPanel {
                             <span id="turn-count">턴 1</span>
                         </div>
                     </div>
+                    <div class="objectives">
+                        <div class="objectives-title">🎯 승리 조건</div>
+                        <div id="victory-objectives" class="objective-list"></div>
+                        <div class="objectives-title">☠️ 패배 조건</div>
+                        <div id="defeat-objectives" class="objective-list"></div>
+                    </div>
                     <div class="turn-buttons">
                         <button id="end-character-turn" class="control-btn" title="현재 캐릭터의 모든 행동을 종료합니다">
                             <span>👤</span> 캐릭터 턴 종료
@@ -133,11 +153,17 @@ class UnifiedControlPanel {
                             <button id="skip-current" class="control-btn">⏭️ 현재 스킵</button>
                             <button id="skip-all" class="control-btn">⏩ 모두 스킵</button>
                         </div>
+                        <label class="camera-director-toggle">
+                            <input type="checkbox" id="camera-director">
+                            🎬 전투 카메라 연출 (어깨 너머 샷, 킬 캠, 적 이동 추적)
+                        </label>
                     </div>
                 </div>
                 
                 <!-- 리플레이 컨트롤 탭 -->
                 <div class="tab-content" data-tab="replay">
+                    <div id="replay-timeline"></div>
+                    <div id="branch-tree"></div>
                     <div class="replay-info">
                         <span class="history-info">히스토리: <span id="history-length">0</span> / <span id="current-index">0</span></span>
                         <div id="command-status" class="command-status"></div>
@@ -171,6 +197,20 @@ class UnifiedControlPanel {
                         <div class="hotkey-item">Enter - 전체 턴 종료</div>
                     </div>
                 </div>
+                
+                <!-- 저장/불러오기 탭 -->
+                <div class="tab-content" data-tab="save">
+                    <div class="save-form">
+                        <input type="text" id="save-slot-name" placeholder="슬롯 이름" maxlength="30">
+                        <button id="save-slot-btn" class="control-btn">💾 저장</button>
+                    </div>
+                    <div class="save-slots" id="save-slots"></div>
+                    <div class="save-file-actions">
+                        <button id="export-save-btn" class="control-btn">⬇️ 파일로 내보내기</button>
+                        <button id="import-save-btn" class="control-btn">⬆️ 파일 불러오기</button>
+                        <input type="file" id="import-save-file" accept=".json,application/json" hidden>
+                    </div>
+                </div>
             </div>
         `;
         
@@ -192,6 +232,8 @@ class UnifiedControlPanel {
             // 턴 컨트롤
             currentTurn: this.container.querySelector('#current-turn'),
             turnCount: this.container.querySelector('#turn-count'),
+            victoryObjectives: this.container.querySelector('#victory-objectives'),
+            defeatObjectives: this.container.querySelector('#defeat-objectives'),
             endCharacterTurn: this.container.querySelector('#end-character-turn'),
             endPlayerTurn: this.container.querySelector('#end-player-turn'),
             
@@ -202,6 +244,7 @@ class UnifiedControlPanel {
             resumeAnimations: this.container.querySelector('#resume-animations'),
             skipCurrent: this.container.querySelector('#skip-current'),
             skipAll: this.container.querySelector('#skip-all'),
+            cameraDirector: this.container.querySelector('#camera-director'),
             
             // 리플레이 컨트롤
             historyLength: this.container.querySelector('#history-length'),
@@ -212,7 +255,15 @@ class UnifiedControlPanel {
             replayAllBtn: this.container.querySelector('#replay-all-btn'),
             stopReplayBtn: this.container.querySelector('#stop-replay-btn'),
             replaySpeed: this.container.querySelector('#replay-speed'),
-            replaySpeedValue: this.container.querySelector('#replay-speed-value')
+            replaySpeedValue: this.container.querySelector('#replay-speed-value'),
+            
+            // 저장/불러오기
+            saveSlotName: this.container.querySelector('#save-slot-name'),
+            saveSlotBtn: this.container.querySelector('#save-slot-btn'),
+            saveSlots: this.container.querySelector('#save-slots'),
+            exportSaveBtn: this.container.querySelector('#export-save-btn'),
+            importSaveBtn: this.container.querySelector('#import-save-btn'),
+            importSaveFile: this.container.querySelector('#import-save-file')
         };
     }
     
@@ -269,6 +320,11 @@ class UnifiedControlPanel {
             battleManager.skipAll();
         });
         
+        this.elements.cameraDirector.checked = cameraDirector.enabled;
+        this.elements.cameraDirector.addEventListener('change', (e) => {
+            cameraDirector.setEnabled(e.target.checked);
+        });
+        
         // 리플레이 컨트롤
         this.elements.undoBtn.addEventListener('click', () => {
             commandHistory.undo();
@@ -279,11 +335,11 @@ class UnifiedControlPanel {
         });
         
         this.elements.replayAllBtn.addEventListener('click', () => {
-            commandHistory.startReplay(0);
+            replayManager.seek(0).then(() => replayManager.play());
         });
         
         this.elements.stopReplayBtn.addEventListener('click', () => {
-            commandHistory.stopReplayMode();
+            replayManager.stop();
         });
         
         this.elements.replaySpeed.addEventListener('input', (e) => {
@@ -292,8 +348,46 @@ class UnifiedControlPanel {
             this.elements.replaySpeedValue.textContent = `${speed / 1000}초`;
         });
         
+        // 저장/불러오기
+        this.elements.saveSlotBtn.addEventListener('click', () => {
+            const slotName = this.elements.saveSlotName.value.trim() || `슬롯 ${saveManager.listSlots().length + 1}`;
+            this.runSaveAction(() => saveManager.saveToSlot(slotName));
+        });
+        
+        this.elements.saveSlots.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const slotName = button.dataset.slot;
+            if (button.dataset.action === 'load') {
+                this.runSaveAction(() => saveManager.loadFromSlot(slotName));
+            } else if (button.dataset.action === 'delete') {
+                saveManager.deleteSlot(slotName);
+                this.updateSaveSlots();
+            }
+        });
+        
+        this.elements.exportSaveBtn.addEventListener('click', () => {
+            this.runSaveAction(() => saveManager.exportToFile());
+        });
+        
+        this.elements.importSaveBtn.addEventListener('click', () => {
+            this.elements.importSaveFile.click();
+        });
+        
+        this.elements.importSaveFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.runSaveAction(() => saveManager.importFromFile(file));
+            }
+        });
+        
         // 키보드 단축키
         document.addEventListener('keydown', (e) => {
+            // 입력창에서는 단축키 무시
+            if (e.target.tagName === 'INPUT') return;
+            
             if (e.ctrlKey || e.metaKey) {
                 if (e.key === 'z' && !e.shiftKey) {
                     e.preventDefault();
@@ -324,8 +418,17 @@ class UnifiedControlPanel {
         eventBus.on(GameEvents.TURN_CHANGED, () => {
             this.updateTurnInfo();
             this.updateTurnButtons();
+            this.updateObjectives();
         });
         
+        // 목표 진행 상황 (이동, 사망, 취소 등 보드가 바뀌는 모든 경우)
+        const updateObjectives = () => this.updateObjectives();
+        eventBus.on(GameEvents.OBJECTIVES_CHANGED, updateObjectives);
+        eventBus.on('command:executed', updateObjectives);
+        eventBus.on('command:undone', updateObjectives);
+        eventBus.on('command:redone', updateObjectives);
+        eventBus.on('history:loaded', updateObjectives);
+        
         // 선택 변경
         eventBus.on(GameEvents.SELECTION_CHANGED, () => {
             this.updateTurnButtons();
@@ -356,6 +459,24 @@ class UnifiedControlPanel {
             this.showCommandStatus(`재실행: ${data.command.type}`, 'redone');
         });
         
+        eventBus.on('history:loaded', (status) => {
+            this.updateReplayInfo();
+            this.updateTurnInfo();
+            this.updateTurnButtons();
+            this.showCommandStatus(`불러오기: ${status.historyLength}개 커맨드`, 'executed');
+        });
+        
+        // 저장 이벤트
+        eventBus.on(GameEvents.GAME_SAVED, ({ name }) => {
+            this.updateSaveSlots();
+            this.addLog(`'${name}'에 저장했습니다.`, 'system');
+        });
+        
+        eventBus.on(GameEvents.GAME_LOADED, ({ name }) => {
+            this.updateAll();
+            this.addLog(`'${name}'을(를) 불러왔습니다.`, 'system');
+        });
+        
         // 리플레이 이벤트
         eventBus.on('replay:started', () => {
             this.elements.replayAllBtn.disabled = true;
@@ -455,7 +576,7 @@ class UnifiedControlPanel {
      */
     endCharacterTurn() {
         const selectedCharacter = gameState.selectedCharacter;
-        if (!selectedCharacter || selectedCharacter.type !== 'player') return;
+        if (!gameState.canControl(selectedCharacter)) return;
         
         selectedCharacter.hasMoved = true;
         selectedCharacter.hasAttacked = true;
@@ -481,7 +602,12 @@ class UnifiedControlPanel {
     endPlayerTurn() {
         if (!gameState.isPlayerTurn()) return;
         
-        gameState.playerCharacters.forEach(character => {
+        // 우선권 모드에서는 행동 중인 캐릭터만 (다른 캐릭터는 아직 차례가 오지 않음)
+        const characters = gameState.isInitiativeMode()
+            ? [gameState.getActiveCharacter()].filter(Boolean)
+            : gameState.getFactionCharacters(gameState.currentTurn);
+        
+        characters.forEach(character => {
             if (character.isAlive()) {
                 character.hasMoved = true;
                 character.hasAttacked = true;
@@ -500,20 +626,54 @@ class UnifiedControlPanel {
      * 턴 정보 업데이트
      */
     updateTurnInfo() {
-        const turnText = gameState.currentTurn === TURN_TYPE.PLAYER ? '플레이어 턴' : '적 턴';
-        const turnNumber = Math.ceil(gameState.turnCount / 2);
+        const active = gameState.getActiveCharacter();
         
-        this.elements.currentTurn.textContent = turnText;
-        this.elements.turnCount.textContent = `턴 ${turnNumber}`;
+        if (active) {
+            // 우선권 모드: 행동 중인 캐릭터와 라운드
+            this.elements.currentTurn.textContent = `${active.name}의 차례`;
+            this.elements.turnCount.textContent = `라운드 ${gameState.turnCount}`;
+        } else {
+            // 진영 모드: 턴을 진행 중인 진영 (모든 진영이 한 번씩 턴을 마치면 턴 수 증가)
+            const turnLabel = networkManager.isEnabled()
+                ? networkManager.getTurnLabel(gameState.currentTurn)
+                : hotseatManager.getTurnLabel(gameState.currentTurn);
+            this.elements.currentTurn.textContent = `${turnLabel} 턴`;
+            this.elements.turnCount.textContent = `턴 ${gameState.turnCount}`;
+        }
         
-        // 적 턴일 때 스타일 변경
-        if (gameState.currentTurn === TURN_TYPE.ENEMY) {
+        // AI 진영의 턴일 때 스타일 변경
+        if (!gameState.isPlayerTurn()) {
             this.container.classList.add('enemy-turn');
         } else {
             this.container.classList.remove('enemy-turn');
         }
     }
     
+    /**
+     * 목표 진행 상황 업데이트
+     * 
+     * 조건 설명은 맵 데이터에서 오므로 textContent로 설정
+     */
+    updateObjectives() {
+        const progress = objectiveSystem.getProgress();
+        
+        const render = (container, rows) => {
+            container.innerHTML = '';
+            rows.forEach(row => {
+                const item = document.createElement('div');
+                item.className = `objective-item${row.met ? ' met' : ''}${row.operator ? ' group' : ''}`;
+                item.style.paddingLeft = `${row.depth * 12}px`;
+                item.innerHTML = '<span class="objective-text"></span><span class="objective-progress"></span>';
+                item.querySelector('.objective-text').textContent = `${row.met ? '✔' : '•'} ${row.text}`;
+                item.querySelector('.objective-progress').textContent = row.progress;
+                container.appendChild(item);
+            });
+        };
+        
+        render(this.elements.victoryObjectives, progress.victory);
+        render(this.elements.defeatObjectives, progress.defeat);
+    }
+    
     /**
      * 턴 버튼 상태 업데이트
      */
@@ -527,7 +687,7 @@ class UnifiedControlPanel {
             return;
         }
         
-        if (selectedCharacter && selectedCharacter.type === 'player' && selectedCharacter.isAlive()) {
+        if (gameState.canControl(selectedCharacter) && selectedCharacter.isAlive()) {
             const hasActions = !selectedCharacter.hasMoved || !selectedCharacter.hasAttacked;
             this.elements.endCharacterTurn.disabled = !hasActions;
         } else {
@@ -564,13 +724,60 @@ class UnifiedControlPanel {
         }, 2000);
     }
     
+    /**
+     * 저장 슬롯 목록 업데이트
+     */
+    updateSaveSlots() {
+        const container = this.elements.saveSlots;
+        const slots = saveManager.listSlots();
+        container.innerHTML = '';
+        
+        if (slots.length === 0) {
+            container.innerHTML = '<div class="save-empty">저장된 슬롯이 없습니다</div>';
+            return;
+        }
+        
+        slots.forEach(slot => {
+            const slotElement = document.createElement('div');
+            slotElement.className = 'save-slot';
+            slotElement.innerHTML = `
+                <span class="save-slot-name"></span>
+                <span class="save-slot-meta">턴 ${slot.turnCount ?? '-'} · ${new Date(slot.savedAt).toLocaleString()}</span>
+                <button data-action="load">불러오기</button>
+                <button data-action="delete">삭제</button>
+            `;
+            // 슬롯 이름은 사용자 입력이므로 textContent로 설정
+            slotElement.querySelector('.save-slot-name').textContent = slot.name;
+            slotElement.querySelectorAll('button').forEach(btn => {
+                btn.dataset.slot = slot.name;
+            });
+            container.appendChild(slotElement);
+        });
+    }
+    
+    /**
+     * 저장/불러오기 실행 (실패 시 로그 출력)
+     * 
+     * @param {Function} action - 실행할 작업
+     */
+    async runSaveAction(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error('저장/불러오기 실패:', error);
+            this.addLog(`저장/불러오기 실패: ${error.message}`, 'system');
+        }
+    }
+    
     /**
      * 모든 UI 업데이트
      */
     updateAll() {
         this.updateTurnInfo();
+        this.updateObjectives();
         this.updateTurnButtons();
         this.updateReplayInfo();
+        this.updateSaveSlots();
     }
     
     /**
@@ -798,6 +1005,41 @@ style.textContent = `
         color: #f44336;
     }
     
+    .objectives {
+        margin-bottom: 15px;
+        padding: 8px;
+        background: rgba(255, 255, 255, 0.05);
+        border-radius: 4px;
+    }
+    
+    .objectives-title {
+        font-size: 12px;
+        font-weight: bold;
+        color: #ccc;
+        margin: 4px 0;
+    }
+    
+    .objective-item {
+        display: flex;
+        justify-content: space-between;
+        gap: 8px;
+        font-size: 12px;
+        color: #aaa;
+    }
+    
+    .objective-item.group {
+        color: #888;
+    }
+    
+    .objective-item.met {
+        color: #4CAF50;
+    }
+    
+    .objective-progress {
+        color: #ffd966;
+        white-space: nowrap;
+    }
+    
     .turn-buttons {
         display: flex;
         flex-direction: column;
@@ -855,6 +1097,14 @@ style.textContent = `
         gap: 10px;
     }
     
+    .camera-director-toggle {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 13px;
+        cursor: pointer;
+    }
+    
     /* 리플레이 컨트롤 스타일 */
     .replay-info {
         margin-bottom: 15px;
@@ -918,5 +1168,63 @@ style.textContent = `
         margin-left: 10px;
         line-height: 1.4;
     }
+    
+    /* 저장/불러오기 스타일 */
+    .save-form,
+    .save-file-actions {
+        display: flex;
+        gap: 10px;
+        margin-bottom: 15px;
+    }
+    
+    .save-form input[type="text"] {
+        flex: 1;
+        padding: 8px;
+        border: 1px solid #555;
+        background: #222;
+        color: white;
+        border-radius: 4px;
+    }
+    
+    .save-slots {
+        margin-bottom: 15px;
+        max-height: 150px;
+        overflow-y: auto;
+    }
+    
+    .save-slot {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 6px 0;
+        border-bottom: 1px solid #333;
+        font-size: 13px;
+    }
+    
+    .save-slot-name {
+        font-weight: bold;
+    }
+    
+    .save-slot-meta {
+        flex: 1;
+        color: #888;
+        font-size: 11px;
+    }
+    
+    .save-slot button {
+        padding: 3px 8px;
+        border: 1px solid #555;
+        background: #333;
+        color: white;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 11px;
+    }
+    
+    .save-empty {
+        color: #888;
+        font-size: 12px;
+        text-align: center;
+    }
 `;
 document.head.appendChild(style);
\ No newline at end of file
@@ -94,8 +94,10 @@ class VictoryMessage {
     
     /**
      * 승리 메시지 표시
+     * 
+     * @param {string} [reason] - 달성한 목표 설명
      */
-    showVictory() {
+    showVictory(reason) {
         const icon = this.element.querySelector('.victory-icon');
         const title = this.element.querySelector('.victory-title');
         const subtitle = this.element.querySelector('.victory-subtitle');
@@ -104,7 +106,8 @@ class VictoryMessage {
         icon.className = 'victory-icon victory';
         title.textContent = '승리!';
         title.className = 'victory-title victory';
-        subtitle.textContent = '모든 적을 물리쳤습니다!';
+        title.style.color = '';
+        subtitle.textContent = reason ? `목표 달성: ${reason}` : '모든 적을 물리쳤습니다!';
         
         this.show();
         this.playVictorySound();
@@ -112,8 +115,10 @@ class VictoryMessage {
     
     /**
      * 패배 메시지 표시
+     * 
+     * @param {string} [reason] - 패배 조건 설명
      */
-    showDefeat() {
+    showDefeat(reason) {
         const icon = this.element.querySelector('.victory-icon');
         const title = this.element.querySelector('.victory-title');
         const subtitle = this.element.querySelector('.victory-subtitle');
@@ -122,12 +127,36 @@ class VictoryMessage {
         icon.className = 'victory-icon defeat';
         title.textContent = '패배...';
         title.className = 'victory-title defeat';
-        subtitle.textContent = '모든 플레이어가 쓰러졌습니다.';
+        title.style.color = '';
+        subtitle.textContent = reason ? `패배 조건: ${reason}` : '모든 플레이어가 쓰러졌습니다.';
         
         this.show();
         this.playDefeatSound();
     }
     
+    /**
+     * 핫시트 모드의 승자 메시지 표시
+     * 
+     * @param {string|null} label - 이긴 플레이어 이름 (null이면 무승부)
+     * @param {string|null} color - 이긴 플레이어 진영 색상 (CSS)
+     * @param {string} [reason] - 전투를 끝낸 목표 설명
+     */
+    showWinner(label, color, reason) {
+        const icon = this.element.querySelector('.victory-icon');
+        const title = this.element.querySelector('.victory-title');
+        const subtitle = this.element.querySelector('.victory-subtitle');
+        
+        icon.textContent = label ? '🏆' : '🤝';
+        icon.className = 'victory-icon victory';
+        title.textContent = label ? `${label} 승리!` : '무승부';
+        title.className = 'victory-title victory';
+        title.style.color = color || '';
+        subtitle.textContent = reason || '';
+        
+        this.show();
+        this.playVictorySound();
+    }
+    
     /**
      * 승리 효과음 재생
      */
@@ -0,0 +1,111 @@
+/**
+ * 색상 유틸리티
+ *
+ * Three.js 없이 16진수 색상을 다루는 함수 모음입니다.
+ * 게임 규칙 쪽 코드(진영 색상, 경로 미리보기 등)가 렌더러에 의존하지 않도록 사용합니다.
+ * Three.js Color와 같은 결과가 나오도록 보간과 HSL 변환은 선형 색 공간에서 계산합니다.
+ *
+ * @module color
+ * @tutorial https://threejs.org/docs/#manual/en/introduction/Color-management
+ */
+
+/**
+ * sRGB 채널 값을 선형 값으로 변환
+ *
+ * @param {number} c - sRGB 채널 (0~1)
+ * @returns {number} 선형 채널 (0~1)
+ */
+function srgbToLinear(c) {
+    return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+/**
+ * 선형 채널 값을 sRGB 값으로 변환
+ *
+ * @param {number} c - 선형 채널 (0~1)
+ * @returns {number} sRGB 채널 (0~1)
+ */
+function linearToSrgb(c) {
+    return c < 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 0.41666) - 0.055;
+}
+
+/**
+ * 선형 채널 값 [r, g, b]를 16진수 색상으로 변환
+ *
+ * @param {number[]} channels - 선형 채널 값
+ * @returns {number} 16진수 색상
+ */
+function fromLinear(channels) {
+    const [r, g, b] = channels.map(c => Math.round(Math.min(Math.max(linearToSrgb(c) * 255, 0), 255)));
+    return (r << 16) | (g << 8) | b;
+}
+
+/**
+ * 16진수 색상을 선형 채널 값 [r, g, b]로 변환
+ *
+ * @param {number} hex - 16진수 색상
+ * @returns {number[]} 선형 채널 값
+ */
+function toLinear(hex) {
+    return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff].map(c => srgbToLinear(c / 255));
+}
+
+/**
+ * '#rrggbb' 문자열을 16진수 색상으로 변환
+ *
+ * @param {string} style - 색상 문자열
+ * @returns {number} 16진수 색상
+ * @throws {Error} '#rrggbb' 형식이 아닌 경우
+ */
+export function parseHexColor(style) {
+    const match = /^#([0-9a-f]{6})$/i.exec(style);
+    if (!match) {
+        throw new Error(`Invalid color: ${style}`);
+    }
+    return parseInt(match[1], 16);
+}
+
+/**
+ * HSL 값으로 16진수 색상 만들기
+ *
+ * @param {number} h - 색상 (0~1)
+ * @param {number} s - 채도 (0~1)
+ * @param {number} l - 명도 (0~1)
+ * @returns {number} 16진수 색상
+ */
+export function hslToHex(h, s, l) {
+    const hueToRgb = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * 6 * (2 / 3 - t);
+        return p;
+    };
+
+    if (s === 0) {
+        return fromLinear([l, l, l]);
+    }
+
+    const q = l <= 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    return fromLinear([
+        hueToRgb(p, q, h + 1 / 3),
+        hueToRgb(p, q, h),
+        hueToRgb(p, q, h - 1 / 3)
+    ]);
+}
+
+/**
+ * 두 색상 사이를 보간
+ *
+ * @param {number} from - 시작 색상
+ * @param {number} to - 끝 색상
+ * @param {number} alpha - 보간 비율 (0이면 from, 1이면 to)
+ * @returns {number} 16진수 색상
+ */
+export function lerpColor(from, to, alpha) {
+    const a = toLinear(from);
+    const b = toLinear(to);
+    return fromLinear(a.map((c, i) => c + (b[i] - c) * alpha));
+}
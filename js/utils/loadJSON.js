@@ -0,0 +1,27 @@
+/**
+ * JSON 파일 로드
+ *
+ * 데이터 정의 파일(진영, 스킬, 클래스, 맵)을 fetch로 읽습니다.
+ * 모델/텍스처 로더를 가진 resourceManager와 분리해 두어,
+ * 게임 규칙 시스템이 Three.js 없이도 import될 수 있게 합니다.
+ *
+ * @module loadJSON
+ */
+
+/**
+ * JSON 로드
+ *
+ * @param {string} path - 파일 경로
+ * @param {string} [name] - 로그에 표시할 이름
+ * @returns {Promise<Object>} 파싱된 데이터
+ * @throws {Error} 응답이 실패한 경우
+ */
+export async function loadJSON(path, name = path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    console.log(`JSON loaded: ${name}`);
+    return data;
+}
@@ -0,0 +1,403 @@
+/**
+ * 캐릭터 뷰
+ *
+ * Character 하나를 Three.js 모델과 2D 체력바로 그리는 클래스입니다.
+ * 캐릭터는 능력치와 행동 상태만 가지고, 모델/애니메이션/색상 표현은 이 뷰가 맡습니다.
+ * 헤드리스 시뮬레이션에서는 만들어지지 않습니다.
+ *
+ * @module CharacterView
+ */
+
+import * as THREE from 'three';
+import { COLORS, CHARACTER_TYPE } from '../core/constants.js';
+import { healthBarUI } from '../ui/healthBarUI.js';
+import { resourceManager } from '../managers/resourceManager.js';
+import { factionSystem } from '../systems/factionSystem.js';
+
+/**
+ * 캐릭터 뷰 클래스
+ *
+ * @class CharacterView
+ */
+export class CharacterView {
+    /**
+     * @param {Character} character - 그릴 캐릭터
+     */
+    constructor(character) {
+        /**
+         * 그리는 캐릭터
+         * @type {Character}
+         */
+        this.character = character;
+
+        /**
+         * Three.js 그룹 (캐릭터 + UI)
+         * @type {THREE.Group}
+         */
+        this.group = new THREE.Group();
+
+        /**
+         * 캐릭터 메시
+         * @type {THREE.Group}
+         */
+        this.mesh = null;
+
+        /**
+         * 로봇 모델 (모델을 아직 불러오지 못했으면 null)
+         * @type {THREE.Object3D|null}
+         */
+        this.model = null;
+
+        /**
+         * 전장의 안개에 가려졌는지 여부
+         * @type {boolean}
+         */
+        this.isHidden = false;
+
+        // 3D 모델 생성 (저장된 방향 적용)
+        this.createMesh();
+        this.updateFacing();
+
+        // 2D 체력바 생성
+        healthBarUI.createHealthBar(character);
+
+        // 현재 위치로 이동
+        const tile = character.currentTile;
+        if (tile) {
+            const pos = tile.getPixelPosition();
+            this.setPosition(pos.x, pos.z, tile.getSurfaceHeight());
+        }
+        this.updateActionVisual();
+    }
+
+    /**
+     * 캐릭터 3D 메시 생성
+     *
+     * 간단한 캡슐 형태로 캐릭터를 표현합니다.
+     */
+    createMesh() {
+        const character = this.character;
+
+        // 캐릭터 색상 결정 (진영 팀 색상)
+        const color = factionSystem.getColor(character.type);
+
+        // 임시 placeholder 메시 생성 (모델 로드 전까지 표시)
+        // 몸통
+        const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.6, 8);
+        const bodyMaterial = new THREE.MeshPhongMaterial({
+            color: 0x666666, // 중성 회색
+            flatShading: true
+        });
+        const bodyMesh = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        bodyMesh.position.y = 0.3;
+
+        // 머리
+        const headGeometry = new THREE.SphereGeometry(0.2, 8, 6);
+        const headMaterial = new THREE.MeshPhongMaterial({
+            color: color, // 팀 색상
+            flatShading: true
+        });
+        const headMesh = new THREE.Mesh(headGeometry, headMaterial);
+        headMesh.position.y = 0.7;
+        headMesh.name = 'head'; // 머리 식별용
+
+        const placeholderGroup = new THREE.Group();
+        placeholderGroup.add(bodyMesh);
+        placeholderGroup.add(headMesh);
+
+        // 그룹에 추가
+        this.mesh = new THREE.Group();
+        this.mesh.add(placeholderGroup);
+
+        // 리소스 매니저에서 모델 가져오기
+        const robotGltf = resourceManager.getModel('robot');
+        if (robotGltf) {
+            // 기존 placeholder 제거
+            this.mesh.clear();
+
+            // 모델 복제 (여러 캐릭터가 같은 모델 사용)
+            this.model = robotGltf.scene.clone();
+            this.model.scale.set(0.25, 0.25, 0.25); // 크기 조정
+            this.model.position.y = 0.05; // 타일 위에 위치
+
+            // 모델의 모든 메시에 색상 적용
+            this.model.traverse((child) => {
+                if (child.isMesh) {
+                    child.castShadow = true;
+                    child.receiveShadow = true;
+
+                    // 캐릭터 타입에 따른 색상 적용 (플레이어가 아닌 진영은 팀 색상으로 약하게 발광)
+                    child.material = child.material.clone();
+                    child.material.color.setHex(color);
+                    if (character.type !== CHARACTER_TYPE.PLAYER) {
+                        child.material.emissive = new THREE.Color(color);
+                        child.material.emissiveIntensity = 0.1;
+                    }
+
+                    // 캐릭터 데이터 저장 (레이캐스팅용)
+                    child.userData.character = character;
+                }
+            });
+
+            // 애니메이션 설정
+            if (robotGltf.animations && robotGltf.animations.length > 0) {
+                this.mixer = new THREE.AnimationMixer(this.model);
+                this.animations = {};
+
+                // 모든 애니메이션 저장
+                robotGltf.animations.forEach((clip) => {
+                    this.animations[clip.name] = clip;
+                });
+
+                // 기본 애니메이션 재생 (Idle)
+                const idleClip = this.animations['Idle'] || robotGltf.animations[0];
+                if (idleClip) {
+                    const action = this.mixer.clipAction(idleClip);
+                    action.play();
+                    this.currentAction = action;
+                }
+            }
+
+            this.mesh.add(this.model);
+            this.model.userData.character = character;
+        } else {
+            console.warn('Robot model not loaded yet, using placeholder');
+        }
+
+        // 캐릭터 데이터 저장 (레이캐스팅용)
+        this.mesh.userData.character = character;
+
+        // 메인 그룹에 추가
+        this.group.add(this.mesh);
+
+        // 그룹 자체에도 캐릭터 데이터 저장
+        this.group.userData.character = character;
+    }
+
+    /**
+     * 위치 설정
+     *
+     * @param {number} x - X 좌표
+     * @param {number} z - Z 좌표
+     * @param {number} [y] - 높이 (생략하면 유지)
+     */
+    setPosition(x, z, y) {
+        this.group.position.x = x;
+        this.group.position.z = z;
+        if (y !== undefined) {
+            this.group.position.y = y;
+        }
+    }
+
+    /**
+     * 행동 상태에 따른 시각적 표현 업데이트
+     */
+    updateActionVisual() {
+        const character = this.character;
+
+        // 모든 행동을 완료했는지 확인
+        const hasUsedAllMoves = character.actionsUsed.move >= character.actionsPerTurn.move ||
+                               character.movedDistance >= character.movementRange;
+        const hasUsedAllAttacks = character.actionsUsed.attack >= character.actionsPerTurn.attack;
+        const allActionsComplete = hasUsedAllMoves && hasUsedAllAttacks;
+
+        // mesh 전체를 순회하며 material 업데이트
+        this.mesh.traverse(child => {
+            if (child.isMesh && child.material) {
+                // 머리 부분인지 확인
+                const isHead = child.name.toLowerCase().includes('head') ||
+                              child.name.toLowerCase().includes('face') ||
+                              child.position.y > 1.5;
+
+                if (allActionsComplete) {
+                    // 모든 행동 완료 - 어두운 회색조로 표현
+                    child.material.color = new THREE.Color(0x333333);
+                    child.material.emissive = new THREE.Color(0x000000);
+                    child.material.emissiveIntensity = 0;
+                } else {
+                    // 행동 가능 - 원래 색상
+                    if (isHead) {
+                        // 머리만 팀 색상
+                        const baseColor = factionSystem.getColor(character.type);
+                        child.material.color = new THREE.Color(baseColor);
+                    } else {
+                        // 몸통은 중성 회색
+                        child.material.color = new THREE.Color(0x666666);
+                    }
+
+                    // 부분적 행동 가능 상태 표시 - 발광으로만
+                    if (!hasUsedAllMoves && hasUsedAllAttacks) {
+                        // 이동만 가능 - 파란색 발광
+                        child.material.emissive = new THREE.Color(0x0066ff);
+                        child.material.emissiveIntensity = 0.2;
+                    } else if (hasUsedAllMoves && !hasUsedAllAttacks) {
+                        // 공격만 가능 - 빨간색 발광
+                        child.material.emissive = new THREE.Color(0xff0000);
+                        child.material.emissiveIntensity = 0.2;
+                    } else if (!character.isSelected) {
+                        child.material.emissive = new THREE.Color(0x000000);
+                        child.material.emissiveIntensity = 0;
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * 선택 강조 표시
+     */
+    updateSelection() {
+        if (!this.character.isSelected) {
+            // 강조 제거 - 행동 상태에 따라 업데이트
+            this.updateActionVisual();
+            return;
+        }
+
+        // 선택 강조 효과
+        this.mesh.traverse(child => {
+            if (child.isMesh && child.material) {
+                child.material.emissive = new THREE.Color(COLORS.CHARACTER_SELECTED);
+                child.material.emissiveIntensity = 0.3;
+            }
+        });
+    }
+
+    /**
+     * 체력바 업데이트
+     */
+    updateHealthBar() {
+        healthBarUI.updateHealthBar(this.character);
+    }
+
+    /**
+     * 사망 연출 (페이드 아웃하며 가라앉기)
+     */
+    playDeath() {
+        const startTime = Date.now();
+        const duration = 1000;
+
+        const animate = () => {
+            const elapsed = Date.now() - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+
+            // 투명도 감소
+            this.group.traverse((child) => {
+                if (child.material) {
+                    child.material.opacity = 1 - progress;
+                    child.material.transparent = true;
+                }
+            });
+
+            // 아래로 가라앉기
+            this.group.position.y = -progress * 0.5;
+
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            }
+        };
+
+        animate();
+    }
+
+    /**
+     * 사망 연출로 바뀐 모습 되돌리기
+     */
+    revive() {
+        const tile = this.character.currentTile;
+
+        this.group.visible = true;
+        this.group.opacity = 1;
+        this.group.rotation.x = 0;
+        this.group.position.y = tile ? tile.getSurfaceHeight() : 0;
+        this.group.traverse(child => {
+            if (child.material) {
+                child.material.opacity = 1;
+                child.material.transparent = false;
+            }
+        });
+    }
+
+    /**
+     * 바라보는 방향 적용 (저장 데이터 복원 등 애니메이션 없이 바꿀 때)
+     */
+    updateFacing() {
+        (this.model || this.mesh).rotation.y = this.character.facingDirection;
+    }
+
+    /**
+     * 표시 여부 설정
+     *
+     * @param {boolean} visible - 표시 여부
+     */
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+
+    /**
+     * 전장의 안개에 가려짐 설정 (모델과 체력바를 숨김)
+     *
+     * @param {boolean} hidden - 가려짐 여부
+     */
+    setHidden(hidden) {
+        this.isHidden = hidden;
+        this.group.visible = !hidden;
+        healthBarUI.setHidden(this.character, hidden);
+    }
+
+    /**
+     * 애니메이션 업데이트
+     * @param {number} delta - 프레임 간 시간 차이
+     */
+    update(delta) {
+        if (this.mixer) {
+            this.mixer.update(delta);
+        }
+    }
+
+    /**
+     * 애니메이션 재생
+     * @param {string} animationName - 재생할 애니메이션 이름
+     * @param {boolean} loop - 반복 여부
+     */
+    playAnimation(animationName, loop = true) {
+        if (!this.animations || !this.animations[animationName]) {
+            return;
+        }
+
+        const clip = this.animations[animationName];
+        const action = this.mixer.clipAction(clip);
+
+        // 현재 애니메이션 페이드 아웃
+        if (this.currentAction && this.currentAction !== action) {
+            this.currentAction.fadeOut(0.5);
+        }
+
+        // 새 애니메이션 페이드 인
+        action.reset();
+        action.fadeIn(0.5);
+        action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce);
+        action.play();
+
+        this.currentAction = action;
+    }
+
+    /**
+     * 장면에서 제거하고 리소스 정리
+     */
+    dispose() {
+        // 애니메이션 정리
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer = null;
+        }
+
+        this.group.removeFromParent();
+        this.group.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+
+        // 2D 체력바 제거
+        healthBarUI.removeHealthBar(this.character);
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * 타일 뷰
+ *
+ * HexTile 하나를 Three.js 메시로 그리는 클래스입니다.
+ * 타일은 색상/하이라이트 상태만 가지고, 화면에 반영하는 일은 이 뷰가 맡습니다.
+ * 헤드리스 시뮬레이션에서는 만들어지지 않습니다.
+ *
+ * @module TileView
+ */
+
+import * as THREE from 'three';
+import { HEX_SIZE, COLORS, FOG } from '../core/constants.js';
+
+/**
+ * 타일 뷰 클래스
+ *
+ * @class TileView
+ */
+export class TileView {
+    /**
+     * @param {HexTile} tile - 그릴 타일
+     */
+    constructor(tile) {
+        /**
+         * 그리는 타일
+         * @type {HexTile}
+         */
+        this.tile = tile;
+
+        /**
+         * Three.js 메시 객체 (타일 본체)
+         * @type {THREE.Mesh}
+         */
+        this.mesh = null;
+
+        /**
+         * Three.js 메시 객체 (타일 테두리)
+         * @type {THREE.LineSegments}
+         */
+        this.borderMesh = null;
+
+        /**
+         * 기둥 중심 높이 (하이라이트 시 이 높이에서 살짝 올라감)
+         * @type {number}
+         */
+        this.baseY = 0;
+
+        this.createMesh();
+        this.createBorder();
+        this.update();
+    }
+
+    /**
+     * 육각형 3D 메시 생성
+     *
+     * Flat-top 육각형을 생성합니다.
+     * @tutorial https://threejs.org/docs/#api/en/geometries/CylinderGeometry
+     */
+    createMesh() {
+        // 육각형 지오메트리 생성
+        // CylinderGeometry를 사용하여 6각형 기둥 생성
+        // 고도가 있으면 지면부터 윗면까지 이어지는 기둥으로 생성
+        const surfaceHeight = this.tile.getSurfaceHeight();
+        const geometry = new THREE.CylinderGeometry(
+            HEX_SIZE,              // 상단 반지름
+            HEX_SIZE,              // 하단 반지름
+            0.1 + surfaceHeight,   // 높이
+            6,                     // 면의 수 (6각형)
+            1                      // 높이 세그먼트
+        );
+
+        // 재질 생성
+        const material = new THREE.MeshPhongMaterial({
+            color: this.tile.originalColor,
+            flatShading: true,        // 플랫 셰이딩 (각진 느낌)
+            shininess: 30,            // 광택
+            specular: 0x111111,       // 반사광 색상
+        });
+
+        // 메시 생성
+        this.mesh = new THREE.Mesh(geometry, material);
+
+        // 그림자 설정
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+
+        // 위치 설정 (큐브 좌표를 픽셀 좌표로 변환)
+        // 윗면이 surfaceHeight + 0.05에 오도록 기둥 중심 높이 설정
+        this.baseY = surfaceHeight / 2;
+        const position = this.tile.getPixelPosition();
+        this.mesh.position.set(position.x, this.baseY, position.z);
+
+        // 육각형이 평평하게 놓이도록 회전
+        this.mesh.rotation.y = Math.PI / 6;
+
+        // 타일에 대한 참조 저장 (레이캐스팅용)
+        this.mesh.userData.tile = this.tile;
+    }
+
+    /**
+     * 타일 테두리 생성
+     *
+     * EdgeGeometry를 사용하여 육각형 테두리를 생성합니다.
+     */
+    createBorder() {
+        // 테두리 지오메트리 생성
+        const edges = new THREE.EdgesGeometry(this.mesh.geometry);
+
+        // 테두리 재질 (선)
+        const lineMaterial = new THREE.LineBasicMaterial({
+            color: COLORS.TILE_BORDER,
+            linewidth: 2,  // 참고: WebGL에서는 대부분 1픽셀로 제한됨
+        });
+
+        // 테두리 메시 생성
+        this.borderMesh = new THREE.LineSegments(edges, lineMaterial);
+
+        // 테두리 위치 설정 (타일보다 약간 위)
+        this.borderMesh.position.copy(this.mesh.position);
+        this.borderMesh.position.y = this.baseY + 0.06;
+        this.borderMesh.rotation.y = Math.PI / 6;
+    }
+
+    /**
+     * 타일 상태(색상, 하이라이트, 안개)를 메시에 반영
+     */
+    update() {
+        const { state, highlightColor, originalColor } = this.tile;
+
+        if (state.isHighlighted) {
+            this.mesh.material.color.setHex(highlightColor);
+            // 약간 위로 이동하여 강조
+            this.mesh.position.y = this.baseY + 0.1;
+            this.borderMesh.position.y = this.baseY + 0.16;
+        } else {
+            this.mesh.material.color.setHex(originalColor);
+            if (state.isFogged) {
+                this.mesh.material.color.multiplyScalar(FOG.TILE_DIM);
+            }
+            this.mesh.position.y = this.baseY;
+            this.borderMesh.position.y = this.baseY + 0.06;
+        }
+    }
+
+    /**
+     * 장면에서 제거하고 리소스 정리
+     */
+    dispose() {
+        [this.mesh, this.borderMesh].forEach(object => {
+            object.removeFromParent();
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * 보드 뷰
+ *
+ * 게임 규칙 쪽에서 타일과 캐릭터가 만들어지면 그에 맞는 뷰를 만들어 장면에 추가합니다.
+ * 규칙 코드는 뷰를 모르고 이벤트만 보내므로, init()을 부르지 않으면
+ * 같은 코드가 Three.js 없이 헤드리스로 동작합니다.
+ *
+ * @module boardView
+ */
+
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { TileView } from './TileView.js';
+import { CharacterView } from './CharacterView.js';
+
+/**
+ * 보드 뷰 클래스
+ *
+ * @class BoardView
+ */
+class BoardView {
+    constructor() {
+        /**
+         * 뷰를 추가할 장면 (init 전에는 null)
+         * @type {THREE.Scene|null}
+         */
+        this.scene = null;
+    }
+
+    /**
+     * 초기화 - 그리드/캐릭터 생성 이벤트 구독
+     *
+     * @param {THREE.Scene} scene - 뷰를 추가할 장면
+     */
+    init(scene) {
+        if (this.scene) return;
+        this.scene = scene;
+
+        eventBus.on(GameEvents.GRID_CREATED, ({ tiles }) => {
+            tiles.forEach(tile => this.addTile(tile));
+        });
+
+        eventBus.on(GameEvents.CHARACTER_ADDED, ({ character }) => {
+            this.addCharacter(character);
+        });
+    }
+
+    /**
+     * 타일 뷰 생성
+     *
+     * @param {HexTile} tile - 타일
+     */
+    addTile(tile) {
+        if (!tile.view) {
+            tile.view = new TileView(tile);
+        }
+        this.scene.add(tile.view.mesh);
+        this.scene.add(tile.view.borderMesh);
+    }
+
+    /**
+     * 캐릭터 뷰 생성 (실행 취소로 되살아난 캐릭터는 기존 뷰를 다시 사용)
+     *
+     * @param {Character} character - 캐릭터
+     */
+    addCharacter(character) {
+        if (!character.view) {
+            character.view = new CharacterView(character);
+        }
+        this.scene.add(character.view.group);
+    }
+}
+
+// 싱글톤 인스턴스
+export const boardView = new BoardView();
@@ -0,0 +1,157 @@
+/**
+ * 안개 뷰
+ *
+ * 시야 시스템의 계산 결과를 화면에 반영합니다.
+ * 지금 보는 진영의 시야 밖 타일은 어둡게, 시야 밖의 다른 진영 캐릭터는 체력바와 함께 숨기고,
+ * 마지막으로 본 적대 캐릭터의 위치에는 반투명한 유령 표시를 둡니다.
+ * 보는 진영은 플레이어가 조작하는 진영이며, 핫시트에서는 턴을 진행 중인 진영으로 바뀝니다.
+ *
+ * @module fogView
+ */
+
+import * as THREE from 'three';
+import { FOG } from '../core/constants.js';
+import { gameState } from '../core/gameState.js';
+import { eventBus, GameEvents } from '../core/eventBus.js';
+import { gridSystem } from '../systems/gridSystem.js';
+import { factionSystem } from '../systems/factionSystem.js';
+import { visionSystem } from '../systems/visionSystem.js';
+
+/**
+ * 안개 뷰 클래스
+ *
+ * @class FogView
+ */
+class FogView {
+    constructor() {
+        /**
+         * 유령 표시를 추가할 장면 (init 전에는 null)
+         * @type {THREE.Scene|null}
+         */
+        this.scene = null;
+
+        /**
+         * 보는 진영 (플레이어가 조작하는 진영 중 마지막으로 턴을 진행한 진영)
+         * @type {string|null}
+         */
+        this.viewerSide = null;
+
+        /**
+         * 유령 표시 (캐릭터 ID → {tile, mesh})
+         * @type {Map<number, {tile: HexTile, mesh: THREE.Group}>}
+         */
+        this.ghosts = new Map();
+    }
+
+    /**
+     * 초기화 - 시야 갱신 이벤트 구독
+     *
+     * @param {THREE.Scene} scene - 유령 표시를 추가할 장면
+     */
+    init(scene) {
+        if (this.scene) return;
+        this.scene = scene;
+
+        eventBus.on(GameEvents.VISION_UPDATED, () => this.update());
+    }
+
+    /**
+     * 보는 진영
+     *
+     * @returns {string} 진영 ID
+     */
+    getViewerSide() {
+        const turn = gameState.currentTurn;
+        if (factionSystem.isHumanControlled(turn)) {
+            this.viewerSide = turn;
+        }
+        if (!this.viewerSide) {
+            this.viewerSide = factionSystem.getFactionIds().find(id => factionSystem.isHumanControlled(id)) ?? turn;
+        }
+        return this.viewerSide;
+    }
+
+    /**
+     * 타일 어둡게 하기, 캐릭터 숨기기, 유령 표시 갱신
+     */
+    update() {
+        if (!this.scene) return;
+
+        const side = visionSystem.enabled ? this.getViewerSide() : null;
+
+        gridSystem.allTiles.forEach(tile => {
+            tile.setFogged(side !== null && !visionSystem.isTileVisible(side, tile));
+        });
+        gameState.allCharacters.forEach(character => {
+            character.view?.setHidden(side !== null && !visionSystem.canSee(side, character));
+        });
+
+        this.updateGhosts(side !== null ? visionSystem.getLastKnown(side) : []);
+    }
+
+    /**
+     * 유령 표시 갱신 (위치가 바뀐 표시만 다시 만듦)
+     *
+     * @param {Array<{character: Character, tile: HexTile}>} lastKnown - 마지막으로 본 위치
+     */
+    updateGhosts(lastKnown) {
+        const current = new Map(lastKnown.map(entry => [entry.character.id, entry]));
+
+        this.ghosts.forEach((ghost, id) => {
+            if (current.get(id)?.tile !== ghost.tile) {
+                this.removeGhost(id);
+            }
+        });
+
+        current.forEach(({ character, tile }, id) => {
+            if (!this.ghosts.has(id)) {
+                this.ghosts.set(id, { tile, mesh: this.createGhost(character, tile) });
+            }
+        });
+    }
+
+    /**
+     * 유령 표시 생성 (진영 색상의 반투명한 몸통과 머리)
+     *
+     * @param {Character} character - 캐릭터
+     * @param {HexTile} tile - 마지막으로 본 타일
+     * @returns {THREE.Group} 장면에 추가한 그룹
+     */
+    createGhost(character, tile) {
+        const material = new THREE.MeshBasicMaterial({
+            color: factionSystem.getColor(character.type),
+            transparent: true,
+            opacity: FOG.GHOST_OPACITY,
+            depthWrite: false
+        });
+
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 0.6, 8), material);
+        body.position.y = 0.3;
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.2, 8, 6), material);
+        head.position.y = 0.7;
+
+        const ghost = new THREE.Group();
+        ghost.add(body, head);
+
+        const position = tile.getPixelPosition();
+        ghost.position.set(position.x, tile.getSurfaceHeight(), position.z);
+        this.scene.add(ghost);
+        return ghost;
+    }
+
+    /**
+     * 유령 표시 제거
+     *
+     * @param {number} id - 캐릭터 ID
+     */
+    removeGhost(id) {
+        const { mesh } = this.ghosts.get(id);
+        mesh.removeFromParent();
+        mesh.children.forEach(child => child.geometry.dispose());
+        mesh.children[0].material.dispose();
+        this.ghosts.delete(id);
+    }
+}
+
+// 싱글톤 인스턴스
+export const fogView = new FogView();
@@ -0,0 +1,22 @@
+/**
+ * 선읽기 AI 탐색 워커
+ *
+ * lookaheadPlanner가 보낸 전술 상태로 searchTurn을 실행해 계획을 돌려줍니다.
+ * 탐색이 메인 스레드의 렌더링 루프를 멈추지 않도록 Web Worker에서 실행됩니다.
+ *
+ * 받는 메시지: {id, state, options} (options는 searchTurn 옵션)
+ * 보내는 메시지: {id, plan} 또는 {id, error}
+ *
+ * @module aiSearchWorker
+ */
+
+import { searchTurn } from '../systems/tacticalSearch.js';
+
+self.onmessage = ({ data }) => {
+    const { id, state, options } = data;
+    try {
+        self.postMessage({ id, plan: searchTurn(state, options) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,95 @@
+/**
+ * 밸런스 시뮬레이션 실행
+ *
+ * 한 맵에서 시드만 바꿔 AI끼리 전투를 여러 번 진행하고 JSON과 HTML 보고서를 저장합니다.
+ *
+ * 실행: node scripts/balance.js [맵 이름] [--runs=수] [--seedStart=수] [--roster=편성]
+ *           [--turnMode=phase|initiative] [--maxTurns=수] [--difficulty=0~10] [--out=폴더]
+ * 편성: 진영:클래스,클래스/진영:클래스... (예: player:warrior,archer/enemy:mage,tank)
+ * 예: npm run balance -- crossroads --runs=200 --roster=player:warrior,warrior/enemy:archer,archer
+ *
+ * @module balance
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { balanceSimulator } from '../js/managers/balanceSimulator.js';
+import { classSystem } from '../js/systems/classSystem.js';
+import { factionSystem } from '../js/systems/factionSystem.js';
+import { aiSystem } from '../js/systems/aiSystem.js';
+import { DEFAULT_MAP } from '../js/core/constants.js';
+import { loadDefinitions, readMap, parseArgs } from './cliUtils.js';
+import { renderReportHTML } from './balanceReport.js';
+
+/**
+ * 기본 전투 횟수
+ * @type {number}
+ */
+const DEFAULT_RUNS = 100;
+
+/**
+ * 편성 인자 해석
+ *
+ * @param {string} [value] - 진영:클래스,클래스/진영:클래스...
+ * @returns {Object<string, string[]>|undefined} 진영 ID → 클래스 ID 목록
+ * @throws {Error} 형식이 잘못되었거나 없는 클래스인 경우
+ */
+function parseRoster(value) {
+    if (!value) return undefined;
+
+    const roster = {};
+    value.split('/').forEach(part => {
+        const [side, list] = part.split(':');
+        if (!side || !list) {
+            throw new Error(`편성 형식 오류: ${part} (예: player:warrior,archer)`);
+        }
+        roster[side] = list.split(',').filter(Boolean);
+        roster[side].forEach(classId => {
+            if (!classSystem.getClass(classId)) {
+                throw new Error(`알 수 없는 클래스: ${classId}`);
+            }
+        });
+    });
+    return roster;
+}
+
+const { positional, options } = parseArgs(process.argv.slice(2));
+const mapName = positional[0] || DEFAULT_MAP;
+const runs = Number(options.runs ?? DEFAULT_RUNS);
+const seedStart = Number(options.seedStart ?? 1);
+const outDir = resolve(options.out ?? 'reports');
+
+await loadDefinitions();
+const mapData = await readMap(mapName);
+const roster = parseRoster(options.roster);
+const seeds = Array.from({ length: runs }, (_, index) => seedStart + index);
+if (options.difficulty !== undefined) {
+    aiSystem.setDifficulty(Number(options.difficulty));
+}
+
+// 전투마다 나오는 규칙 코드의 진행 로그는 생략하고 진행률만 표시
+const report = await balanceSimulator.runBatch(mapData, {
+    seeds,
+    roster,
+    turnMode: options.turnMode,
+    maxTurns: options.maxTurns ? Number(options.maxTurns) : undefined,
+    quiet: true,
+    onProgress: (done, total) => process.stderr.write(`\r${done}/${total}`)
+});
+process.stderr.write('\n');
+
+const names = { classes: {}, factions: {} };
+Object.keys(report.classes).forEach(id => {
+    names.classes[id] = classSystem.getClass(id)?.name ?? id;
+});
+Object.keys(report.factions).forEach(id => {
+    names.factions[id] = factionSystem.getFaction(id)?.name ?? id;
+});
+
+const baseName = `balance-${mapName}`;
+await mkdir(outDir, { recursive: true });
+await writeFile(resolve(outDir, `${baseName}.json`), JSON.stringify(report, null, 2));
+await writeFile(resolve(outDir, `${baseName}.html`), renderReportHTML(report, names));
+
+console.log(`플레이어 승률 ${(report.playerWinRate * 100).toFixed(1)}%, 평균 ${report.averageTurns.toFixed(1)}턴 (${report.battles}회)`);
+console.log(`보고서: ${resolve(outDir, baseName)}.json / .html`);
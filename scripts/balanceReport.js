@@ -0,0 +1,173 @@
+/**
+ * 밸런스 보고서 HTML
+ *
+ * balanceSimulator 보고서를 브라우저에서 열어볼 수 있는 한 장짜리 HTML로 만듭니다.
+ *
+ * @module balanceReport
+ */
+
+/**
+ * 결과 표시 이름
+ * @type {Object<string, string>}
+ */
+const RESULT_LABELS = {
+    player_won: '플레이어 승리',
+    player_lost: '플레이어 패배',
+    undecided: '최대 턴 초과'
+};
+
+/**
+ * 보고서 스타일
+ * @type {string}
+ */
+const STYLE = `
+    body { font-family: sans-serif; margin: 24px; color: #222; background: #fafafa; }
+    h1 { font-size: 22px; }
+    h2 { font-size: 17px; margin-top: 28px; }
+    table { border-collapse: collapse; background: #fff; }
+    th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: right; }
+    th { background: #eee; }
+    td:first-child, th:first-child { text-align: left; }
+    .bar { display: inline-block; height: 10px; background: #4a90d9; vertical-align: middle; margin-right: 6px; }
+    .note { color: #777; font-size: 13px; }
+`;
+
+/**
+ * HTML 특수 문자 이스케이프
+ *
+ * @param {*} value - 값
+ * @returns {string} 이스케이프된 문자열
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 비율을 퍼센트 문자열로
+ *
+ * @param {number} rate - 0~1 비율
+ * @returns {string} 예: "42.5%"
+ */
+function percent(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * 비율 막대와 퍼센트
+ *
+ * @param {number} rate - 0~1 비율
+ * @returns {string} HTML
+ */
+function rateCell(rate) {
+    return `<span class="bar" style="width:${Math.round(rate * 100)}px"></span>${percent(rate)}`;
+}
+
+/**
+ * 표 생성
+ *
+ * @param {string[]} headers - 머리글
+ * @param {Array<Array<string|number>>} rows - 행 (셀은 이미 HTML로 만든 값)
+ * @returns {string} HTML
+ */
+function table(headers, rows) {
+    const head = headers.map(header => `<th>${escapeHTML(header)}</th>`).join('');
+    const body = rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n');
+    return `<table>\n<tr>${head}</tr>\n${body}\n</table>`;
+}
+
+/**
+ * 그룹(클래스/진영) 집계 표
+ *
+ * @param {Object<string, Object>} groups - balanceSimulator.summarize 결과
+ * @param {Function} labelOf - 그룹 키 → 표시 이름
+ * @returns {string} HTML
+ */
+function groupTable(groups, labelOf) {
+    const rows = Object.entries(groups).map(([key, group]) => [
+        escapeHTML(labelOf(key)),
+        group.units,
+        rateCell(group.survivalRate),
+        group.damagePerUnit.toFixed(1),
+        group.damagePerBattle.toFixed(1),
+        group.damageTaken,
+        group.healingDone,
+        group.kills,
+        `${group.crits} / ${group.hits} (${percent(group.critRate)})`,
+        `${group.evasions} / ${group.attacksReceived} (${percent(group.evasionRate)})`,
+        `${group.counters} / ${group.counterChances} (${percent(group.counterRate)})`
+    ]);
+    return table(
+        ['이름', '출전', '생존율', '1인당 데미지', '전투당 데미지', '받은 데미지', '회복량', '처치', '치명타', '회피', '반격'],
+        rows
+    );
+}
+
+/**
+ * 보고서 HTML 생성
+ *
+ * @param {Object} report - balanceSimulator.runBatch 결과
+ * @param {Object} [names] - 표시 이름
+ * @param {Object<string, string>} [names.classes] - 클래스 ID → 이름
+ * @param {Object<string, string>} [names.factions] - 진영 ID → 이름
+ * @returns {string} HTML 문서
+ */
+export function renderReportHTML(report, { classes = {}, factions = {} } = {}) {
+    const { settings } = report;
+    const roster = settings.roster
+        ? Object.entries(settings.roster).map(([side, ids]) => `${side}: ${ids.join(', ')}`).join(' / ')
+        : '맵 설정';
+
+    const resultRows = Object.entries(report.results).map(([result, count]) => [
+        escapeHTML(RESULT_LABELS[result] ?? result),
+        count,
+        rateCell(report.battles > 0 ? count / report.battles : 0)
+    ]);
+
+    const runRows = report.runs.map(run => [
+        escapeHTML(run.seed),
+        escapeHTML(RESULT_LABELS[run.result] ?? run.result),
+        escapeHTML(run.reason),
+        run.turns,
+        escapeHTML(run.aliveFactions.join(', '))
+    ]);
+
+    return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="UTF-8">
+<title>밸런스 보고서 - ${escapeHTML(settings.map ?? '')}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>밸런스 보고서</h1>
+<p>맵 <b>${escapeHTML(settings.map ?? '-')}</b> · 전투 ${report.battles}회 · 턴 모드 ${escapeHTML(settings.turnMode)}
+ · AI 난이도 ${escapeHTML(settings.difficulty)} · 편성 ${escapeHTML(roster)}</p>
+
+<h2>결과</h2>
+${table(['결과', '횟수', '비율'], resultRows)}
+<p>플레이어 승률 <b>${percent(report.playerWinRate)}</b> · 평균 턴 <b>${report.averageTurns.toFixed(1)}</b></p>
+
+<h2>판정 빈도</h2>
+${table(['판정', '횟수', '비율'], [
+        ['치명타', `${report.crits.count} / ${report.crits.hits}`, rateCell(report.crits.rate)],
+        ['회피', `${report.evasion.count} / ${report.evasion.attacks}`, rateCell(report.evasion.rate)],
+        ['반격', `${report.counters.count} / ${report.counters.chances}`, rateCell(report.counters.rate)]
+    ])}
+<p class="note">치명타는 적중한 공격, 회피는 모든 공격 시도, 반격은 반격할 수 있었던 횟수에 대한 비율입니다.</p>
+
+<h2>클래스별</h2>
+${groupTable(report.classes, key => classes[key] ?? key)}
+
+<h2>진영별</h2>
+${groupTable(report.factions, key => factions[key] ?? key)}
+
+<h2>전투별</h2>
+${table(['시드', '결과', '종료 이유', '턴', '남은 진영'], runRows)}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,70 @@
+/**
+ * 명령줄 스크립트 공용 함수
+ *
+ * Node 스크립트(runBattle, balance)가 public 아래 데이터를 읽고 인자를 해석할 때 사용합니다.
+ *
+ * @module cliUtils
+ */
+
+import { readFile } from 'node:fs/promises';
+import { simulationManager } from '../js/managers/simulationManager.js';
+
+/**
+ * public 폴더 경로
+ * @type {URL}
+ */
+const PUBLIC_DIR = new URL('../public/', import.meta.url);
+
+/**
+ * public 아래 JSON 파일 읽기
+ *
+ * @param {string} path - public 기준 경로
+ * @returns {Promise<Object>} 파싱된 데이터
+ */
+export async function readJSON(path) {
+    return JSON.parse(await readFile(new URL(path, PUBLIC_DIR), 'utf8'));
+}
+
+/**
+ * 맵 파일 읽기
+ *
+ * @param {string} name - 맵 이름 (public/maps/{name}.json)
+ * @returns {Promise<Object>} id가 붙은 맵 데이터
+ */
+export async function readMap(name) {
+    return { id: name, ...await readJSON(`maps/${name}.json`) };
+}
+
+/**
+ * 진영/스킬/클래스/AI 성향 정의를 읽어 simulationManager에 등록
+ *
+ * @returns {Promise<void>}
+ */
+export async function loadDefinitions() {
+    simulationManager.setDefinitions({
+        factions: await readJSON('data/factions.json'),
+        skills: await readJSON('data/skills.json'),
+        classes: await readJSON('data/classes.json'),
+        aiProfiles: await readJSON('data/aiProfiles.json')
+    });
+}
+
+/**
+ * 명령줄 인자 해석 (--이름=값 옵션과 위치 인자)
+ *
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {{positional: string[], options: Object<string, string>}}
+ */
+export function parseArgs(args) {
+    const positional = [];
+    const options = {};
+    args.forEach(arg => {
+        const match = /^--([^=]+)=(.*)$/.exec(arg);
+        if (match) {
+            options[match[1]] = match[2];
+        } else {
+            positional.push(arg);
+        }
+    });
+    return { positional, options };
+}
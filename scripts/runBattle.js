@@ -0,0 +1,40 @@
+/**
+ * 헤드리스 전투 실행
+ *
+ * 브라우저 없이 Node에서 AI끼리 전투 한 번을 끝까지 진행하고 결과를 출력합니다.
+ * 게임과 같은 규칙 코드(simulationManager)를 사용하며, 데이터는 public/ 아래 파일을 읽습니다.
+ *
+ * 실행: node scripts/runBattle.js [맵 이름] [--seed=값] [--turnMode=phase|initiative] [--maxTurns=수] [--fog=1] [--replay=파일]
+ * 예: npm run battle -- ruins --seed=42
+ * --fog=1을 주면 전장의 안개를 켜, AI가 자기 편이 보는 캐릭터만 따집니다.
+ * --replay를 주면 전투를 리플레이 파일로 저장해 게임의 리플레이 탭에서 열어볼 수 있습니다.
+ *
+ * @module runBattle
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { simulationManager } from '../js/managers/simulationManager.js';
+import { replayManager } from '../js/managers/replayManager.js';
+import { DEFAULT_MAP } from '../js/core/constants.js';
+import { loadDefinitions, readMap, parseArgs } from './cliUtils.js';
+
+const { positional, options } = parseArgs(process.argv.slice(2));
+const mapName = positional[0] || DEFAULT_MAP;
+
+await loadDefinitions();
+replayManager.init();
+
+const mapData = await readMap(mapName);
+const result = await simulationManager.simulate(mapData, {
+    seed: options.seed ?? Date.now(),
+    turnMode: options.turnMode,
+    fog: options.fog === '1',
+    maxTurns: options.maxTurns ? Number(options.maxTurns) : undefined
+});
+
+console.log(JSON.stringify({ map: mapName, ...result }, null, 2));
+
+if (options.replay) {
+    await writeFile(options.replay, JSON.stringify(replayManager.createReplay(mapName)));
+    console.log(`리플레이 저장: ${options.replay}`);
+}
@@ -0,0 +1,385 @@
+/**
+ * 온라인 대전 릴레이 서버
+ *
+ * 같은 방(room)에 들어온 두 클라이언트 사이에서 메시지를 그대로 전달하는 작은 WebSocket 서버입니다.
+ * 게임 규칙은 전혀 모르며, 커맨드 검증과 동기화 확인은 각 클라이언트(networkManager)가 합니다.
+ * 외부 패키지 없이 Node 기본 모듈만 사용합니다.
+ *
+ * 실행: node server/relay.js [포트] (기본 8787, 환경 변수 PORT도 사용 가능)
+ *
+ * 프로토콜 (모두 JSON 텍스트 프레임):
+ * - 클라이언트 → 서버 {type: 'join', room, clientId}: 방에 입장 (같은 clientId로 다시 들어오면 같은 자리)
+ * - 서버 → 클라이언트 {type: 'joined', seat, peerConnected}: 입장 완료, seat은 0 또는 1
+ * - 서버 → 클라이언트 {type: 'peer_joined'} / {type: 'peer_left'}: 상대 접속/접속 끊김
+ * - 서버 → 클라이언트 {type: 'error', message}: 방이 가득 찬 경우 등
+ * - 그 외 메시지는 같은 방의 상대에게 그대로 전달
+ *
+ * @module relay
+ * @tutorial https://datatracker.ietf.org/doc/html/rfc6455
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+/**
+ * 기본 포트
+ * @type {number}
+ */
+const DEFAULT_PORT = 8787;
+
+/**
+ * 한 방의 자리 수 (2인 대전)
+ * @type {number}
+ */
+const SEATS_PER_ROOM = 2;
+
+/**
+ * 한 메시지의 최대 크기 (히스토리 전체를 보내는 동기화 메시지 포함)
+ * @type {number}
+ */
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+/**
+ * WebSocket 핸드셰이크용 GUID (RFC 6455)
+ * @type {string}
+ */
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * 프레임 opcode
+ * @enum {number}
+ */
+const Opcode = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * 방 목록 (방 이름 → {clientIds, connections})
+ * 자리마다 마지막으로 앉은 clientId를 기억해 두어 접속이 끊겨도 같은 클라이언트만 다시 앉을 수 있습니다.
+ * @type {Map<string, {clientIds: Array<string|null>, connections: Array<Connection|null>}>}
+ */
+const rooms = new Map();
+
+/**
+ * WebSocket 연결 하나
+ *
+ * @class Connection
+ */
+class Connection {
+    /**
+     * @param {import('node:net').Socket} socket - 업그레이드된 소켓
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.room = null;
+        this.seat = null;
+        this.closed = false;
+
+        /**
+         * 텍스트 메시지 수신 시 호출
+         * @type {Function|null}
+         */
+        this.onMessage = null;
+
+        /**
+         * 연결이 끊겼을 때 호출
+         * @type {Function|null}
+         */
+        this.onClose = null;
+
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * 받은 바이트를 프레임 단위로 해석
+     *
+     * @param {Buffer} chunk - 받은 데이터
+     */
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (!this.closed) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * 버퍼에서 프레임 하나 읽기
+     *
+     * @returns {{fin: boolean, opcode: number, payload: Buffer}|null} 아직 다 받지 못했으면 null
+     */
+    readFrame() {
+        if (this.buffer.length < 2) return null;
+
+        const fin = (this.buffer[0] & 0x80) !== 0;
+        const opcode = this.buffer[0] & 0x0F;
+        const masked = (this.buffer[1] & 0x80) !== 0;
+        let length = this.buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (this.buffer.length < 4) return null;
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) return null;
+            length = Number(this.buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(1009);
+            return null;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (this.buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= this.buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        this.buffer = this.buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * 프레임 처리 (조각난 메시지는 합쳐서 전달)
+     *
+     * @param {{fin: boolean, opcode: number, payload: Buffer}} frame - 프레임
+     */
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case Opcode.TEXT:
+            case Opcode.BINARY:
+            case Opcode.CONTINUATION:
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage?.(message);
+                }
+                break;
+            case Opcode.PING:
+                this.sendFrame(Opcode.PONG, payload);
+                break;
+            case Opcode.CLOSE:
+                this.close(1000);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * 텍스트 메시지 전송
+     *
+     * @param {Object|string} message - 보낼 메시지 (객체는 JSON으로 변환)
+     */
+    send(message) {
+        const text = typeof message === 'string' ? message : JSON.stringify(message);
+        this.sendFrame(Opcode.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * 프레임 전송 (서버가 보내는 프레임은 마스킹하지 않음)
+     *
+     * @param {number} opcode - opcode
+     * @param {Buffer} payload - 내용
+     */
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * 연결 종료
+     *
+     * @param {number} code - 종료 코드
+     */
+    close(code) {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(Opcode.CLOSE, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    /**
+     * 연결 종료 처리 (한 번만)
+     */
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.socket.destroy();
+        this.onClose?.();
+    }
+}
+
+/**
+ * 방 입장
+ *
+ * @param {Connection} connection - 연결
+ * @param {string} roomName - 방 이름
+ * @param {string} clientId - 클라이언트 ID (탭마다 고정)
+ */
+function joinRoom(connection, roomName, clientId) {
+    if (!rooms.has(roomName)) {
+        rooms.set(roomName, {
+            clientIds: new Array(SEATS_PER_ROOM).fill(null),
+            connections: new Array(SEATS_PER_ROOM).fill(null)
+        });
+    }
+    const room = rooms.get(roomName);
+
+    // 같은 클라이언트의 재접속이면 원래 자리, 아니면 비어 있는 첫 자리
+    let seat = room.clientIds.indexOf(clientId);
+    if (seat === -1) {
+        seat = room.clientIds.indexOf(null);
+    }
+    if (seat === -1) {
+        connection.send({ type: 'error', message: 'room is full' });
+        connection.close(1000);
+        return;
+    }
+
+    // 같은 자리에 남아 있던 이전 연결은 닫음 (새로고침 등)
+    const previous = room.connections[seat];
+    if (previous && previous !== connection) {
+        previous.onClose = null;
+        previous.close(1000);
+    }
+
+    room.clientIds[seat] = clientId;
+    room.connections[seat] = connection;
+    connection.room = roomName;
+    connection.seat = seat;
+
+    const peer = room.connections[1 - seat];
+    connection.send({ type: 'joined', seat, peerConnected: !!peer });
+    peer?.send({ type: 'peer_joined' });
+
+    console.log(`[relay] ${roomName}: seat ${seat} joined (${clientId})`);
+}
+
+/**
+ * 연결 종료 처리 - 상대에게 알림 (자리는 재접속을 위해 남겨둠)
+ *
+ * @param {Connection} connection - 연결
+ */
+function leaveRoom(connection) {
+    const room = rooms.get(connection.room);
+    if (!room || room.connections[connection.seat] !== connection) return;
+
+    room.connections[connection.seat] = null;
+    room.connections[1 - connection.seat]?.send({ type: 'peer_left' });
+    console.log(`[relay] ${connection.room}: seat ${connection.seat} left`);
+
+    // 둘 다 나가면 방 정리
+    if (room.connections.every(other => other === null)) {
+        rooms.delete(connection.room);
+    }
+}
+
+/**
+ * 새 연결 처리
+ *
+ * @param {Connection} connection - 연결
+ */
+function handleConnection(connection) {
+    connection.onMessage = (text) => {
+        // 입장 전에는 join만 받음
+        if (connection.room === null) {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch {
+                return;
+            }
+            if (message.type === 'join' && typeof message.room === 'string' && typeof message.clientId === 'string') {
+                joinRoom(connection, message.room, message.clientId);
+            }
+            return;
+        }
+
+        // 입장 후에는 내용을 보지 않고 상대에게 전달 (상대가 없으면 버림, 재접속 시 클라이언트끼리 동기화)
+        const room = rooms.get(connection.room);
+        room?.connections[1 - connection.seat]?.send(text);
+    };
+
+    connection.onClose = () => leaveRoom(connection);
+}
+
+/**
+ * 서버 생성
+ *
+ * @returns {http.Server} HTTP 서버 (WebSocket 업그레이드 처리)
+ */
+export function createRelayServer() {
+    const server = http.createServer((request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('hex-game relay\n');
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '\r\n'
+        ].join('\r\n'));
+
+        handleConnection(new Connection(socket));
+    });
+
+    return server;
+}
+
+// 직접 실행한 경우에만 서버 시작
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const port = Number(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+    createRelayServer().listen(port, () => {
+        console.log(`[relay] listening on ws://localhost:${port}`);
+    });
+}